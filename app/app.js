@@ -4,7 +4,16 @@ let currentUser = null;
 let currentRoom = null;
 let rooms = [];
 let phantomWallet = null;
+// EIP-1193 provider injected by MetaMask and other Ethereum wallets
+let ethereumWallet = null;
 let walletAddress = null;
+// The chain of the connected wallet: 'solana' or 'ethereum'
+let walletChain = null;
+// Set while another wallet is being linked, so its account switches don't sign this one out
+let linkingWallet = false;
+
+// Solana (base58) or Ethereum (0x hex) addresses; anything else is a handle
+const WALLET_ADDRESS_PATTERN = /^(?:[1-9A-HJ-NP-Za-km-z]{32,44}|0x[0-9a-fA-F]{40})$/;
 
 // Auto-delete timer settings
 let selectedTimerSeconds = 0; // 0 = never delete
@@ -14,20 +23,98 @@ const timerLabels = {
     60: '1m',
     300: '5m',
     3600: '1h',
-    86400: '24h'
+    86400: '24h',
+    604800: '7d'
 };
 
+// Burn-after-read: the timer starts for each recipient when they first view the message
+let selectedBurnAfterRead = false;
+
+// Burn-after-read messages we already reported as viewed
+const viewedBurnMessages = new Set();
+
 // Reactions storage: { messageId: [{ userId, emoji, username }, ...] }
 let messageReactions = {};
 
+// Messages rendered in the current room, by id (used for editing)
+let displayedMessages = {};
+
+// Receipt pointers for the current room: { userId: { lastDeliveredMessageId, lastReadMessageId } }
+let roomReceipts = {};
+
+// Last receipt this client reported, to avoid repeating it
+let lastAcknowledged = null;
+
+// Message currently being edited in the input, if any
+let editingMessageId = null;
+
+// Message the next send replies to, if any
+let replyingTo = null;
+
+// Open thread view: { messageId, cursor, hasMore }
+let openThreadState = null;
+
+// Search result we are paging back through history to reach: { roomId, messageId }
+let pendingJump = null;
+
+// Invite token from the URL waiting for preview/confirmation
+let pendingInviteToken = null;
+
+// When this client last sent a typing update
+let lastTypingSentAt = 0;
+const TYPING_THROTTLE_MS = 2000;
+
+// Profile shown in the profile modal, and the avatar picked in the editor
+// (a data URL; null removes it, undefined leaves it unchanged)
+let viewedProfile = null;
+let pendingAvatar;
+const AVATAR_SIZE = 128;
+const MAX_AVATAR_BYTES = 48 * 1024;
+
+// Presence of people sharing a room with us: { userId: { status, lastSeenAt } }
+// (status or lastSeenAt is null when they hide it from us)
+let peerPresence = {};
+
+// Our contacts and the users we blocked: [{ userId, handle, nickname, note,
+// isContact, blocked, ... }], and the entry open in the contact modal
+let contacts = [];
+let editedContact = null;
+
+// Message requests we received: [{ roomId, sender: profile, createdAt }], and
+// which list the sidebar shows: 'conversations', 'contacts' or 'requests'
+let messageRequests = [];
+let sidebarPanel = 'conversations';
+
+// Public room moderation: the open report queue (moderators only) and the
+// oldest audit log entry loaded so far
+let reportQueue = [];
+let moderationLogBefore = null;
+
+// This tab counts as idle (away) after a while without input, or while hidden
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+let isIdle = false;
+let idleTimer = null;
+let lastActivityAt = 0;
+
+// Slash commands available in the current room, for autocomplete
+let availableCommands = [];
+let selectedSuggestion = 0;
+
+// End-to-end encryption key pair (X25519, derived from a wallet signature)
+let encryptionKeyPair = null;
+
+// Cache of verified key bindings: `${wallet}:${publicKey}` -> boolean
+const keyBindingCache = new Map();
+
 function init() {
+    readInviteFromUrl();
     setupEventListeners();
     initializeMatrixBackground();
-    detectPhantomWallet();
+    detectWallets();
 }
 
-// Detect Phantom Wallet
-function detectPhantomWallet() {
+// Detect Phantom and Ethereum wallets
+function detectWallets() {
     const getProvider = () => {
         if ('phantom' in window) {
             const anyWindow = window;
@@ -40,29 +127,42 @@ function detectPhantomWallet() {
     };
     
     phantomWallet = getProvider();
+    ethereumWallet = window.ethereum ?? null;
     
-    if (!phantomWallet) {
-        // Phantom not detected, show install message
-        showPhantomNotInstalled();
+    if (!phantomWallet && !ethereumWallet) {
+        // No wallet detected, show install message
+        showWalletNotInstalled();
         hideLoadingScreen();
         return;
     }
     
+    // Switching accounts in the Ethereum wallet signs this one out
+    ethereumWallet?.on?.('accountsChanged', (accounts) => {
+        if (!linkingWallet && walletChain === 'ethereum' && accounts[0]?.toLowerCase() !== walletAddress?.toLowerCase()) {
+            console.log('Ethereum account changed');
+            onWalletDisconnected();
+        }
+    });
+    
     // Check if already connected
-    phantomWallet.on('connect', (publicKey) => {
+    phantomWallet?.on('connect', (publicKey) => {
+        if (linkingWallet) return;
         walletAddress = publicKey.toString();
+        walletChain = 'solana';
         console.log('Wallet connected:', walletAddress);
         onWalletConnected();
     });
     
-    phantomWallet.on('disconnect', () => {
+    phantomWallet?.on('disconnect', () => {
+        if (linkingWallet) return;
         console.log('Wallet disconnected');
         onWalletDisconnected();
     });
     
     // Try to connect eagerly if previously connected
-    if (phantomWallet.isConnected) {
+    if (phantomWallet?.isConnected) {
         walletAddress = phantomWallet.publicKey.toString();
+        walletChain = 'solana';
         onWalletConnected();
     } else {
         // Show connect wallet UI
@@ -71,10 +171,21 @@ function detectPhantomWallet() {
     }
 }
 
+// Connect with whichever wallet is installed, or let the user pick
+function connectWallet() {
+    if (phantomWallet && ethereumWallet) {
+        showConnectWalletUI();
+    } else if (ethereumWallet) {
+        connectEthereumWallet();
+    } else {
+        connectPhantomWallet();
+    }
+}
+
 // Connect to Phantom Wallet with signature verification
 async function connectPhantomWallet() {
     if (!phantomWallet) {
-        showPhantomNotInstalled();
+        showWalletNotInstalled();
         return;
     }
     
@@ -82,50 +193,10 @@ async function connectPhantomWallet() {
         // Step 1: Connect to wallet
         const response = await phantomWallet.connect();
         walletAddress = response.publicKey.toString();
+        walletChain = 'solana';
         console.log('Connected to wallet:', walletAddress);
         
-        // Step 2: Request nonce from server
-        const nonceResponse = await fetch('/api/auth/nonce', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ walletAddress })
-        });
-        
-        const nonceData = await nonceResponse.json();
-        
-        if (!nonceData.success) {
-            throw new Error(nonceData.error || 'Failed to get nonce');
-        }
-        
-        // Step 3: Sign message with Phantom wallet
-        const message = nonceData.message;
-        const encodedMessage = new TextEncoder().encode(message);
-        const signedMessage = await phantomWallet.signMessage(encodedMessage, 'utf8');
-        
-        // Convert signature to base64
-        const signatureBase64 = btoa(String.fromCharCode(...signedMessage.signature));
-        
-        // Step 4: Verify signature on server
-        const verifyResponse = await fetch('/api/auth/verify', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                walletAddress,
-                signature: signatureBase64
-            })
-        });
-        
-        const verifyData = await verifyResponse.json();
-        
-        if (!verifyData.success) {
-            throw new Error(verifyData.error || 'Signature verification failed');
-        }
-        
-        // Authentication successful!
-        currentUser = verifyData.user;
-        console.log('Authenticated successfully:', currentUser);
-        onWalletConnected();
-        
+        await signInWithWallet();
     } catch (error) {
         console.error('Failed to connect to Phantom:', error);
         
@@ -134,30 +205,123 @@ async function connectPhantomWallet() {
             await phantomWallet.disconnect();
         }
         
-        walletAddress = null;
-        
-        // Show error message
-        let errorMessage = 'Connection failed. Please make sure Phantom wallet is unlocked and try again.';
-        if (error.code === 4001) {
-            errorMessage = 'Connection rejected. Please approve the connection request in Phantom wallet.';
-        } else if (error.message) {
-            errorMessage = error.message;
-        }
+        onConnectFailed(error, 'Phantom');
+    }
+}
+
+// Connect to MetaMask (or another injected Ethereum wallet) with signature verification
+async function connectEthereumWallet() {
+    if (!ethereumWallet) {
+        showWalletNotInstalled();
+        return;
+    }
+    
+    try {
+        // Step 1: Connect to wallet
+        const [account] = await ethereumWallet.request({ method: 'eth_requestAccounts' });
+        walletAddress = account;
+        walletChain = 'ethereum';
+        console.log('Connected to wallet:', walletAddress);
         
-        alert(errorMessage);
-        hideLoadingScreen();
+        await signInWithWallet();
+    } catch (error) {
+        console.error('Failed to connect to Ethereum wallet:', error);
+        onConnectFailed(error, 'MetaMask');
+    }
+}
+
+function onConnectFailed(error, walletName) {
+    walletAddress = null;
+    walletChain = null;
+    
+    // Show error message
+    let errorMessage = `Connection failed. Please make sure ${walletName} is unlocked and try again.`;
+    if (error.code === 4001) {
+        errorMessage = `Connection rejected. Please approve the connection request in ${walletName}.`;
+    } else if (error.message) {
+        errorMessage = error.message;
+    }
+    
+    alert(errorMessage);
+    hideLoadingScreen();
+}
+
+// Sign a text message with the connected wallet (or, when linking, with the
+// given one). Returns the signature the way the server expects it (base64 for
+// Solana, 0x hex from personal_sign for Ethereum) and its raw bytes.
+async function signWalletMessage(text, chain = walletChain, address = walletAddress) {
+    if (chain === 'ethereum') {
+        const hex = await ethereumWallet.request({
+            method: 'personal_sign',
+            params: [bytesToHex(new TextEncoder().encode(text)), address]
+        });
+        return { signature: hex, bytes: hexToBytes(hex) };
+    }
+    
+    const signed = await phantomWallet.signMessage(new TextEncoder().encode(text), 'utf8');
+    return { signature: encodeBase64(signed.signature), bytes: signed.signature };
+}
+
+// Sign in with the connected wallet (Sign-In With Solana / Ethereum)
+async function signInWithWallet() {
+    // Step 2: Request nonce from server
+    const nonceResponse = await fetch('/api/auth/nonce', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ walletAddress })
+    });
+    
+    const nonceData = await nonceResponse.json();
+    
+    if (!nonceData.success) {
+        throw new Error(nonceData.error || 'Failed to get nonce');
+    }
+    
+    // Step 3: Sign the sign-in message with the wallet. Ethereum addresses
+    // come back checksummed.
+    walletAddress = nonceData.walletAddress;
+    const message = nonceData.message;
+    const { signature } = await signWalletMessage(message);
+    
+    // Step 4: Verify signature on server
+    const verifyResponse = await fetch('/api/auth/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            walletAddress,
+            message,
+            signature
+        })
+    });
+    
+    const verifyData = await verifyResponse.json();
+    
+    if (!verifyData.success) {
+        throw new Error(verifyData.error || 'Signature verification failed');
     }
+    
+    // Authentication successful! This may be any wallet linked to the account.
+    currentUser = verifyData.user;
+    console.log('Authenticated successfully:', currentUser);
+    
+    // Step 5: Unlock end-to-end encryption keys and publish the public key
+    await setupEncryptionKeys(verifyData.wallet.encryptionKeyBackup);
+    
+    onWalletConnected();
 }
 
-// Disconnect from Phantom Wallet
-async function disconnectPhantomWallet() {
-    if (phantomWallet && phantomWallet.isConnected) {
+// Disconnect the wallet
+async function disconnectWallet() {
+    if (walletChain === 'solana' && phantomWallet && phantomWallet.isConnected) {
         try {
             await phantomWallet.disconnect();
             onWalletDisconnected();
         } catch (error) {
             console.error('Failed to disconnect from Phantom:', error);
         }
+    } else if (walletAddress) {
+        // Ethereum wallets can't be disconnected from the page; forget the account
+        onWalletDisconnected();
     }
 }
 
@@ -184,10 +348,22 @@ function onWalletConnected() {
 
 // Handle wallet disconnection
 function onWalletDisconnected() {
+    if (walletAddress) {
+        sessionStorage.removeItem(`zkontrol:encryption-key:${walletAddress}`);
+    }
+    
+    // End the server session too, so this browser is signed out
+    if (currentUser) {
+        fetch('/api/auth/logout', { method: 'POST' })
+            .catch(error => console.error('Failed to sign out:', error));
+    }
+    
     walletAddress = null;
+    walletChain = null;
     currentUser = null;
     currentRoom = null;
     rooms = [];
+    encryptionKeyPair = null;
     
     // Disconnect socket
     if (socket) {
@@ -242,8 +418,22 @@ function connectWebSocket() {
         
         console.log('Authenticated as:', currentUser.username);
         
+        renderPrivacySettings();
+        renderProfileEditor();
         renderRooms();
         
+        // The server counts a freshly authenticated tab as active
+        isIdle = false;
+        lastActivityAt = 0;
+        reportActivity();
+        socket.emit('get_presence');
+        socket.emit('get_contacts');
+        socket.emit('get_message_requests');
+        
+        if (pendingInviteToken) {
+            socket.emit('preview_invite', { token: pendingInviteToken });
+        }
+        
         // Auto-select public chat if no room is currently selected
         // Use setTimeout to avoid recursive render during DOM construction
         if (!currentRoom) {
@@ -261,6 +451,7 @@ function connectWebSocket() {
         rooms.push(room);
         renderRooms();
         selectRoom(room.id);
+        socket.emit('get_presence');
     });
 
     socket.on('room_update', (room) => {
@@ -269,6 +460,35 @@ function connectWebSocket() {
             rooms[index] = room;
         } else {
             rooms.push(room);
+            socket.emit('get_presence');
+        }
+        
+        if (currentRoom?.id === room.id) {
+            const wasRequestToUs = currentRoom.requestRecipientId === currentUser.id;
+            
+            currentRoom.name = room.name;
+            currentRoom.disappearingSeconds = room.disappearingSeconds;
+            currentRoom.retentionSeconds = room.retentionSeconds;
+            currentRoom.requestRecipientId = room.requestRecipientId;
+            currentRoom.slowModeSeconds = room.slowModeSeconds;
+            currentRoom.filterWords = room.filterWords;
+            currentRoom.filterLinks = room.filterLinks;
+            document.getElementById('contactName').textContent = room.name;
+            updateTimerForRoom();
+            updateRequestBar();
+            
+            if (isModerationPanelOpen()) {
+                renderModerationSettings();
+            }
+            
+            // Rejoin an accepted request so our receipts go out
+            if (wasRequestToUs && !room.requestRecipientId) {
+                selectRoom(room.id);
+            }
+            
+            if (document.getElementById('groupInfoModal').classList.contains('active')) {
+                renderGroupInfo();
+            }
         }
         renderRooms();
     });
@@ -276,39 +496,274 @@ function connectWebSocket() {
     socket.on('room_joined', (data) => {
         // Update current room data
         currentRoom = data.room;
+        currentRoom.hasMoreMessages = data.hasMore;
+        currentRoom.historyCursor = data.cursor;
+        currentRoom.loadingHistory = false;
         
         // Update contact name in header
         document.getElementById('contactName').textContent = data.room.name;
-        document.getElementById('contactAddress').textContent = data.room.isGroup ? 'Group Chat' : data.room.creator;
+        renderContactPresence();
+        updateGroupInfoButton();
+        updateModerationButton();
+        updateAttachmentButton();
+        updateTimerForRoom();
+        
+        if (isPublicModerator()) {
+            socket.emit('get_reports', { roomId: currentRoom.id });
+        }
         
         // Load reactions
         messageReactions = {};
-        if (data.reactions) {
-            data.reactions.forEach(r => {
-                if (!messageReactions[r.messageId]) {
-                    messageReactions[r.messageId] = [];
-                }
-                messageReactions[r.messageId].push(r);
-            });
-        }
+        displayedMessages = {};
+        cancelEditMessage();
+        cancelReply();
+        storeReactions(data.reactions);
+        
+        roomReceipts = {};
+        (data.receipts || []).forEach(r => {
+            roomReceipts[r.userId] = r;
+        });
         
         // Display messages
         renderMessages(data.messages);
+        acknowledgeLatestMessage();
+        continuePendingJump();
+        
+        socket.emit('get_commands', { roomId: currentRoom.id });
+    });
+
+    socket.on('room_members_updated', (data) => {
+        if (!currentRoom || data.roomId !== currentRoom.id) return;
+        
+        currentRoom.members = data.members;
+        Object.keys(displayedMessages).forEach(id => renderMessageStatus(Number(id)));
+        renderContactPresence();
+        updateModerationButton();
+        
+        if (document.getElementById('groupInfoModal').classList.contains('active')) {
+            renderGroupInfo();
+        }
+        if (isModerationPanelOpen()) {
+            isPublicModerator() ? renderModerators() : closeModerationPanel();
+        }
+    });
+
+    socket.on('group_event', (data) => {
+        if (currentRoom && data.roomId === currentRoom.id) {
+            displaySystemNotice(formatGroupEvent(data), {
+                caption: new Date(data.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            });
+        }
+    });
+
+    socket.on('members_not_found', (data) => {
+        showComingSoon('⚠️ Wallets Not Found', `These wallets have never connected to ZKONTROL and were not added:\n${data.wallets.join('\n')}`);
+    });
+
+    socket.on('invite_preview', (data) => {
+        if (data.token === pendingInviteToken) {
+            showInvitePreview(data);
+        }
+    });
+
+    socket.on('invite_accepted', (data) => {
+        pendingInviteToken = null;
+        selectRoom(data.roomId);
+    });
+
+    socket.on('invite_error', (data) => {
+        pendingInviteToken = null;
+        showComingSoon('⚠️ Invite Link', data.message);
+    });
+
+    socket.on('invites_list', (data) => {
+        if (currentRoom && data.roomId === currentRoom.id) {
+            renderInviteLinks(data.invites);
+        }
+    });
+
+    socket.on('room_bans', (data) => {
+        if (currentRoom && data.roomId === currentRoom.id) {
+            renderGroupBans(data.bans);
+        }
+    });
+
+    socket.on('reports', (data) => {
+        reportQueue = data.reports;
+        updateModerationButton();
+        
+        if (isModerationPanelOpen()) {
+            renderReportQueue();
+        }
+    });
+
+    socket.on('room_sanctions', (data) => {
+        if (isModerationPanelOpen() && data.roomId === currentRoom.id) {
+            renderSanctionList('moderationMuteList', data.mutes, 'unmute_user');
+            renderSanctionList('moderationBanList', data.bans, 'unban_user');
+        }
+    });
+
+    socket.on('moderation_log', (data) => {
+        if (isModerationPanelOpen() && data.roomId === currentRoom.id) {
+            renderModerationLog(data);
+        }
+    });
+
+    socket.on('moderation_notice', (data) => {
+        if (data.action === 'message_removed') {
+            displaySystemNotice('A moderator removed one of your messages from the public chat.');
+            return;
+        }
+        
+        const until = data.expiresAt ? ` until ${new Date(data.expiresAt).toLocaleString()}` : '';
+        const notices = {
+            muted: `You were muted in the public chat${until}. You can still read it.`,
+            unmuted: 'You can post in the public chat again.',
+            banned: `You were banned from the public chat${until}.`,
+            unbanned: 'Your ban from the public chat was lifted.'
+        };
+        
+        showComingSoon('🚨 Moderation', notices[data.action] + (data.reason ? `\nReason: ${data.reason}` : ''));
+    });
+
+    socket.on('message_reported', () => {
+        displaySystemNotice('Thanks for the report. The moderators will review this message.');
+    });
+
+    socket.on('room_left', (data) => {
+        rooms = rooms.filter(r => r.id !== data.roomId);
+        
+        if (currentRoom?.id === data.roomId) {
+            closeCurrentRoom();
+        }
+        renderRooms();
+    });
+
+    socket.on('commands_list', (data) => {
+        if (currentRoom && data.roomId === currentRoom.id) {
+            availableCommands = data.commands;
+        }
+    });
+
+    socket.on('command_response', (data) => {
+        if (data.action?.type === 'set_timer') {
+            setMessageTimer(data.action.seconds);
+        }
+        
+        if (currentRoom && data.roomId === currentRoom.id) {
+            displaySystemNotice(data.text, { isError: data.isError, caption: 'Only visible to you' });
+        }
+    });
+
+    socket.on('more_messages', (data) => {
+        if (!currentRoom || data.roomId !== currentRoom.id) return;
+        
+        currentRoom.hasMoreMessages = data.hasMore;
+        currentRoom.historyCursor = data.cursor;
+        currentRoom.loadingHistory = false;
+        
+        storeReactions(data.reactions);
+        prependMessages(data.messages);
+        continuePendingJump();
+    });
+
+    socket.on('search_results', (data) => {
+        renderSearchResults(data.query, data.results);
     });
 
     socket.on('new_message', (message) => {
         if (currentRoom && message.roomId === currentRoom.id) {
             displayMessage(message);
+            acknowledgeLatestMessage();
+            
+            if (openThreadState && message.parentId === openThreadState.messageId) {
+                appendThreadReplies([message]);
+            }
+        } else if (message.userId !== currentUser.id) {
+            socket.emit('message_delivered', { roomId: message.roomId, messageId: message.id });
         }
         
         // Update room's last message in sidebar
         const room = rooms.find(r => r.id === message.roomId);
         if (room) {
-            room.lastMessage = message.content;
+            room.lastMessage = getMessageText(message) ?? '🔒 Encrypted message';
             renderRooms();
         }
     });
 
+    socket.on('message_edited', (message) => {
+        if (currentRoom && message.roomId === currentRoom.id) {
+            // Our burn countdown is per reader and not part of the broadcast
+            message.burnExpiresAt = displayedMessages[message.id]?.burnExpiresAt || null;
+            displayMessage(message);
+            updateThreadItem(message);
+        }
+    });
+
+    socket.on('message_burn_started', (data) => {
+        const message = displayedMessages[data.messageId];
+        if (!message || message.burnExpiresAt) return;
+        
+        message.burnExpiresAt = data.burnExpiresAt;
+        displayMessage(message);
+        startMessageCountdown(message.id, getMessageExpiry(message));
+    });
+
+    socket.on('message_deleted', (data) => {
+        if (!currentRoom || data.roomId !== currentRoom.id) return;
+        
+        removeMessage(data.messageId);
+    });
+
+    // The server deleted a message whose time ran out; drop it even if our
+    // own countdown hasn't fired yet (clock skew, or it expired while we were away)
+    socket.on('message_expired', (data) => {
+        if (!currentRoom || data.roomId !== currentRoom.id) return;
+        
+        removeMessage(data.messageId);
+    });
+
+    socket.on('reply_count_updated', (data) => {
+        if (!currentRoom || data.roomId !== currentRoom.id) return;
+        
+        const message = displayedMessages[data.messageId];
+        if (message) {
+            message.replyCount = data.replyCount;
+            renderThreadLink(message);
+        }
+    });
+
+    socket.on('thread_loaded', (data) => {
+        if (!openThreadState || data.messageId !== openThreadState.messageId) return;
+        
+        openThreadState.cursor = data.cursor;
+        openThreadState.hasMore = data.hasMore;
+        storeReactions(data.reactions);
+        
+        if (data.isOlderPage) {
+            prependThreadReplies(data.replies);
+        } else {
+            renderThreadParent(data.parent);
+            document.getElementById('threadReplies').innerHTML = '';
+            appendThreadReplies(data.replies);
+        }
+        
+        document.getElementById('threadLoadMore').style.display = data.hasMore ? 'block' : 'none';
+    });
+
+    socket.on('receipt_updated', (data) => {
+        if (!currentRoom || data.roomId !== currentRoom.id) return;
+        
+        roomReceipts[data.userId] = data;
+        Object.keys(displayedMessages).forEach(id => renderMessageStatus(Number(id)));
+    });
+
+    socket.on('settings_updated', (settings) => {
+        currentUser.settings = settings;
+        renderPrivacySettings();
+    });
+
     socket.on('user_typing', (data) => {
         if (currentRoom && data.roomId === currentRoom.id) {
             showTypingIndicator(data.username);
@@ -350,12 +805,86 @@ function connectWebSocket() {
         updateDashboardWithStats(stats);
     });
 
-    socket.on('user_online', (user) => {
-        console.log('User came online:', user.username);
+    socket.on('profile', (profile) => {
+        showProfile(profile);
+    });
+
+    socket.on('profile_not_found', (data) => {
+        showComingSoon('❌ User Not Found', data.handle ? `Nobody has the handle @${String(data.handle).replace(/^@/, '')}.` : 'That user no longer exists.');
+    });
+
+    socket.on('profile_updated', (profile) => {
+        if (profile.id === currentUser?.id) {
+            currentUser.username = profile.handle;
+            currentUser.walletAddress = profile.walletAddress;
+            currentUser.profile = profile;
+            pendingAvatar = undefined;
+            renderProfileEditor();
+        }
+        
+        const member = currentRoom?.members?.find(m => m.id === profile.id);
+        if (member) {
+            member.username = profile.handle;
+            member.displayName = profile.displayName;
+            member.avatarUrl = profile.avatarUrl;
+            member.walletAddress = profile.walletAddress;
+            renderContactPresence();
+            if (document.getElementById('groupInfoModal').classList.contains('active')) {
+                renderGroupInfo();
+            }
+        }
+        
+        if (viewedProfile?.id === profile.id) {
+            showProfile(profile);
+        }
+    });
+
+    socket.on('presence', (list) => {
+        peerPresence = {};
+        list.forEach(p => {
+            peerPresence[p.userId] = p;
+        });
+        renderPresence();
+    });
+
+    socket.on('presence_update', (presence) => {
+        peerPresence[presence.userId] = presence;
+        renderPresence();
+    });
+
+    socket.on('message_requests', (list) => {
+        messageRequests = list;
+        renderMessageRequests();
+        updateRequestBar();
     });
 
-    socket.on('user_offline', (data) => {
-        console.log('User went offline:', data.username);
+    socket.on('contacts', (list) => {
+        const previous = new Map(contacts.map(c => [c.userId, c]));
+        contacts = list;
+        
+        hideBlockedMessages();
+        renderContacts();
+        renderContactPresence();
+        
+        // Show new nicknames on messages already on screen
+        const renamed = new Set([...previous.keys(), ...list.map(c => c.userId)]
+            .filter(id => previous.get(id)?.nickname !== list.find(c => c.userId === id)?.nickname));
+        Object.values(displayedMessages)
+            .filter(message => renamed.has(message.userId))
+            .forEach(displayMessage);
+        
+        // Reload the room to bring back messages from someone we unblocked
+        const unblocked = [...previous.values()].some(c => c.blocked && !list.find(l => l.userId === c.userId)?.blocked);
+        if (unblocked && currentRoom) {
+            selectRoom(currentRoom.id);
+        }
+        
+        if (viewedProfile) {
+            renderProfileContactButtons();
+        }
+        if (currentRoom && document.getElementById('groupInfoModal').classList.contains('active')) {
+            renderGroupInfo();
+        }
     });
 
     socket.on('error', (data) => {
@@ -363,16 +892,55 @@ function connectWebSocket() {
     });
     
     socket.on('user_not_found', (data) => {
+        if (data.handle) {
+            showComingSoon('❌ User Not Found', `Nobody has the handle @${String(data.handle).replace(/^@/, '')}.`);
+            return;
+        }
         showComingSoon('❌ User Not Connected', `The wallet address "${data.wallet}" has never connected to ZKONTROL. Ask them to connect their wallet first.`);
     });
 
+    socket.on('rate_limited', (data) => {
+        // Dropped typing updates are harmless; don't interrupt the user for them
+        if (['typing', 'stop_typing', 'set_activity'].includes(data.event)) return;
+        
+        if (data.blocked) {
+            showRateLimitBlock(data.retryAfter);
+        } else if (currentRoom) {
+            displaySystemNotice(data.message, { caption: 'Slow down', isError: true });
+        }
+    });
+    
+    socket.on('connect_error', (error) => {
+        if (error.data?.code === 'rate_limited') {
+            showRateLimitBlock(error.data.retryAfter);
+        }
+    });
+
     socket.on('disconnect', () => {
         console.log('Disconnected from server');
     });
+    
+    // This session was signed out from another device (or its wallet unlinked)
+    socket.on('session_revoked', () => {
+        showComingSoon('🔒 Signed Out', 'This device was signed out of your account. Connect your wallet to sign in again.');
+        onWalletDisconnected();
+    });
 }
 
-function setupEventListeners() {
-    // Mobile menu toggles
+// The server closes (or refuses) the socket while we are blocked; reconnect once it lifts
+function showRateLimitBlock(retryAfter) {
+    showComingSoon('⏳ Too Many Requests', `You are sending too fast and have been paused for ${retryAfter} seconds. ZKONTROL will reconnect automatically.`);
+    
+    clearTimeout(window.rateLimitReconnect);
+    window.rateLimitReconnect = setTimeout(() => {
+        if (socket && !socket.connected) {
+            socket.connect();
+        }
+    }, retryAfter * 1000);
+}
+
+function setupEventListeners() {
+    // Mobile menu toggles
     const hamburgerMenu = document.getElementById('hamburgerMenu');
     const mobileNav = document.getElementById('mobileNav');
     const mobileSidebarToggle = document.getElementById('mobileSidebarToggle');
@@ -421,15 +989,71 @@ function setupEventListeners() {
     window.addEventListener('resize', checkMobileView);
 
     document.getElementById('newConversationBtn').addEventListener('click', openNewConversationModal);
+    document.getElementById('contactsToggleBtn').addEventListener('click', () => {
+        showSidebarPanel(sidebarPanel === 'contacts' ? 'conversations' : 'contacts');
+    });
+    document.getElementById('requestsToggleBtn').addEventListener('click', () => {
+        showSidebarPanel(sidebarPanel === 'requests' ? 'conversations' : 'requests');
+    });
+    document.getElementById('requestsList').addEventListener('click', (e) => {
+        const item = e.target.closest('.request-item');
+        if (item) selectRoom(Number(item.dataset.roomId));
+    });
+    document.getElementById('requestAcceptBtn').addEventListener('click', () => answerMessageRequest('accept'));
+    document.getElementById('requestDeclineBtn').addEventListener('click', () => answerMessageRequest('decline'));
+    document.getElementById('requestBlockBtn').addEventListener('click', () => answerMessageRequest('block'));
+    document.getElementById('contactAddBtn').addEventListener('click', addContact);
+    document.getElementById('contactAddInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addContact();
+    });
+    document.getElementById('contactsPanel').addEventListener('click', handleContactAction);
+    document.getElementById('contactModalClose').addEventListener('click', closeContactModal);
+    document.getElementById('contactModalCancel').addEventListener('click', closeContactModal);
+    document.getElementById('contactModalSave').addEventListener('click', saveContactDetails);
     document.getElementById('modalClose').addEventListener('click', closeNewConversationModal);
     document.getElementById('modalCancel').addEventListener('click', closeNewConversationModal);
     document.getElementById('modalStart').addEventListener('click', startNewConversation);
     document.getElementById('sendBtn').addEventListener('click', sendMessage);
+    document.getElementById('messagesContainer').addEventListener('scroll', loadOlderMessagesOnScroll);
     document.getElementById('messageInput').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             sendMessage();
         }
     });
+    document.getElementById('messageInput').addEventListener('keydown', (e) => {
+        if (handleCommandSuggestionKey(e)) return;
+        
+        if (e.key === 'Escape' && editingMessageId) {
+            cancelEditMessage();
+        } else if (e.key === 'Escape' && replyingTo) {
+            cancelReply();
+        }
+    });
+    document.getElementById('replyBarClose').addEventListener('click', cancelReply);
+    document.getElementById('attachmentBtn').addEventListener('click', openAttachmentPicker);
+    document.getElementById('attachmentInput').addEventListener('change', handleAttachmentInput);
+    document.getElementById('storageShareBtn').addEventListener('click', openAttachmentPicker);
+    
+    // Search listeners
+    document.getElementById('searchMessagesBtn').addEventListener('click', openSearchModal);
+    document.getElementById('searchModalClose').addEventListener('click', closeSearchModal);
+    document.getElementById('searchModalCancel').addEventListener('click', closeSearchModal);
+    document.getElementById('searchSubmit').addEventListener('click', searchMessages);
+    document.getElementById('searchQuery').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            searchMessages();
+        }
+    });
+    
+    // Thread view listeners
+    document.getElementById('threadModalClose').addEventListener('click', closeThread);
+    document.getElementById('threadLoadMore').addEventListener('click', loadOlderThreadReplies);
+    document.getElementById('threadReplySend').addEventListener('click', sendThreadReply);
+    document.getElementById('threadReplyInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            sendThreadReply();
+        }
+    });
     
     document.getElementById('conversationsList').addEventListener('click', (e) => {
         const btn = e.target.closest('#newConversationBtnSmall');
@@ -445,6 +1069,36 @@ function setupEventListeners() {
     document.getElementById('groupModalCancel').addEventListener('click', closeGroupChatModal);
     document.getElementById('groupModalCreate').addEventListener('click', createGroupChat);
     
+    // Group info modal listeners
+    document.getElementById('groupInfoBtn').addEventListener('click', openGroupInfo);
+    document.getElementById('groupInfoClose').addEventListener('click', closeGroupInfo);
+    document.getElementById('groupRenameBtn').addEventListener('click', renameGroup);
+    document.getElementById('policySaveBtn').addEventListener('click', saveRoomPolicy);
+    document.getElementById('groupAddMembersBtn').addEventListener('click', addGroupMembers);
+    document.getElementById('groupMemberList').addEventListener('click', handleGroupMemberAction);
+    document.getElementById('groupBanList').addEventListener('click', handleGroupMemberAction);
+    document.getElementById('createInviteBtn').addEventListener('click', createInviteLink);
+    document.getElementById('groupInviteList').addEventListener('click', handleInviteLinkAction);
+    
+    // Moderation modal listeners
+    document.getElementById('moderationBtn').addEventListener('click', openModerationPanel);
+    document.getElementById('moderationClose').addEventListener('click', closeModerationPanel);
+    document.getElementById('muteUserBtn').addEventListener('click', () => sanctionUser('mute_user'));
+    document.getElementById('banUserBtn').addEventListener('click', () => sanctionUser('ban_user'));
+    document.getElementById('addModeratorBtn').addEventListener('click', () => sanctionUser('add_moderator'));
+    document.getElementById('moderationSettingsSave').addEventListener('click', saveModerationSettings);
+    document.getElementById('moderationLogMore').addEventListener('click', () => {
+        socket.emit('get_moderation_log', { roomId: currentRoom.id, before: moderationLogBefore });
+    });
+    ['reportQueue', 'moderationMuteList', 'moderationBanList', 'moderatorList'].forEach(id => {
+        document.getElementById(id).addEventListener('click', handleModerationAction);
+    });
+    
+    // Invite link modal listeners
+    document.getElementById('inviteModalClose').addEventListener('click', closeInviteModal);
+    document.getElementById('inviteModalCancel').addEventListener('click', closeInviteModal);
+    document.getElementById('inviteModalJoin').addEventListener('click', acceptInvite);
+    
     // Coming soon modal listeners
     document.getElementById('comingSoonClose').addEventListener('click', closeComingSoonModal);
     document.getElementById('comingSoonOk').addEventListener('click', closeComingSoonModal);
@@ -466,6 +1120,76 @@ function setupEventListeners() {
         });
     });
     
+    document.getElementById('settingReadReceipts').addEventListener('change', (e) => {
+        if (socket) {
+            socket.emit('update_settings', { sendReadReceipts: e.target.checked });
+        }
+    });
+    
+    document.getElementById('profileSaveBtn').addEventListener('click', saveProfile);
+    document.getElementById('walletsList').addEventListener('click', handleWalletAction);
+    document.getElementById('sessionsList').addEventListener('click', handleSessionAction);
+    document.getElementById('linkPhantomBtn').addEventListener('click', () => linkWallet('solana'));
+    document.getElementById('linkEthereumBtn').addEventListener('click', () => linkWallet('ethereum'));
+    document.getElementById('profileAvatarBtn').addEventListener('click', () => document.getElementById('profileAvatarInput').click());
+    document.getElementById('profileAvatarInput').addEventListener('change', handleAvatarInput);
+    document.getElementById('profileAvatarRemoveBtn').addEventListener('click', () => {
+        pendingAvatar = null;
+        renderAvatar(document.getElementById('profileEditAvatar'), null, currentUser?.username);
+    });
+    document.getElementById('profileModalClose').addEventListener('click', closeProfileModal);
+    document.getElementById('profileModalCancel').addEventListener('click', closeProfileModal);
+    document.getElementById('profileContactBtn').addEventListener('click', () => {
+        if (viewedProfile && socket) {
+            socket.emit('save_contact', { userId: viewedProfile.id });
+        }
+    });
+    document.getElementById('profileBlockBtn').addEventListener('click', () => {
+        if (!viewedProfile || !socket) return;
+        
+        if (findContact(viewedProfile.id)?.blocked) {
+            socket.emit('unblock_user', { userId: viewedProfile.id });
+        } else if (confirm(`Block @${viewedProfile.handle}? They won't be able to message you privately or see when you're online, and you won't see their messages.`)) {
+            socket.emit('block_user', { userId: viewedProfile.id });
+        }
+    });
+    document.getElementById('profileMessageBtn').addEventListener('click', () => {
+        if (viewedProfile && socket) {
+            socket.emit('create_private_chat', { recipientHandle: viewedProfile.handle });
+        }
+        closeProfileModal();
+    });
+    document.getElementById('groupMemberList').addEventListener('click', (e) => {
+        const name = e.target.closest('.group-member-name[data-user-id]');
+        if (name && socket) {
+            socket.emit('get_profile', { userId: Number(name.dataset.userId) });
+        }
+    });
+    
+    document.getElementById('settingHideOnlineStatus').addEventListener('change', (e) => {
+        if (socket) {
+            socket.emit('update_settings', { hideOnlineStatus: e.target.checked });
+        }
+    });
+    
+    document.getElementById('settingHideLastSeen').addEventListener('change', (e) => {
+        if (socket) {
+            socket.emit('update_settings', { hideLastSeen: e.target.checked });
+        }
+    });
+    
+    // Mark the open conversation read when the tab becomes visible again
+    document.addEventListener('visibilitychange', acknowledgeLatestMessage);
+    
+    // Away/online follows input and tab visibility
+    ['mousemove', 'keydown', 'pointerdown', 'touchstart', 'wheel'].forEach(type => {
+        document.addEventListener(type, reportActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', () => {
+        lastActivityAt = 0;
+        reportActivity();
+    });
+    
     document.getElementById('walletBtn').addEventListener('click', (e) => {
         e.preventDefault();
         showWalletDashboard();
@@ -478,12 +1202,19 @@ function setupEventListeners() {
     
     // Typing indicators
     document.getElementById('messageInput').addEventListener('input', () => {
+        renderCommandSuggestions();
+        
         if (currentRoom && socket) {
-            socket.emit('typing', { roomId: currentRoom.id });
+            // Typing updates are rate limited; one every couple of seconds is enough
+            if (!window.typingTimeout || Date.now() - lastTypingSentAt > TYPING_THROTTLE_MS) {
+                socket.emit('typing', { roomId: currentRoom.id });
+                lastTypingSentAt = Date.now();
+            }
             
             clearTimeout(window.typingTimeout);
             window.typingTimeout = setTimeout(() => {
                 socket.emit('stop_typing', { roomId: currentRoom.id });
+                window.typingTimeout = null;
             }, 1000);
         }
     });
@@ -510,6 +1241,13 @@ function setupEventListeners() {
         timerDropdown.classList.remove('show');
     });
     
+    // Burn-after-read toggle lives in the dropdown; keep it open while toggling
+    document.getElementById('burnAfterReadOption').addEventListener('click', (e) => e.stopPropagation());
+    document.getElementById('burnAfterReadToggle').addEventListener('change', (e) => {
+        selectedBurnAfterRead = e.target.checked;
+        updateTimerForRoom();
+    });
+    
     // Timer option selection
     document.querySelectorAll('.timer-option').forEach(option => {
         option.addEventListener('click', function() {
@@ -527,7 +1265,7 @@ function setupEventListeners() {
 
 function openGroupChatModal() {
     if (!currentUser || !walletAddress) {
-        showComingSoon('🔒 Connect Wallet First', 'Please connect your Phantom wallet to create group chats.');
+        showComingSoon('🔒 Connect Wallet First', 'Please connect your wallet to create group chats.');
         return;
     }
     
@@ -538,11 +1276,17 @@ function openGroupChatModal() {
 function closeGroupChatModal() {
     document.getElementById('groupChatModal').classList.remove('active');
     document.getElementById('groupChatName').value = '';
+    document.getElementById('groupChatMembers').value = '';
+}
+
+// Split a textarea of wallet addresses on newlines, commas or spaces
+function parseWalletList(value) {
+    return [...new Set(value.split(/[\s,]+/).filter(Boolean))];
 }
 
 function createGroupChat() {
     if (!currentUser || !walletAddress) {
-        showComingSoon('🔒 Connect Wallet First', 'Please connect your Phantom wallet to create group chats.');
+        showComingSoon('🔒 Connect Wallet First', 'Please connect your wallet to create group chats.');
         closeGroupChatModal();
         return;
     }
@@ -558,7 +1302,7 @@ function createGroupChat() {
         socket.emit('create_room', {
             name: groupName,
             isGroup: true,
-            members: []
+            members: parseWalletList(document.getElementById('groupChatMembers').value)
         });
     }
     
@@ -578,6 +1322,8 @@ function closeComingSoonModal() {
 function showWalletDashboard() {
     // Populate stats before showing
     populateWalletStats();
+    loadWallets();
+    loadSessions();
     document.getElementById('walletDashboardModal').classList.add('active');
 }
 
@@ -607,6 +1353,194 @@ function populateWalletStats() {
     }
 }
 
+// Linked wallets (the REST routes under /api/wallets)
+async function loadWallets() {
+    if (!currentUser) return;
+    
+    try {
+        const response = await fetch('/api/wallets');
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        renderWallets(data.wallets);
+    } catch (error) {
+        console.error('Failed to load wallets:', error);
+    }
+}
+
+function renderWallets(wallets) {
+    const keyWallet = currentUser.encryptionKeyWallet || currentUser.walletAddress;
+    
+    document.getElementById('walletsList').innerHTML = wallets.map(wallet => {
+        const actions = wallet.primary
+            ? ['<span class="group-member-handle">Primary</span>']
+            : [
+                '<button class="group-member-action" data-action="primary">Make primary</button>',
+                ...(wallet.walletAddress === keyWallet ? [] : ['<button class="group-member-action danger" data-action="unlink">Unlink</button>'])
+            ];
+        const name = wallet.chain === 'ethereum' ? 'Ethereum' : 'Solana';
+        
+        return `
+            <div class="group-member contact-item" data-wallet="${escapeHtml(wallet.walletAddress)}">
+                <span class="group-member-name" title="${escapeHtml(wallet.walletAddress)}">
+                    ${escapeHtml(wallet.walletAddress.slice(0, 8))}...${escapeHtml(wallet.walletAddress.slice(-6))}
+                    <span class="group-member-handle">${name}${wallet.walletAddress === walletAddress ? ' · signed in' : ''}</span>
+                </span>
+                <div class="contact-actions">${actions.join('')}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function handleWalletAction(e) {
+    const button = e.target.closest('[data-action]');
+    const address = e.target.closest('[data-wallet]')?.dataset.wallet;
+    
+    if (!button || !address) return;
+    
+    if (button.dataset.action === 'unlink' &&
+        !confirm(`Unlink ${address}? It will no longer sign in to this account.`)) {
+        return;
+    }
+    
+    const response = button.dataset.action === 'primary'
+        ? await fetch('/api/wallets/primary', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ walletAddress: address })
+        })
+        : await fetch(`/api/wallets/${encodeURIComponent(address)}`, { method: 'DELETE' });
+    const data = await response.json();
+    
+    if (!data.success) {
+        alert(data.error || 'Failed to update wallets');
+    }
+    
+    loadWallets();
+}
+
+// Signed-in devices (the REST routes under /api/sessions)
+async function loadSessions() {
+    if (!currentUser) return;
+    
+    try {
+        const response = await fetch('/api/sessions');
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+        
+        renderSessions(data.sessions);
+    } catch (error) {
+        console.error('Failed to load sessions:', error);
+    }
+}
+
+function renderSessions(sessions) {
+    document.getElementById('sessionsList').innerHTML = sessions.map(session => `
+        <div class="group-member contact-item" data-session="${session.id}" data-current="${session.current}">
+            <span class="group-member-name" title="${escapeHtml(session.userAgent || '')}">
+                ${escapeHtml(session.device || 'Unknown device')}
+                <span class="group-member-handle">${session.current ? 'This device' : `Last active: ${formatTime(session.lastActiveAt)}`}</span>
+            </span>
+            <div class="contact-actions">
+                <button class="group-member-action danger" data-action="revoke">Sign out</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function handleSessionAction(e) {
+    const row = e.target.closest('[data-session]');
+    
+    if (!row || !e.target.closest('[data-action="revoke"]')) return;
+    
+    // Signing out this device is the same as disconnecting the wallet
+    if (row.dataset.current === 'true') {
+        closeWalletDashboard();
+        disconnectWallet();
+        return;
+    }
+    
+    const response = await fetch(`/api/sessions/${row.dataset.session}`, { method: 'DELETE' });
+    const data = await response.json();
+    
+    if (!data.success) {
+        alert(data.error || 'Failed to sign out the device');
+    }
+    
+    loadSessions();
+}
+
+// Link another wallet to this account. The wallet signs the link message
+// and its key derivation message; the account's encryption key is sealed
+// under the key that derives, so signing in with it restores the same key.
+async function linkWallet(chain) {
+    const provider = chain === 'ethereum' ? ethereumWallet : phantomWallet;
+    const walletName = chain === 'ethereum' ? 'MetaMask' : 'Phantom';
+    
+    if (!provider) {
+        alert(`${walletName} is not installed.`);
+        return;
+    }
+    
+    linkingWallet = true;
+    
+    try {
+        // Phantom links its current account; MetaMask lets the user pick one
+        let account;
+        if (chain === 'ethereum') {
+            await ethereumWallet.request({ method: 'wallet_requestPermissions', params: [{ eth_accounts: {} }] });
+            [account] = await ethereumWallet.request({ method: 'eth_accounts' });
+        } else {
+            account = (await phantomWallet.connect()).publicKey.toString();
+        }
+        
+        const nonceResponse = await fetch('/api/wallets/nonce', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ walletAddress: account })
+        });
+        const nonceData = await nonceResponse.json();
+        
+        if (!nonceData.success) {
+            const hint = chain === 'solana' && nonceResponse.status === 409 ? ' Switch accounts in Phantom to link another wallet.' : '';
+            throw new Error((nonceData.error || 'Failed to get nonce') + hint);
+        }
+        
+        const address = nonceData.walletAddress;
+        const { signature } = await signWalletMessage(nonceData.message, chain, address);
+        const { wrapKey } = await deriveWalletKeys(chain, address);
+        
+        const linkResponse = await fetch('/api/wallets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                walletAddress: address,
+                message: nonceData.message,
+                signature,
+                encryptionKeyBackup: encryptionKeyPair ? sealKeyBackup(encryptionKeyPair.secretKey, wrapKey) : null
+            })
+        });
+        const linkData = await linkResponse.json();
+        
+        if (!linkData.success) {
+            throw new Error(linkData.error || 'Failed to link wallet');
+        }
+        
+        loadWallets();
+    } catch (error) {
+        console.error('Failed to link wallet:', error);
+        alert(error.code === 4001 ? `Linking was cancelled in ${walletName}.` : error.message);
+    } finally {
+        linkingWallet = false;
+    }
+}
+
 function updateDashboardWithStats(stats) {
     // Update message count
     document.getElementById('statMessagesSent').textContent = stats.messageCount || 0;
@@ -635,241 +1569,2435 @@ function updateDashboardWithStats(stats) {
     }
 }
 
-// Private Swap Functions
-function showSwapModal() {
-    document.getElementById('swapModal').classList.add('active');
-    calculateSwapAmount();
+// Private Swap Functions
+function showSwapModal() {
+    document.getElementById('swapModal').classList.add('active');
+    calculateSwapAmount();
+}
+
+function closeSwapModal() {
+    document.getElementById('swapModal').classList.remove('active');
+}
+
+function reverseSwapDirection() {
+    const fromToken = document.getElementById('swapFromToken');
+    const toToken = document.getElementById('swapToToken');
+    const fromAmount = document.getElementById('swapFromAmount');
+    const toAmount = document.getElementById('swapToAmount');
+    
+    // Swap token icons
+    const fromIcon = fromToken.querySelector('.token-icon');
+    const toIcon = toToken.querySelector('.token-icon');
+    [fromIcon.src, toIcon.src] = [toIcon.src, fromIcon.src];
+    [fromIcon.alt, toIcon.alt] = [toIcon.alt, fromIcon.alt];
+    
+    // Swap token symbols
+    const fromSymbol = fromToken.querySelector('.token-symbol');
+    const toSymbol = toToken.querySelector('.token-symbol');
+    [fromSymbol.textContent, toSymbol.textContent] = [toSymbol.textContent, fromSymbol.textContent];
+    
+    // Swap amounts
+    const temp = fromAmount.value;
+    fromAmount.value = toAmount.value || '';
+    toAmount.value = temp;
+    
+    // Swap balances
+    const solBalance = document.getElementById('solBalance');
+    const usdcBalance = document.getElementById('usdcBalance');
+    [solBalance.textContent, usdcBalance.textContent] = [usdcBalance.textContent, solBalance.textContent];
+    
+    calculateSwapAmount();
+}
+
+function calculateSwapAmount() {
+    const fromAmount = parseFloat(document.getElementById('swapFromAmount').value) || 0;
+    const exchangeRate = 142.5; // SOL to USDC
+    const toAmount = (fromAmount * exchangeRate).toFixed(2);
+    
+    document.getElementById('swapToAmount').value = toAmount;
+    
+    // Update details
+    if (fromAmount > 0) {
+        const minReceived = (toAmount * 0.9912).toFixed(2); // Account for 0.88% slippage
+        document.getElementById('minReceived').textContent = minReceived + ' USDC';
+        document.getElementById('exchangeRate').textContent = `1 SOL = ${exchangeRate} USDC`;
+    }
+}
+
+function executeSwap() {
+    const fromAmount = document.getElementById('swapFromAmount').value;
+    const toAmount = document.getElementById('swapToAmount').value;
+    
+    if (!fromAmount || parseFloat(fromAmount) === 0) {
+        alert('Please enter an amount to swap');
+        return;
+    }
+    
+    // Show success animation and message
+    const btn = document.getElementById('swapExecuteBtn');
+    const originalText = btn.textContent;
+    
+    btn.textContent = '✓ Swap Confirmed!';
+    btn.style.background = 'linear-gradient(135deg, #10b981, #059669)';
+    
+    setTimeout(() => {
+        closeSwapModal();
+        btn.textContent = originalText;
+        btn.style.background = '';
+        document.getElementById('swapFromAmount').value = '';
+        document.getElementById('swapToAmount').value = '';
+    }, 1500);
+}
+
+function openNewConversationModal() {
+    if (!currentUser || !walletAddress) {
+        showComingSoon('🔒 Connect Wallet First', 'Please connect your wallet to start conversations.');
+        return;
+    }
+    
+    document.getElementById('newConversationModal').classList.add('active');
+    document.getElementById('recipientAddress').focus();
+}
+
+function closeNewConversationModal() {
+    document.getElementById('newConversationModal').classList.remove('active');
+    document.getElementById('recipientAddress').value = '';
+}
+
+function startNewConversation() {
+    const recipient = document.getElementById('recipientAddress').value.trim();
+    
+    if (!recipient) {
+        showComingSoon('⚠️ Recipient Required', 'Please enter the recipient\'s @handle or wallet address.');
+        return;
+    }
+    
+    const isWallet = WALLET_ADDRESS_PATTERN.test(recipient);
+    const handle = recipient.replace(/^@/, '');
+    
+    // Check if user is trying to chat with themselves
+    if (isWallet ? recipient.toLowerCase() === walletAddress.toLowerCase() : handle.toLowerCase() === currentUser.username?.toLowerCase()) {
+        showComingSoon('⚠️ Invalid Recipient', 'You cannot create a conversation with yourself.');
+        return;
+    }
+    
+    if (socket) {
+        // The server checks that the user exists
+        socket.emit('create_private_chat', isWallet ? { recipientWallet: recipient } : { recipientHandle: handle });
+    }
+    
+    closeNewConversationModal();
+}
+
+function selectRoom(roomId) {
+    const room = rooms.find(r => r.id === roomId);
+    
+    if (!room) return;
+    
+    currentRoom = room;
+    clearPendingAttachments();
+    
+    // Join the room if not already joined
+    if (socket) {
+        socket.emit('join_room', { roomId });
+    }
+    
+    // Update UI
+    document.getElementById('chatEmptyState').style.display = 'none';
+    document.getElementById('chatActive').style.display = 'flex';
+    
+    document.getElementById('contactName').textContent = room.name;
+    renderContactPresence();
+    updateRequestBar();
+    updateGroupInfoButton();
+    updateAttachmentButton();
+    updateTimerForRoom();
+    
+    // Clear messages
+    document.getElementById('messagesContainer').innerHTML = '';
+    
+    // Update sidebar selection
+    document.querySelectorAll('.conversation-item').forEach(item => {
+        item.classList.remove('active');
+    });
+    document.querySelector(`[data-id="${roomId}"]`)?.classList.add('active');
+}
+
+// Expose selectRoom globally so onclick can access it
+window.selectRoom = selectRoom;
+
+// Leave the chat view after the current room goes away
+function closeCurrentRoom() {
+    currentRoom = null;
+    displayedMessages = {};
+    clearPendingAttachments();
+    availableCommands = [];
+    
+    document.getElementById('chatActive').style.display = 'none';
+    document.getElementById('chatEmptyState').style.display = '';
+    document.getElementById('messagesContainer').innerHTML = '';
+    document.getElementById('requestBar').style.display = 'none';
+    document.querySelector('.chat-input-container').style.display = '';
+    closeGroupInfo();
+    closeModerationPanel();
+}
+
+// Set auto-delete timer
+function setMessageTimer(seconds) {
+    selectedTimerSeconds = seconds;
+    updateTimerForRoom();
+}
+
+// The timer that will actually apply: ours, capped by the room's disappearing timer
+function getEffectiveTimerSeconds() {
+    const roomTimer = currentRoom?.disappearingSeconds || 0;
+    
+    if (!roomTimer) return selectedTimerSeconds;
+    return selectedTimerSeconds > 0 ? Math.min(selectedTimerSeconds, roomTimer) : roomTimer;
+}
+
+function updateTimerForRoom() {
+    const roomTimer = currentRoom?.disappearingSeconds || 0;
+    const seconds = getEffectiveTimerSeconds();
+    const label = timerLabels[seconds] || formatTimerCountdown(seconds);
+    
+    const prefix = isBurnAfterReadActive() ? '🔥 ' : (roomTimer && seconds === roomTimer ? '🔒 ' : '');
+    document.getElementById('timerLabel').textContent = `${prefix}${label}`;
+    
+    const timerBtn = document.getElementById('timerBtn');
+    timerBtn.title = roomTimer
+        ? `This chat deletes messages after ${formatTimerCountdown(roomTimer)}`
+        : 'Auto-delete timer';
+    
+    if (seconds > 0) {
+        timerBtn.classList.add('active');
+    } else {
+        timerBtn.classList.remove('active');
+    }
+    
+    document.querySelectorAll('.timer-option').forEach(option => {
+        const optionSeconds = parseInt(option.getAttribute('data-seconds'));
+        option.classList.toggle('capped', roomTimer > 0 && (optionSeconds === 0 || optionSeconds > roomTimer));
+    });
+}
+
+// End-to-end encryption
+// Messages in private and group rooms are sealed with nacl.secretbox under a
+// fresh per-message key, and that key is sealed with nacl.box for every member.
+// The server only ever stores and relays ciphertext plus nonces.
+
+function encodeBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function decodeBase64(value) {
+    const binary = atob(value);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function bytesToHex(bytes) {
+    return '0x' + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    return new Uint8Array(hex.replace(/^0x/, '').match(/../g).map(pair => parseInt(pair, 16)));
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Decode a base58 Solana address into its 32 public key bytes
+function decodeBase58(value) {
+    const bytes = [0];
+    for (const char of value) {
+        let carry = BASE58_ALPHABET.indexOf(char);
+        if (carry < 0) throw new Error('Invalid base58 character');
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (const char of value) {
+        if (char !== '1') break;
+        bytes.push(0);
+    }
+    return new Uint8Array(bytes.reverse());
+}
+
+function buildKeyDerivationMessage(wallet) {
+    return `ZKONTROL Key Derivation\n\nSign this message to unlock your end-to-end encryption keys. Only sign it on ${window.location.origin}.\n\nWallet: ${wallet}`;
+}
+
+// Must stay byte-for-byte identical to buildKeyBindingMessage() in server/encryption.js
+function buildKeyBindingMessage(wallet, publicKey) {
+    return `ZKONTROL Encryption Key\n\nI authorize this public key to receive end-to-end encrypted messages for my wallet.\n\nKey: ${publicKey}\nWallet: ${wallet}`;
+}
+
+// Derive the X25519 key pair from a deterministic wallet signature (ed25519,
+// or RFC 6979 secp256k1 for Ethereum wallets), so the same wallet unlocks the
+// same keys on every device.
+// The wallet's signature over its key derivation message gives two keys:
+// the first half of its SHA-512 seeds the key pair the wallet derives itself,
+// the second half seals the account's key for a linked wallet (keyBackup).
+async function deriveWalletKeys(chain, address) {
+    const signed = await signWalletMessage(buildKeyDerivationMessage(address), chain, address);
+    const digest = nacl.hash(signed.bytes);
+    
+    return {
+        seed: digest.slice(0, nacl.box.secretKeyLength),
+        wrapKey: digest.slice(nacl.box.secretKeyLength, nacl.box.secretKeyLength + nacl.secretbox.keyLength)
+    };
+}
+
+function sealKeyBackup(secretKey, wrapKey) {
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    return { ciphertext: encodeBase64(nacl.secretbox(secretKey, nonce, wrapKey)), nonce: encodeBase64(nonce) };
+}
+
+// The account's key pair from a linked wallet's backup, or null if it
+// doesn't open or holds a key that has since been replaced
+function openKeyBackup(keyBackup, wrapKey) {
+    const secretKey = nacl.secretbox.open(decodeBase64(keyBackup.ciphertext), decodeBase64(keyBackup.nonce), wrapKey);
+    const keyPair = secretKey && nacl.box.keyPair.fromSecretKey(secretKey);
+    
+    return keyPair && encodeBase64(keyPair.publicKey) === currentUser.encryptionPublicKey ? keyPair : null;
+}
+
+async function setupEncryptionKeys(keyBackup = null) {
+    const cacheKey = `zkontrol:encryption-key:${walletAddress}`;
+    const cachedSecret = sessionStorage.getItem(cacheKey);
+    
+    if (cachedSecret) {
+        encryptionKeyPair = nacl.box.keyPair.fromSecretKey(decodeBase64(cachedSecret));
+    } else {
+        const { seed, wrapKey } = await deriveWalletKeys(walletChain, walletAddress);
+        
+        encryptionKeyPair = (keyBackup && openKeyBackup(keyBackup, wrapKey)) || nacl.box.keyPair.fromSecretKey(seed);
+        sessionStorage.setItem(cacheKey, encodeBase64(encryptionKeyPair.secretKey));
+    }
+    
+    const publicKey = encodeBase64(encryptionKeyPair.publicKey);
+    
+    if (currentUser.encryptionPublicKey === publicKey) {
+        return;
+    }
+    
+    // Bind the public key to the wallet so other members can verify it (with
+    // the signing wallet's address, see encryptionKeyWallet)
+    const signedBinding = await signWalletMessage(buildKeyBindingMessage(walletAddress, publicKey));
+    
+    const response = await fetch('/api/keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            publicKey,
+            signature: signedBinding.signature
+        })
+    });
+    
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to publish encryption key');
+    }
+    
+    currentUser = data.user;
+}
+
+// secp256k1 and keccak-256 for checking Ethereum wallets' key bindings. They
+// load in the background (see the import map in index.html); until then
+// Ethereum members' keys are not trusted.
+let evmCrypto = null;
+
+Promise.all([import('@noble/curves/secp256k1'), import('@noble/hashes/sha3')])
+    .then(([{ secp256k1 }, { keccak_256 }]) => {
+        evmCrypto = { secp256k1, keccak_256 };
+        keyBindingCache.clear();
+    })
+    .catch(error => console.error('Failed to load Ethereum signature checks:', error));
+
+// The address whose key made a personal_sign signature over text.
+// Must match recoverEthereumAddress() in server/wallets.js.
+function recoverEthereumAddress(text, signature) {
+    const { secp256k1, keccak_256 } = evmCrypto;
+    const bytes = new TextEncoder().encode(text);
+    const prefix = new TextEncoder().encode(`\x19Ethereum Signed Message:\n${bytes.length}`);
+    const signatureBytes = hexToBytes(signature);
+    const recovery = signatureBytes[64] >= 27 ? signatureBytes[64] - 27 : signatureBytes[64];
+    
+    const publicKey = secp256k1.Signature.fromCompact(signatureBytes.slice(0, 64))
+        .addRecoveryBit(recovery)
+        .recoverPublicKey(keccak_256(new Uint8Array([...prefix, ...bytes])))
+        .toRawBytes(false);
+    return bytesToHex(keccak_256(publicKey.slice(1)).slice(-20));
+}
+
+function verifyWalletSignature(wallet, text, signature) {
+    if (/^0x[0-9a-fA-F]{40}$/.test(wallet)) {
+        return !!evmCrypto && /^0x[0-9a-fA-F]{130}$/.test(signature) &&
+            recoverEthereumAddress(text, signature) === wallet.toLowerCase();
+    }
+    
+    return nacl.sign.detached.verify(
+        new TextEncoder().encode(text),
+        decodeBase64(signature),
+        decodeBase58(wallet)
+    );
+}
+
+// Verify a member's key was signed by their wallet (encryptionKeyWallet, any
+// of their linked wallets); returns the key bytes or null
+function getTrustedPublicKey(wallet, publicKey, signature) {
+    if (!wallet || !publicKey || !signature) return null;
+    
+    const cacheKey = `${wallet}:${publicKey}:${signature}`;
+    
+    if (!keyBindingCache.has(cacheKey)) {
+        let trusted = false;
+        try {
+            trusted = verifyWalletSignature(wallet, buildKeyBindingMessage(wallet, publicKey), signature);
+        } catch (error) {
+            console.error('Key binding verification failed:', error);
+        }
+        keyBindingCache.set(cacheKey, trusted);
+    }
+    
+    return keyBindingCache.get(cacheKey) ? decodeBase64(publicKey) : null;
+}
+
+function getSenderPublicKey(message) {
+    if (message.senderPublicKey) {
+        return getTrustedPublicKey(message.senderWallet, message.senderPublicKey, message.senderKeySignature);
+    }
+    
+    const sender = currentRoom?.members?.find(m => m.id === message.userId);
+    return sender
+        ? getTrustedPublicKey(sender.encryptionKeyWallet, sender.encryptionPublicKey, sender.encryptionKeySignature)
+        : null;
+}
+
+// messageKey is passed when editing, or when attachments were already
+// encrypted under it, so they stay readable with the new content
+function encryptMessage(text, members, messageKey = nacl.randomBytes(nacl.secretbox.keyLength)) {
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const ciphertext = nacl.secretbox(new TextEncoder().encode(text), nonce, messageKey);
+    
+    const encryptedKeys = {};
+    members.forEach(member => {
+        const memberKey = getTrustedPublicKey(member.encryptionKeyWallet, member.encryptionPublicKey, member.encryptionKeySignature);
+        if (!memberKey) return;
+        
+        const keyNonce = nacl.randomBytes(nacl.box.nonceLength);
+        encryptedKeys[member.id] = {
+            key: encodeBase64(nacl.box(messageKey, keyNonce, memberKey, encryptionKeyPair.secretKey)),
+            nonce: encodeBase64(keyNonce)
+        };
+    });
+    
+    return {
+        content: encodeBase64(ciphertext),
+        nonce: encodeBase64(nonce),
+        encryptedKeys
+    };
+}
+
+// The per-message key sealed for us, or null if this device cannot open it
+function openMessageKey(message) {
+    const sealed = message.encryptedKeys?.[currentUser?.id];
+    const senderKey = getSenderPublicKey(message);
+    
+    if (!sealed || !senderKey || !encryptionKeyPair) return null;
+    
+    try {
+        return nacl.box.open(
+            decodeBase64(sealed.key),
+            decodeBase64(sealed.nonce),
+            senderKey,
+            encryptionKeyPair.secretKey
+        );
+    } catch (error) {
+        console.error('Message key decryption failed:', error);
+        return null;
+    }
+}
+
+// Returns the decrypted text, or null if this device cannot decrypt the message
+function decryptMessage(message) {
+    const messageKey = openMessageKey(message);
+    if (!messageKey) return null;
+    
+    try {
+        const plaintext = nacl.secretbox.open(
+            decodeBase64(message.content),
+            decodeBase64(message.nonce),
+            messageKey
+        );
+        return plaintext ? new TextDecoder().decode(plaintext) : null;
+    } catch (error) {
+        console.error('Message decryption failed:', error);
+        return null;
+    }
+}
+
+// Plaintext for display: public messages as-is, encrypted ones decrypted once and cached
+function getMessageText(message) {
+    if (!message.nonce) return message.content;
+    
+    if (message.decryptedContent === undefined) {
+        message.decryptedContent = decryptMessage(message);
+    }
+    return message.decryptedContent;
+}
+
+// Content fields for send_message / edit_message in the current room, encrypted
+// unless the room is public. Returns null (after telling the user why) if the
+// message cannot be sent yet.
+function buildMessagePayload(text, messageKey) {
+    if (currentRoom.isPublic) {
+        return { content: text };
+    }
+    
+    if (!encryptionKeyPair || !currentRoom.members) {
+        showComingSoon('🔒 Encryption Not Ready', 'Encryption keys are still loading. Please try again in a moment.');
+        return null;
+    }
+    
+    const others = currentRoom.members.filter(m => m.id !== currentUser.id);
+    const readableBy = others.filter(m =>
+        getTrustedPublicKey(m.encryptionKeyWallet, m.encryptionPublicKey, m.encryptionKeySignature)
+    );
+    
+    if (others.length > 0 && readableBy.length === 0) {
+        showComingSoon('🔒 Encryption Not Set Up', 'No one else in this chat has published an encryption key yet. They need to reconnect their wallet before you can message them.');
+        return null;
+    }
+    
+    return encryptMessage(text, currentRoom.members, messageKey);
+}
+
+// Burn-after-read needs a timer and isn't offered in the public room
+function isBurnAfterReadActive() {
+    return selectedBurnAfterRead && selectedTimerSeconds > 0 && !!currentRoom && !currentRoom.isPublic;
+}
+
+// Expiration time for a new message from the auto-delete timer, if set
+function getTimerExpiresAt() {
+    const seconds = getEffectiveTimerSeconds();
+    if (seconds <= 0) return null;
+    
+    const expirationDate = new Date();
+    expirationDate.setSeconds(expirationDate.getSeconds() + seconds);
+    return expirationDate.toISOString();
+}
+
+function sendMessage() {
+    const input = document.getElementById('messageInput');
+    const text = input.value.trim();
+    const attachments = editingMessageId ? [] : pendingAttachments;
+    
+    if ((!text && attachments.length === 0) || !currentRoom || !socket) return;
+    
+    // Slash commands go to the server's command registry and are never stored
+    if (text.startsWith('/') && !editingMessageId && attachments.length === 0) {
+        socket.emit('send_message', {
+            roomId: currentRoom.id,
+            command: text
+        });
+        input.value = '';
+        renderCommandSuggestions();
+        return;
+    }
+    
+    if (attachments.some(a => a.status !== 'ready')) {
+        showComingSoon('📎 Attachments', 'Wait for uploads to finish, or remove the ones that failed.');
+        return;
+    }
+    
+    // Edits keep the original key so the message's attachments stay readable
+    const messageKey = editingMessageId
+        ? openMessageKey(displayedMessages[editingMessageId]) || undefined
+        : pendingMessageKey || undefined;
+    
+    const payload = buildMessagePayload(text, messageKey);
+    if (!payload) return;
+    
+    if (editingMessageId) {
+        socket.emit('edit_message', {
+            messageId: editingMessageId,
+            ...payload
+        });
+        cancelEditMessage();
+        return;
+    }
+    
+    const burnAfterRead = isBurnAfterReadActive();
+    
+    socket.emit('send_message', {
+        roomId: currentRoom.id,
+        ...payload,
+        parentId: replyingTo?.id || null,
+        expiresAt: burnAfterRead ? null : getTimerExpiresAt(),
+        burnSeconds: burnAfterRead ? selectedTimerSeconds : null,
+        attachmentIds: attachments.map(a => a.id)
+    });
+    
+    input.value = '';
+    cancelReply();
+    clearPendingAttachments();
+    
+    // Stop typing indicator
+    socket.emit('stop_typing', { roomId: currentRoom.id });
+}
+
+// Attachment limits, mirroring server/attachments.js. Sizes are of the
+// encrypted upload, which is the file plus the 16-byte secretbox tag.
+const ATTACHMENT_LIMITS = {
+    maxBytes: 25 * 1024 * 1024,
+    maxPerMessage: 10,
+    types: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain', 'application/zip', 'audio/mpeg', 'video/mp4']
+};
+
+const THUMBNAIL_SIZE = 160;
+
+// Files chosen for the next message: { localId, name, size, status: 'uploading' | 'ready' | 'failed', progress, id }
+let pendingAttachments = [];
+
+// Key the pending attachments are encrypted under; the next message reuses it
+let pendingMessageKey = null;
+
+function openAttachmentPicker() {
+    if (!currentRoom || currentRoom.isPublic) {
+        showComingSoon('📎 Attachments', 'Open a private or group chat to share encrypted files.');
+        return;
+    }
+    
+    document.getElementById('attachmentInput').click();
+}
+
+function handleAttachmentInput(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    files.forEach(addAttachment);
+}
+
+function updateAttachmentButton() {
+    const button = document.getElementById('attachmentBtn');
+    button.disabled = !currentRoom || currentRoom.isPublic;
+    button.title = button.disabled ? 'Attachments are not available in the public room' : 'Attach encrypted file';
+}
+
+// Encrypt a file with the pending message key and upload it in chunks
+async function addAttachment(file) {
+    const roomId = currentRoom?.id;
+    
+    if (pendingAttachments.length >= ATTACHMENT_LIMITS.maxPerMessage) {
+        showComingSoon('📎 Too Many Files', `A message can carry at most ${ATTACHMENT_LIMITS.maxPerMessage} attachments.`);
+        return;
+    }
+    
+    if (!ATTACHMENT_LIMITS.types.includes(file.type)) {
+        showComingSoon('📎 Unsupported File', `${file.name} is not a supported file type.`);
+        return;
+    }
+    
+    if (file.size + nacl.secretbox.overheadLength > ATTACHMENT_LIMITS.maxBytes) {
+        showComingSoon('📎 File Too Large', `${file.name} is larger than ${formatFileSize(ATTACHMENT_LIMITS.maxBytes)}.`);
+        return;
+    }
+    
+    if (!encryptionKeyPair) {
+        showComingSoon('🔒 Encryption Not Ready', 'Encryption keys are still loading. Please try again in a moment.');
+        return;
+    }
+    
+    if (!pendingMessageKey) {
+        pendingMessageKey = nacl.randomBytes(nacl.secretbox.keyLength);
+    }
+    const messageKey = pendingMessageKey;
+    
+    const pending = { localId: crypto.randomUUID(), name: file.name, size: file.size, status: 'uploading', progress: 0, id: null };
+    pendingAttachments.push(pending);
+    renderPendingAttachments();
+    
+    try {
+        const fileNonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const ciphertext = nacl.secretbox(new Uint8Array(await file.arrayBuffer()), fileNonce, messageKey);
+        
+        const metadata = {
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            nonce: encodeBase64(fileNonce),
+            thumbnail: file.type.startsWith('image/') ? await createThumbnail(file) : null
+        };
+        const metadataNonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+        const sealedMetadata = nacl.secretbox(new TextEncoder().encode(JSON.stringify(metadata)), metadataNonce, messageKey);
+        
+        const { id, chunkSize } = await attachmentRequest('/api/attachments', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                roomId,
+                size: ciphertext.length,
+                mimeType: file.type,
+                metadata: { ciphertext: encodeBase64(sealedMetadata), nonce: encodeBase64(metadataNonce) }
+            })
+        }).then(data => data.attachment);
+        pending.id = id;
+        
+        for (let offset = 0, index = 0; offset < ciphertext.length; offset += chunkSize, index++) {
+            if (!pendingAttachments.includes(pending)) return;
+            
+            await attachmentRequest(`/api/attachments/${id}/chunks/${index}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: ciphertext.subarray(offset, offset + chunkSize)
+            });
+            
+            pending.progress = Math.min(1, (offset + chunkSize) / ciphertext.length);
+            renderPendingAttachments();
+        }
+        
+        await attachmentRequest(`/api/attachments/${id}/complete`, { method: 'POST' });
+        pending.status = 'ready';
+    } catch (error) {
+        console.error('Attachment upload failed:', error);
+        pending.status = 'failed';
+    }
+    
+    renderPendingAttachments();
+}
+
+async function attachmentRequest(url, options) {
+    const response = await fetch(url, options);
+    const data = await response.json();
+    
+    if (!data.success) {
+        throw new Error(data.error || 'Attachment request failed');
+    }
+    
+    return data;
+}
+
+// Small JPEG preview stored (encrypted) in the attachment metadata
+async function createThumbnail(file) {
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+        console.error('Thumbnail generation failed:', error);
+        return null;
+    }
+}
+
+function removePendingAttachment(localId) {
+    pendingAttachments = pendingAttachments.filter(a => a.localId !== localId);
+    if (pendingAttachments.length === 0) {
+        pendingMessageKey = null;
+    }
+    renderPendingAttachments();
+}
+
+window.removePendingAttachment = removePendingAttachment;
+
+// Uploads left behind are never attached and the server sweeps them up
+function clearPendingAttachments() {
+    pendingAttachments = [];
+    pendingMessageKey = null;
+    renderPendingAttachments();
+}
+
+function renderPendingAttachments() {
+    const bar = document.getElementById('pendingAttachments');
+    
+    bar.style.display = pendingAttachments.length > 0 ? 'flex' : 'none';
+    bar.innerHTML = pendingAttachments.map(a => {
+        const status = a.status === 'uploading'
+            ? `${Math.round(a.progress * 100)}%`
+            : a.status === 'failed' ? 'Upload failed' : formatFileSize(a.size);
+        
+        return `<div class="pending-attachment ${a.status}">
+            <span class="pending-attachment-name">📄 ${escapeHtml(a.name)}</span>
+            <span class="pending-attachment-status">${status}</span>
+            <button class="pending-attachment-remove" onclick="removePendingAttachment('${a.localId}')" title="Remove">×</button>
+        </div>`;
+    }).join('');
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Decrypted attachment metadata, cached on the attachment. null if unreadable.
+function getAttachmentMetadata(message, attachment) {
+    if (attachment.decryptedMetadata === undefined) {
+        attachment.decryptedMetadata = null;
+        
+        const messageKey = openMessageKey(message);
+        const plaintext = messageKey && nacl.secretbox.open(
+            decodeBase64(attachment.metadata.ciphertext),
+            decodeBase64(attachment.metadata.nonce),
+            messageKey
+        );
+        
+        if (plaintext) {
+            try {
+                attachment.decryptedMetadata = JSON.parse(new TextDecoder().decode(plaintext));
+            } catch (error) {
+                console.error('Attachment metadata is malformed:', error);
+            }
+        }
+    }
+    
+    return attachment.decryptedMetadata;
+}
+
+function renderAttachments(message) {
+    if (!message.attachments?.length) return '';
+    
+    const items = message.attachments.map(attachment => {
+        const meta = getAttachmentMetadata(message, attachment);
+        
+        if (!meta) {
+            return `<div class="message-attachment unavailable">🔒 Encrypted file</div>`;
+        }
+        
+        const thumbnail = typeof meta.thumbnail === 'string' && meta.thumbnail.startsWith('data:image/')
+            ? `<img class="message-attachment-thumb" src="${escapeHtml(meta.thumbnail)}" alt="">`
+            : '<span class="message-attachment-icon">📄</span>';
+        
+        return `<button class="message-attachment" onclick="downloadAttachment(${message.id}, ${attachment.id})" title="Download ${escapeHtml(meta.name)}">
+                ${thumbnail}
+                <span class="message-attachment-name">${escapeHtml(meta.name)}</span>
+                <span class="message-attachment-size">${formatFileSize(meta.size)}</span>
+            </button>`;
+    });
+    
+    return `<div class="message-attachments">${items.join('')}</div>`;
+}
+
+// Fetch, decrypt and save an attachment
+async function downloadAttachment(messageId, attachmentId) {
+    const message = displayedMessages[messageId];
+    const attachment = message?.attachments?.find(a => a.id === attachmentId);
+    const meta = attachment && getAttachmentMetadata(message, attachment);
+    
+    if (!meta) return;
+    
+    try {
+        const response = await fetch(`/api/attachments/${attachmentId}`);
+        if (!response.ok) {
+            throw new Error(`Download failed with status ${response.status}`);
+        }
+        
+        const plaintext = nacl.secretbox.open(
+            new Uint8Array(await response.arrayBuffer()),
+            decodeBase64(meta.nonce),
+            openMessageKey(message)
+        );
+        if (!plaintext) {
+            throw new Error('Attachment could not be decrypted');
+        }
+        
+        const url = URL.createObjectURL(new Blob([plaintext], { type: meta.type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = meta.name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+        console.error('Attachment download error:', error);
+        showComingSoon('⚠️ Download Failed', 'This file is no longer available or could not be decrypted.');
+    }
+}
+
+window.downloadAttachment = downloadAttachment;
+
+// Server-generated notices (e.g. policy changes) that are part of the room history
+function createSystemMessageElement(message) {
+    const notice = document.createElement('div');
+    notice.className = 'message system-notice';
+    notice.setAttribute('data-message-id', message.id);
+    notice.innerHTML = `
+        <div class="message-content">${escapeHtml(message.content)}</div>
+        <div class="message-time">${new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+    `;
+    return notice;
+}
+
+function createMessageElement(message) {
+    if (message.kind === 'system') {
+        return createSystemMessageElement(message);
+    }
+    
+    const isSent = message.userId === currentUser.id;
+    
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${isSent ? 'sent' : 'received'}`;
+    messageDiv.setAttribute('data-message-id', message.id);
+    
+    const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    // Check if message has expiration
+    let timerHtml = '';
+    const expiresDate = getMessageExpiry(message);
+    
+    if (isBurnPending(message)) {
+        timerHtml = `<div class="message-timer burn-pending">
+            <span class="message-timer-icon">🔥</span>
+            <span class="timer-countdown"></span>
+        </div>`;
+    } else if (expiresDate) {
+        const timeLeft = Math.max(0, Math.floor((expiresDate - new Date()) / 1000));
+        
+        if (timeLeft > 0) {
+            timerHtml = `<div class="message-timer" data-expires="${expiresDate.toISOString()}">
+                <span class="message-timer-icon">${message.burnSeconds ? '🔥' : '⏱️'}</span>
+                <span class="timer-countdown">${formatTimerCountdown(timeLeft)}</span>
+            </div>`;
+            
+            // Start countdown unless this element replaces one whose countdown is already running
+            if (!document.querySelector(`[data-message-id="${message.id}"]`)) {
+                startMessageCountdown(message.id, expiresDate);
+            }
+        }
+    }
+    
+    const text = getMessageText(message);
+    const contentHtml = text === null
+        ? `<div class="message-content message-undecryptable">🔒 Unable to decrypt this message on this device</div>`
+        : text ? `<div class="message-content">${escapeHtml(text)}</div>` : '';
+    
+    const editedHtml = message.editedAt
+        ? ` <span class="message-edited" title="Edited ${new Date(message.editedAt).toLocaleString()}">· edited</span>`
+        : '';
+    
+    const actionsHtml = `<div class="message-actions">
+            <button class="message-action-btn" onclick="startReply(${message.id})" title="Reply">↩️</button>
+            ${isSent && text !== null ? `<button class="message-action-btn" onclick="startEditMessage(${message.id})" title="Edit">✏️</button>` : ''}
+            ${isSent ? `<button class="message-action-btn" onclick="deleteMessage(${message.id})" title="Unsend">🗑️</button>` : ''}
+            ${!isSent && currentRoom?.isPublic ? `<button class="message-action-btn" onclick="reportMessage(${message.id})" title="Report">🚩</button>` : ''}
+            ${!isSent && isPublicModerator() ? `<button class="message-action-btn" onclick="deleteMessage(${message.id}, true)" title="Remove">🗑️</button>` : ''}
+        </div>`;
+    
+    messageDiv.innerHTML = `
+        ${!isSent ? `<div class="message-username">${escapeHtml(memberName(message.userId, message.username))}</div>` : ''}
+        ${renderQuote(message)}
+        ${contentHtml}
+        ${renderAttachments(message)}
+        <div class="message-time">${time}${editedHtml}${isSent ? `<span class="message-status" id="status-${message.id}"></span>` : ''}</div>
+        ${timerHtml}
+        <button class="thread-link" id="thread-link-${message.id}" onclick="openThread(${message.id})" style="${message.replyCount ? '' : 'display: none;'}">💬 ${formatReplyCount(message.replyCount)}</button>
+        ${actionsHtml}
+        <div class="message-reactions" id="reactions-${message.id}"></div>
+        <button class="add-reaction-btn" onclick="showReactionPicker(${message.id})" title="Add reaction">
+            <span class="reaction-icon">😊</span>
+        </button>
+    `;
+    
+    return messageDiv;
+}
+
+// Render a message, replacing its bubble in place if it is already on screen
+function displayMessage(message) {
+    const container = document.getElementById('messagesContainer');
+    const existing = container.querySelector(`[data-message-id="${message.id}"]`);
+    const messageEl = createMessageElement(message);
+    
+    displayedMessages[message.id] = message;
+    
+    if (existing) {
+        existing.replaceWith(messageEl);
+    } else {
+        container.appendChild(messageEl);
+        container.scrollTop = container.scrollHeight;
+    }
+    
+    // Render existing reactions if any
+    renderMessageReactions(message.id);
+    renderMessageStatus(message.id);
+    
+    if (isBurnPending(message)) {
+        startMessageCountdown(message.id, null);
+        noteBurnMessageViewed(message);
+    }
+}
+
+// When this message disappears for us: the send-time expiry or, for
+// burn-after-read messages, our own countdown, whichever comes first
+function getMessageExpiry(message) {
+    const deadlines = [message.expiresAt, message.burnExpiresAt]
+        .filter(Boolean)
+        .map(value => new Date(value));
+    
+    return deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null;
+}
+
+// Burn-after-read message whose countdown hasn't started for us. The sender
+// always sees this state; recipients only until they view it.
+function isBurnPending(message) {
+    return !!message.burnSeconds && !message.burnExpiresAt;
+}
+
+// Tell the server we have seen a burn-after-read message so our countdown starts
+function noteBurnMessageViewed(message) {
+    if (!isBurnPending(message) || message.userId === currentUser.id || viewedBurnMessages.has(message.id)) return;
+    if (getMessageText(message) === null) return;
+    
+    viewedBurnMessages.add(message.id);
+    socket.emit('message_viewed', { messageId: message.id });
+}
+
+// Drop a message that was unsent (or expired) from the timeline and thread view.
+// Replies quoting it fall back to the "no longer available" state.
+function removeMessage(messageId) {
+    document.querySelector(`[data-message-id="${messageId}"]`)?.remove();
+    document.querySelector(`[data-thread-message-id="${messageId}"]`)?.remove();
+    delete displayedMessages[messageId];
+    delete messageReactions[messageId];
+    
+    if (editingMessageId === messageId) {
+        cancelEditMessage();
+    }
+    
+    if (replyingTo?.id === messageId) {
+        cancelReply();
+    }
+    
+    Object.values(displayedMessages)
+        .filter(m => m.parentId === messageId && m.parent)
+        .forEach(m => {
+            m.parent = null;
+            displayMessage(m);
+        });
+    
+    if (openThreadState?.messageId === messageId) {
+        renderThreadParent(null);
+    }
+}
+
+function renderQuote(message) {
+    if (!message.parentId) return '';
+    
+    if (!message.parent) {
+        return `<div class="message-quote unavailable">Original message is no longer available</div>`;
+    }
+    
+    const parentText = getMessageText(message.parent);
+    const preview = parentText === null
+        ? '🔒 Encrypted message'
+        : escapeHtml(parentText.length > 120 ? `${parentText.slice(0, 120)}…` : parentText);
+    
+    return `<div class="message-quote" onclick="scrollToMessage(${message.parentId})">
+            <div class="message-quote-author">${escapeHtml(message.parent.username || '')}</div>
+            <div class="message-quote-text">${preview}</div>
+        </div>`;
+}
+
+function formatReplyCount(count) {
+    return count === 1 ? '1 reply' : `${count || 0} replies`;
+}
+
+function renderThreadLink(message) {
+    const link = document.getElementById(`thread-link-${message.id}`);
+    if (!link) return;
+    
+    link.textContent = `💬 ${formatReplyCount(message.replyCount)}`;
+    link.style.display = message.replyCount ? '' : 'none';
+}
+
+function scrollToMessage(messageId) {
+    const messageEl = document.querySelector(`[data-message-id="${messageId}"]`);
+    if (!messageEl) return;
+    
+    messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageEl.classList.add('highlighted');
+    setTimeout(() => messageEl.classList.remove('highlighted'), 1500);
+}
+
+window.scrollToMessage = scrollToMessage;
+
+function startReply(messageId) {
+    const message = displayedMessages[messageId];
+    if (!message) return;
+    
+    cancelEditMessage();
+    replyingTo = message;
+    
+    const text = getMessageText(message);
+    document.getElementById('replyBarUsername').textContent = message.username || 'yourself';
+    document.getElementById('replyBarText').textContent = text === null ? '🔒 Encrypted message' : text;
+    document.getElementById('replyBar').style.display = 'flex';
+    document.getElementById('messageInput').focus();
+}
+
+window.startReply = startReply;
+
+function cancelReply() {
+    replyingTo = null;
+    
+    const replyBar = document.getElementById('replyBar');
+    if (replyBar) {
+        replyBar.style.display = 'none';
+    }
+}
+
+// Inline notices for command replies and group events; not part of the room history
+function displaySystemNotice(text, { caption = '', isError = false } = {}) {
+    const container = document.getElementById('messagesContainer');
+    
+    const notice = document.createElement('div');
+    notice.className = `message system-notice ${isError ? 'error' : ''}`;
+    notice.innerHTML = `
+        <div class="message-content">${escapeHtml(text)}</div>
+        <div class="message-time">${escapeHtml(caption)}</div>
+    `;
+    
+    container.appendChild(notice);
+    container.scrollTop = container.scrollHeight;
+}
+
+// Group management
+const ROLE_RANK = { owner: 3, admin: 2, member: 1 };
+
+function isManagedGroup(room) {
+    return !!room && room.isGroup && !room.isPublic;
+}
+
+// The settings button covers group management and, in any private room, message policies
+function updateGroupInfoButton() {
+    document.getElementById('groupInfoBtn').style.display = currentRoom && !currentRoom.isPublic ? '' : 'none';
+}
+
+// Group admins and either side of a one-to-one chat may change message policies
+function canManageRoomPolicy() {
+    return isManagedGroup(currentRoom) ? ROLE_RANK[getMyGroupRole()] >= ROLE_RANK.admin : !currentRoom?.isPublic;
+}
+
+function getMyGroupRole() {
+    return currentRoom?.members?.find(m => m.id === currentUser?.id)?.role || 'member';
+}
+
+function formatGroupEvent(event) {
+    switch (event.type) {
+        case 'member_added': return `${event.actor} added ${event.target}`;
+        case 'member_joined': return `${event.actor} joined via invite link`;
+        case 'member_left': return `${event.actor} left the group`;
+        case 'member_kicked': return `${event.actor} removed ${event.target}`;
+        case 'member_banned': return `${event.actor} banned ${event.target}`;
+        case 'member_unbanned': return `${event.actor} unbanned ${event.target}`;
+        case 'member_promoted': return `${event.actor} made ${event.target} an admin`;
+        case 'member_demoted': return `${event.actor} removed ${event.target} as admin`;
+        case 'group_renamed': return `${event.actor} renamed the group to "${event.name}"`;
+        case 'ownership_transferred': return `${event.actor} transferred ownership to ${event.target}`;
+        default: return `${event.actor} updated the group`;
+    }
+}
+
+function openGroupInfo() {
+    if (!currentRoom || currentRoom.isPublic) return;
+    
+    document.getElementById('groupInfoTitle').textContent = currentRoom.isGroup ? '⚙️ Group Info' : '⚙️ Chat Info';
+    document.getElementById('groupRenameInput').value = currentRoom.name;
+    document.getElementById('groupBanList').innerHTML = '';
+    document.getElementById('groupInviteList').innerHTML = '';
+    renderGroupInfo();
+    document.getElementById('groupInfoModal').classList.add('active');
+    
+    if (isManagedGroup(currentRoom) && ROLE_RANK[getMyGroupRole()] >= ROLE_RANK.admin) {
+        socket.emit('get_room_bans', { roomId: currentRoom.id });
+        socket.emit('get_invites', { roomId: currentRoom.id });
+    }
+}
+
+function closeGroupInfo() {
+    document.getElementById('groupInfoModal').classList.remove('active');
+    document.getElementById('groupAddMembersInput').value = '';
+}
+
+// Only offer the actions the server will accept for our role
+function renderGroupInfo() {
+    const myRole = getMyGroupRole();
+    const isAdmin = isManagedGroup(currentRoom) && ROLE_RANK[myRole] >= ROLE_RANK.admin;
+    
+    renderRoomPolicy();
+    
+    document.getElementById('groupRenameSection').style.display = isAdmin ? '' : 'none';
+    document.getElementById('groupAddSection').style.display = isAdmin ? '' : 'none';
+    document.getElementById('groupBanSection').style.display = isAdmin ? '' : 'none';
+    document.getElementById('groupInviteSection').style.display = isAdmin ? '' : 'none';
+    
+    const members = [...(currentRoom.members || [])].sort((a, b) =>
+        (ROLE_RANK[b.role] || 0) - (ROLE_RANK[a.role] || 0) || a.username.localeCompare(b.username)
+    );
+    
+    document.getElementById('groupMemberList').innerHTML = members.map(member => {
+        const canManage = isAdmin && member.id !== currentUser.id && ROLE_RANK[myRole] > (ROLE_RANK[member.role] || 0);
+        const actions = [];
+        
+        if (canManage && myRole === 'owner') {
+            actions.push(member.role === 'admin'
+                ? `<button class="group-member-action" data-action="demote_member" data-user-id="${member.id}">Demote</button>`
+                : `<button class="group-member-action" data-action="promote_member" data-user-id="${member.id}">Make admin</button>`);
+            actions.push(`<button class="group-member-action" data-action="transfer_ownership" data-user-id="${member.id}">Make owner</button>`);
+        }
+        if (canManage) {
+            actions.push(`<button class="group-member-action danger" data-action="kick_member" data-user-id="${member.id}">Remove</button>`);
+            actions.push(`<button class="group-member-action danger" data-action="ban_member" data-user-id="${member.id}">Ban</button>`);
+        }
+        
+        const presence = member.id === currentUser.id ? '' : describePresence(member.id);
+        
+        return `
+            <div class="group-member">
+                <span class="presence-dot ${peerPresence[member.id]?.status || ''}" title="${escapeHtml(presence)}"></span>
+                <span class="group-member-name" data-user-id="${member.id}" title="${escapeHtml(member.walletAddress)}">${escapeHtml(memberName(member.id, member.username))} <span class="group-member-handle">@${escapeHtml(member.username)}</span>${member.id === currentUser.id ? ' (you)' : ''}</span>
+                ${currentRoom.isGroup ? `<span class="group-role-badge ${member.role}">${member.role}</span>` : ''}
+                ${actions.join('')}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderRoomPolicy() {
+    const canManage = canManageRoomPolicy();
+    
+    document.getElementById('policyDisappearing').value = String(currentRoom.disappearingSeconds || 0);
+    document.getElementById('policyRetention').value = String(currentRoom.retentionSeconds || 0);
+    document.getElementById('policyDisappearing').disabled = !canManage;
+    document.getElementById('policyRetention').disabled = !canManage;
+    document.getElementById('policySaveBtn').style.display = canManage ? '' : 'none';
+    document.getElementById('policyHint').textContent = canManage
+        ? 'Applies to everyone in this chat. Members can still pick a shorter timer for their own messages.'
+        : 'Only group admins can change these settings.';
+}
+
+function saveRoomPolicy() {
+    if (!currentRoom) return;
+    
+    socket.emit('update_room_policy', {
+        roomId: currentRoom.id,
+        disappearingSeconds: Number(document.getElementById('policyDisappearing').value),
+        retentionSeconds: Number(document.getElementById('policyRetention').value)
+    });
+}
+
+function renderGroupBans(bans) {
+    document.getElementById('groupBanList').innerHTML = bans.length === 0
+        ? '<p class="modal-hint">No one is banned.</p>'
+        : bans.map(ban => `
+            <div class="group-member">
+                <span class="group-member-name" title="${escapeHtml(ban.walletAddress)}">${escapeHtml(ban.username)}</span>
+                <button class="group-member-action" data-action="unban_member" data-user-id="${ban.userId}">Unban</button>
+            </div>
+        `).join('');
+}
+
+const GROUP_ACTION_CONFIRMATIONS = {
+    kick_member: 'Remove this member from the group?',
+    ban_member: 'Ban this member? They will not be able to rejoin until unbanned.',
+    transfer_ownership: 'Transfer ownership? You will become an admin.'
+};
+
+function handleGroupMemberAction(e) {
+    const button = e.target.closest('.group-member-action');
+    if (!button || !currentRoom) return;
+    
+    const { action, userId } = button.dataset;
+    const confirmation = GROUP_ACTION_CONFIRMATIONS[action];
+    
+    if (confirmation && !confirm(confirmation)) return;
+    
+    socket.emit(action, { roomId: currentRoom.id, userId: Number(userId) });
+}
+
+function renameGroup() {
+    const name = document.getElementById('groupRenameInput').value.trim();
+    
+    if (!name || !currentRoom || name === currentRoom.name) return;
+    
+    socket.emit('rename_group', { roomId: currentRoom.id, name });
+}
+
+function addGroupMembers() {
+    const input = document.getElementById('groupAddMembersInput');
+    const wallets = parseWalletList(input.value);
+    
+    if (wallets.length === 0 || !currentRoom) return;
+    
+    socket.emit('add_members', { roomId: currentRoom.id, wallets });
+    input.value = '';
+}
+
+// Group invite links
+// Public room moderation. The panel only offers what moderators can do;
+// the server checks every action.
+function isPublicModerator() {
+    return !!currentRoom?.isPublic && getMyGroupRole() === 'moderator';
+}
+
+function isModerationPanelOpen() {
+    return !!currentRoom && document.getElementById('moderationModal').classList.contains('active');
+}
+
+function updateModerationButton() {
+    const isModerator = isPublicModerator();
+    
+    document.getElementById('moderationBtn').style.display = isModerator ? '' : 'none';
+    document.getElementById('moderationCount').textContent = isModerator && reportQueue.length > 0 ? ` ${reportQueue.length}` : '';
+}
+
+function openModerationPanel() {
+    if (!isPublicModerator()) return;
+    
+    const roomId = currentRoom.id;
+    
+    moderationLogBefore = null;
+    document.getElementById('moderationLogList').innerHTML = '';
+    document.getElementById('moderationModal').classList.add('active');
+    renderReportQueue();
+    renderModerators();
+    renderModerationSettings();
+    
+    socket.emit('get_reports', { roomId });
+    socket.emit('get_room_sanctions', { roomId });
+    socket.emit('get_moderation_log', { roomId });
+}
+
+function closeModerationPanel() {
+    document.getElementById('moderationModal').classList.remove('active');
+}
+
+function renderReportQueue() {
+    document.getElementById('reportQueue').innerHTML = reportQueue.length === 0
+        ? '<p class="modal-hint">No open reports.</p>'
+        : reportQueue.map(entry => `
+            <div class="report-entry">
+                <div class="report-content">${escapeHtml(entry.content)}</div>
+                <div class="contact-presence">
+                    @${escapeHtml(entry.reportedUser.handle)} · reported by ${entry.reports.map(r => `@${escapeHtml(r.reporter.handle)}`).join(', ')}
+                </div>
+                ${entry.reports.filter(r => r.reason).map(r => `<div class="contact-note">@${escapeHtml(r.reporter.handle)}: ${escapeHtml(r.reason)}</div>`).join('')}
+                <div class="contact-actions">
+                    <button class="group-member-action" data-action="dismiss" data-message-id="${entry.messageId}">Dismiss</button>
+                    <button class="group-member-action" data-action="pick" data-wallet="${escapeHtml(entry.reportedUser.walletAddress)}">Mute or ban…</button>
+                    <button class="group-member-action danger" data-action="remove" data-message-id="${entry.messageId}">Remove message</button>
+                </div>
+            </div>
+        `).join('');
+}
+
+function renderSanctionList(id, sanctions, action) {
+    document.getElementById(id).innerHTML = sanctions.length === 0
+        ? `<p class="modal-hint">No one is ${action === 'unmute_user' ? 'muted' : 'banned'}.</p>`
+        : sanctions.map(sanction => `
+            <div class="group-member">
+                <span class="group-member-name" title="${escapeHtml(sanction.walletAddress)}">
+                    ${escapeHtml(sanction.username)}
+                    <span class="group-member-handle">${sanction.expiresAt ? `until ${new Date(sanction.expiresAt).toLocaleString()}` : 'until lifted'}</span>
+                </span>
+                <button class="group-member-action" data-action="${action}" data-wallet="${escapeHtml(sanction.walletAddress)}">${action === 'unmute_user' ? 'Unmute' : 'Unban'}</button>
+            </div>
+        `).join('');
+}
+
+function renderModerators() {
+    const moderators = (currentRoom.members || []).filter(m => m.role === 'moderator');
+    
+    document.getElementById('moderatorList').innerHTML = moderators.map(member => `
+        <div class="group-member">
+            <span class="group-member-name" title="${escapeHtml(member.walletAddress)}">${escapeHtml(memberName(member.id, member.username))} <span class="group-member-handle">@${escapeHtml(member.username)}</span>${member.id === currentUser.id ? ' (you)' : ''}</span>
+            <button class="group-member-action danger" data-action="remove_moderator" data-wallet="${escapeHtml(member.walletAddress)}">${member.id === currentUser.id ? 'Step down' : 'Remove'}</button>
+        </div>
+    `).join('');
+}
+
+function renderModerationSettings() {
+    const slowMode = String(currentRoom.slowModeSeconds || 0);
+    const select = document.getElementById('slowModeSelect');
+    
+    // Keep a value set elsewhere (another client, the API) selectable
+    if (![...select.options].some(option => option.value === slowMode)) {
+        select.add(new Option(formatTimerCountdown(Number(slowMode)), slowMode));
+    }
+    
+    select.value = slowMode;
+    document.getElementById('filterLinksInput').checked = !!currentRoom.filterLinks;
+    document.getElementById('filterWordsInput').value = (currentRoom.filterWords || []).join(', ');
+}
+
+function saveModerationSettings() {
+    if (!currentRoom) return;
+    
+    socket.emit('update_moderation_settings', {
+        roomId: currentRoom.id,
+        slowModeSeconds: Number(document.getElementById('slowModeSelect').value),
+        filterLinks: document.getElementById('filterLinksInput').checked,
+        filterWords: document.getElementById('filterWordsInput').value
+    });
+}
+
+// Mute, ban or appoint the wallet in the form
+function sanctionUser(action) {
+    const wallet = document.getElementById('sanctionWallet').value.trim();
+    const roomId = currentRoom?.id;
+    
+    if (!wallet || !roomId) return;
+    
+    if (action === 'add_moderator') {
+        socket.emit('set_moderator', { roomId, wallet, moderator: true });
+    } else {
+        if (action === 'ban_user' && !confirm('Ban this wallet from the public chat?')) return;
+        
+        socket.emit(action, {
+            roomId,
+            wallet,
+            durationSeconds: Number(document.getElementById('sanctionDuration').value),
+            reason: document.getElementById('sanctionReason').value
+        });
+    }
+    
+    document.getElementById('sanctionWallet').value = '';
+    document.getElementById('sanctionReason').value = '';
+}
+
+function handleModerationAction(e) {
+    const button = e.target.closest('.group-member-action');
+    if (!button || !currentRoom) return;
+    
+    const { action, messageId, wallet } = button.dataset;
+    const roomId = currentRoom.id;
+    
+    if (action === 'pick') {
+        document.getElementById('sanctionWallet').value = wallet;
+        document.getElementById('sanctionReason').focus();
+    } else if (action === 'dismiss' || action === 'remove') {
+        if (action === 'remove' && !confirm('Remove this message for everyone? The author will be told.')) return;
+        socket.emit('resolve_report', { roomId, messageId: Number(messageId), action });
+    } else if (action === 'remove_moderator') {
+        if (!confirm('Remove this moderator?')) return;
+        socket.emit('set_moderator', { roomId, wallet, moderator: false });
+    } else {
+        socket.emit(action, { roomId, wallet });
+    }
+}
+
+function describeSanctionDuration(seconds) {
+    const option = [...document.getElementById('sanctionDuration').options].find(o => Number(o.value) === seconds);
+    return option ? option.textContent.toLowerCase() : formatTimerCountdown(seconds);
+}
+
+function formatModerationEntry(entry) {
+    const actor = `@${entry.actor.handle}`;
+    const target = entry.target ? `@${entry.target.handle}` : 'someone';
+    const details = entry.details || {};
+    const reason = details.reason ? `: ${details.reason}` : '';
+    
+    switch (entry.action) {
+        case 'mute':
+        case 'ban': {
+            const duration = details.durationSeconds ? `for ${describeSanctionDuration(details.durationSeconds)}` : 'until lifted';
+            return `${actor} ${entry.action === 'mute' ? 'muted' : 'banned'} ${target} ${duration}${reason}`;
+        }
+        case 'unmute': return `${actor} unmuted ${target}`;
+        case 'unban': return `${actor} unbanned ${target}`;
+        case 'delete_message': return `${actor} removed a message by ${target}: "${details.content ?? ''}"`;
+        case 'dismiss_report': return `${actor} dismissed ${details.reports} report(s) about ${target}'s message: "${details.content ?? ''}"`;
+        case 'add_moderator': return `${actor} made ${target} a moderator`;
+        case 'remove_moderator': return `${actor} removed ${target} as moderator`;
+        case 'update_settings': {
+            const changes = [];
+            if ('slowModeSeconds' in details) changes.push(details.slowModeSeconds ? `slow mode ${formatTimerCountdown(details.slowModeSeconds)}` : 'slow mode off');
+            if ('filterLinks' in details) changes.push(details.filterLinks ? 'links blocked' : 'links allowed');
+            if ('filterWords' in details) changes.push(`${details.filterWords?.length || 0} blocked word(s)`);
+            return `${actor} changed the settings: ${changes.join(', ')}`;
+        }
+        default: return `${actor} ${entry.action} ${target}`;
+    }
+}
+
+function renderModerationLog(data) {
+    const list = document.getElementById('moderationLogList');
+    
+    if (!data.before) {
+        list.innerHTML = data.entries.length === 0 ? '<p class="modal-hint">No moderation actions yet.</p>' : '';
+    }
+    
+    list.insertAdjacentHTML('beforeend', data.entries.map(entry => `
+        <div class="moderation-log-entry">
+            <span class="contact-presence">${new Date(entry.createdAt).toLocaleString()}</span>
+            ${escapeHtml(formatModerationEntry(entry))}
+        </div>
+    `).join(''));
+    
+    moderationLogBefore = data.entries.length > 0 ? data.entries[data.entries.length - 1].id : moderationLogBefore;
+    document.getElementById('moderationLogMore').style.display = data.hasMore ? '' : 'none';
+}
+
+function buildInviteUrl(token) {
+    return `${window.location.origin}${window.location.pathname}?invite=${encodeURIComponent(token)}`;
+}
+
+// Pick up ?invite=<token> from the URL; it is previewed once we are authenticated
+function readInviteFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get('invite');
+    
+    if (!token) return;
+    
+    pendingInviteToken = token;
+    params.delete('invite');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+function showInvitePreview(preview) {
+    const details = [`${preview.room.memberCount} member${preview.room.memberCount === 1 ? '' : 's'}`];
+    
+    if (preview.expiresAt) {
+        details.push(`invite expires ${new Date(preview.expiresAt).toLocaleString()}`);
+    }
+    
+    document.getElementById('invitePreviewName').textContent = preview.room.name;
+    document.getElementById('invitePreviewDetails').textContent = preview.alreadyMember
+        ? 'You are already a member of this group.'
+        : `You've been invited to join this group · ${details.join(' · ')}`;
+    document.getElementById('inviteModalJoin').textContent = preview.alreadyMember ? 'Open Group' : 'Join Group';
+    document.getElementById('inviteModal').classList.add('active');
+}
+
+function closeInviteModal() {
+    document.getElementById('inviteModal').classList.remove('active');
+    pendingInviteToken = null;
+}
+
+function acceptInvite() {
+    if (!pendingInviteToken || !socket) return;
+    
+    socket.emit('accept_invite', { token: pendingInviteToken });
+    document.getElementById('inviteModal').classList.remove('active');
+}
+
+function createInviteLink() {
+    if (!currentRoom) return;
+    
+    socket.emit('create_invite', {
+        roomId: currentRoom.id,
+        expiresIn: Number(document.getElementById('inviteExpiry').value) || null,
+        maxUses: Number(document.getElementById('inviteMaxUses').value) || null
+    });
+    document.getElementById('inviteMaxUses').value = '';
+}
+
+function renderInviteLinks(invites) {
+    document.getElementById('groupInviteList').innerHTML = invites.length === 0
+        ? '<p class="modal-hint">No active invite links.</p>'
+        : invites.map(invite => {
+            const meta = [
+                invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`,
+                invite.expiresAt ? `expires ${new Date(invite.expiresAt).toLocaleString()}` : 'never expires'
+            ];
+            
+            return `
+                <div class="group-member">
+                    <span class="group-member-name">
+                        ${escapeHtml(invite.token.slice(0, 10))}…
+                        <span class="group-invite-meta">${escapeHtml(meta.join(' · '))}</span>
+                    </span>
+                    <button class="group-member-action" data-invite-action="copy" data-token="${escapeHtml(invite.token)}">Copy</button>
+                    <button class="group-member-action danger" data-invite-action="revoke" data-invite-id="${invite.id}">Revoke</button>
+                </div>
+            `;
+        }).join('');
+}
+
+function handleInviteLinkAction(e) {
+    const button = e.target.closest('[data-invite-action]');
+    if (!button || !currentRoom) return;
+    
+    if (button.dataset.inviteAction === 'copy') {
+        navigator.clipboard.writeText(buildInviteUrl(button.dataset.token)).then(() => {
+            button.textContent = 'Copied';
+            setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+        });
+    } else if (confirm('Revoke this invite link? It will stop working immediately.')) {
+        socket.emit('revoke_invite', { roomId: currentRoom.id, inviteId: Number(button.dataset.inviteId) });
+    }
+}
+
+// Slash command autocomplete
+function getCommandSuggestions() {
+    const value = document.getElementById('messageInput').value;
+    
+    if (!value.startsWith('/') || /\s/.test(value) || editingMessageId) return [];
+    
+    const prefix = value.slice(1).toLowerCase();
+    return availableCommands.filter(c => c.name.startsWith(prefix));
+}
+
+function renderCommandSuggestions() {
+    const container = document.getElementById('commandSuggestions');
+    const suggestions = getCommandSuggestions();
+    
+    if (suggestions.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+    
+    selectedSuggestion = Math.min(selectedSuggestion, suggestions.length - 1);
+    
+    container.innerHTML = suggestions.map((command, index) => `
+        <div class="command-suggestion ${index === selectedSuggestion ? 'selected' : ''}" onclick="applyCommandSuggestion('${command.name}')">
+            <span class="command-usage">${escapeHtml(command.usage)}</span>
+            <span class="command-description">${escapeHtml(command.description)}</span>
+        </div>
+    `).join('');
+    container.style.display = 'block';
+}
+
+function applyCommandSuggestion(name) {
+    const input = document.getElementById('messageInput');
+    input.value = `/${name} `;
+    input.focus();
+    selectedSuggestion = 0;
+    renderCommandSuggestions();
+}
+
+window.applyCommandSuggestion = applyCommandSuggestion;
+
+// Arrow keys move through suggestions, Tab completes; returns true if handled
+function handleCommandSuggestionKey(e) {
+    const suggestions = getCommandSuggestions();
+    if (suggestions.length === 0) return false;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        selectedSuggestion = (selectedSuggestion + step + suggestions.length) % suggestions.length;
+        renderCommandSuggestions();
+    } else if (e.key === 'Tab') {
+        applyCommandSuggestion(suggestions[selectedSuggestion].name);
+    } else if (e.key === 'Escape') {
+        document.getElementById('commandSuggestions').style.display = 'none';
+    } else {
+        return false;
+    }
+    
+    e.preventDefault();
+    return true;
+}
+
+// Message search
+function openSearchModal() {
+    if (!currentUser || !socket) {
+        showComingSoon('🔒 Connect Wallet First', 'Please connect your wallet to search your messages.');
+        return;
+    }
+    
+    const roomSelect = document.getElementById('searchRoom');
+    roomSelect.innerHTML = '<option value="">All conversations</option>' + rooms.map(room =>
+        `<option value="${room.id}">${escapeHtml(room.name)}</option>`
+    ).join('');
+    
+    if (currentRoom) {
+        roomSelect.value = currentRoom.id;
+    }
+    
+    document.getElementById('searchModal').classList.add('active');
+    document.getElementById('searchQuery').focus();
+}
+
+function closeSearchModal() {
+    document.getElementById('searchModal').classList.remove('active');
+}
+
+function searchMessages() {
+    const query = document.getElementById('searchQuery').value.trim();
+    if (!query || !socket) return;
+    
+    const from = document.getElementById('searchFrom').value;
+    const to = document.getElementById('searchTo').value;
+    
+    document.getElementById('searchResults').innerHTML = '<div class="thread-loading">Searching...</div>';
+    
+    socket.emit('search_messages', {
+        query,
+        roomId: document.getElementById('searchRoom').value || null,
+        sender: document.getElementById('searchSender').value.trim() || null,
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null
+    });
+}
+
+// Matches in encrypted rooms can only be found among messages decrypted on this device
+function searchLoadedEncryptedMessages(query) {
+    const roomFilter = document.getElementById('searchRoom').value;
+    if (!currentRoom || currentRoom.isPublic) return [];
+    if (roomFilter && parseInt(roomFilter) !== currentRoom.id) return [];
+    
+    const needle = query.toLowerCase();
+    
+    return Object.values(displayedMessages)
+        .filter(m => m.nonce && getMessageText(m)?.toLowerCase().includes(needle))
+        .map(m => {
+            const text = getMessageText(m);
+            const index = text.toLowerCase().indexOf(needle);
+            const start = Math.max(0, index - 40);
+            const snippet = (start > 0 ? '…' : '') + text.slice(start, index) +
+                '\u0002' + text.slice(index, index + query.length) + '\u0003' +
+                text.slice(index + query.length, index + query.length + 80);
+            
+            return {
+                messageId: m.id,
+                roomId: m.roomId,
+                roomName: currentRoom.name,
+                username: m.username,
+                snippet,
+                timestamp: m.timestamp
+            };
+        });
+}
+
+// Escape a server snippet and turn its match markers into <mark> tags
+function highlightSnippet(snippet) {
+    return snippet
+        .split('\u0002')
+        .map((part, i) => {
+            if (i === 0) return escapeHtml(part);
+            const [match, ...rest] = part.split('\u0003');
+            return `<mark>${escapeHtml(match)}</mark>${escapeHtml(rest.join(''))}`;
+        })
+        .join('');
+}
+
+function renderSearchResults(query, results) {
+    const container = document.getElementById('searchResults');
+    const allResults = [...searchLoadedEncryptedMessages(query), ...results];
+    
+    if (allResults.length === 0) {
+        container.innerHTML = '<div class="thread-loading">No messages found</div>';
+        return;
+    }
+    
+    container.innerHTML = allResults.map(result => `
+        <div class="search-result" onclick="jumpToMessage(${result.roomId}, ${result.messageId})">
+            <div class="search-result-header">
+                <span class="search-result-room">${escapeHtml(result.roomName)}</span>
+                <span class="search-result-time">${formatTime(result.timestamp)}</span>
+            </div>
+            <div class="search-result-sender">${escapeHtml(result.username || '')}</div>
+            <div class="search-result-snippet">${highlightSnippet(result.snippet)}</div>
+        </div>
+    `).join('');
+}
+
+// Open the result's room and page back through history until the message is loaded
+function jumpToMessage(roomId, messageId) {
+    closeSearchModal();
+    pendingJump = { roomId, messageId };
+    
+    if (currentRoom?.id === roomId && currentRoom.members) {
+        continuePendingJump();
+    } else {
+        selectRoom(roomId);
+    }
+}
+
+window.jumpToMessage = jumpToMessage;
+
+function continuePendingJump() {
+    if (!pendingJump || currentRoom?.id !== pendingJump.roomId) return;
+    
+    if (displayedMessages[pendingJump.messageId]) {
+        const { messageId } = pendingJump;
+        pendingJump = null;
+        setTimeout(() => scrollToMessage(messageId), 0);
+    } else if (currentRoom.hasMoreMessages) {
+        requestOlderMessages(100);
+    } else {
+        pendingJump = null;
+        showComingSoon('🔍 Message Not Found', 'This message is no longer available.');
+    }
+}
+
+// Thread view
+function openThread(messageId) {
+    if (!currentRoom || !socket) return;
+    
+    openThreadState = { messageId, cursor: null, hasMore: false };
+    
+    document.getElementById('threadParent').innerHTML = '';
+    document.getElementById('threadReplies').innerHTML = '<div class="thread-loading">Loading replies...</div>';
+    document.getElementById('threadLoadMore').style.display = 'none';
+    document.getElementById('threadModal').classList.add('active');
+    
+    socket.emit('load_thread', { roomId: currentRoom.id, messageId });
+}
+
+window.openThread = openThread;
+
+function closeThread() {
+    openThreadState = null;
+    document.getElementById('threadModal').classList.remove('active');
+    document.getElementById('threadReplyInput').value = '';
+}
+
+function loadOlderThreadReplies() {
+    if (!openThreadState?.hasMore || !socket) return;
+    
+    socket.emit('load_thread', {
+        roomId: currentRoom.id,
+        messageId: openThreadState.messageId,
+        cursor: openThreadState.cursor
+    });
+}
+
+function createThreadItem(message) {
+    const item = document.createElement('div');
+    item.className = `thread-message ${message.userId === currentUser.id ? 'sent' : ''}`;
+    item.setAttribute('data-thread-message-id', message.id);
+    
+    const text = getMessageText(message);
+    const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    
+    item.innerHTML = `
+        <div class="message-username">${escapeHtml(memberName(message.userId, message.username))}</div>
+        ${text === null
+            ? '<div class="message-content message-undecryptable">🔒 Unable to decrypt this message on this device</div>'
+            : `<div class="message-content">${escapeHtml(text)}</div>`}
+        <div class="message-time">${time}${message.editedAt ? ' <span class="message-edited">· edited</span>' : ''}</div>
+    `;
+    
+    noteBurnMessageViewed(message);
+    return item;
+}
+
+function renderThreadParent(parent) {
+    const container = document.getElementById('threadParent');
+    container.innerHTML = '';
+    
+    if (parent) {
+        container.appendChild(createThreadItem(parent));
+    } else {
+        container.innerHTML = '<div class="message-quote unavailable">Original message is no longer available</div>';
+    }
+}
+
+function appendThreadReplies(replies) {
+    const container = document.getElementById('threadReplies');
+    container.querySelector('.thread-loading')?.remove();
+    
+    replies.forEach(reply => {
+        if (!container.querySelector(`[data-thread-message-id="${reply.id}"]`)) {
+            container.appendChild(createThreadItem(reply));
+        }
+    });
+    container.scrollTop = container.scrollHeight;
+}
+
+function prependThreadReplies(replies) {
+    const container = document.getElementById('threadReplies');
+    const previousHeight = container.scrollHeight;
+    const fragment = document.createDocumentFragment();
+    
+    replies.forEach(reply => fragment.appendChild(createThreadItem(reply)));
+    
+    container.insertBefore(fragment, container.firstChild);
+    container.scrollTop += container.scrollHeight - previousHeight;
+}
+
+function updateThreadItem(message) {
+    const existing = document.querySelector(`[data-thread-message-id="${message.id}"]`);
+    if (existing) {
+        existing.replaceWith(createThreadItem(message));
+    }
+}
+
+function sendThreadReply() {
+    const input = document.getElementById('threadReplyInput');
+    const text = input.value.trim();
+    
+    if (!text || !openThreadState || !currentRoom || !socket) return;
+    
+    const payload = buildMessagePayload(text);
+    if (!payload) return;
+    
+    socket.emit('send_message', {
+        roomId: currentRoom.id,
+        ...payload,
+        parentId: openThreadState.messageId,
+        expiresAt: getTimerExpiresAt()
+    });
+    
+    input.value = '';
+}
+
+function startEditMessage(messageId) {
+    const message = displayedMessages[messageId];
+    const text = message && getMessageText(message);
+    
+    if (text === null || text === undefined) return;
+    
+    cancelReply();
+    editingMessageId = messageId;
+    
+    const input = document.getElementById('messageInput');
+    input.value = text;
+    input.placeholder = 'Edit message... (Esc to cancel)';
+    input.classList.add('editing');
+    input.focus();
+}
+
+window.startEditMessage = startEditMessage;
+
+function cancelEditMessage() {
+    if (!editingMessageId) return;
+    
+    editingMessageId = null;
+    
+    const input = document.getElementById('messageInput');
+    input.value = '';
+    input.placeholder = 'Type your message...';
+    input.classList.remove('editing');
+}
+
+function deleteMessage(messageId, asModerator = false) {
+    const question = asModerator
+        ? 'Remove this message for everyone? The author will be told.'
+        : 'Unsend this message for everyone?';
+    
+    if (!socket || !confirm(question)) return;
+    
+    socket.emit('delete_message', { messageId });
 }
 
-function closeSwapModal() {
-    document.getElementById('swapModal').classList.remove('active');
+window.deleteMessage = deleteMessage;
+
+function reportMessage(messageId) {
+    if (!socket) return;
+    
+    const reason = prompt('Report this message to the moderators. What is wrong with it? (optional)');
+    
+    if (reason !== null) {
+        socket.emit('report_message', { messageId, reason });
+    }
 }
 
-function reverseSwapDirection() {
-    const fromToken = document.getElementById('swapFromToken');
-    const toToken = document.getElementById('swapToToken');
-    const fromAmount = document.getElementById('swapFromAmount');
-    const toAmount = document.getElementById('swapToAmount');
+window.reportMessage = reportMessage;
+
+// Insert an older page above the current messages without moving the viewport
+function prependMessages(messages) {
+    const container = document.getElementById('messagesContainer');
+    const previousHeight = container.scrollHeight;
+    const fragment = document.createDocumentFragment();
     
-    // Swap token icons
-    const fromIcon = fromToken.querySelector('.token-icon');
-    const toIcon = toToken.querySelector('.token-icon');
-    [fromIcon.src, toIcon.src] = [toIcon.src, fromIcon.src];
-    [fromIcon.alt, toIcon.alt] = [toIcon.alt, fromIcon.alt];
+    messages.forEach(message => {
+        displayedMessages[message.id] = message;
+        fragment.appendChild(createMessageElement(message));
+    });
     
-    // Swap token symbols
-    const fromSymbol = fromToken.querySelector('.token-symbol');
-    const toSymbol = toToken.querySelector('.token-symbol');
-    [fromSymbol.textContent, toSymbol.textContent] = [toSymbol.textContent, fromSymbol.textContent];
+    container.insertBefore(fragment, container.firstChild);
+    container.scrollTop += container.scrollHeight - previousHeight;
     
-    // Swap amounts
-    const temp = fromAmount.value;
-    fromAmount.value = toAmount.value || '';
-    toAmount.value = temp;
+    messages.forEach(message => {
+        renderMessageReactions(message.id);
+        renderMessageStatus(message.id);
+    });
+}
+
+function loadOlderMessagesOnScroll() {
+    const container = document.getElementById('messagesContainer');
     
-    // Swap balances
-    const solBalance = document.getElementById('solBalance');
-    const usdcBalance = document.getElementById('usdcBalance');
-    [solBalance.textContent, usdcBalance.textContent] = [usdcBalance.textContent, solBalance.textContent];
+    if (container.scrollTop > 80) return;
     
-    calculateSwapAmount();
+    requestOlderMessages();
 }
 
-function calculateSwapAmount() {
-    const fromAmount = parseFloat(document.getElementById('swapFromAmount').value) || 0;
-    const exchangeRate = 142.5; // SOL to USDC
-    const toAmount = (fromAmount * exchangeRate).toFixed(2);
+function requestOlderMessages(limit) {
+    if (!currentRoom || !socket) return;
+    if (!currentRoom.hasMoreMessages || currentRoom.loadingHistory) return;
     
-    document.getElementById('swapToAmount').value = toAmount;
+    currentRoom.loadingHistory = true;
+    socket.emit('load_more_messages', {
+        roomId: currentRoom.id,
+        cursor: currentRoom.historyCursor,
+        limit
+    });
+}
+
+// Report the newest message in the open room as read (or just delivered if the tab is hidden)
+function acknowledgeLatestMessage() {
+    if (!currentRoom || currentRoom.isPublic || !socket) return;
     
-    // Update details
-    if (fromAmount > 0) {
-        const minReceived = (toAmount * 0.9912).toFixed(2); // Account for 0.88% slippage
-        document.getElementById('minReceived').textContent = minReceived + ' USDC';
-        document.getElementById('exchangeRate').textContent = `1 SOL = ${exchangeRate} USDC`;
+    const latestId = Math.max(0, ...Object.keys(displayedMessages).map(Number));
+    if (!latestId) return;
+    
+    const event = document.visibilityState === 'visible' ? 'messages_read' : 'message_delivered';
+    
+    if (lastAcknowledged?.roomId === currentRoom.id &&
+        lastAcknowledged.messageId === latestId &&
+        lastAcknowledged.event === event) {
+        return;
     }
+    
+    lastAcknowledged = { roomId: currentRoom.id, messageId: latestId, event };
+    socket.emit(event, { roomId: currentRoom.id, messageId: latestId });
 }
 
-function executeSwap() {
-    const fromAmount = document.getElementById('swapFromAmount').value;
-    const toAmount = document.getElementById('swapToAmount').value;
+// Sent / delivered / read ticks on our own messages; groups show "read by N"
+function renderMessageStatus(messageId) {
+    const statusEl = document.getElementById(`status-${messageId}`);
+    if (!statusEl || !currentRoom || currentRoom.isPublic) return;
     
-    if (!fromAmount || parseFloat(fromAmount) === 0) {
-        alert('Please enter an amount to swap');
+    const others = (currentRoom.members || []).filter(m => m.id !== currentUser.id);
+    const readers = others.filter(m => (roomReceipts[m.id]?.lastReadMessageId || 0) >= messageId);
+    const recipients = others.filter(m => (roomReceipts[m.id]?.lastDeliveredMessageId || 0) >= messageId);
+    const names = (list) => list.map(m => m.username).join(', ');
+    
+    statusEl.classList.toggle('read', others.length > 0 && readers.length > 0 &&
+        (currentRoom.isGroup || readers.length === others.length));
+    
+    if (currentRoom.isGroup) {
+        if (readers.length > 0) {
+            statusEl.textContent = `✓✓ Read by ${readers.length}`;
+            statusEl.title = `Read by: ${names(readers)}\nDelivered to: ${names(recipients)}`;
+        } else if (recipients.length > 0) {
+            statusEl.textContent = `✓✓ Delivered to ${recipients.length}`;
+            statusEl.title = `Delivered to: ${names(recipients)}`;
+        } else {
+            statusEl.textContent = '✓';
+            statusEl.title = 'Sent';
+        }
         return;
     }
     
-    // Show success animation and message
-    const btn = document.getElementById('swapExecuteBtn');
-    const originalText = btn.textContent;
-    
-    btn.textContent = '✓ Swap Confirmed!';
-    btn.style.background = 'linear-gradient(135deg, #10b981, #059669)';
+    if (others.length > 0 && readers.length === others.length) {
+        statusEl.textContent = '✓✓';
+        statusEl.title = 'Read';
+    } else if (others.length > 0 && recipients.length === others.length) {
+        statusEl.textContent = '✓✓';
+        statusEl.title = 'Delivered';
+    } else {
+        statusEl.textContent = '✓';
+        statusEl.title = 'Sent';
+    }
+}
+
+function renderPrivacySettings() {
+    if (!currentUser?.settings) return;
     
-    setTimeout(() => {
-        closeSwapModal();
-        btn.textContent = originalText;
-        btn.style.background = '';
-        document.getElementById('swapFromAmount').value = '';
-        document.getElementById('swapToAmount').value = '';
-    }, 1500);
+    document.getElementById('settingReadReceipts').checked = currentUser.settings.sendReadReceipts;
+    document.getElementById('settingHideOnlineStatus').checked = currentUser.settings.hideOnlineStatus;
+    document.getElementById('settingHideLastSeen').checked = currentUser.settings.hideLastSeen;
 }
 
-function openNewConversationModal() {
-    if (!currentUser || !walletAddress) {
-        showComingSoon('🔒 Connect Wallet First', 'Please connect your Phantom wallet to start conversations.');
+// Restart the idle countdown on input; report idle right away when hidden
+function reportActivity() {
+    if (document.hidden) {
+        clearTimeout(idleTimer);
+        setIdle(true);
         return;
     }
     
-    document.getElementById('newConversationModal').classList.add('active');
-    document.getElementById('recipientAddress').focus();
+    // Input events fire constantly; restarting the timer once a second is plenty
+    const now = Date.now();
+    if (now - lastActivityAt < 1000) return;
+    lastActivityAt = now;
+    
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => setIdle(true), IDLE_AFTER_MS);
+    setIdle(false);
 }
 
-function closeNewConversationModal() {
-    document.getElementById('newConversationModal').classList.remove('active');
-    document.getElementById('recipientAddress').value = '';
+function setIdle(idle) {
+    if (idle === isIdle || !socket) return;
+    
+    isIdle = idle;
+    socket.emit('set_activity', { idle });
 }
 
-function startNewConversation() {
-    const recipientWallet = document.getElementById('recipientAddress').value.trim();
+function formatLastSeen(timestamp) {
+    const minutes = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
     
-    if (!recipientWallet) {
-        showComingSoon('⚠️ Wallet Address Required', 'Please enter the recipient\'s wallet address.');
-        return;
-    }
+    if (minutes < 1) return 'last seen just now';
+    if (minutes < 60) return `last seen ${minutes} min ago`;
+    if (minutes < 24 * 60) return `last seen ${Math.floor(minutes / 60)} h ago`;
+    return `last seen ${new Date(timestamp).toLocaleDateString()}`;
+}
+
+// "online", "away" or "last seen ...", or '' when the user hides both from us
+function describePresence(userId) {
+    const presence = peerPresence[userId];
     
-    // Check if user is trying to chat with themselves
-    if (recipientWallet === walletAddress) {
-        showComingSoon('⚠️ Invalid Recipient', 'You cannot create a conversation with yourself.');
+    if (!presence) return '';
+    if (presence.status === 'online') return 'online';
+    if (presence.status === 'away') return 'away';
+    return presence.lastSeenAt ? formatLastSeen(presence.lastSeenAt) : '';
+}
+
+// The other person's presence under the name of a private chat
+function renderContactPresence() {
+    const addressEl = document.getElementById('contactAddress');
+    
+    if (!currentRoom) return;
+    
+    if (currentRoom.isGroup) {
+        addressEl.textContent = 'Group Chat';
+        addressEl.dataset.presence = '';
         return;
     }
     
-    if (socket) {
-        // Send wallet address to server to check if user exists
-        socket.emit('create_private_chat', {
-            recipientWallet: recipientWallet
-        });
-    }
+    const other = currentRoom.members?.find(m => m.id !== currentUser?.id);
+    const presence = other ? describePresence(other.id) : '';
     
-    closeNewConversationModal();
+    addressEl.textContent = presence || currentRoom.creator || '';
+    addressEl.dataset.presence = other ? peerPresence[other.id]?.status || '' : '';
 }
 
-function selectRoom(roomId) {
-    const room = rooms.find(r => r.id === roomId);
-    
-    if (!room) return;
+// A room member's name: our nickname for them, else their display name or
+// handle, falling back to the name the server sent
+function memberName(userId, fallback) {
+    const member = currentRoom?.members?.find(m => m.id === userId);
+    const contact = findContact(userId);
+    return (contact?.isContact && contact.nickname) || member?.displayName || member?.username || fallback || '';
+}
+
+// Avatar image, or the first letter of the name on a coloured circle
+function renderAvatar(el, avatarUrl, name) {
+    el.innerHTML = avatarUrl
+        ? `<img src="${escapeHtml(avatarUrl)}" alt="">`
+        : escapeHtml((name || '?').charAt(0).toUpperCase());
+}
+
+function renderProfileEditor() {
+    const profile = currentUser?.profile;
+    if (!profile) return;
     
-    currentRoom = room;
+    document.getElementById('profileHandle').value = profile.handle || '';
+    document.getElementById('profileDisplayName').value = profile.displayName || '';
+    document.getElementById('profileBio').value = profile.bio || '';
+    renderAvatar(document.getElementById('profileEditAvatar'), pendingAvatar === undefined ? profile.avatarUrl : pendingAvatar, profile.handle);
+}
+
+// Shrink the picked picture to a small square-ish JPEG
+async function handleAvatarInput(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
     
-    // Join the room if not already joined
-    if (socket) {
-        socket.emit('join_room', { roomId });
+    try {
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, AVATAR_SIZE / Math.min(bitmap.width, bitmap.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+        
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
+        if (dataUrl.length * 3 / 4 > MAX_AVATAR_BYTES) {
+            showComingSoon('⚠️ Picture Too Large', 'Please pick a smaller picture.');
+            return;
+        }
+        
+        pendingAvatar = dataUrl;
+        renderAvatar(document.getElementById('profileEditAvatar'), dataUrl, currentUser?.username);
+    } catch (error) {
+        console.error('Avatar processing failed:', error);
+        showComingSoon('⚠️ Unsupported Picture', 'Please pick a PNG, JPEG or WebP image.');
     }
+}
+
+// Send only what changed; the server answers with profile_updated or an error
+function saveProfile() {
+    const profile = currentUser?.profile;
+    if (!profile || !socket) return;
     
-    // Update UI
-    document.getElementById('chatEmptyState').style.display = 'none';
-    document.getElementById('chatActive').style.display = 'flex';
+    const changes = {};
+    const handle = document.getElementById('profileHandle').value.trim().replace(/^@/, '');
+    const displayName = document.getElementById('profileDisplayName').value.trim();
+    const bio = document.getElementById('profileBio').value.trim();
     
-    document.getElementById('contactName').textContent = room.name;
-    document.getElementById('contactAddress').textContent = room.isGroup ? 'Group Chat' : room.creator;
+    if (handle !== profile.handle) changes.handle = handle;
+    if (displayName !== (profile.displayName || '')) changes.displayName = displayName;
+    if (bio !== (profile.bio || '')) changes.bio = bio;
+    if (pendingAvatar !== undefined) changes.avatar = pendingAvatar;
     
-    // Clear messages
-    document.getElementById('messagesContainer').innerHTML = '';
+    if (Object.keys(changes).length > 0) {
+        socket.emit('update_profile', changes);
+    }
+}
+
+function showProfile(profile) {
+    viewedProfile = profile;
     
-    // Update sidebar selection
-    document.querySelectorAll('.conversation-item').forEach(item => {
-        item.classList.remove('active');
+    renderAvatar(document.getElementById('profileViewAvatar'), profile.avatarUrl, profile.displayName || profile.handle);
+    document.getElementById('profileViewName').textContent = profile.displayName || profile.handle;
+    document.getElementById('profileViewHandle').textContent = `@${profile.handle}`;
+    document.getElementById('profileViewBio').textContent = profile.bio || '';
+    document.getElementById('profileViewWallet').textContent = profile.walletAddress;
+    document.getElementById('profileMessageBtn').style.display = profile.id === currentUser?.id ? 'none' : '';
+    renderProfileContactButtons();
+    document.getElementById('profileModal').classList.add('active');
+}
+
+// "Add Contact" and "Block" / "Unblock" for someone else's profile
+function renderProfileContactButtons() {
+    const isSelf = viewedProfile?.id === currentUser?.id;
+    const contact = viewedProfile ? findContact(viewedProfile.id) : null;
+    const contactBtn = document.getElementById('profileContactBtn');
+    const blockBtn = document.getElementById('profileBlockBtn');
+    
+    contactBtn.style.display = isSelf || contact?.isContact ? 'none' : '';
+    blockBtn.style.display = isSelf ? 'none' : '';
+    blockBtn.textContent = contact?.blocked ? 'Unblock' : 'Block';
+}
+
+function closeProfileModal() {
+    viewedProfile = null;
+    document.getElementById('profileModal').classList.remove('active');
+}
+
+function findContact(userId) {
+    return contacts.find(c => c.userId === userId);
+}
+
+function contactName(contact) {
+    return contact.nickname || contact.displayName || contact.handle;
+}
+
+// The sidebar shows the conversations, the contacts or the message requests
+function showSidebarPanel(panel) {
+    const panels = { conversations: 'conversationsList', contacts: 'contactsPanel', requests: 'requestsPanel' };
+    
+    sidebarPanel = panel;
+    Object.entries(panels).forEach(([name, id]) => {
+        document.getElementById(id).style.display = name === panel ? '' : 'none';
     });
-    document.querySelector(`[data-id="${roomId}"]`)?.classList.add('active');
+    document.getElementById('contactsToggleBtn').classList.toggle('active', panel === 'contacts');
+    document.getElementById('requestsToggleBtn').classList.toggle('active', panel === 'requests');
 }
 
-// Expose selectRoom globally so onclick can access it
-window.selectRoom = selectRoom;
+function renderMessageRequests() {
+    const button = document.getElementById('requestsToggleBtn');
+    
+    button.style.display = messageRequests.length > 0 ? '' : 'none';
+    document.getElementById('requestsCount').textContent = messageRequests.length > 0 ? `(${messageRequests.length})` : '';
+    
+    if (messageRequests.length === 0 && sidebarPanel === 'requests') {
+        showSidebarPanel('conversations');
+    }
+    
+    document.getElementById('requestsList').innerHTML = messageRequests.map(request => `
+        <div class="group-member contact-item request-item ${currentRoom?.id === request.roomId ? 'active' : ''}" data-room-id="${request.roomId}">
+            <div class="profile-avatar"></div>
+            <span class="group-member-name" title="${escapeHtml(request.sender.walletAddress)}">
+                ${escapeHtml(request.sender.displayName || request.sender.handle)} <span class="group-member-handle">@${escapeHtml(request.sender.handle)}</span>
+                <span class="contact-presence">${formatTime(request.createdAt)}</span>
+            </span>
+        </div>
+    `).join('');
+    
+    document.querySelectorAll('#requestsList .request-item').forEach((item, i) => {
+        const { sender } = messageRequests[i];
+        renderAvatar(item.querySelector('.profile-avatar'), sender.avatarUrl, sender.displayName || sender.handle);
+    });
+}
 
-// Set auto-delete timer
-function setMessageTimer(seconds) {
-    selectedTimerSeconds = seconds;
-    const label = timerLabels[seconds] || 'Off';
-    document.getElementById('timerLabel').textContent = label;
+// A request we received replaces the message input with accept / decline /
+// block until answered; one we sent only says it is waiting
+function updateRequestBar() {
+    const pendingFor = currentRoom?.requestRecipientId;
+    const isReceived = !!pendingFor && pendingFor === currentUser?.id;
+    const text = document.getElementById('requestBarText');
     
-    const timerBtn = document.getElementById('timerBtn');
-    if (seconds > 0) {
-        timerBtn.classList.add('active');
-    } else {
-        timerBtn.classList.remove('active');
+    document.getElementById('requestBar').style.display = pendingFor ? '' : 'none';
+    document.getElementById('requestBarActions').style.display = isReceived ? '' : 'none';
+    document.querySelector('.chat-input-container').style.display = isReceived ? 'none' : '';
+    
+    if (isReceived) {
+        const sender = messageRequests.find(r => r.roomId === currentRoom.id)?.sender;
+        const name = sender ? `@${sender.handle}` : 'Someone you haven\'t talked to before';
+        text.textContent = `${name} wants to message you. They can't see your online status or read receipts unless you accept.`;
+    } else if (pendingFor) {
+        text.textContent = 'Message request sent. You won\'t see their online status or read receipts until they accept.';
     }
 }
 
-function sendMessage() {
-    const input = document.getElementById('messageInput');
-    const text = input.value.trim();
+function answerMessageRequest(answer) {
+    if (!currentRoom || !socket) return;
     
-    if (!text || !currentRoom || !socket) return;
+    const roomId = currentRoom.id;
     
-    // Calculate expiration time if timer is set
-    let expiresAt = null;
-    if (selectedTimerSeconds > 0) {
-        const expirationDate = new Date();
-        expirationDate.setSeconds(expirationDate.getSeconds() + selectedTimerSeconds);
-        expiresAt = expirationDate.toISOString();
+    if (answer === 'accept') {
+        socket.emit('accept_message_request', { roomId });
+    } else if (answer === 'block') {
+        if (confirm('Block this user and delete their messages? They won\'t be able to message you again.')) {
+            socket.emit('decline_message_request', { roomId, block: true });
+        }
+    } else if (confirm('Decline this request? The conversation will be deleted.')) {
+        socket.emit('decline_message_request', { roomId });
     }
+}
+
+function renderContactItem(contact) {
+    const actions = contact.blocked
+        ? ['<button class="group-member-action" data-action="unblock_user">Unblock</button>']
+        : [
+            '<button class="group-member-action" data-action="message">Message</button>',
+            '<button class="group-member-action" data-action="edit">Edit</button>',
+            '<button class="group-member-action danger" data-action="block_user">Block</button>'
+        ];
     
-    socket.emit('send_message', {
-        roomId: currentRoom.id,
-        content: text,
-        expiresAt: expiresAt
-    });
+    if (contact.isContact) {
+        actions.push('<button class="group-member-action danger" data-action="remove_contact">Remove</button>');
+    }
     
-    input.value = '';
+    const presence = contact.blocked ? '' : describePresence(contact.userId);
     
-    // Stop typing indicator
-    socket.emit('stop_typing', { roomId: currentRoom.id });
+    return `
+        <div class="group-member contact-item" data-user-id="${contact.userId}">
+            <div class="profile-avatar"></div>
+            <span class="group-member-name" title="${escapeHtml(contact.walletAddress)}">
+                ${escapeHtml(contactName(contact))} <span class="group-member-handle">@${escapeHtml(contact.handle)}</span>
+                <span class="contact-presence">${escapeHtml(presence)}</span>
+            </span>
+            ${contact.blocked ? '' : `<span class="presence-dot ${peerPresence[contact.userId]?.status || ''}"></span>`}
+            ${contact.note ? `<div class="contact-note">${escapeHtml(contact.note)}</div>` : ''}
+            <div class="contact-actions">${actions.join('')}</div>
+        </div>
+    `;
 }
 
-function displayMessage(message) {
-    const container = document.getElementById('messagesContainer');
+function renderContacts() {
+    const saved = contacts.filter(c => c.isContact);
+    const blocked = contacts.filter(c => c.blocked);
     
-    const isSent = message.userId === currentUser.id;
+    document.getElementById('contactsList').innerHTML = saved.length > 0
+        ? saved.map(renderContactItem).join('')
+        : '<p class="modal-hint">No contacts yet. Add someone by @handle or wallet address.</p>';
+    document.getElementById('blockedTitle').style.display = blocked.length > 0 ? '' : 'none';
+    document.getElementById('blockedList').innerHTML = blocked.map(renderContactItem).join('');
     
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${isSent ? 'sent' : 'received'}`;
-    messageDiv.setAttribute('data-message-id', message.id);
+    document.querySelectorAll('#contactsPanel .contact-item').forEach(item => {
+        const contact = findContact(Number(item.dataset.userId));
+        renderAvatar(item.querySelector('.profile-avatar'), contact.avatarUrl, contactName(contact));
+    });
+}
+
+// Add a contact by @handle or wallet address, like the new conversation modal
+function addContact() {
+    const input = document.getElementById('contactAddInput');
+    const value = input.value.trim();
     
-    const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (!value || !socket) return;
     
-    // Check if message has expiration
-    let timerHtml = '';
-    if (message.expiresAt) {
-        const expiresDate = new Date(message.expiresAt);
-        const timeLeft = Math.max(0, Math.floor((expiresDate - new Date()) / 1000));
-        
-        if (timeLeft > 0) {
-            timerHtml = `<div class="message-timer" data-expires="${message.expiresAt}">
-                <span class="message-timer-icon">⏱️</span>
-                <span class="timer-countdown">${formatTimerCountdown(timeLeft)}</span>
-            </div>`;
-            
-            // Start countdown
-            startMessageCountdown(message.id, expiresDate);
-        }
+    const isWallet = WALLET_ADDRESS_PATTERN.test(value);
+    socket.emit('save_contact', isWallet ? { wallet: value } : { handle: value.replace(/^@/, '') });
+    input.value = '';
+}
+
+function handleContactAction(e) {
+    const button = e.target.closest('[data-action]');
+    const item = e.target.closest('.contact-item');
+    const contact = item ? findContact(Number(item.dataset.userId)) : null;
+    
+    if (!button || !contact || !socket) return;
+    
+    switch (button.dataset.action) {
+        case 'message':
+            socket.emit('create_private_chat', { recipientHandle: contact.handle });
+            showSidebarPanel('conversations');
+            break;
+        case 'edit':
+            openContactModal(contact);
+            break;
+        case 'block_user':
+            if (confirm(`Block @${contact.handle}? They won't be able to message you privately or see when you're online, and you won't see their messages.`)) {
+                socket.emit('block_user', { userId: contact.userId });
+            }
+            break;
+        default:
+            socket.emit(button.dataset.action, { userId: contact.userId });
+    }
+}
+
+function openContactModal(contact) {
+    editedContact = contact;
+    document.getElementById('contactModalHandle').textContent = `@${contact.handle}`;
+    document.getElementById('contactNickname').value = contact.nickname || '';
+    document.getElementById('contactNote').value = contact.note || '';
+    document.getElementById('contactModal').classList.add('active');
+    document.getElementById('contactNickname').focus();
+}
+
+function closeContactModal() {
+    editedContact = null;
+    document.getElementById('contactModal').classList.remove('active');
+}
+
+function saveContactDetails() {
+    if (editedContact && socket) {
+        socket.emit('save_contact', {
+            userId: editedContact.userId,
+            nickname: document.getElementById('contactNickname').value.trim(),
+            note: document.getElementById('contactNote').value.trim()
+        });
     }
+    closeContactModal();
+}
+
+// Take messages from blocked users off the screen; the server stops sending
+// new ones and leaves them out of history
+function hideBlockedMessages() {
+    const blocked = new Set(contacts.filter(c => c.blocked).map(c => c.userId));
     
-    messageDiv.innerHTML = `
-        ${!isSent ? `<div class="message-username">${message.username}</div>` : ''}
-        <div class="message-content">${escapeHtml(message.content)}</div>
-        <div class="message-time">${time}</div>
-        ${timerHtml}
-        <div class="message-reactions" id="reactions-${message.id}"></div>
-        <button class="add-reaction-btn" onclick="showReactionPicker(${message.id})" title="Add reaction">
-            <span class="reaction-icon">😊</span>
-        </button>
-    `;
+    Object.values(displayedMessages)
+        .filter(message => blocked.has(message.userId))
+        .forEach(message => {
+            document.querySelector(`[data-message-id="${message.id}"]`)?.remove();
+            delete displayedMessages[message.id];
+        });
+}
+
+function renderPresence() {
+    renderContactPresence();
+    renderContacts();
     
-    container.appendChild(messageDiv);
-    container.scrollTop = container.scrollHeight;
+    if (currentRoom && document.getElementById('groupInfoModal').classList.contains('active')) {
+        renderGroupInfo();
+    }
+}
+
+function storeReactions(reactions) {
+    if (!reactions) return;
     
-    // Render existing reactions if any
-    renderMessageReactions(message.id);
+    reactions.forEach(r => {
+        if (!messageReactions[r.messageId]) {
+            messageReactions[r.messageId] = [];
+        }
+        messageReactions[r.messageId].push(r);
+    });
 }
 
 // Reaction picker and management
@@ -995,7 +4123,19 @@ function formatTimerCountdown(seconds) {
     }
 }
 
+// Count down to expiresDate and remove the message when it is reached.
+// Without a date (burn-after-read not yet viewed) show the "starts on read" state instead.
 function startMessageCountdown(messageId, expiresDate) {
+    if (!expiresDate) {
+        const timerEl = document.querySelector(`[data-message-id="${messageId}"] .timer-countdown`);
+        const message = displayedMessages[messageId];
+        
+        if (timerEl && message?.burnSeconds) {
+            timerEl.textContent = `${formatTimerCountdown(message.burnSeconds)} · starts on read`;
+        }
+        return;
+    }
+    
     const interval = setInterval(() => {
         const messageEl = document.querySelector(`[data-message-id="${messageId}"]`);
         if (!messageEl) {
@@ -1012,7 +4152,7 @@ function startMessageCountdown(messageId, expiresDate) {
             messageEl.style.opacity = '0';
             messageEl.style.transition = 'opacity 0.3s';
             setTimeout(() => {
-                messageEl.remove();
+                removeMessage(messageId);
             }, 300);
             clearInterval(interval);
         } else {
@@ -1059,9 +4199,10 @@ function renderRooms() {
         return;
     }
     
-    // Separate public rooms from regular rooms
+    // Separate public rooms from regular rooms; requests we haven't
+    // accepted are listed under message requests
     const publicRooms = rooms.filter(room => room.isPublic);
-    const regularRooms = rooms.filter(room => !room.isPublic);
+    const regularRooms = rooms.filter(room => !room.isPublic && room.requestRecipientId !== currentUser?.id);
     
     // Render public rooms first, then regular rooms
     const allRooms = [...publicRooms, ...regularRooms];
@@ -1122,7 +4263,7 @@ async function sendAiMessage() {
     if (!message) return;
     
     if (!currentUser || !walletAddress) {
-        showComingSoon('🔒 Connect Wallet First', 'Please connect your Phantom wallet to use the AI Assistant.');
+        showComingSoon('🔒 Connect Wallet First', 'Please connect your wallet to use the AI Assistant.');
         return;
     }
     
@@ -1152,6 +4293,8 @@ async function sendAiMessage() {
         
         if (data.success) {
             addAiMessage(data.response, 'bot');
+        } else if (data.code === 'rate_limited') {
+            addAiMessage(data.error, 'bot');
         } else {
             addAiMessage('Sorry, I encountered an error. Please try again.', 'bot');
         }
@@ -1193,7 +4336,7 @@ function removeAiMessage(messageId) {
     }
 }
 
-// UI helper functions for Phantom wallet
+// UI helper functions for wallets
 function showConnectWalletUI() {
     // Show connect wallet button in the empty state
     const emptyState = document.querySelector('.empty-state');
@@ -1206,11 +4349,16 @@ function showConnectWalletUI() {
                     <line x1="12" y1="22.08" x2="12" y2="12"></line>
                 </svg>
             </div>
-            <h2>Connect Your Phantom Wallet</h2>
-            <p>Connect your Solana wallet to start private, secure conversations.</p>
+            <h2>Connect Your Wallet</h2>
+            <p>Connect your Solana or Ethereum wallet to start private, secure conversations.</p>
+            ${phantomWallet ? `
             <button onclick="connectPhantomWallet()" class="btn-primary" style="margin-top: 20px; padding: 12px 32px; font-size: 16px; background: var(--purple-primary);">
-                <span style="margin-right: 8px;">🔗</span> Connect Wallet
-            </button>
+                <span style="margin-right: 8px;">🔗</span> Connect Phantom
+            </button>` : ''}
+            ${ethereumWallet ? `
+            <button onclick="connectEthereumWallet()" class="btn-primary" style="margin-top: 12px; padding: 12px 32px; font-size: 16px; background: var(--purple-primary);">
+                <span style="margin-right: 8px;">🦊</span> Connect MetaMask
+            </button>` : ''}
         `;
         emptyState.style.display = 'flex';
     }
@@ -1231,7 +4379,7 @@ function hideConnectWalletUI() {
     }
 }
 
-function showPhantomNotInstalled() {
+function showWalletNotInstalled() {
     const emptyState = document.querySelector('.empty-state');
     if (emptyState) {
         emptyState.innerHTML = `
@@ -1242,11 +4390,14 @@ function showPhantomNotInstalled() {
                     <line x1="12" y1="16" x2="12.01" y2="16"></line>
                 </svg>
             </div>
-            <h2>Phantom Wallet Not Detected</h2>
-            <p>ZKONTROL requires Phantom wallet for secure authentication.</p>
+            <h2>No Wallet Detected</h2>
+            <p>ZKONTROL requires a Phantom (Solana) or MetaMask (Ethereum) wallet for secure authentication.</p>
             <a href="https://phantom.app/" target="_blank" class="btn-primary" style="margin-top: 20px; padding: 12px 32px; font-size: 16px; background: var(--purple-primary); text-decoration: none; display: inline-block;">
                 Install Phantom Wallet
             </a>
+            <a href="https://metamask.io/" target="_blank" class="btn-primary" style="margin-top: 12px; padding: 12px 32px; font-size: 16px; background: var(--purple-primary); text-decoration: none; display: inline-block;">
+                Install MetaMask
+            </a>
             <p style="margin-top: 16px; font-size: 14px; color: var(--text-muted);">After installing, refresh this page</p>
         `;
         emptyState.style.display = 'flex';
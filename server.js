@@ -4,17 +4,56 @@ import { Server } from 'socket.io';
 import session from 'express-session';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { randomBytes } from 'crypto';
+import { pipeline } from 'stream/promises';
 import { storage } from './server/storage.js';
-import { PublicKey } from '@solana/web3.js';
-import nacl from 'tweetnacl';
 import { getCryptoAssistantResponse } from './server/openai.js';
+import { verifyKeyBinding, isValidEnvelope, isValidKeyBackup } from './server/encryption.js';
+import { commands, CommandError } from './server/commands.js';
+import { isAdmin, isModerator, canModerate } from './server/roles.js';
+import { ExpiryScheduler } from './server/expiry.js';
+import {
+  createAttachmentStore,
+  UploadStaging,
+  validateAttachmentUpload,
+  ATTACHMENT_CHUNK_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  MAX_ATTACHMENT_METADATA_BYTES
+} from './server/attachments.js';
+import { parsePolicySeconds, applyDisappearingPolicy, describePolicyChange, MAX_DISAPPEARING_SECONDS, MAX_RETENTION_SECONDS } from './server/policies.js';
+import {
+  parseModeratorWallets,
+  parseModerationSettings,
+  findFilteredContent,
+  sanctionExpiresAt,
+  describeRemaining,
+  describeSlowModeChange,
+  serializeReportQueue,
+  serializeLogEntry,
+  MAX_SANCTION_SECONDS,
+  MAX_REPORT_REASON_LENGTH
+} from './server/moderation.js';
+import { createInviteCode, buildInviteToken, verifyInviteToken, getInviteProblem, MAX_INVITE_USES, MAX_INVITE_LIFETIME_SECONDS } from './server/invites.js';
+import { RateLimiter, createRateLimitStore, rateLimitRoute, describeRateLimit } from './server/rate-limit.js';
+import { createCluster } from './server/cluster.js';
+import { aggregatePresence, presenceFor } from './server/presence.js';
+import { getHandleProblem, parseAvatar, parseProfileChanges, parseText, defaultHandleCandidates, serializeProfile } from './server/profiles.js';
+import { parseContactFields, changesOnRemove, changesOnUnblock, serializeContact, hasTalkedTo } from './server/contacts.js';
+import { createNonce, buildSignInMessage, parseSignInMessage, getSignInProblem } from './server/sign-in.js';
+import { WALLET_CHAINS, parseWalletAddress, verifyWalletSignature } from './server/wallets.js';
+import { StorageSessionStore, getSessionSecret, serializeSession, SESSION_MAX_AGE_MS } from './server/sessions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Nonces, sessions, presence and socket.io broadcasts shared with the other
+// server processes (in this process only unless CLUSTER_BACKEND says otherwise)
+const cluster = await createCluster();
+
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
+  adapter: cluster.adapter,
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
@@ -23,8 +62,29 @@ const io = new Server(server, {
 
 const PORT = 5000;
 
-// Nonce storage for signature verification (temporary in-memory store)
-const nonceStore = new Map(); // walletAddress -> { nonce, timestamp }
+// Sign-in nonces live in the cluster state as nonce:<nonce> -> { walletAddress,
+// chain, message } until they are used or the sign-in message expires
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// Each node refreshes its entry in the cluster state; a node that misses its
+// heartbeats (crashed) stops counting towards presence
+const NODE_HEARTBEAT_MS = 10 * 1000;
+const NODE_TTL_MS = 30 * 1000;
+
+// Behind a reverse proxy (see DEPLOYMENT.md) client IPs come from X-Forwarded-For.
+// TRUST_PROXY takes a hop count, "true", or the proxy addresses.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
+// Token buckets per wallet, IP and socket for REST routes and socket events,
+// shared by every node through the cluster state unless RATE_LIMIT_STORE=memory
+const rateLimiter = new RateLimiter({ store: createRateLimitStore(undefined, { state: cluster.state }) });
+
+// Wallets that moderate the public room (comma separated); they become
+// moderators when they sign in
+const publicRoomModerators = parseModeratorWallets(process.env.PUBLIC_ROOM_MODERATORS);
 
 // Middleware
 app.use(express.json());
@@ -36,11 +96,16 @@ app.use(express.static('.', {
   }
 }));
 
+// Sessions are kept in storage; cookies are Secure whenever the request came
+// over HTTPS (behind a proxy, set TRUST_PROXY) and renewed on every response
+const sessionStore = new StorageSessionStore(storage);
 const sessionMiddleware = session({
-  secret: process.env.SESSION_SECRET || 'zkontrol-secret-key-change-in-production',
+  secret: getSessionSecret(),
+  store: sessionStore,
   resave: false,
   saveUninitialized: false,
-  cookie: { secure: false }
+  rolling: true,
+  cookie: { secure: 'auto', httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE_MS }
 });
 
 app.use(sessionMiddleware);
@@ -48,138 +113,1396 @@ app.use(sessionMiddleware);
 // Wire session middleware into Socket.io
 io.engine.use(sessionMiddleware);
 
-// Map to track socket ID to user ID
+function getSocketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  return TRUST_PROXY && forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+// Turn away temporarily blocked wallets and IPs before they get a socket
+io.use(async (socket, next) => {
+  try {
+    const retryAfter = await rateLimiter.blockedFor({
+      ip: getSocketIp(socket),
+      wallet: socket.request.session?.userId
+    });
+    
+    if (!retryAfter) {
+      return next();
+    }
+    
+    const error = new Error(describeRateLimit({ retryAfter, blocked: true }));
+    error.data = { code: 'rate_limited', retryAfter, blocked: true };
+    next(error);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Map to track socket ID to user ID for sockets on this node. Every
+// authenticated socket also joins its user's room (see userRoom), which
+// reaches that user's sockets on all nodes.
 const socketToUser = new Map();
 
+// Encrypted attachment bytes (local filesystem unless ATTACHMENT_STORE says otherwise)
+const attachmentStore = createAttachmentStore();
+const uploadStaging = new UploadStaging();
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+// Search snippets mark matches with control characters; the client escapes the
+// snippet text and turns these into <mark> tags
+const SEARCH_MATCH_START = '\u0002';
+const SEARCH_MATCH_END = '\u0003';
+const SEARCH_RESULT_LIMIT = 25;
+
+// A row id sent by a client: a positive integer that fits the serial id
+// columns, or null
+const MAX_ROW_ID = 2 ** 31 - 1;
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 && id <= MAX_ROW_ID ? id : null;
+}
+
+// Opaque history cursor: the `cursor` of a storage page, i.e. the createdAt
+// (to the microsecond) and id of its oldest message
+const CURSOR_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}$/;
+
+function encodeMessageCursor(position) {
+  if (!position) {
+    return null;
+  }
+  return Buffer.from(`${position.createdAt}|${position.id}`).toString('base64url');
+}
+
+function decodeMessageCursor(cursor) {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+  
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  
+  if (!CURSOR_TIME_PATTERN.test(createdAt) || isNaN(new Date(`${createdAt}Z`)) || !/^\d{1,10}$/.test(id)) {
+    return null;
+  }
+  
+  return { createdAt, id: parseInt(id) };
+}
+
+// Socket.io room holding every live socket of a user (one per open tab or
+// device, on any node)
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// A user's presence across all their sockets on every node
+async function getUserStatus(userId) {
+  const statuses = await cluster.state.getSocketStatuses([userId]);
+  return aggregatePresence(statuses.get(userId) || []);
+}
+
+// Send a user's presence to everyone sharing a group or private room with
+// them and to their contacts. Each viewer gets what the
+// user's contact entry for them allows (see presenceFor); while the status
+// is hidden from a viewer they only hear about new last-seen times (or
+// settings changes).
+async function publishPresence(user, status, { settingsChanged = false } = {}) {
+  const [peers, entries] = await Promise.all([
+    storage.getRoomPeers(user.id),
+    storage.getContacts(user.id)
+  ]);
+  
+  const entriesById = new Map(entries.map(c => [c.contactId, c]));
+  const viewerIds = new Set([
+    ...peers.map(p => p.userId),
+    ...entries.filter(c => c.isContact && !c.blocked).map(c => c.contactId)
+  ]);
+  
+  // Viewers who see the same thing get one broadcast
+  const updates = new Map(); // JSON of the presence -> { presence, rooms }
+  
+  for (const viewerId of viewerIds) {
+    const presence = presenceFor(user, status, entriesById.get(viewerId));
+    
+    if (presence.status === null && !settingsChanged && (status !== 'offline' || presence.lastSeenAt === null)) {
+      continue;
+    }
+    
+    const key = JSON.stringify(presence);
+    
+    if (!updates.has(key)) {
+      updates.set(key, { presence, rooms: [] });
+    }
+    updates.get(key).rooms.push(userRoom(viewerId));
+  }
+  
+  for (const { presence, rooms } of updates.values()) {
+    io.to(rooms).emit('presence_update', presence);
+  }
+}
+
+// After one of a user's sockets connected, went idle or closed: publish the
+// new presence if it changed, recording last-seen when they go offline
+async function updatePresence(userId, previousStatus) {
+  const status = await getUserStatus(userId);
+  
+  if (status === previousStatus) {
+    return;
+  }
+  
+  const user = status === 'offline'
+    ? await storage.setLastSeen(userId)
+    : await storage.getUser(userId);
+  
+  if (user) {
+    await publishPresence(user, status);
+  }
+}
+
+// Presence of everyone sharing a room with a user and of everyone who has
+// the user as a contact, as that user may see it. Adding someone as a
+// contact alone doesn't reveal their presence.
+async function getPeerPresence(userId) {
+  const [peers, entriesAbout] = await Promise.all([
+    storage.getRoomPeers(userId),
+    storage.getContactEntriesAbout(userId)
+  ]);
+  
+  const peerIds = [...new Set([
+    ...peers.map(p => p.userId),
+    ...entriesAbout.filter(c => c.isContact && !c.blocked).map(c => c.ownerId)
+  ])];
+  const theirEntries = new Map(entriesAbout.map(c => [c.ownerId, c]));
+  const statuses = await cluster.state.getSocketStatuses(peerIds);
+  const presence = [];
+  
+  for (const peerId of peerIds) {
+    const user = await storage.getUser(peerId);
+    if (user) {
+      presence.push({ user, ...presenceFor(user, aggregatePresence(statuses.get(user.id) || []), theirEntries.get(peerId)) });
+    }
+  }
+  
+  return presence;
+}
+
+// Ids of the users someone blocked
+async function getBlockedIds(userId) {
+  const entries = await storage.getContacts(userId);
+  return new Set(entries.filter(c => c.blocked).map(c => c.contactId));
+}
+
+// Socket.io rooms of everyone who blocked a user, to leave out of that
+// user's broadcasts
+async function getBlockerRooms(userId) {
+  const entries = await storage.getContactEntriesAbout(userId);
+  return entries.filter(c => c.blocked).map(c => userRoom(c.ownerId));
+}
+
+async function hasBlocked(blockerId, userId) {
+  return !!(await storage.getContact(blockerId, userId))?.blocked;
+}
+
+// Whether a private chat is closed because either side blocked the other
+async function isBlockedPrivateChat(room, userId) {
+  if (room.isGroup || room.isPublic) {
+    return false;
+  }
+  
+  const other = (await storage.getRoomMembers(room.id)).find(m => m.id !== userId);
+  return !!other && (await hasBlocked(other.id, userId) || await hasBlocked(userId, other.id));
+}
+
+// Reactions on messages, without those of users the viewer blocked
+async function getVisibleReactions(messageIds, viewerId) {
+  const [reactions, blockedIds] = await Promise.all([storage.getMessagesReactions(messageIds), getBlockedIds(viewerId)]);
+  return reactions.filter(r => !blockedIds.has(r.userId));
+}
+
+// Send a user's contacts to all of their tabs
+async function emitContacts(userId) {
+  const entries = await storage.getContacts(userId);
+  io.to(userRoom(userId)).emit('contacts', entries.map(serializeContact));
+}
+
+// What a viewer may see of a user's presence right now: nothing unless they
+// share a room or the user has them as a contact, otherwise see presenceFor
+async function getPresenceFor(user, viewerId) {
+  const [entry, peers, status] = await Promise.all([
+    storage.getContact(user.id, viewerId),
+    storage.getRoomPeers(user.id),
+    getUserStatus(user.id)
+  ]);
+  
+  const isAudience = peers.some(p => p.userId === viewerId) || (entry?.isContact && !entry.blocked);
+  
+  return isAudience
+    ? presenceFor(user, status, entry)
+    : { userId: user.id, status: null, lastSeenAt: null };
+}
+
+// After a contact entry or a chat between two users changed, each of them
+// gets the other's presence as they may now see it
+async function sendMutualPresence(user, other) {
+  io.to(userRoom(other.id)).emit('presence_update', await getPresenceFor(user, other.id));
+  io.to(userRoom(user.id)).emit('presence_update', await getPresenceFor(other, user.id));
+}
+
+// Block a user, keeping their nickname and note if they are a contact
+async function blockUser(owner, target) {
+  const entry = await storage.getContact(owner.id, target.id);
+  await storage.saveContact(owner.id, target.id, entry ? { blocked: true } : { blocked: true, isContact: false });
+  
+  await emitContacts(owner.id);
+  await sendMutualPresence(owner, target);
+}
+
+// Send a user's open message requests, each with the sender's profile, to
+// all of their tabs
+async function emitMessageRequests(userId) {
+  const userRooms = await storage.getUserRooms(userId);
+  const requests = [];
+  
+  for (const room of userRooms.filter(r => r.requestRecipientId === userId)) {
+    const sender = await storage.getUser(room.createdBy);
+    if (sender) {
+      requests.push({ roomId: room.id, sender: serializeProfile(sender), createdAt: room.createdAt });
+    }
+  }
+  
+  io.to(userRoom(userId)).emit('message_requests', requests);
+}
+
+// The recipient accepted a message request (or wrote back): it becomes a
+// normal private chat, and both sides can now see each other's presence
+async function acceptRequest(room) {
+  const accepted = await storage.acceptMessageRequest(room.id);
+  
+  io.to([userRoom(room.requestRecipientId), userRoom(room.createdBy)]).emit('room_update', accepted);
+  await emitMessageRequests(room.requestRecipientId);
+  
+  const [recipient, sender] = await Promise.all([
+    storage.getUser(room.requestRecipientId),
+    storage.getUser(room.createdBy)
+  ]);
+  
+  if (recipient && sender) {
+    await sendMutualPresence(recipient, sender);
+  }
+  
+  return accepted;
+}
+
+// Sockets of the public room's moderators, as their user rooms
+async function getModeratorRooms(roomId) {
+  const members = await storage.getRoomMembers(roomId);
+  return members.filter(m => isModerator(m.role)).map(m => userRoom(m.id));
+}
+
+// Send the open reports of a public room to its moderators (or to `to`)
+async function emitReportQueue(roomId, to = null) {
+  const rooms = to ? [to] : await getModeratorRooms(roomId);
+  
+  if (rooms.length > 0) {
+    io.to(rooms).emit('reports', { roomId, reports: serializeReportQueue(await storage.getOpenReports(roomId)) });
+  }
+}
+
+// Send the current mutes and bans of a public room to its moderators (or to `to`)
+async function emitRoomSanctions(roomId, to = null) {
+  const rooms = to ? [to] : await getModeratorRooms(roomId);
+  
+  if (rooms.length > 0) {
+    const [mutes, bans] = await Promise.all([storage.getRoomMutes(roomId), storage.getRoomBans(roomId)]);
+    io.to(rooms).emit('room_sanctions', { roomId, mutes, bans });
+  }
+}
+
+async function logModeration(room, actor, action, target = null, details = null) {
+  await storage.addModerationLogEntry({
+    roomId: room.id,
+    actorId: actor.id,
+    action,
+    targetUserId: target?.id ?? null,
+    details
+  });
+}
+
+// Slow mode: after a post, cluster state holds slowmode:<room>:<user> -> the
+// time the member may post again, for as long as the wait lasts
+function slowModeKey(roomId, userId) {
+  return `slowmode:${roomId}:${userId}`;
+}
+
+// Whether a user still belongs to a room: a member, and in the public room
+// not banned. Once someone leaves, is removed or is banned they can't touch
+// the messages they sent there either.
+async function isActiveMember(room, userId) {
+  return await storage.isRoomMember(room.id, userId) &&
+    !(room.isPublic && await storage.isBannedFromRoom(room.id, userId));
+}
+
+// Why a user can't type or react in a room right now, or null. Like posting,
+// it takes an active member who isn't muted, and a private chat neither side
+// blocked. (In groups, blockers just don't receive it; see getBlockerRooms.)
+// The recipient of a message request stays invisible to its sender until
+// they accept it.
+async function getInteractionProblem(room, userId) {
+  if (!room || !(await isActiveMember(room, userId))) {
+    return 'Not a member of this room';
+  }
+  
+  if (room.requestRecipientId === userId) {
+    return 'Accept the message request to reply';
+  }
+  
+  if (room.isPublic && await storage.getRoomMute(room.id, userId)) {
+    return 'You are muted in this room';
+  }
+  
+  if (await isBlockedPrivateChat(room, userId)) {
+    return 'You cannot message this user';
+  }
+  
+  return null;
+}
+
+// Why a member can't post `content` to the public room right now, or null.
+// Muted members can't post or edit; slow mode only limits new posts, and
+// moderators are exempt from it and from the filter.
+async function getPublicPostProblem(room, userId, content, { isEdit = false } = {}) {
+  const mute = await storage.getRoomMute(room.id, userId);
+  
+  if (mute) {
+    return mute.expiresAt
+      ? `You are muted in this room for another ${describeRemaining(mute.expiresAt)}`
+      : 'You are muted in this room';
+  }
+  
+  const membership = await storage.getRoomMember(room.id, userId);
+  
+  if (isModerator(membership?.role)) {
+    return null;
+  }
+  
+  const filtered = typeof content === 'string' ? findFilteredContent(content, room) : null;
+  
+  if (filtered) {
+    return filtered;
+  }
+  
+  if (room.slowModeSeconds && !isEdit) {
+    const until = await cluster.state.get(slowModeKey(room.id, userId));
+    
+    if (until > Date.now()) {
+      return `Slow mode is on. You can post again in ${describeRemaining(until)}`;
+    }
+  }
+  
+  return null;
+}
+
+// Unsend a message for everyone in its room
+async function deleteMessageForEveryone(message) {
+  const deleted = await storage.deleteMessage(message.id);
+  await deleteAttachmentBlobs(deleted ? [deleted] : []);
+  
+  io.to(message.roomId.toString()).emit('message_deleted', {
+    messageId: message.id,
+    roomId: message.roomId
+  });
+  
+  if (message.parentId) {
+    await broadcastReplyCount(message.roomId, message.parentId);
+  }
+}
+
+// A moderator removes a message from the public room: it is deleted for
+// everyone (if it still exists), its open reports are closed and its author
+// is told
+async function removeMessageAsModerator(room, actor, messageId) {
+  const message = await storage.getMessage(messageId);
+  const reports = await storage.resolveMessageReports(messageId, 'removed', actor.id);
+  const authorId = message?.userId ?? reports[0]?.reportedUserId;
+  
+  if (message) {
+    await deleteMessageForEveryone(message);
+  }
+  
+  await logModeration(room, actor, 'delete_message', authorId ? await storage.getUser(authorId) : null, {
+    messageId,
+    content: message?.content ?? reports[0]?.content ?? null,
+    reports: reports.length
+  });
+  
+  if (authorId) {
+    io.to(userRoom(authorId)).emit('moderation_notice', { roomId: room.id, action: 'message_removed', messageId });
+  }
+  
+  if (reports.length > 0) {
+    await emitReportQueue(room.id);
+  }
+}
+
+// A taken handle or wallet (Postgres or the memory store reject duplicates)
+function isDuplicateKeyError(error) {
+  return error.code === '23505' || error.cause?.code === '23505' || /duplicate key/.test(error.message);
+}
+
+// Look up a user by any of their wallet addresses as typed: surrounding
+// spaces and the case of Ethereum addresses don't matter
+async function findUserByWallet(wallet) {
+  const parsed = parseWalletAddress(wallet);
+  return parsed ? await storage.getUserByWallet(parsed.address) : undefined;
+}
+
+// Handle for a new user: the one they asked for if it's valid and free,
+// otherwise one made from their wallet address
+async function pickNewUserHandle(requested, walletAddress) {
+  const candidates = [
+    ...(requested && !getHandleProblem(requested) ? [requested] : []),
+    ...defaultHandleCandidates(walletAddress)
+  ];
+  
+  for (const handle of candidates) {
+    if (!(await storage.getUserByUsername(handle))) {
+      return handle;
+    }
+  }
+  
+  return `User_${randomBytes(6).toString('hex')}`;
+}
+
+// Send a changed profile to the user, everyone sharing a room with them and
+// everyone who has them in their contacts
+async function broadcastProfile(user) {
+  const userRooms = await storage.getUserRooms(user.id);
+  const entriesAbout = await storage.getContactEntriesAbout(user.id);
+  
+  io.to([
+    userRoom(user.id),
+    ...userRooms.map(room => room.id.toString()),
+    ...entriesAbout.map(c => userRoom(c.ownerId))
+  ]).emit('profile_updated', serializeProfile(user));
+}
+
+function serializeSettings(user) {
+  return {
+    sendReadReceipts: user.sendReadReceipts,
+    hideOnlineStatus: user.hideOnlineStatus,
+    hideLastSeen: user.hideLastSeen
+  };
+}
+
+function serializeWallet(wallet, user) {
+  return {
+    walletAddress: wallet.walletAddress,
+    chain: wallet.chain,
+    primary: wallet.walletAddress === user.walletAddress,
+    linkedAt: wallet.createdAt
+  };
+}
+
+// The wallet that signed the user's encryption key binding: any of their
+// linked wallets, the primary one for keys published before wallets could be linked
+function getKeyWallet(user) {
+  return user.encryptionKeyWallet ?? user.walletAddress;
+}
+
+// Public member fields, including the wallet-signed encryption key
+function serializeMember(member) {
+  return {
+    id: member.id,
+    username: member.username,
+    displayName: member.displayName,
+    avatarUrl: serializeProfile(member).avatarUrl,
+    walletAddress: member.walletAddress,
+    encryptionPublicKey: member.encryptionPublicKey,
+    encryptionKeySignature: member.encryptionKeySignature,
+    encryptionKeyWallet: getKeyWallet(member),
+    role: member.role
+  };
+}
+
+async function broadcastRoomMembers(roomId) {
+  const members = await storage.getRoomMembers(roomId);
+  
+  io.to(roomId.toString()).emit('room_members_updated', {
+    roomId,
+    members: members.map(serializeMember)
+  });
+}
+
+// Room of every socket opened with one session, on all nodes
+function sessionRoom(sid) {
+  return `session:${sid}`;
+}
+
+// Close the sockets of a session that was signed out, telling them why
+function disconnectSession(sid) {
+  io.to(sessionRoom(sid)).emit('session_revoked');
+  io.in(sessionRoom(sid)).disconnectSockets(true);
+}
+
+// Revoke one of the user's sessions (by id); returns whether they had it
+async function revokeSession(userId, id) {
+  const revoked = await storage.deleteUserSession(userId, id);
+  
+  if (revoked) {
+    disconnectSession(revoked.sid);
+  }
+  
+  return !!revoked;
+}
+
+// Subscribe every socket of a newly added member to the room and let the room know
+async function onRoomMemberAdded(room, user) {
+  io.in(userRoom(user.id)).socketsJoin(room.id.toString());
+  io.to(userRoom(user.id)).emit('room_update', room);
+  
+  io.to(room.id.toString()).emit('user_joined_room', {
+    roomId: room.id,
+    user: user.username
+  });
+  
+  await broadcastRoomMembers(room.id);
+}
+
+async function onRoomMemberRemoved(room, user) {
+  io.in(userRoom(user.id)).socketsLeave(room.id.toString());
+  io.to(userRoom(user.id)).emit('room_left', { roomId: room.id });
+  
+  io.to(room.id.toString()).emit('user_left_room', {
+    roomId: room.id,
+    user: user.username
+  });
+  
+  await broadcastRoomMembers(room.id);
+}
+
+// Tell a group about a membership or settings change so clients can show it inline
+function broadcastGroupEvent(roomId, type, actor, target, details = {}) {
+  io.to(roomId.toString()).emit('group_event', {
+    roomId,
+    type,
+    actor: actor.username,
+    target: target ? target.username : null,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Shape a member's receipt pointers for the room; read pointers stay private
+// for users who turned read receipts off
+function serializeReceipt(receipt, sendReadReceipts) {
+  return {
+    userId: receipt.userId,
+    lastDeliveredMessageId: receipt.lastDeliveredMessageId,
+    lastReadMessageId: sendReadReceipts ? receipt.lastReadMessageId : null
+  };
+}
+
+// Shape a stored message for the client
+function serializeMessage(message, username) {
+  return {
+    id: message.id,
+    roomId: message.roomId,
+    userId: message.userId,
+    username,
+    kind: message.kind,
+    content: message.content,
+    nonce: message.nonce,
+    encryptedKeys: message.encryptedKeys,
+    parentId: message.parentId,
+    timestamp: message.createdAt,
+    editedAt: message.editedAt,
+    expiresAt: message.expiresAt,
+    burnSeconds: message.burnSeconds
+  };
+}
+
+// Attachment bytes are fetched separately from /api/attachments/:id;
+// metadata is ciphertext under the message key
+function serializeAttachment(attachment) {
+  return {
+    id: attachment.id,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    metadata: attachment.metadata
+  };
+}
+
+// An attachment goes with its message: once the message expired, or burned
+// for this viewer, the bytes can't be downloaded, even before the clean-up
+// job deletes them
+async function isAttachmentGone(attachment, viewerId) {
+  const message = await storage.getMessage(attachment.messageId);
+  const now = new Date();
+  
+  if (!message || (message.expiresAt && message.expiresAt <= now)) {
+    return true;
+  }
+  
+  if (!message.burnSeconds || message.userId === viewerId) {
+    return false;
+  }
+  
+  const [read] = await storage.getMessageReadsForUser([message.id], viewerId);
+  return Boolean(read && read.expiresAt <= now);
+}
+
+// Remove the stored bytes of attachments whose rows were deleted with their messages
+async function deleteAttachmentBlobs(deletedMessages) {
+  for (const key of deletedMessages.flatMap(m => m.attachmentKeys || [])) {
+    try {
+      await attachmentStore.delete(key);
+    } catch (error) {
+      console.error(`Failed to delete attachment ${key}:`, error);
+    }
+  }
+}
+
+// Serialize messages with their quoted parent and reply count. `parent` is
+// null when the message is not a reply or its parent has expired or been unsent.
+//
+// With a viewerId, burn-after-read messages carry that viewer's countdown as
+// burnExpiresAt, and those that already burned for the viewer are left out,
+// as are messages (and quotes) from users the viewer blocked.
+async function serializeMessages(messages, membersById = new Map(), viewerId = null) {
+  const parentIds = [...new Set(messages.map(m => m.parentId).filter(id => id))];
+  const [parents, replyCounts, messageAttachments, blockedIds] = await Promise.all([
+    storage.getMessagesByIds(parentIds),
+    storage.getReplyCounts(messages.map(m => m.id)),
+    storage.getMessagesAttachments(messages.map(m => m.id)),
+    viewerId ? getBlockedIds(viewerId) : new Set()
+  ]);
+  
+  const parentsById = new Map(parents.map(p => [p.id, p]));
+  const replyCountsById = new Map(replyCounts.map(r => [r.parentId, r.count]));
+  
+  const burnIds = [...messages, ...parents].filter(m => m.burnSeconds && m.userId !== viewerId).map(m => m.id);
+  const reads = viewerId ? await storage.getMessageReadsForUser(burnIds, viewerId) : [];
+  const burnExpiresById = new Map(reads.map(r => [r.messageId, r.expiresAt]));
+  const now = new Date();
+  const isHidden = (m) => (burnExpiresById.has(m.id) && burnExpiresById.get(m.id) <= now) || blockedIds.has(m.userId);
+  
+  messages = messages.filter(m => !isHidden(m));
+  
+  const usernameOf = async (userId) => {
+    if (!membersById.has(userId)) {
+      membersById.set(userId, await storage.getUser(userId));
+    }
+    return membersById.get(userId)?.username;
+  };
+  
+  return Promise.all(messages.map(async (m) => {
+    const parent = m.parentId ? parentsById.get(m.parentId) : null;
+    
+    return {
+      ...serializeMessage(m, await usernameOf(m.userId)),
+      burnExpiresAt: burnExpiresById.get(m.id) || null,
+      attachments: messageAttachments.filter(a => a.messageId === m.id).map(serializeAttachment),
+      replyCount: replyCountsById.get(m.id) || 0,
+      parent: parent && !isHidden(parent) ? {
+        id: parent.id,
+        userId: parent.userId,
+        username: await usernameOf(parent.userId),
+        content: parent.content,
+        nonce: parent.nonce,
+        encryptedKeys: parent.encryptedKeys
+      } : null
+    };
+  }));
+}
+
+// Tell the room how many replies a message now has
+async function broadcastReplyCount(roomId, parentId) {
+  const [counts] = await storage.getReplyCounts([parentId]);
+  
+  io.to(roomId.toString()).emit('reply_count_updated', {
+    roomId,
+    messageId: parentId,
+    replyCount: counts?.count || 0
+  });
+}
+
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(join(__dirname, 'index.html'));
 });
 
-// Request a nonce for wallet authentication
-app.post('/api/auth/nonce', async (req, res) => {
-  const { walletAddress } = req.body;
+// Browser build of tweetnacl for client-side encryption
+app.get('/vendor/nacl-fast.min.js', (req, res) => {
+  res.sendFile(join(__dirname, 'node_modules', 'tweetnacl', 'nacl-fast.min.js'));
+});
+
+// ES module builds of @noble/curves and @noble/hashes, for checking Ethereum
+// wallets' key bindings in the browser (see the import map in app/index.html).
+// Their imports sometimes leave out the .js extension.
+app.use('/vendor/noble-curves', express.static(join(__dirname, 'node_modules', '@noble', 'curves', 'esm'), { extensions: ['js'] }));
+app.use('/vendor/noble-hashes', express.static(join(__dirname, 'node_modules', '@noble', 'hashes', 'esm'), { extensions: ['js'] }));
+
+// Where sign-in messages must say they come from, for a request to this
+// server. The domain defaults to the Host the request came in on; set
+// SIGN_IN_DOMAIN (and SIGN_IN_URI if it isn't https://<domain>) behind a proxy.
+function getSignInOrigin(req) {
+  const domain = process.env.SIGN_IN_DOMAIN || req.get('host');
+  const uri = process.env.SIGN_IN_URI || `${process.env.SIGN_IN_DOMAIN ? 'https' : req.protocol}://${domain}`;
+  return { domain, uri };
+}
+
+// Browsers send Origin with cross-site requests; a page on another site must
+// not be able to run the sign-in on a user's behalf
+function isForeignOrigin(req, domain) {
+  const origin = req.get('origin');
+  
+  try {
+    return !!origin && new URL(origin).host !== domain;
+  } catch (error) {
+    return true;
+  }
+}
+
+// Issue a Sign-In With Solana (or Ethereum) message for the wallet to sign.
+// `purpose` is 'sign_in', or 'link' with the userId the wallet is linked to,
+// so a message signed for one can't be used for the other.
+async function issueWalletChallenge(req, { chain, address }, { purpose, userId = null, statement }) {
+  const { domain, uri } = getSignInOrigin(req);
+  const nonce = createNonce();
+  const issuedAt = new Date();
+  const expirationTime = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+  const message = buildSignInMessage({
+    domain,
+    accountName: WALLET_CHAINS[chain].accountName,
+    address,
+    uri,
+    chainId: WALLET_CHAINS[chain].chainId,
+    nonce,
+    issuedAt,
+    expirationTime,
+    statement
+  });
+  
+  // Visible to every node until used or expired. Each request gets its own
+  // nonce, so sign-ins started in several tabs don't cancel each other.
+  await cluster.state.set(`nonce:${nonce}`, { walletAddress: address, chain, purpose, userId, message }, NONCE_TTL_MS);
+  
+  return { message, nonce, walletAddress: address, chain, expiresAt: expirationTime };
+}
+
+// Check a signed message from issueWalletChallenge and use up its nonce.
+// Resolves to { challenge } (what was stored with it) or { status, error }.
+async function takeWalletChallenge(req, walletAddress, message, signature, purpose) {
+  const fields = parseSignInMessage(message);
+  
+  if (!fields) {
+    return { status: 400, error: 'Not a valid sign-in message' };
+  }
+  
+  // Only the exact message we issued counts (expired nonces are gone from
+  // the cluster state). Taking the nonce then uses it up, whether or not
+  // the rest checks out, so a signed message can be submitted only once;
+  // of two concurrent attempts only one gets it.
+  const challenge = await cluster.state.get(`nonce:${fields.nonce}`);
+  
+  if (!challenge || challenge.purpose !== purpose || challenge.message !== message || challenge.walletAddress !== walletAddress ||
+      !(await cluster.state.take(`nonce:${fields.nonce}`))) {
+    return { status: 400, error: 'No nonce found or nonce expired. Request a new nonce.' };
+  }
+  
+  const { domain, uri } = getSignInOrigin(req);
+  const { accountName, chainId } = WALLET_CHAINS[challenge.chain];
+  const problem = isForeignOrigin(req, domain)
+    ? 'Sign-in requests must come from this site'
+    : getSignInProblem(fields, { domain, uri, accountName, chainId, address: walletAddress });
+  
+  if (problem) {
+    return { status: 401, error: problem };
+  }
+  
+  // Verify signature (ed25519 for Solana, personal_sign recovery for Ethereum)
+  if (!verifyWalletSignature(walletAddress, message, signature)) {
+    return { status: 401, error: 'Invalid signature' };
+  }
   
-  if (!walletAddress) {
+  return { challenge };
+}
+
+// Sign-in attempts are limited per IP, and per wallet from each IP. The wallet
+// is only claimed, so it never blocks anyone on its own (see offenderKey).
+function signInClaim(req) {
+  const wallet = parseWalletAddress(req.body?.walletAddress);
+  return { claim: wallet ? `${wallet.address}@${req.ip}` : null };
+}
+
+app.post('/api/auth/nonce', rateLimitRoute(rateLimiter, 'POST /api/auth/nonce', signInClaim), async (req, res) => {
+  if (!req.body?.walletAddress) {
     return res.status(400).json({ success: false, error: 'Wallet address required' });
   }
   
+  // The chain is read off the address; EVM addresses get their checksum
+  const wallet = parseWalletAddress(req.body.walletAddress);
+  
+  if (!wallet) {
+    return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+  }
+  
   try {
-    // Validate wallet address format
-    new PublicKey(walletAddress);
-    
-    // Generate a random nonce
-    const nonce = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-    const message = `ZKONTROL Authentication\n\nSign this message to prove you own this wallet.\n\nNonce: ${nonce}\nWallet: ${walletAddress}`;
-    
-    // Store nonce with timestamp (expires in 5 minutes)
-    nonceStore.set(walletAddress, {
-      nonce,
-      message,
-      timestamp: Date.now()
-    });
+    if (isForeignOrigin(req, getSignInOrigin(req).domain)) {
+      return res.status(403).json({ success: false, error: 'Sign-in requests must come from this site' });
+    }
     
-    res.json({ success: true, message, nonce });
+    res.json({ success: true, ...(await issueWalletChallenge(req, wallet, { purpose: 'sign_in' })) });
   } catch (error) {
     console.error('Nonce generation error:', error);
-    res.status(400).json({ success: false, error: 'Invalid wallet address' });
+    res.status(500).json({ success: false, error: 'Failed to create a sign-in request' });
   }
 });
 
 // Verify signature and authenticate user
-app.post('/api/auth/verify', async (req, res) => {
-  const { walletAddress, signature, username } = req.body;
+app.post('/api/auth/verify', rateLimitRoute(rateLimiter, 'POST /api/auth/verify', signInClaim), async (req, res) => {
+  const { signature, message, username } = req.body;
+  const walletAddress = parseWalletAddress(req.body.walletAddress)?.address;
   
-  if (!walletAddress || !signature) {
-    return res.status(400).json({ success: false, error: 'Wallet address and signature required' });
+  if (!walletAddress || !signature || !message) {
+    return res.status(400).json({ success: false, error: 'Wallet address, signed message and signature required' });
   }
   
   try {
-    // Get stored nonce
-    const stored = nonceStore.get(walletAddress);
-    
-    if (!stored) {
-      return res.status(400).json({ success: false, error: 'No nonce found. Request a nonce first.' });
-    }
-    
-    // Check if nonce is expired (5 minutes)
-    if (Date.now() - stored.timestamp > 5 * 60 * 1000) {
-      nonceStore.delete(walletAddress);
-      return res.status(400).json({ success: false, error: 'Nonce expired. Request a new nonce.' });
-    }
-    
-    // Verify signature
-    const publicKey = new PublicKey(walletAddress);
-    const messageBytes = new TextEncoder().encode(stored.message);
-    const signatureBytes = Uint8Array.from(Buffer.from(signature, 'base64'));
+    const { challenge, status, error } = await takeWalletChallenge(req, walletAddress, message, signature, 'sign_in');
     
-    const isValid = nacl.sign.detached.verify(
-      messageBytes,
-      signatureBytes,
-      publicKey.toBytes()
-    );
-    
-    if (!isValid) {
-      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    if (error) {
+      return res.status(status).json({ success: false, error });
     }
     
-    // Signature is valid! Clear nonce and authenticate user
-    nonceStore.delete(walletAddress);
-    
-    // Try to find existing user by wallet
+    // Any wallet linked to an account signs in to it
     let user = await storage.getUserByWallet(walletAddress);
     
     // Create new user if doesn't exist
     if (!user) {
-      // Generate username from wallet if not provided
-      const displayName = username || `User_${walletAddress.slice(0, 6)}`;
-      
       user = await storage.createUser({
         walletAddress,
-        username: displayName
+        chain: challenge.chain,
+        username: await pickNewUserHandle(username, walletAddress)
       });
     }
     
+    // Accounts from before wallets could be linked have no wallet rows yet
+    const wallet = await storage.getUserWallet(walletAddress) ||
+      await storage.addUserWallet(user.id, { walletAddress, chain: challenge.chain });
+    
+    // A fresh session id on sign-in, so an id planted before it is worthless
+    await new Promise((resolve, reject) => req.session.regenerate(error => error ? reject(error) : resolve()));
     req.session.userId = user.id;
-    res.json({ success: true, user });
+    req.session.walletAddress = walletAddress;
+    req.session.userAgent = req.get('user-agent')?.slice(0, 500) ?? null;
+    
+    // The wallet's key backup lets the app restore the account's encryption key
+    res.json({
+      success: true,
+      user,
+      wallet: { ...serializeWallet(wallet, user), encryptionKeyBackup: wallet.encryptionKeyBackup }
+    });
   } catch (error) {
     console.error('Auth verification error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// AI Assistant endpoint
-app.post('/api/ai/chat', async (req, res) => {
+// Publish the user's X25519 encryption public key, bound by a signature to
+// the wallet this session signed in with
+app.post('/api/keys', rateLimitRoute(rateLimiter, 'POST /api/keys'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  const { publicKey, signature } = req.body;
+  
+  if (!publicKey || !signature) {
+    return res.status(400).json({ success: false, error: 'Public key and signature required' });
+  }
+  
   try {
-    // Check if user is authenticated
-    const userId = req.session?.userId;
-    if (!userId) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    const user = await storage.getUser(userId);
+    
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'User not found' });
     }
     
-    const { message } = req.body;
+    const keyWallet = req.session.walletAddress || user.walletAddress;
     
-    if (!message || typeof message !== 'string') {
-      return res.status(400).json({ success: false, error: 'Message is required' });
+    if (keyWallet !== user.walletAddress && (await storage.getUserWallet(keyWallet))?.userId !== userId) {
+      return res.status(401).json({ success: false, error: 'This wallet is no longer linked to your account' });
     }
     
-    // Get AI response
-    const aiResponse = await getCryptoAssistantResponse(message);
+    if (!verifyKeyBinding(keyWallet, publicKey, signature)) {
+      return res.status(401).json({ success: false, error: 'Invalid key signature' });
+    }
     
-    res.json({ success: true, response: aiResponse });
+    const updated = await storage.setUserEncryptionKey(userId, publicKey, signature, keyWallet);
+    
+    res.json({ success: true, user: updated });
   } catch (error) {
-    console.error('AI chat error:', error);
-    res.status(500).json({ success: false, error: 'Failed to get AI response' });
+    console.error('Key publish error:', error);
+    res.status(500).json({ success: false, error: 'Failed to publish encryption key' });
   }
 });
 
-// Socket.io connection handling
-io.on('connection', async (socket) => {
-  console.log('User connected:', socket.id);
-
-  // User authentication via verified session ONLY - NO client-supplied IDs accepted
-  socket.on('auth', async (data) => {
-    try {
+// Sign out this session, and close its sockets in every tab
+app.post('/api/auth/logout', async (req, res) => {
+  const sid = req.sessionID;
+  
+  try {
+    if (req.session?.userId) {
+      await new Promise((resolve, reject) => req.session.destroy(error => error ? reject(error) : resolve()));
+      disconnectSession(sid);
+    }
+    
+    res.clearCookie('connect.sid');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: 'Failed to sign out' });
+  }
+});
+
+// The user's signed-in devices
+app.get('/api/sessions', async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  try {
+    const sessions = await storage.getUserSessions(userId);
+    res.json({ success: true, sessions: sessions.map(row => serializeSession(row, req.sessionID)) });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load sessions' });
+  }
+});
+
+// Sign a device out. Its open sockets are closed right away.
+app.delete('/api/sessions/:id', rateLimitRoute(rateLimiter, 'DELETE /api/sessions/:id'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  try {
+    if (!(await revokeSession(userId, parseInt(req.params.id)))) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, error: 'Failed to sign out the device' });
+  }
+});
+
+// Linked wallets
+app.get('/api/wallets', async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  try {
+    const user = await storage.getUser(userId);
+    const wallets = await storage.getUserWallets(userId);
+    
+    res.json({ success: true, wallets: wallets.map(wallet => serializeWallet(wallet, user)) });
+  } catch (error) {
+    console.error('Get wallets error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load wallets' });
+  }
+});
+
+// A message for a wallet that isn't on any account yet to sign, proving
+// it is controlled by the signed-in user
+app.post('/api/wallets/nonce', rateLimitRoute(rateLimiter, 'POST /api/wallets/nonce'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  const wallet = parseWalletAddress(req.body?.walletAddress);
+  
+  if (!wallet) {
+    return res.status(400).json({ success: false, error: 'Invalid wallet address' });
+  }
+  
+  try {
+    if (isForeignOrigin(req, getSignInOrigin(req).domain)) {
+      return res.status(403).json({ success: false, error: 'Sign-in requests must come from this site' });
+    }
+    
+    const holder = await storage.getUserByWallet(wallet.address);
+    
+    if (holder) {
+      const error = holder.id === userId ? 'This wallet is already linked to your account' : 'This wallet belongs to another account';
+      return res.status(409).json({ success: false, error });
+    }
+    
+    const user = await storage.getUser(userId);
+    const challenge = await issueWalletChallenge(req, wallet, {
+      purpose: 'link',
+      userId,
+      statement: `Link this wallet to @${user.username} on ZKONTROL.`
+    });
+    
+    res.json({ success: true, ...challenge });
+  } catch (error) {
+    console.error('Wallet nonce error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create a link request' });
+  }
+});
+
+// Link the wallet that signed a message from /api/wallets/nonce.
+// encryptionKeyBackup is the account's encryption key sealed for that wallet.
+app.post('/api/wallets', rateLimitRoute(rateLimiter, 'POST /api/wallets'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  const { message, signature, encryptionKeyBackup } = req.body;
+  const walletAddress = parseWalletAddress(req.body.walletAddress)?.address;
+  
+  if (!walletAddress || !signature || !message) {
+    return res.status(400).json({ success: false, error: 'Wallet address, signed message and signature required' });
+  }
+  
+  if (encryptionKeyBackup != null && !isValidKeyBackup(encryptionKeyBackup)) {
+    return res.status(400).json({ success: false, error: 'Invalid encryption key backup' });
+  }
+  
+  try {
+    const { challenge, status, error } = await takeWalletChallenge(req, walletAddress, message, signature, 'link');
+    
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+    
+    if (challenge.userId !== userId) {
+      return res.status(403).json({ success: false, error: 'This link request was made for another account' });
+    }
+    
+    const wallet = await storage.addUserWallet(userId, {
+      walletAddress,
+      chain: challenge.chain,
+      encryptionKeyBackup: encryptionKeyBackup ?? null
+    });
+    
+    console.log(`User ${userId} linked wallet ${walletAddress}`);
+    res.json({ success: true, wallet: serializeWallet(wallet, await storage.getUser(userId)) });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ success: false, error: 'This wallet belongs to another account' });
+    }
+    console.error('Link wallet error:', error);
+    res.status(500).json({ success: false, error: 'Failed to link wallet' });
+  }
+});
+
+// Show another linked wallet on the profile; everyone sharing a room sees it
+app.post('/api/wallets/primary', rateLimitRoute(rateLimiter, 'POST /api/wallets/primary'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  const walletAddress = parseWalletAddress(req.body?.walletAddress)?.address;
+  
+  try {
+    const user = walletAddress && await storage.setPrimaryWallet(userId, walletAddress);
+    
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'This wallet is not linked to your account' });
+    }
+    
+    await broadcastProfile(user);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Set primary wallet error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change the primary wallet' });
+  }
+});
+
+// Unlink a wallet. The primary wallet and the one that signed the encryption
+// key binding stay linked.
+app.delete('/api/wallets/:walletAddress', rateLimitRoute(rateLimiter, 'DELETE /api/wallets/:walletAddress'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  const walletAddress = parseWalletAddress(req.params.walletAddress)?.address;
+  
+  try {
+    const user = await storage.getUser(userId);
+    
+    if (walletAddress === user.walletAddress) {
+      return res.status(400).json({ success: false, error: 'Make another wallet primary before unlinking this one' });
+    }
+    
+    if (user.encryptionPublicKey && walletAddress === getKeyWallet(user)) {
+      return res.status(400).json({ success: false, error: 'Your encryption key is bound to this wallet, so it can\'t be unlinked' });
+    }
+    
+    if (!walletAddress || !(await storage.removeUserWallet(userId, walletAddress))) {
+      return res.status(404).json({ success: false, error: 'This wallet is not linked to your account' });
+    }
+    
+    // Devices signed in with the wallet are signed out
+    for (const row of await storage.getUserSessions(userId)) {
+      if (row.data.walletAddress === walletAddress) {
+        await revokeSession(userId, row.id);
+      }
+    }
+    
+    console.log(`User ${userId} unlinked wallet ${walletAddress}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Unlink wallet error:', error);
+    res.status(500).json({ success: false, error: 'Failed to unlink wallet' });
+  }
+});
+
+// Start a chunked attachment upload. The client has already encrypted the
+// file; we only see its size, declared type and encrypted metadata.
+app.post('/api/attachments', rateLimitRoute(rateLimiter, 'POST /api/attachments'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  const { roomId, size, mimeType, metadata } = req.body;
+  
+  try {
+    const room = await storage.getRoom(parseInt(roomId));
+    
+    if (!room || room.isPublic || !(await storage.isRoomMember(room.id, userId))) {
+      return res.status(403).json({ success: false, error: 'Attachments can only be shared in your private and group chats' });
+    }
+    
+    const problem = validateAttachmentUpload({ size, mimeType });
+    
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+    
+    if (!metadata || typeof metadata.ciphertext !== 'string' || typeof metadata.nonce !== 'string' ||
+        JSON.stringify(metadata).length > MAX_ATTACHMENT_METADATA_BYTES) {
+      return res.status(400).json({ success: false, error: 'Invalid attachment metadata' });
+    }
+    
+    const attachment = await storage.createAttachment({
+      roomId: room.id,
+      uploaderId: userId,
+      storageKey: randomBytes(18).toString('base64url'),
+      mimeType,
+      size,
+      metadata: { ciphertext: metadata.ciphertext, nonce: metadata.nonce }
+    });
+    
+    res.json({ success: true, attachment: { id: attachment.id, chunkSize: ATTACHMENT_CHUNK_BYTES } });
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start upload' });
+  }
+});
+
+// Upload chunk `index` of an attachment. Chunks must arrive in order and all
+// but the last must be exactly chunkSize bytes.
+app.put('/api/attachments/:id/chunks/:index', rateLimitRoute(rateLimiter, 'PUT /api/attachments/:id/chunks/:index'), express.raw({ type: 'application/octet-stream', limit: ATTACHMENT_CHUNK_BYTES }), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  try {
+    const attachment = await storage.getAttachment(parseInt(req.params.id));
+    
+    if (!attachment || attachment.uploaderId !== userId || attachment.status !== 'uploading') {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const offset = parseInt(req.params.index) * ATTACHMENT_CHUNK_BYTES;
+    const end = offset + chunk.length;
+    
+    if (offset !== attachment.receivedBytes) {
+      return res.status(409).json({ success: false, error: 'Unexpected chunk', receivedBytes: attachment.receivedBytes });
+    }
+    
+    if (chunk.length === 0 || end > attachment.size || (chunk.length !== ATTACHMENT_CHUNK_BYTES && end !== attachment.size)) {
+      return res.status(400).json({ success: false, error: 'Invalid chunk size' });
+    }
+    
+    if (!(await storage.advanceAttachmentUpload(attachment.id, offset, end))) {
+      return res.status(409).json({ success: false, error: 'Chunk already received' });
+    }
+    
+    try {
+      await uploadStaging.append(attachment.id, chunk);
+    } catch (error) {
+      await storage.updateAttachment(attachment.id, { receivedBytes: offset });
+      throw error;
+    }
+    
+    res.json({ success: true, receivedBytes: end });
+  } catch (error) {
+    console.error('Attachment chunk error:', error);
+    res.status(500).json({ success: false, error: 'Failed to upload chunk' });
+  }
+});
+
+// Move a fully received upload into the attachment store
+app.post('/api/attachments/:id/complete', rateLimitRoute(rateLimiter, 'POST /api/attachments/:id/complete'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  try {
+    const attachment = await storage.getAttachment(parseInt(req.params.id));
+    
+    if (!attachment || attachment.uploaderId !== userId || attachment.status !== 'uploading') {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+    
+    if (attachment.receivedBytes !== attachment.size) {
+      return res.status(400).json({ success: false, error: 'Upload is incomplete', receivedBytes: attachment.receivedBytes });
+    }
+    
+    const storageKey = await attachmentStore.put(attachment.storageKey, uploadStaging.open(attachment.id));
+    await storage.updateAttachment(attachment.id, { status: 'ready', storageKey });
+    await uploadStaging.discard(attachment.id);
+    
+    res.json({ success: true, attachment: { id: attachment.id } });
+  } catch (error) {
+    console.error('Attachment complete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to finish upload' });
+  }
+});
+
+// Download an attachment's encrypted bytes (room members only)
+app.get('/api/attachments/:id', rateLimitRoute(rateLimiter, 'GET /api/attachments/:id'), async (req, res) => {
+  const userId = req.session?.userId;
+  if (!userId) {
+    return res.status(401).json({ success: false, error: 'Not authenticated' });
+  }
+  
+  try {
+    const attachment = await storage.getAttachment(parseInt(req.params.id));
+    
+    // Until it is sent, an upload is only visible to its uploader
+    const canRead = attachment && attachment.status === 'ready' &&
+      (attachment.messageId
+        ? await storage.isRoomMember(attachment.roomId, userId) && !(await isAttachmentGone(attachment, userId))
+        : attachment.uploaderId === userId);
+    
+    if (!canRead) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+    
+    const stream = await attachmentStore.get(attachment.storageKey);
+    
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('Cache-Control', 'no-store');
+    await pipeline(stream, res);
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Failed to download attachment' });
+    }
+  }
+});
+
+// Profile pictures (public, like the rest of the profile). URLs carry a
+// version, so the bytes can be cached for good.
+app.get('/api/users/:id/avatar', rateLimitRoute(rateLimiter, 'GET /api/users/:id/avatar'), async (req, res) => {
+  try {
+    const user = await storage.getUser(parseInt(req.params.id));
+    const avatar = user?.avatar && parseAvatar(user.avatar);
+    
+    if (!avatar) {
+      return res.status(404).json({ success: false, error: 'Avatar not found' });
+    }
+    
+    res.setHeader('Content-Type', avatar.type);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.send(avatar.bytes);
+  } catch (error) {
+    console.error('Avatar error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load avatar' });
+  }
+});
+
+// AI Assistant endpoint
+app.post('/api/ai/chat', rateLimitRoute(rateLimiter, 'POST /api/ai/chat'), async (req, res) => {
+  try {
+    // Check if user is authenticated
+    const userId = req.session?.userId;
+    if (!userId) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+    
+    const { message } = req.body;
+    
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ success: false, error: 'Message is required' });
+    }
+    
+    // Get AI response
+    const aiResponse = await getCryptoAssistantResponse(message);
+    
+    res.json({ success: true, response: aiResponse });
+  } catch (error) {
+    console.error('AI chat error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get AI response' });
+  }
+});
+
+// Socket.io connection handling
+io.on('connection', async (socket) => {
+  console.log('User connected:', socket.id);
+  
+  // Rate limit every incoming event. Rejected events are dropped with a
+  // rate_limited reply; once the sender is blocked the socket is closed.
+  socket.use(async ([event], next) => {
+    try {
+      const limited = await rateLimiter.consume(Object.hasOwn(rateLimiter.rules, event) ? event : '*', {
+        socket: socket.id,
+        ip: getSocketIp(socket),
+        wallet: socketToUser.get(socket.id)
+      });
+      
+      if (!limited) {
+        return next();
+      }
+      
+      socket.emit('rate_limited', { event, message: describeRateLimit(limited), ...limited });
+      
+      if (limited.blocked) {
+        socket.disconnect(true);
+      }
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      next();
+    }
+  });
+
+  // User authentication via verified session ONLY - NO client-supplied IDs accepted
+  socket.on('auth', async (data) => {
+    try {
       // Get userId from verified session (set by REST API after signature verification)
       const userId = socket.request.session?.userId;
       
@@ -197,14 +1520,22 @@ io.on('connection', async (socket) => {
       }
       
       // Map socket to user (using session-verified user ID)
+      const previousStatus = await getUserStatus(user.id);
       socketToUser.set(socket.id, user.id);
+      socket.join([userRoom(user.id), sessionRoom(socket.request.sessionID)]);
+      await sessionStore.recordActivity(socket.request.sessionID);
+      await cluster.state.setSocket(cluster.nodeId, socket.id, user.id, 'online');
       
-      // Ensure public room exists and auto-join user
+      // Ensure public room exists and auto-join user, unless they are banned
+      // from it. Wallets in PUBLIC_ROOM_MODERATORS join as moderators.
       const publicRoom = await storage.ensurePublicRoom();
       const isPublicMember = await storage.isRoomMember(publicRoom.id, user.id);
+      const publicRole = publicRoomModerators.has(user.walletAddress) ? 'moderator' : 'member';
       
-      if (!isPublicMember) {
-        await storage.addRoomMember(publicRoom.id, user.id);
+      if (!isPublicMember && !(await storage.isBannedFromRoom(publicRoom.id, user.id))) {
+        await storage.addRoomMember(publicRoom.id, user.id, publicRole);
+      } else if (isPublicMember && publicRole === 'moderator') {
+        await storage.setRoomMemberRole(publicRoom.id, user.id, publicRole);
       }
       
       // Get user's rooms (now includes public room)
@@ -219,18 +1550,18 @@ io.on('connection', async (socket) => {
         user: {
           id: user.id,
           username: user.username,
+          profile: serializeProfile(user),
           walletAddress: user.walletAddress,
+          encryptionPublicKey: user.encryptionPublicKey,
+          encryptionKeyWallet: getKeyWallet(user),
+          settings: serializeSettings(user),
           online: true
         },
         rooms: userRooms
       });
 
-      // Notify others that user is online
-      socket.broadcast.emit('user_online', {
-        id: user.id,
-        username: user.username,
-        walletAddress: user.walletAddress
-      });
+      // Notify peers if this is the user's first socket
+      await updatePresence(user.id, previousStatus);
       
       console.log('Wallet authenticated (session):', user.walletAddress, 'Username:', user.username, 'ID:', user.id);
     } catch (error) {
@@ -249,14 +1580,31 @@ io.on('connection', async (socket) => {
     }
 
     try {
-      const { recipientWallet } = data;
+      const { recipientWallet, recipientHandle } = data;
       
-      // Check if recipient wallet exists in database
-      const recipient = await storage.getUserByWallet(recipientWallet);
+      // Find the recipient by handle (with or without @) or wallet address
+      const recipient = recipientHandle
+        ? await storage.getUserByUsername(String(recipientHandle).replace(/^@/, ''))
+        : await findUserByWallet(recipientWallet);
       
       if (!recipient) {
         // User never connected to ZKONTROL
-        socket.emit('user_not_found', { wallet: recipientWallet });
+        socket.emit('user_not_found', recipientHandle ? { handle: recipientHandle } : { wallet: recipientWallet });
+        return;
+      }
+      
+      if (recipient.id === userId) {
+        socket.emit('error', { message: 'You cannot create a conversation with yourself' });
+        return;
+      }
+      
+      if (await hasBlocked(recipient.id, userId)) {
+        socket.emit('error', { message: 'You cannot message this user' });
+        return;
+      }
+      
+      if (await hasBlocked(userId, recipient.id)) {
+        socket.emit('error', { message: `Unblock @${recipient.username} to message them` });
         return;
       }
       
@@ -264,18 +1612,27 @@ io.on('connection', async (socket) => {
       const existingRoom = await storage.findPrivateRoom(userId, recipient.id);
       
       if (existingRoom) {
-        // Room already exists, just select it
-        socket.emit('room_created', existingRoom);
-        socket.join(existingRoom.id.toString());
+        // Room already exists, just select it. Reaching out to someone whose
+        // request is waiting for us accepts it.
+        const room = existingRoom.requestRecipientId === userId
+          ? await acceptRequest(existingRoom)
+          : existingRoom;
+        socket.emit('room_created', room);
+        socket.join(room.id.toString());
         return;
       }
       
+      // First contact from someone the recipient never talked to is a
+      // message request until they accept it
+      const isRequest = !(await hasTalkedTo(storage, recipient.id, userId));
+      
       // Create new private room
       const currentUser = await storage.getUser(userId);
       const room = await storage.createRoom({
         name: `${currentUser.username} & ${recipient.username}`,
         isGroup: false,
-        createdBy: userId
+        createdBy: userId,
+        requestRecipientId: isRequest ? recipient.id : null
       });
       
       // Add both users as members
@@ -287,6 +1644,14 @@ io.on('connection', async (socket) => {
       
       socket.emit('room_created', room);
       
+      // The recipient's tabs subscribe too; a request goes to their requests inbox
+      io.in(userRoom(recipient.id)).socketsJoin(room.id.toString());
+      io.to(userRoom(recipient.id)).emit('room_update', room);
+      
+      if (isRequest) {
+        await emitMessageRequests(recipient.id);
+      }
+      
       console.log(`Private room created: ${room.id} between user ${userId} and ${recipient.id}`);
     } catch (error) {
       console.error('Create private chat error:', error);
@@ -294,285 +1659,2209 @@ io.on('connection', async (socket) => {
     }
   });
 
-  // Create a new room (group only)
-  socket.on('create_room', async (data) => {
-    const userId = socketToUser.get(socket.id);
-    
-    if (!userId) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
+  // Create a new room (group only)
+  socket.on('create_room', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { name, members } = data;
+      const wallets = Array.isArray(members) ? [...new Set(members)] : [];
+      
+      // Resolve invitees before creating anything so unknown wallets can be reported
+      const invitees = [];
+      const notFound = [];
+      
+      for (const wallet of wallets) {
+        const invitee = await findUserByWallet(wallet);
+        
+        if (!invitee) {
+          notFound.push(wallet);
+        } else if (invitee.id !== userId) {
+          invitees.push(invitee);
+        }
+      }
+      
+      // Always a group: private chats only come from create_private_chat,
+      // which checks blocks and files first contacts as message requests
+      const room = await storage.createRoom({
+        name: name || 'New Chat',
+        isGroup: true,
+        createdBy: userId
+      });
+      
+      // The creator owns the group
+      await storage.addRoomMember(room.id, userId, 'owner');
+      
+      // Join socket to room
+      socket.join(room.id.toString());
+      
+      socket.emit('room_created', room);
+      
+      for (const invitee of invitees) {
+        await storage.addRoomMember(room.id, invitee.id, 'member', userId);
+        await onRoomMemberAdded(room, invitee);
+      }
+      
+      if (notFound.length > 0) {
+        socket.emit('members_not_found', { roomId: room.id, wallets: notFound });
+      }
+      
+      console.log(`Room created: ${room.id} by user ${userId}`);
+    } catch (error) {
+      console.error('Create room error:', error);
+      socket.emit('error', { message: 'Failed to create room' });
+    }
+  });
+
+  // Join an existing room
+  socket.on('join_room', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { roomId } = data;
+      const roomIdNum = parseInt(roomId);
+      
+      const room = await storage.getRoom(roomIdNum);
+      
+      if (!room) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+      
+      // Check if user is already a member
+      const isMember = await storage.isRoomMember(roomIdNum, userId);
+      
+      if (!isMember) {
+        // Only the public room is open to everyone; private chats and groups
+        // are joined by being added or through an invite link
+        if (!room.isPublic) {
+          socket.emit('error', { message: 'You are not a member of this room' });
+          return;
+        }
+        
+        if (await storage.isBannedFromRoom(roomIdNum, userId)) {
+          socket.emit('error', { message: 'You are banned from this room' });
+          return;
+        }
+        
+        await storage.addRoomMember(roomIdNum, userId);
+      }
+      
+      // Join socket to room
+      socket.join(roomIdNum.toString());
+      
+      // Get the latest page of room messages
+      const { messages, hasMore, cursor } = await storage.getRoomMessagesPage(roomIdNum, { limit: MESSAGE_PAGE_SIZE });
+      
+      // Get room members
+      const members = await storage.getRoomMembers(roomIdNum);
+      
+      const membersById = new Map(members.map(m => [m.id, m]));
+      
+      // Get reactions for all messages
+      const messageIds = messages.map(m => m.id);
+      const allReactions = await getVisibleReactions(messageIds, userId);
+      
+      // Receipts are not tracked in the public room
+      const receipts = room.isPublic
+        ? []
+        : (await storage.getRoomReceipts(roomIdNum)).map(r => serializeReceipt(r, r.sendReadReceipts));
+      
+      socket.emit('room_joined', {
+        room: {
+          ...room,
+          members: members.map(serializeMember)
+        },
+        messages: await serializeMessages(messages, membersById, userId),
+        reactions: allReactions,
+        receipts,
+        hasMore,
+        cursor: encodeMessageCursor(cursor)
+      });
+      
+      // Notify other members. The recipient of a message request can look
+      // at it without the sender knowing.
+      if (room.requestRecipientId !== userId) {
+        const user = await storage.getUser(userId);
+        socket.to(roomIdNum.toString()).emit('user_joined_room', {
+          roomId: roomIdNum,
+          user: user.username
+        });
+      }
+      
+      console.log(`User ${userId} joined room: ${roomIdNum}`);
+    } catch (error) {
+      console.error('Join room error:', error);
+      socket.emit('error', { message: 'Failed to join room' });
+    }
+  });
+
+  // Load an older page of messages for infinite scroll
+  socket.on('load_more_messages', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { roomId, cursor, limit } = data;
+      const roomIdNum = parseInt(roomId);
+      
+      const isMember = await storage.isRoomMember(roomIdNum, userId);
+      
+      if (!isMember) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+      
+      const before = decodeMessageCursor(cursor);
+      
+      if (!before) {
+        socket.emit('error', { message: 'Invalid history cursor' });
+        return;
+      }
+      
+      const pageSize = Math.min(Math.max(parseInt(limit) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
+      const page = await storage.getRoomMessagesPage(roomIdNum, { before, limit: pageSize });
+      const { messages, hasMore } = page;
+      
+      const members = await storage.getRoomMembers(roomIdNum);
+      const membersById = new Map(members.map(m => [m.id, m]));
+      
+      const reactions = await getVisibleReactions(messages.map(m => m.id), userId);
+      
+      socket.emit('more_messages', {
+        roomId: roomIdNum,
+        messages: await serializeMessages(messages, membersById, userId),
+        reactions,
+        hasMore,
+        cursor: encodeMessageCursor(page.cursor) || cursor
+      });
+    } catch (error) {
+      console.error('Load more messages error:', error);
+      socket.emit('error', { message: 'Failed to load older messages' });
+    }
+  });
+
+  // Load the replies to a message, paging backwards like the main timeline
+  socket.on('load_thread', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { roomId, messageId, cursor } = data;
+      const roomIdNum = parseInt(roomId);
+      const messageIdNum = parseInt(messageId);
+      
+      const isMember = await storage.isRoomMember(roomIdNum, userId);
+      
+      if (!isMember) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+      
+      // The parent may have expired or been unsent; its replies are still shown
+      const parent = await storage.getMessage(messageIdNum);
+      
+      if (parent && parent.roomId !== roomIdNum) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+      
+      const before = cursor ? decodeMessageCursor(cursor) : null;
+      
+      if (cursor && !before) {
+        socket.emit('error', { message: 'Invalid history cursor' });
+        return;
+      }
+      
+      const { messages: replies, hasMore, cursor: repliesCursor } = await storage.getRoomMessagesPage(roomIdNum, {
+        parentId: messageIdNum,
+        before,
+        limit: MESSAGE_PAGE_SIZE
+      });
+      
+      const members = await storage.getRoomMembers(roomIdNum);
+      const membersById = new Map(members.map(m => [m.id, m]));
+      
+      const reactions = await getVisibleReactions(replies.map(m => m.id), userId);
+      
+      socket.emit('thread_loaded', {
+        roomId: roomIdNum,
+        messageId: messageIdNum,
+        parent: parent ? (await serializeMessages([parent], membersById, userId))[0] || null : null,
+        replies: await serializeMessages(replies, membersById, userId),
+        reactions,
+        hasMore,
+        cursor: encodeMessageCursor(repliesCursor) || cursor || null,
+        isOlderPage: !!cursor
+      });
+    } catch (error) {
+      console.error('Load thread error:', error);
+      socket.emit('error', { message: 'Failed to load thread' });
+    }
+  });
+
+  // Full-text search across the caller's rooms
+  socket.on('search_messages', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { query, roomId, sender, from, to } = data || {};
+      
+      if (typeof query !== 'string' || !query.trim()) {
+        socket.emit('error', { message: 'Search query required' });
+        return;
+      }
+      
+      const roomIdNum = roomId ? parseId(roomId) : null;
+      
+      if (roomId && !roomIdNum) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+      
+      let senderId = null;
+      
+      if (sender) {
+        const senderUser = await findUserByWallet(sender) || await storage.getUserByUsername(sender);
+        
+        if (!senderUser) {
+          socket.emit('search_results', { query, results: [] });
+          return;
+        }
+        
+        senderId = senderUser.id;
+      }
+      
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        socket.emit('error', { message: 'Invalid date range' });
+        return;
+      }
+      
+      const results = await storage.searchMessages(userId, {
+        query: query.trim().slice(0, 200),
+        roomId: roomIdNum,
+        senderId,
+        from: fromDate,
+        to: toDate,
+        limit: SEARCH_RESULT_LIMIT,
+        startSel: SEARCH_MATCH_START,
+        stopSel: SEARCH_MATCH_END
+      });
+      
+      const blockedIds = await getBlockedIds(userId);
+      
+      socket.emit('search_results', {
+        query,
+        results: results.filter(r => !blockedIds.has(r.userId)).map(r => ({
+          messageId: r.messageId,
+          roomId: r.roomId,
+          roomName: r.roomName,
+          userId: r.userId,
+          username: r.username,
+          snippet: r.snippet,
+          timestamp: r.createdAt
+        }))
+      });
+    } catch (error) {
+      console.error('Search messages error:', error);
+      socket.emit('error', { message: 'Search failed' });
+    }
+  });
+
+  // Send a message to a room
+  socket.on('send_message', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { roomId, content, nonce, encryptedKeys, expiresAt, parentId, command, burnSeconds, attachmentIds } = data;
+      const roomIdNum = parseInt(roomId);
+      const parentIdNum = parentId ? parseInt(parentId) : null;
+      
+      // Verify user is member of room
+      const isMember = await storage.isRoomMember(roomIdNum, userId);
+      
+      if (!isMember) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+      
+      const room = await storage.getRoom(roomIdNum);
+      
+      if (room.requestRecipientId === userId) {
+        socket.emit('error', { message: 'Accept the message request to reply' });
+        return;
+      }
+      
+      // Nobody can write to someone who blocked them in a private chat
+      if (await isBlockedPrivateChat(room, userId)) {
+        socket.emit('error', { message: 'You cannot message this user' });
+        return;
+      }
+      
+      // Slash commands are never stored. Encrypted rooms send them in the
+      // plaintext `command` field since the server cannot read `content`.
+      const commandInput = typeof command === 'string'
+        ? command
+        : (room.isPublic && typeof content === 'string' ? content : null);
+      
+      if (commandInput?.trim().startsWith('/')) {
+        await runCommand(commandInput, room);
+        return;
+      }
+      
+      if (room.isPublic) {
+        const problem = await getPublicPostProblem(room, userId, content);
+        
+        if (problem) {
+          socket.emit('error', { message: problem });
+          return;
+        }
+      }
+      
+      // Private and group rooms only ever carry ciphertext; the public room stays plaintext
+      if (!room.isPublic && !isValidEnvelope({ content, nonce, encryptedKeys })) {
+        socket.emit('error', { message: 'Messages in private and group chats must be end-to-end encrypted' });
+        return;
+      }
+      
+      if (parentIdNum) {
+        const parent = await storage.getMessage(parentIdNum);
+        
+        if (!parent || parent.roomId !== roomIdNum) {
+          socket.emit('error', { message: 'The message you are replying to is no longer available' });
+          return;
+        }
+      }
+      
+      // Attachments must be this sender's finished, unsent uploads to this room
+      const attachmentIdNums = Array.isArray(attachmentIds) ? [...new Set(attachmentIds.map(id => parseInt(id)))] : [];
+      
+      if (attachmentIdNums.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+        socket.emit('error', { message: `A message can carry at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments` });
+        return;
+      }
+      
+      for (const attachmentId of attachmentIdNums) {
+        const attachment = await storage.getAttachment(attachmentId);
+        
+        if (!attachment || attachment.uploaderId !== userId || attachment.roomId !== roomIdNum ||
+            attachment.status !== 'ready' || attachment.messageId) {
+          socket.emit('error', { message: 'An attachment is missing or still uploading' });
+          return;
+        }
+      }
+      
+      // Burn-after-read replaces the send-time timer; the room's disappearing
+      // timer still applies as an upper bound
+      const burn = burnSeconds ? parsePolicySeconds(burnSeconds, MAX_DISAPPEARING_SECONDS) : null;
+      
+      if (burn === undefined || (burn && room.isPublic)) {
+        socket.emit('error', { message: 'Burn-after-read needs a timer of at most 7 days and is not available in the public room' });
+        return;
+      }
+      
+      // Save message to database, capped by the room's disappearing timer
+      const message = await storage.createMessage({
+        roomId: roomIdNum,
+        userId: userId,
+        content: content,
+        nonce: room.isPublic ? null : nonce,
+        encryptedKeys: room.isPublic ? null : encryptedKeys,
+        parentId: parentIdNum,
+        expiresAt: applyDisappearingPolicy(room, burn ? null : expiresAt),
+        burnSeconds: burn
+      });
+      
+      if (attachmentIdNums.length > 0) {
+        await storage.attachToMessage(attachmentIdNums, message.id);
+      }
+      
+      if (room.isPublic && room.slowModeSeconds) {
+        const waitMs = room.slowModeSeconds * 1000;
+        await cluster.state.set(slowModeKey(room.id, userId), Date.now() + waitMs, waitMs);
+      }
+      
+      expiryScheduler.schedule(message);
+      
+      // Get user info
+      const user = await storage.getUser(userId);
+      const [serialized] = await serializeMessages([message], new Map([[user.id, user]]));
+      
+      const messageData = {
+        ...serialized,
+        senderPublicKey: user.encryptionPublicKey,
+        senderKeySignature: user.encryptionKeySignature,
+        senderWallet: getKeyWallet(user)
+      };
+      
+      // Send to all room members except those who blocked the sender
+      io.to(roomIdNum.toString()).except(await getBlockerRooms(userId)).emit('new_message', messageData);
+      
+      if (parentIdNum) {
+        await broadcastReplyCount(roomIdNum, parentIdNum);
+      }
+      
+      console.log(`Message in room ${roomIdNum} from user ${userId}${message.nonce ? ' (encrypted)' : ''}${message.expiresAt ? ' (expires at: ' + message.expiresAt.toISOString() + ')' : ''}`);
+    } catch (error) {
+      console.error('Send message error:', error);
+      socket.emit('error', { message: 'Failed to send message' });
+    }
+  });
+
+  async function runCommand(input, room) {
+    const user = await storage.getUser(socketToUser.get(socket.id));
+    const ctx = {
+      user,
+      room,
+      socket,
+      onMemberAdded: async (member) => {
+        await onRoomMemberAdded(room, member);
+        broadcastGroupEvent(room.id, 'member_added', user, member);
+      },
+      onMemberRemoved: async (member) => {
+        if (room.isGroup) {
+          broadcastGroupEvent(room.id, 'member_left', member, null);
+        }
+        await onRoomMemberRemoved(room, member);
+      }
+    };
+    
+    try {
+      const result = await commands.execute(input, ctx);
+      
+      // Replies are ephemeral: only the caller's socket sees them
+      socket.emit('command_response', {
+        roomId: room.id,
+        text: result?.text || '',
+        action: result?.action || null
+      });
+    } catch (error) {
+      if (!(error instanceof CommandError)) {
+        throw error;
+      }
+      
+      socket.emit('command_response', {
+        roomId: room.id,
+        text: error.message,
+        isError: true
+      });
+    }
+  }
+
+  // Look up a group and the caller's membership for a management action.
+  // Emits an error and returns null when the caller can't act on the group.
+  async function getGroupContext(roomId) {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return null;
+    }
+    
+    const room = await storage.getRoom(parseInt(roomId));
+    
+    if (!room || !room.isGroup || room.isPublic) {
+      socket.emit('error', { message: 'Group not found' });
+      return null;
+    }
+    
+    const membership = await storage.getRoomMember(room.id, userId);
+    
+    if (!membership) {
+      socket.emit('error', { message: 'Not a member of this group' });
+      return null;
+    }
+    
+    const actor = await storage.getUser(userId);
+    return { room, actor, role: membership.role };
+  }
+
+  // Resolve the member an admin action targets and check the caller outranks them
+  async function getModerationTarget(group, targetUserId) {
+    const target = await storage.getUser(parseInt(targetUserId));
+    const targetMembership = target && await storage.getRoomMember(group.room.id, target.id);
+    
+    if (!targetMembership) {
+      socket.emit('error', { message: 'User is not a member of this group' });
+      return null;
+    }
+    
+    if (!canModerate(group.role, targetMembership.role)) {
+      socket.emit('error', { message: 'You do not have permission to manage this member' });
+      return null;
+    }
+    
+    return { target, role: targetMembership.role };
+  }
+
+  // Add members to an existing group by wallet address (admins and owner)
+  socket.on('add_members', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (!isAdmin(group.role)) {
+        socket.emit('error', { message: 'Only group admins can add members' });
+        return;
+      }
+      
+      const wallets = Array.isArray(data.wallets) ? [...new Set(data.wallets)] : [];
+      const notFound = [];
+      
+      for (const wallet of wallets) {
+        const invitee = await findUserByWallet(wallet);
+        
+        if (!invitee) {
+          notFound.push(wallet);
+          continue;
+        }
+        
+        if (await storage.isRoomMember(group.room.id, invitee.id)) {
+          continue;
+        }
+        
+        // Like /invite: a banned user comes back only through unban_member
+        if (await storage.isBannedFromRoom(group.room.id, invitee.id)) {
+          socket.emit('error', { message: `${invitee.username} is banned from this group. Unban them first.` });
+          continue;
+        }
+        
+        await storage.addRoomMember(group.room.id, invitee.id, 'member', group.actor.id);
+        await onRoomMemberAdded(group.room, invitee);
+        broadcastGroupEvent(group.room.id, 'member_added', group.actor, invitee);
+      }
+      
+      if (notFound.length > 0) {
+        socket.emit('members_not_found', { roomId: group.room.id, wallets: notFound });
+      }
+    } catch (error) {
+      console.error('Add members error:', error);
+      socket.emit('error', { message: 'Failed to add members' });
+    }
+  });
+
+  // Remove a member from a group; they may be added back later
+  socket.on('kick_member', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      const moderation = await getModerationTarget(group, data.userId);
+      if (!moderation) return;
+      
+      broadcastGroupEvent(group.room.id, 'member_kicked', group.actor, moderation.target);
+      await storage.removeRoomMember(group.room.id, moderation.target.id);
+      await onRoomMemberRemoved(group.room, moderation.target);
+    } catch (error) {
+      console.error('Kick member error:', error);
+      socket.emit('error', { message: 'Failed to remove member' });
+    }
+  });
+
+  // Remove a member and stop them from rejoining until unbanned
+  socket.on('ban_member', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      const moderation = await getModerationTarget(group, data.userId);
+      if (!moderation) return;
+      
+      broadcastGroupEvent(group.room.id, 'member_banned', group.actor, moderation.target);
+      await storage.banRoomMember(group.room.id, moderation.target.id, group.actor.id);
+      await onRoomMemberRemoved(group.room, moderation.target);
+      socket.emit('room_bans', { roomId: group.room.id, bans: await storage.getRoomBans(group.room.id) });
+    } catch (error) {
+      console.error('Ban member error:', error);
+      socket.emit('error', { message: 'Failed to ban member' });
+    }
+  });
+
+  socket.on('unban_member', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (!isAdmin(group.role)) {
+        socket.emit('error', { message: 'Only group admins can unban members' });
+        return;
+      }
+      
+      const target = await storage.getUser(parseInt(data.userId));
+      
+      if (!target || !(await storage.unbanRoomMember(group.room.id, target.id))) {
+        socket.emit('error', { message: 'User is not banned from this group' });
+        return;
+      }
+      
+      broadcastGroupEvent(group.room.id, 'member_unbanned', group.actor, target);
+      socket.emit('room_bans', { roomId: group.room.id, bans: await storage.getRoomBans(group.room.id) });
+    } catch (error) {
+      console.error('Unban member error:', error);
+      socket.emit('error', { message: 'Failed to unban member' });
+    }
+  });
+
+  socket.on('get_room_bans', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (!isAdmin(group.role)) {
+        socket.emit('error', { message: 'Only group admins can view bans' });
+        return;
+      }
+      
+      socket.emit('room_bans', { roomId: group.room.id, bans: await storage.getRoomBans(group.room.id) });
+    } catch (error) {
+      console.error('Get room bans error:', error);
+      socket.emit('error', { message: 'Failed to load bans' });
+    }
+  });
+
+  // Only the owner appoints and removes admins
+  socket.on('promote_member', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      const moderation = await getModerationTarget(group, data.userId);
+      if (!moderation) return;
+      
+      if (group.role !== 'owner' || moderation.role !== 'member') {
+        socket.emit('error', { message: 'Only the group owner can promote members to admin' });
+        return;
+      }
+      
+      await storage.setRoomMemberRole(group.room.id, moderation.target.id, 'admin');
+      broadcastGroupEvent(group.room.id, 'member_promoted', group.actor, moderation.target, { role: 'admin' });
+      await broadcastRoomMembers(group.room.id);
+    } catch (error) {
+      console.error('Promote member error:', error);
+      socket.emit('error', { message: 'Failed to promote member' });
+    }
+  });
+
+  socket.on('demote_member', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      const moderation = await getModerationTarget(group, data.userId);
+      if (!moderation) return;
+      
+      if (moderation.role !== 'admin') {
+        socket.emit('error', { message: 'Only admins can be demoted' });
+        return;
+      }
+      
+      await storage.setRoomMemberRole(group.room.id, moderation.target.id, 'member');
+      broadcastGroupEvent(group.room.id, 'member_demoted', group.actor, moderation.target, { role: 'member' });
+      await broadcastRoomMembers(group.room.id);
+    } catch (error) {
+      console.error('Demote member error:', error);
+      socket.emit('error', { message: 'Failed to demote member' });
+    }
+  });
+
+  socket.on('rename_group', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (!isAdmin(group.role)) {
+        socket.emit('error', { message: 'Only group admins can rename the group' });
+        return;
+      }
+      
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      
+      if (!name || name.length > 100) {
+        socket.emit('error', { message: 'Group name must be 1-100 characters' });
+        return;
+      }
+      
+      const room = await storage.renameRoom(group.room.id, name);
+      
+      io.to(room.id.toString()).emit('room_update', room);
+      broadcastGroupEvent(room.id, 'group_renamed', group.actor, null, { name });
+    } catch (error) {
+      console.error('Rename group error:', error);
+      socket.emit('error', { message: 'Failed to rename group' });
+    }
+  });
+
+  // Hand the group to another member; the previous owner stays on as admin
+  socket.on('transfer_ownership', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (group.role !== 'owner') {
+        socket.emit('error', { message: 'Only the group owner can transfer ownership' });
+        return;
+      }
+      
+      const target = await storage.getUser(parseInt(data.userId));
+      
+      if (!target || target.id === group.actor.id || !(await storage.isRoomMember(group.room.id, target.id))) {
+        socket.emit('error', { message: 'User is not a member of this group' });
+        return;
+      }
+      
+      await storage.transferRoomOwnership(group.room.id, group.actor.id, target.id);
+      broadcastGroupEvent(group.room.id, 'ownership_transferred', group.actor, target);
+      await broadcastRoomMembers(group.room.id);
+    } catch (error) {
+      console.error('Transfer ownership error:', error);
+      socket.emit('error', { message: 'Failed to transfer ownership' });
+    }
+  });
+
+  function serializeInvite(invite) {
+    return {
+      id: invite.id,
+      token: buildInviteToken(invite.code),
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses,
+      createdAt: invite.createdAt
+    };
+  }
+
+  async function emitInvitesList(roomId) {
+    const invites = await storage.getRoomInvites(roomId);
+    socket.emit('invites_list', {
+      roomId,
+      invites: invites.filter(invite => !getInviteProblem(invite)).map(serializeInvite)
+    });
+  }
+
+  // Resolve a token to a usable invite and its room, or emit invite_error
+  async function resolveInvite(token) {
+    const code = verifyInviteToken(token);
+    const invite = code && await storage.getRoomInviteByCode(code);
+    
+    if (!invite) {
+      socket.emit('invite_error', { token, message: 'This invite link is not valid' });
+      return null;
+    }
+    
+    const problem = getInviteProblem(invite);
+    
+    if (problem) {
+      socket.emit('invite_error', { token, message: problem });
+      return null;
+    }
+    
+    return { invite, room: await storage.getRoom(invite.roomId) };
+  }
+
+  // Generate an invite link for a group (admins and owner)
+  socket.on('create_invite', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (!isAdmin(group.role)) {
+        socket.emit('error', { message: 'Only group admins can create invite links' });
+        return;
+      }
+      
+      const expiresIn = data.expiresIn ? parseInt(data.expiresIn) : null;
+      const maxUses = data.maxUses ? parseInt(data.maxUses) : null;
+      
+      if (expiresIn !== null && !(expiresIn > 0 && expiresIn <= MAX_INVITE_LIFETIME_SECONDS)) {
+        socket.emit('error', { message: 'Invite expiry must be between 1 second and 30 days' });
+        return;
+      }
+      
+      if (maxUses !== null && !(maxUses > 0 && maxUses <= MAX_INVITE_USES)) {
+        socket.emit('error', { message: `Invite max uses must be between 1 and ${MAX_INVITE_USES}` });
+        return;
+      }
+      
+      const invite = await storage.createRoomInvite({
+        roomId: group.room.id,
+        code: createInviteCode(),
+        createdBy: group.actor.id,
+        expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null,
+        maxUses
+      });
+      
+      socket.emit('invite_created', { roomId: group.room.id, invite: serializeInvite(invite) });
+      await emitInvitesList(group.room.id);
+    } catch (error) {
+      console.error('Create invite error:', error);
+      socket.emit('error', { message: 'Failed to create invite link' });
+    }
+  });
+
+  socket.on('get_invites', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (!isAdmin(group.role)) {
+        socket.emit('error', { message: 'Only group admins can view invite links' });
+        return;
+      }
+      
+      await emitInvitesList(group.room.id);
+    } catch (error) {
+      console.error('Get invites error:', error);
+      socket.emit('error', { message: 'Failed to load invite links' });
+    }
+  });
+
+  socket.on('revoke_invite', async (data) => {
+    try {
+      const group = await getGroupContext(data.roomId);
+      if (!group) return;
+      
+      if (!isAdmin(group.role)) {
+        socket.emit('error', { message: 'Only group admins can revoke invite links' });
+        return;
+      }
+      
+      if (!(await storage.revokeRoomInvite(group.room.id, parseInt(data.inviteId)))) {
+        socket.emit('error', { message: 'Invite link not found' });
+        return;
+      }
+      
+      await emitInvitesList(group.room.id);
+    } catch (error) {
+      console.error('Revoke invite error:', error);
+      socket.emit('error', { message: 'Failed to revoke invite link' });
+    }
+  });
+
+  // Show what an invite leads to before the user commits to joining
+  socket.on('preview_invite', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const resolved = await resolveInvite(data.token);
+      if (!resolved) return;
+      
+      const { invite, room } = resolved;
+      const members = await storage.getRoomMembers(room.id);
+      
+      socket.emit('invite_preview', {
+        token: data.token,
+        room: {
+          id: room.id,
+          name: room.name,
+          memberCount: members.length
+        },
+        expiresAt: invite.expiresAt,
+        alreadyMember: members.some(m => m.id === userId)
+      });
+    } catch (error) {
+      console.error('Preview invite error:', error);
+      socket.emit('error', { message: 'Failed to load invite' });
+    }
+  });
+
+  socket.on('accept_invite', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const resolved = await resolveInvite(data.token);
+      if (!resolved) return;
+      
+      const { invite, room } = resolved;
+      
+      if (await storage.isRoomMember(room.id, userId)) {
+        socket.emit('invite_accepted', { roomId: room.id });
+        return;
+      }
+      
+      if (await storage.isBannedFromRoom(room.id, userId)) {
+        socket.emit('invite_error', { token: data.token, message: 'You are banned from this group' });
+        return;
+      }
+      
+      if (!(await storage.redeemRoomInvite(invite.id))) {
+        socket.emit('invite_error', { token: data.token, message: 'This invite link is no longer valid' });
+        return;
+      }
+      
+      const user = await storage.getUser(userId);
+      
+      await storage.addRoomMember(room.id, userId);
+      await onRoomMemberAdded(room, user);
+      broadcastGroupEvent(room.id, 'member_joined', user, null);
+      
+      socket.emit('invite_accepted', { roomId: room.id });
+    } catch (error) {
+      console.error('Accept invite error:', error);
+      socket.emit('error', { message: 'Failed to join group' });
+    }
+  });
+
+  // Set a room's disappearing timer and/or retention age. In groups this is
+  // limited to admins; in one-to-one chats either participant may change it.
+  socket.on('update_room_policy', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const room = await storage.getRoom(parseInt(data.roomId));
+      const membership = room && await storage.getRoomMember(room.id, userId);
+      
+      if (!room || room.isPublic || !membership) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+      
+      if (room.isGroup && !isAdmin(membership.role)) {
+        socket.emit('error', { message: 'Only group admins can change message policies' });
+        return;
+      }
+      
+      const changes = {};
+      
+      if ('disappearingSeconds' in data) {
+        changes.disappearingSeconds = parsePolicySeconds(data.disappearingSeconds, MAX_DISAPPEARING_SECONDS);
+      }
+      if ('retentionSeconds' in data) {
+        changes.retentionSeconds = parsePolicySeconds(data.retentionSeconds, MAX_RETENTION_SECONDS);
+      }
+      
+      if (Object.values(changes).includes(undefined)) {
+        socket.emit('error', { message: 'Disappearing timer must be at most 7 days and retention at most 365 days' });
+        return;
+      }
+      
+      const changed = Object.keys(changes).filter(field => changes[field] !== room[field]);
+      
+      if (changed.length === 0) {
+        return;
+      }
+      
+      const updated = await storage.updateRoomPolicy(room.id, changes);
+      const actor = await storage.getUser(userId);
+      
+      io.to(room.id.toString()).emit('room_update', updated);
+      
+      // Record each change in the room history as a plaintext system message
+      for (const field of changed) {
+        const message = await storage.createMessage({
+          roomId: room.id,
+          userId,
+          kind: 'system',
+          content: describePolicyChange(actor.username, field, changes[field])
+        });
+        
+        io.to(room.id.toString()).emit('new_message', serializeMessage(message, actor.username));
+      }
+      
+      console.log(`Room ${room.id} policy updated by user ${userId}:`, changes);
+    } catch (error) {
+      console.error('Update room policy error:', error);
+      socket.emit('error', { message: 'Failed to update message policy' });
+    }
+  });
+
+  // A recipient rendered a burn-after-read message: start their countdown
+  socket.on('message_viewed', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const message = await storage.getMessage(parseInt(data.messageId));
+      
+      if (!message || !message.burnSeconds || message.userId === userId) {
+        return;
+      }
+      
+      if (!(await storage.isRoomMember(message.roomId, userId))) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+      
+      const read = await storage.markMessageViewed(message.id, userId, message.burnSeconds);
+      
+      // Every tab of this reader shares one countdown
+      io.to(userRoom(userId)).emit('message_burn_started', {
+        messageId: message.id,
+        roomId: message.roomId,
+        burnExpiresAt: read.expiresAt
+      });
+    } catch (error) {
+      console.error('Message viewed error:', error);
+    }
+  });
+
+  // Commands available in a room, for client autocomplete
+  socket.on('get_commands', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      return;
+    }
+
+    try {
+      const roomIdNum = parseInt(data?.roomId);
+      const room = await storage.getRoom(roomIdNum);
+      
+      if (!room || !(await storage.isRoomMember(roomIdNum, userId))) {
+        return;
+      }
+      
+      const user = await storage.getUser(userId);
+      
+      socket.emit('commands_list', {
+        roomId: roomIdNum,
+        commands: await commands.list({ user, room, socket })
+      });
+    } catch (error) {
+      console.error('Get commands error:', error);
+    }
+  });
+
+  // Edit a message (author only)
+  socket.on('edit_message', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { messageId, content, nonce, encryptedKeys } = data;
+      const message = await storage.getMessage(parseInt(messageId));
+      
+      if (!message || message.userId !== userId || message.kind !== 'text') {
+        socket.emit('error', { message: 'You can only edit your own messages' });
+        return;
+      }
+      
+      const room = await storage.getRoom(message.roomId);
+      
+      if (!(await isActiveMember(room, userId))) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+      
+      if (room.isPublic) {
+        if (typeof content !== 'string' || !content.trim()) {
+          socket.emit('error', { message: 'Message content required' });
+          return;
+        }
+        
+        const problem = await getPublicPostProblem(room, userId, content, { isEdit: true });
+        
+        if (problem) {
+          socket.emit('error', { message: problem });
+          return;
+        }
+      } else if (!isValidEnvelope({ content, nonce, encryptedKeys })) {
+        socket.emit('error', { message: 'Messages in private and group chats must be end-to-end encrypted' });
+        return;
+      }
+      
+      const updated = await storage.updateMessageContent(message.id, {
+        content,
+        nonce: room.isPublic ? null : nonce,
+        encryptedKeys: room.isPublic ? null : encryptedKeys
+      });
+      
+      const user = await storage.getUser(userId);
+      const [serialized] = await serializeMessages([updated], new Map([[user.id, user]]));
+      
+      io.to(message.roomId.toString()).except(await getBlockerRooms(userId)).emit('message_edited', {
+        ...serialized,
+        senderPublicKey: user.encryptionPublicKey,
+        senderKeySignature: user.encryptionKeySignature,
+        senderWallet: getKeyWallet(user)
+      });
+      
+      console.log(`Message ${message.id} edited by user ${userId}`);
+    } catch (error) {
+      console.error('Edit message error:', error);
+      socket.emit('error', { message: 'Failed to edit message' });
+    }
+  });
+
+  // Unsend a message for everyone (author only; public room moderators may
+  // remove anyone's message)
+  socket.on('delete_message', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { messageId } = data;
+      const message = await storage.getMessage(parseInt(messageId));
+      
+      if (message && message.userId !== userId && message.kind === 'text') {
+        const room = await storage.getRoom(message.roomId);
+        const membership = room.isPublic ? await storage.getRoomMember(room.id, userId) : null;
+        
+        if (isModerator(membership?.role)) {
+          await removeMessageAsModerator(room, await storage.getUser(userId), message.id);
+          console.log(`Message ${message.id} removed by moderator ${userId}`);
+          return;
+        }
+      }
+      
+      if (!message || message.userId !== userId || message.kind !== 'text') {
+        socket.emit('error', { message: 'You can only delete your own messages' });
+        return;
+      }
+      
+      if (!(await isActiveMember(await storage.getRoom(message.roomId), userId))) {
+        socket.emit('error', { message: 'Not a member of this room' });
+        return;
+      }
+      
+      await deleteMessageForEveryone(message);
+      
+      console.log(`Message ${message.id} deleted by user ${userId}`);
+    } catch (error) {
+      console.error('Delete message error:', error);
+      socket.emit('error', { message: 'Failed to delete message' });
+    }
+  });
+
+  // Delivery and read receipts: clients report the newest message they have
+  // received or shown, and the room learns the member's updated pointers
+  async function handleReceipt(data, kind) {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      return;
+    }
+
+    try {
+      const roomIdNum = parseId(data?.roomId);
+      const messageIdNum = parseId(data?.messageId);
+      
+      if (!roomIdNum || !messageIdNum) {
+        return;
+      }
+      
+      const room = await storage.getRoom(roomIdNum);
+      
+      // The sender of a message request gets no receipts until it is accepted
+      if (!room || room.isPublic || room.requestRecipientId === userId || !(await storage.isRoomMember(roomIdNum, userId))) {
+        return;
+      }
+      
+      // Pointers only move to messages of this room, or one id far ahead
+      // would pin them for good
+      const message = await storage.getMessage(messageIdNum);
+      
+      if (message?.roomId !== roomIdNum) {
+        return;
+      }
+      
+      const user = await storage.getUser(userId);
+      const sendReadReceipts = user.sendReadReceipts;
+      
+      const receipt = await storage.updateReceipt(roomIdNum, userId, kind === 'read' && sendReadReceipts
+        ? { readMessageId: messageIdNum }
+        : { deliveredMessageId: messageIdNum });
+      
+      io.to(roomIdNum.toString()).emit('receipt_updated', {
+        roomId: roomIdNum,
+        ...serializeReceipt(receipt, sendReadReceipts)
+      });
+    } catch (error) {
+      console.error(`Message ${kind} receipt error:`, error);
+    }
+  }
+
+  socket.on('message_delivered', (data) => handleReceipt(data, 'delivered'));
+  socket.on('messages_read', (data) => handleReceipt(data, 'read'));
+
+  // Update privacy settings
+  socket.on('update_settings', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const settings = {};
+      
+      for (const key of ['sendReadReceipts', 'hideOnlineStatus', 'hideLastSeen']) {
+        if (typeof data?.[key] === 'boolean') {
+          settings[key] = data[key];
+        }
+      }
+      
+      if (Object.keys(settings).length === 0) {
+        socket.emit('error', { message: 'No valid settings provided' });
+        return;
+      }
+      
+      const user = await storage.updateUserSettings(userId, settings);
+      
+      // Every tab shows the same settings
+      io.to(userRoom(userId)).emit('settings_updated', serializeSettings(user));
+      
+      // Peers who aren't contacts may now see more or less
+      if ('hideOnlineStatus' in settings || 'hideLastSeen' in settings) {
+        await publishPresence(user, await getUserStatus(userId), { settingsChanged: true });
+      }
+    } catch (error) {
+      console.error('Update settings error:', error);
+      socket.emit('error', { message: 'Failed to update settings' });
+    }
+  });
+
+  // Typing indicator. Typing where the user couldn't post is dropped silently.
+  socket.on('typing', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (userId) {
+      try {
+        const roomId = parseId(data?.roomId);
+        const room = roomId && await storage.getRoom(roomId);
+        
+        if (await getInteractionProblem(room, userId)) {
+          return;
+        }
+        
+        const user = await storage.getUser(userId);
+        
+        socket.to(roomId.toString()).except(await getBlockerRooms(userId)).emit('user_typing', {
+          roomId,
+          username: user.username
+        });
+      } catch (error) {
+        console.error('Typing error:', error);
+      }
+    }
+  });
+
+  socket.on('stop_typing', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (userId) {
+      try {
+        const roomId = parseId(data?.roomId);
+        
+        if (!roomId || !(await storage.isRoomMember(roomId, userId))) {
+          return;
+        }
+        
+        const user = await storage.getUser(userId);
+        
+        socket.to(roomId.toString()).except(await getBlockerRooms(userId)).emit('user_stop_typing', {
+          roomId,
+          username: user.username
+        });
+      } catch (error) {
+        console.error('Stop typing error:', error);
+      }
+    }
+  });
+
+  // Add reaction to a message
+  socket.on('add_reaction', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { messageId, emoji } = data;
+      const messageIdNum = parseId(messageId);
+      const message = messageIdNum && await storage.getMessage(messageIdNum);
+      
+      if (!message) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+      
+      const problem = await getInteractionProblem(await storage.getRoom(message.roomId), userId);
+      
+      if (problem) {
+        socket.emit('error', { message: problem });
+        return;
+      }
+      
+      // Add reaction to database
+      const reaction = await storage.addReaction(messageIdNum, userId, emoji);
+      
+      // Get user info
+      const user = await storage.getUser(userId);
+      
+      const reactionData = {
+        id: reaction.id,
+        messageId: reaction.messageId,
+        userId: reaction.userId,
+        emoji: reaction.emoji,
+        username: user.username,
+        walletAddress: user.walletAddress
+      };
+      
+      // Send to all room members
+      io.to(message.roomId.toString()).except(await getBlockerRooms(userId)).emit('reaction_added', reactionData);
+      
+      console.log(`Reaction added: ${emoji} by user ${userId} on message ${messageIdNum}`);
+    } catch (error) {
+      console.error('Add reaction error:', error);
+      socket.emit('error', { message: 'Failed to add reaction' });
+    }
+  });
+
+  // Remove reaction from a message
+  socket.on('remove_reaction', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+
+    try {
+      const { messageId, emoji } = data;
+      const messageIdNum = parseId(messageId);
+      const message = messageIdNum && await storage.getMessage(messageIdNum);
+      
+      if (!message) {
+        socket.emit('error', { message: 'Message not found' });
+        return;
+      }
+      
+      const problem = await getInteractionProblem(await storage.getRoom(message.roomId), userId);
+      
+      if (problem) {
+        socket.emit('error', { message: problem });
+        return;
+      }
+      
+      // Remove reaction from database
+      const removed = await storage.removeReaction(messageIdNum, userId, emoji);
+      
+      if (removed) {
+        const reactionData = {
+          messageId: messageIdNum,
+          userId: userId,
+          emoji: emoji
+        };
+        
+        // Send to all room members
+        io.to(message.roomId.toString()).except(await getBlockerRooms(userId)).emit('reaction_removed', reactionData);
+        
+        console.log(`Reaction removed: ${emoji} by user ${userId} on message ${messageIdNum}`);
+      }
+    } catch (error) {
+      console.error('Remove reaction error:', error);
+      socket.emit('error', { message: 'Failed to remove reaction' });
+    }
+  });
+
+  // Look up a profile by user id or handle
+  socket.on('get_profile', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const user = data?.handle
+        ? await storage.getUserByUsername(String(data.handle).replace(/^@/, ''))
+        : await storage.getUser(parseInt(data?.userId));
+      
+      if (!user) {
+        socket.emit('profile_not_found', { userId: data?.userId ?? null, handle: data?.handle ?? null });
+        return;
+      }
+      
+      socket.emit('profile', serializeProfile(user));
+    } catch (error) {
+      console.error('Get profile error:', error);
+      socket.emit('error', { message: 'Failed to load profile' });
+    }
+  });
+
+  // Change handle, display name, bio or avatar, and tell everyone sharing a room
+  socket.on('update_profile', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    const { changes, problem } = parseProfileChanges(data);
+    
+    if (problem || Object.keys(changes).length === 0) {
+      socket.emit('error', { message: problem || 'No profile changes provided' });
+      return;
+    }
+    
+    try {
+      if (changes.username) {
+        const holder = await storage.getUserByUsername(changes.username);
+        if (holder && holder.id !== userId) {
+          socket.emit('error', { message: `The handle @${changes.username} is taken` });
+          return;
+        }
+      }
+      
+      await broadcastProfile(await storage.updateUserProfile(userId, changes));
+    } catch (error) {
+      if (isDuplicateKeyError(error)) {
+        socket.emit('error', { message: `The handle @${changes.username} is taken` });
+        return;
+      }
+      console.error('Update profile error:', error);
+      socket.emit('error', { message: 'Failed to update profile' });
+    }
+  });
+
+  // The user a contact request is about: by id, handle (with or without @) or wallet
+  async function resolveContactTarget(data) {
+    if (data?.handle) {
+      return await storage.getUserByUsername(String(data.handle).replace(/^@/, ''));
+    }
+    if (data?.wallet) {
+      return await findUserByWallet(data.wallet);
+    }
+    const id = parseInt(data?.userId);
+    return Number.isInteger(id) ? await storage.getUser(id) : undefined;
+  }
+
+  function emitContactTargetNotFound(data) {
+    if (data?.handle || data?.wallet) {
+      socket.emit('user_not_found', data.handle ? { handle: data.handle } : { wallet: data.wallet });
+    } else {
+      socket.emit('error', { message: 'User not found' });
+    }
+  }
+
+  socket.on('get_contacts', async () => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const entries = await storage.getContacts(userId);
+      socket.emit('contacts', entries.map(serializeContact));
+    } catch (error) {
+      console.error('Get contacts error:', error);
+      socket.emit('error', { message: 'Failed to load contacts' });
+    }
+  });
+
+  // Add someone to your contacts, or change their nickname or note
+  socket.on('save_contact', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    const { changes, problem } = parseContactFields(data);
+    
+    if (problem) {
+      socket.emit('error', { message: problem });
+      return;
+    }
+    
+    try {
+      const target = await resolveContactTarget(data);
+      
+      if (!target) {
+        emitContactTargetNotFound(data);
+        return;
+      }
+      
+      if (target.id === userId) {
+        socket.emit('error', { message: 'You cannot add yourself as a contact' });
+        return;
+      }
+      
+      await storage.saveContact(userId, target.id, { ...changes, isContact: true });
+      await emitContacts(userId);
+      await sendMutualPresence(await storage.getUser(userId), target);
+    } catch (error) {
+      console.error('Save contact error:', error);
+      socket.emit('error', { message: 'Failed to save contact' });
+    }
+  });
+
+  // Remove a contact. A blocked user stays blocked.
+  socket.on('remove_contact', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const target = await resolveContactTarget(data);
+      const entry = target && await storage.getContact(userId, target.id);
+      
+      if (!entry?.isContact) {
+        socket.emit('error', { message: 'Not in your contacts' });
+        return;
+      }
+      
+      const changes = changesOnRemove(entry);
+      
+      if (changes) {
+        await storage.saveContact(userId, target.id, changes);
+      } else {
+        await storage.deleteContact(userId, target.id);
+      }
+      
+      await emitContacts(userId);
+      await sendMutualPresence(await storage.getUser(userId), target);
+    } catch (error) {
+      console.error('Remove contact error:', error);
+      socket.emit('error', { message: 'Failed to remove contact' });
+    }
+  });
+
+  // Block a user: they can't message you privately, you stop receiving
+  // their messages and they stop seeing your presence
+  socket.on('block_user', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const target = await resolveContactTarget(data);
+      
+      if (!target) {
+        emitContactTargetNotFound(data);
+        return;
+      }
+      
+      if (target.id === userId) {
+        socket.emit('error', { message: 'You cannot block yourself' });
+        return;
+      }
+      
+      await blockUser(await storage.getUser(userId), target);
+      
+      console.log(`User ${userId} blocked user ${target.id}`);
+    } catch (error) {
+      console.error('Block user error:', error);
+      socket.emit('error', { message: 'Failed to block user' });
+    }
+  });
+
+  socket.on('unblock_user', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const target = await resolveContactTarget(data);
+      const entry = target && await storage.getContact(userId, target.id);
+      
+      if (!entry?.blocked) {
+        socket.emit('error', { message: 'This user is not blocked' });
+        return;
+      }
+      
+      const changes = changesOnUnblock(entry);
+      
+      if (changes) {
+        await storage.saveContact(userId, target.id, changes);
+      } else {
+        await storage.deleteContact(userId, target.id);
+      }
+      
+      await emitContacts(userId);
+      await sendMutualPresence(await storage.getUser(userId), target);
+    } catch (error) {
+      console.error('Unblock user error:', error);
+      socket.emit('error', { message: 'Failed to unblock user' });
+    }
+  });
+
+  socket.on('get_message_requests', async () => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      await emitMessageRequests(userId);
+    } catch (error) {
+      console.error('Get message requests error:', error);
+      socket.emit('error', { message: 'Failed to load message requests' });
+    }
+  });
+
+  // The message request the user received in a room, if any
+  async function getReceivedRequest(userId, roomId) {
+    const room = await storage.getRoom(parseInt(roomId));
+    return room?.requestRecipientId === userId ? room : null;
+  }
+
+  socket.on('accept_message_request', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const room = await getReceivedRequest(userId, data?.roomId);
+      
+      if (!room) {
+        socket.emit('error', { message: 'Message request not found' });
+        return;
+      }
+      
+      await acceptRequest(room);
+      
+      console.log(`User ${userId} accepted the message request in room ${room.id}`);
+    } catch (error) {
+      console.error('Accept message request error:', error);
+      socket.emit('error', { message: 'Failed to accept message request' });
+    }
+  });
+
+  // Decline a message request: the chat and its messages are deleted for
+  // both sides. With `block: true` the sender is blocked as well.
+  socket.on('decline_message_request', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const room = await getReceivedRequest(userId, data?.roomId);
+      
+      if (!room) {
+        socket.emit('error', { message: 'Message request not found' });
+        return;
+      }
+      
+      const sender = await storage.getUser(room.createdBy);
+      
+      if (data.block && sender) {
+        await blockUser(await storage.getUser(userId), sender);
+      }
+      
+      const removed = await storage.deleteRoom(room.id);
+      
+      io.to([userRoom(userId), userRoom(room.createdBy)]).emit('room_left', { roomId: room.id });
+      io.in(room.id.toString()).socketsLeave(room.id.toString());
+      await deleteAttachmentBlobs([removed]);
+      await emitMessageRequests(userId);
+      
+      console.log(`User ${userId} declined the message request in room ${room.id}${data.block ? ' and blocked the sender' : ''}`);
+    } catch (error) {
+      console.error('Decline message request error:', error);
+      socket.emit('error', { message: 'Failed to decline message request' });
+    }
+  });
+
+  // Look up the public room and check the caller moderates it. Emits an
+  // error and returns null when they don't.
+  async function getModerationContext(roomId) {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return null;
+    }
+    
+    const room = await storage.getRoom(parseInt(roomId));
+    const membership = room?.isPublic ? await storage.getRoomMember(room.id, userId) : null;
+    
+    if (!isModerator(membership?.role)) {
+      socket.emit('error', { message: 'Only moderators of the public room can do that' });
+      return null;
+    }
+    
+    const actor = await storage.getUser(userId);
+    return { room, actor };
+  }
+
+  // Resolve the wallet a mute or ban targets; moderators can't sanction each other
+  async function getSanctionTarget(moderation, wallet) {
+    const target = await findUserByWallet(wallet);
+    
+    if (!target) {
+      socket.emit('user_not_found', { wallet });
+      return null;
+    }
+    
+    const membership = await storage.getRoomMember(moderation.room.id, target.id);
+    
+    if (isModerator(membership?.role)) {
+      socket.emit('error', { message: 'Moderators cannot be muted or banned' });
+      return null;
+    }
+    
+    return target;
+  }
+
+  // Mutes and bans last durationSeconds (up to a year), or until lifted when
+  // no duration is given. Emits an error and returns undefined if invalid.
+  function getSanctionDuration(data) {
+    const seconds = parsePolicySeconds(data.durationSeconds, MAX_SANCTION_SECONDS);
+    
+    if (seconds === undefined) {
+      socket.emit('error', { message: 'Durations are whole seconds up to 365 days' });
+    }
+    
+    return seconds;
+  }
+
+  // Report a public room message to its moderators
+  socket.on('report_message', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId) {
+      socket.emit('error', { message: 'Not authenticated' });
+      return;
+    }
+    
+    try {
+      const message = await storage.getMessage(parseInt(data.messageId));
+      const room = message && await storage.getRoom(message.roomId);
+      
+      if (!room?.isPublic || message.kind !== 'text' || !(await storage.isRoomMember(room.id, userId))) {
+        socket.emit('error', { message: 'Only messages in the public room can be reported' });
+        return;
+      }
+      
+      if (message.userId === userId) {
+        socket.emit('error', { message: 'You cannot report your own message' });
+        return;
+      }
+      
+      const reason = parseText(data.reason, MAX_REPORT_REASON_LENGTH);
+      
+      if (reason === undefined) {
+        socket.emit('error', { message: `Reasons are at most ${MAX_REPORT_REASON_LENGTH} characters` });
+        return;
+      }
+      
+      const report = await storage.createMessageReport({
+        roomId: room.id,
+        messageId: message.id,
+        reportedUserId: message.userId,
+        reporterId: userId,
+        content: message.content,
+        reason
+      });
+      
+      if (!report) {
+        socket.emit('error', { message: 'You already reported this message' });
+        return;
+      }
+      
+      socket.emit('message_reported', { messageId: message.id });
+      await emitReportQueue(room.id);
+    } catch (error) {
+      console.error('Report message error:', error);
+      socket.emit('error', { message: 'Failed to report message' });
+    }
+  });
+
+  socket.on('get_reports', async (data) => {
+    try {
+      const moderation = await getModerationContext(data?.roomId);
+      if (!moderation) return;
+      
+      await emitReportQueue(moderation.room.id, socket.id);
+    } catch (error) {
+      console.error('Get reports error:', error);
+      socket.emit('error', { message: 'Failed to load reports' });
     }
+  });
 
+  // Close the open reports of a message by removing it or dismissing them
+  socket.on('resolve_report', async (data) => {
     try {
-      const { name, isGroup } = data;
+      const moderation = await getModerationContext(data.roomId);
+      if (!moderation) return;
       
-      // Create room in database
-      const room = await storage.createRoom({
-        name: name || 'New Chat',
-        isGroup: isGroup || false,
-        createdBy: userId
-      });
+      const messageId = parseInt(data.messageId);
       
-      // Add creator as member
-      await storage.addRoomMember(room.id, userId);
+      if (data.action === 'remove') {
+        await removeMessageAsModerator(moderation.room, moderation.actor, messageId);
+        return;
+      }
       
-      // Join socket to room
-      socket.join(room.id.toString());
+      if (data.action !== 'dismiss') {
+        socket.emit('error', { message: 'Reports are resolved by removing the message or dismissing them' });
+        return;
+      }
       
-      socket.emit('room_created', room);
+      const reports = await storage.resolveMessageReports(messageId, 'dismissed', moderation.actor.id);
       
-      console.log(`Room created: ${room.id} by user ${userId}`);
+      if (reports.length === 0) {
+        socket.emit('error', { message: 'This message has no open reports' });
+        return;
+      }
+      
+      await logModeration(moderation.room, moderation.actor, 'dismiss_report', await storage.getUser(reports[0].reportedUserId), {
+        messageId,
+        content: reports[0].content,
+        reports: reports.length
+      });
+      await emitReportQueue(moderation.room.id);
     } catch (error) {
-      console.error('Create room error:', error);
-      socket.emit('error', { message: 'Failed to create room' });
+      console.error('Resolve report error:', error);
+      socket.emit('error', { message: 'Failed to resolve report' });
     }
   });
 
-  // Join an existing room
-  socket.on('join_room', async (data) => {
-    const userId = socketToUser.get(socket.id);
-    
-    if (!userId) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
+  // Muted members stay in the room and can read, but not post
+  socket.on('mute_user', async (data) => {
+    try {
+      const moderation = await getModerationContext(data.roomId);
+      if (!moderation) return;
+      
+      const target = await getSanctionTarget(moderation, data.wallet);
+      if (!target) return;
+      
+      const durationSeconds = getSanctionDuration(data);
+      if (durationSeconds === undefined) return;
+      
+      const reason = parseText(data.reason, MAX_REPORT_REASON_LENGTH) ?? null;
+      const mute = await storage.muteRoomMember(moderation.room.id, target.id, moderation.actor.id, sanctionExpiresAt(durationSeconds));
+      
+      await logModeration(moderation.room, moderation.actor, 'mute', target, { durationSeconds, expiresAt: mute.expiresAt, reason });
+      io.to(userRoom(target.id)).emit('moderation_notice', { roomId: moderation.room.id, action: 'muted', expiresAt: mute.expiresAt, reason });
+      await emitRoomSanctions(moderation.room.id);
+    } catch (error) {
+      console.error('Mute user error:', error);
+      socket.emit('error', { message: 'Failed to mute user' });
     }
+  });
 
+  socket.on('unmute_user', async (data) => {
     try {
-      const { roomId } = data;
-      const roomIdNum = parseInt(roomId);
+      const moderation = await getModerationContext(data.roomId);
+      if (!moderation) return;
       
-      const room = await storage.getRoom(roomIdNum);
+      const target = await findUserByWallet(data.wallet);
       
-      if (!room) {
-        socket.emit('error', { message: 'Room not found' });
+      if (!target || !(await storage.unmuteRoomMember(moderation.room.id, target.id))) {
+        socket.emit('error', { message: 'User is not muted' });
         return;
       }
       
-      // Check if user is already a member
-      const isMember = await storage.isRoomMember(roomIdNum, userId);
-      
-      if (!isMember) {
-        // Add user as member
-        await storage.addRoomMember(roomIdNum, userId);
-      }
+      await logModeration(moderation.room, moderation.actor, 'unmute', target);
+      io.to(userRoom(target.id)).emit('moderation_notice', { roomId: moderation.room.id, action: 'unmuted' });
+      await emitRoomSanctions(moderation.room.id);
+    } catch (error) {
+      console.error('Unmute user error:', error);
+      socket.emit('error', { message: 'Failed to unmute user' });
+    }
+  });
+
+  // Banned users leave the public room and can't rejoin until the ban ends
+  socket.on('ban_user', async (data) => {
+    try {
+      const moderation = await getModerationContext(data.roomId);
+      if (!moderation) return;
       
-      // Join socket to room
-      socket.join(roomIdNum.toString());
+      const target = await getSanctionTarget(moderation, data.wallet);
+      if (!target) return;
       
-      // Get room messages
-      const messages = await storage.getRoomMessages(roomIdNum);
+      const durationSeconds = getSanctionDuration(data);
+      if (durationSeconds === undefined) return;
       
-      // Get room members
-      const members = await storage.getRoomMembers(roomIdNum);
+      const reason = parseText(data.reason, MAX_REPORT_REASON_LENGTH) ?? null;
+      const expiresAt = sanctionExpiresAt(durationSeconds);
       
-      // Get reactions for all messages
-      const messageIds = messages.map(m => m.id);
-      const allReactions = await storage.getMessagesReactions(messageIds);
+      await storage.banRoomMember(moderation.room.id, target.id, moderation.actor.id, expiresAt);
+      await logModeration(moderation.room, moderation.actor, 'ban', target, { durationSeconds, expiresAt, reason });
+      io.to(userRoom(target.id)).emit('moderation_notice', { roomId: moderation.room.id, action: 'banned', expiresAt, reason });
+      await onRoomMemberRemoved(moderation.room, target);
+      await emitRoomSanctions(moderation.room.id);
+    } catch (error) {
+      console.error('Ban user error:', error);
+      socket.emit('error', { message: 'Failed to ban user' });
+    }
+  });
+
+  // Lifting a ban puts the user straight back into the public room
+  socket.on('unban_user', async (data) => {
+    try {
+      const moderation = await getModerationContext(data.roomId);
+      if (!moderation) return;
       
-      socket.emit('room_joined', {
-        room: {
-          ...room,
-          members: members.map(m => ({ id: m.id, username: m.username }))
-        },
-        messages: messages.map(m => ({
-          id: m.id,
-          roomId: m.roomId,
-          userId: m.userId,
-          content: m.content,
-          timestamp: m.createdAt,
-          expiresAt: m.expiresAt
-        })),
-        reactions: allReactions
-      });
+      const target = await findUserByWallet(data.wallet);
       
-      // Notify other members
-      const user = await storage.getUser(userId);
-      socket.to(roomIdNum.toString()).emit('user_joined_room', {
-        roomId: roomIdNum,
-        user: user.username
-      });
+      if (!target || !(await storage.isBannedFromRoom(moderation.room.id, target.id))) {
+        socket.emit('error', { message: 'User is not banned' });
+        return;
+      }
       
-      console.log(`User ${userId} joined room: ${roomIdNum}`);
+      await storage.unbanRoomMember(moderation.room.id, target.id);
+      await storage.addRoomMember(moderation.room.id, target.id);
+      await logModeration(moderation.room, moderation.actor, 'unban', target);
+      io.to(userRoom(target.id)).emit('moderation_notice', { roomId: moderation.room.id, action: 'unbanned' });
+      await onRoomMemberAdded(moderation.room, target);
+      await emitRoomSanctions(moderation.room.id);
     } catch (error) {
-      console.error('Join room error:', error);
-      socket.emit('error', { message: 'Failed to join room' });
+      console.error('Unban user error:', error);
+      socket.emit('error', { message: 'Failed to unban user' });
     }
   });
 
-  // Send a message to a room
-  socket.on('send_message', async (data) => {
-    const userId = socketToUser.get(socket.id);
-    
-    if (!userId) {
-      socket.emit('error', { message: 'Not authenticated' });
-      return;
+  socket.on('get_room_sanctions', async (data) => {
+    try {
+      const moderation = await getModerationContext(data?.roomId);
+      if (!moderation) return;
+      
+      await emitRoomSanctions(moderation.room.id, socket.id);
+    } catch (error) {
+      console.error('Get room sanctions error:', error);
+      socket.emit('error', { message: 'Failed to load mutes and bans' });
     }
+  });
 
+  // Moderators appoint and remove other moderators, except the wallets the
+  // server configures in PUBLIC_ROOM_MODERATORS
+  socket.on('set_moderator', async (data) => {
     try {
-      const { roomId, content, expiresAt } = data;
-      const roomIdNum = parseInt(roomId);
+      const moderation = await getModerationContext(data.roomId);
+      if (!moderation) return;
       
-      // Verify user is member of room
-      const isMember = await storage.isRoomMember(roomIdNum, userId);
+      const target = await findUserByWallet(data.wallet);
+      const membership = target && await storage.getRoomMember(moderation.room.id, target.id);
       
-      if (!isMember) {
-        socket.emit('error', { message: 'Not a member of this room' });
+      if (!membership) {
+        socket.emit('error', { message: 'User is not in the public room' });
         return;
       }
       
-      // Save message to database
-      const message = await storage.createMessage({
-        roomId: roomIdNum,
-        userId: userId,
-        content: content,
-        expiresAt: expiresAt ? new Date(expiresAt) : null
-      });
+      const role = data.moderator ? 'moderator' : 'member';
       
-      // Get user info
-      const user = await storage.getUser(userId);
+      if (!data.moderator && publicRoomModerators.has(target.walletAddress)) {
+        socket.emit('error', { message: 'This moderator is set in the server configuration' });
+        return;
+      }
       
-      const messageData = {
-        id: message.id,
-        roomId: message.roomId,
-        userId: message.userId,
-        username: user.username,
-        content: message.content,
-        timestamp: message.createdAt,
-        expiresAt: message.expiresAt
-      };
+      if (membership.role === role) {
+        return;
+      }
       
-      // Send to all room members
-      io.to(roomIdNum.toString()).emit('new_message', messageData);
+      await storage.setRoomMemberRole(moderation.room.id, target.id, role);
+      await logModeration(moderation.room, moderation.actor, data.moderator ? 'add_moderator' : 'remove_moderator', target);
+      await broadcastRoomMembers(moderation.room.id);
       
-      console.log(`Message in room ${roomIdNum} from user ${userId}: ${content}${expiresAt ? ' (expires at: ' + expiresAt + ')' : ''}`);
+      if (data.moderator) {
+        await emitReportQueue(moderation.room.id, userRoom(target.id));
+        await emitRoomSanctions(moderation.room.id, userRoom(target.id));
+      }
     } catch (error) {
-      console.error('Send message error:', error);
-      socket.emit('error', { message: 'Failed to send message' });
+      console.error('Set moderator error:', error);
+      socket.emit('error', { message: 'Failed to update moderators' });
     }
   });
 
-  // Typing indicator
-  socket.on('typing', async (data) => {
-    const userId = socketToUser.get(socket.id);
-    
-    if (userId) {
-      try {
-        const { roomId } = data;
-        const user = await storage.getUser(userId);
-        
-        socket.to(roomId.toString()).emit('user_typing', {
-          roomId,
-          username: user.username
+  // Slow mode and the word/link filter of the public room
+  socket.on('update_moderation_settings', async (data) => {
+    try {
+      const moderation = await getModerationContext(data.roomId);
+      if (!moderation) return;
+      
+      const { changes, problem } = parseModerationSettings(data);
+      
+      if (problem) {
+        socket.emit('error', { message: problem });
+        return;
+      }
+      
+      const { room, actor } = moderation;
+      const changed = Object.keys(changes).filter(field =>
+        JSON.stringify(changes[field]) !== JSON.stringify(room[field])
+      );
+      
+      if (changed.length === 0) {
+        return;
+      }
+      
+      const updated = await storage.updateRoomPolicy(room.id, changes);
+      
+      await logModeration(room, actor, 'update_settings', null, Object.fromEntries(changed.map(field => [field, changes[field]])));
+      io.to(room.id.toString()).emit('room_update', updated);
+      
+      // Slow mode is announced in the room; filter changes are not
+      if (changed.includes('slowModeSeconds')) {
+        const message = await storage.createMessage({
+          roomId: room.id,
+          userId: actor.id,
+          kind: 'system',
+          content: describeSlowModeChange(actor.username, changes.slowModeSeconds)
         });
-      } catch (error) {
-        console.error('Typing error:', error);
+        
+        io.to(room.id.toString()).emit('new_message', serializeMessage(message, actor.username));
       }
+    } catch (error) {
+      console.error('Update moderation settings error:', error);
+      socket.emit('error', { message: 'Failed to update moderation settings' });
     }
   });
 
-  socket.on('stop_typing', async (data) => {
-    const userId = socketToUser.get(socket.id);
-    
-    if (userId) {
-      try {
-        const { roomId } = data;
-        const user = await storage.getUser(userId);
-        
-        socket.to(roomId.toString()).emit('user_stop_typing', {
-          roomId,
-          username: user.username
-        });
-      } catch (error) {
-        console.error('Stop typing error:', error);
-      }
+  socket.on('get_moderation_log', async (data) => {
+    try {
+      const moderation = await getModerationContext(data?.roomId);
+      if (!moderation) return;
+      
+      const before = data.before ? parseInt(data.before) : null;
+      const entries = await storage.getModerationLog(moderation.room.id, { before, limit: MESSAGE_PAGE_SIZE + 1 });
+      
+      socket.emit('moderation_log', {
+        roomId: moderation.room.id,
+        entries: entries.slice(0, MESSAGE_PAGE_SIZE).map(serializeLogEntry),
+        hasMore: entries.length > MESSAGE_PAGE_SIZE,
+        before
+      });
+    } catch (error) {
+      console.error('Get moderation log error:', error);
+      socket.emit('error', { message: 'Failed to load the moderation log' });
     }
   });
 
-  // Add reaction to a message
-  socket.on('add_reaction', async (data) => {
+  // Get online users: peers sharing a room whose status this user may see
+  socket.on('get_online_users', async () => {
     const userId = socketToUser.get(socket.id);
     
     if (!userId) {
       socket.emit('error', { message: 'Not authenticated' });
       return;
     }
-
+    
     try {
-      const { messageId, emoji, roomId } = data;
-      const messageIdNum = parseInt(messageId);
-      const roomIdNum = parseInt(roomId);
-      
-      // Add reaction to database
-      const reaction = await storage.addReaction(messageIdNum, userId, emoji);
-      
-      // Get user info
-      const user = await storage.getUser(userId);
-      
-      const reactionData = {
-        id: reaction.id,
-        messageId: reaction.messageId,
-        userId: reaction.userId,
-        emoji: reaction.emoji,
-        username: user.username,
-        walletAddress: user.walletAddress
-      };
-      
-      // Send to all room members
-      io.to(roomIdNum.toString()).emit('reaction_added', reactionData);
+      const presence = await getPeerPresence(userId);
       
-      console.log(`Reaction added: ${emoji} by user ${userId} on message ${messageIdNum}`);
+      socket.emit('online_users', presence
+        .filter(p => p.status === 'online' || p.status === 'away')
+        .map(({ user, status }) => ({
+          id: user.id,
+          username: user.username,
+          walletAddress: user.walletAddress,
+          status
+        })));
     } catch (error) {
-      console.error('Add reaction error:', error);
-      socket.emit('error', { message: 'Failed to add reaction' });
+      console.error('Get online users error:', error);
     }
   });
 
-  // Remove reaction from a message
-  socket.on('remove_reaction', async (data) => {
+  // Presence (status and last seen) of every peer sharing a room and of the user's contacts
+  socket.on('get_presence', async () => {
     const userId = socketToUser.get(socket.id);
     
     if (!userId) {
       socket.emit('error', { message: 'Not authenticated' });
       return;
     }
-
+    
     try {
-      const { messageId, emoji, roomId } = data;
-      const messageIdNum = parseInt(messageId);
-      const roomIdNum = parseInt(roomId);
-      
-      // Remove reaction from database
-      const removed = await storage.removeReaction(messageIdNum, userId, emoji);
-      
-      if (removed) {
-        const reactionData = {
-          messageId: messageIdNum,
-          userId: userId,
-          emoji: emoji
-        };
-        
-        // Send to all room members
-        io.to(roomIdNum.toString()).emit('reaction_removed', reactionData);
-        
-        console.log(`Reaction removed: ${emoji} by user ${userId} on message ${messageIdNum}`);
-      }
+      const presence = await getPeerPresence(userId);
+      socket.emit('presence', presence.map(({ user, ...rest }) => rest));
     } catch (error) {
-      console.error('Remove reaction error:', error);
-      socket.emit('error', { message: 'Failed to remove reaction' });
+      console.error('Get presence error:', error);
     }
   });
 
-  // Get online users
-  socket.on('get_online_users', async () => {
+  // The client reports whether this tab is idle (no input for a while, or hidden)
+  socket.on('set_activity', async (data) => {
+    const userId = socketToUser.get(socket.id);
+    
+    if (!userId || typeof data?.idle !== 'boolean') {
+      return;
+    }
+    
     try {
-      const onlineUserIds = Array.from(socketToUser.values());
-      const users = await Promise.all(
-        onlineUserIds.map(id => storage.getUser(id))
-      );
+      const previousStatus = await getUserStatus(userId);
+      await cluster.state.setSocket(cluster.nodeId, socket.id, userId, data.idle ? 'away' : 'online');
+      await updatePresence(userId, previousStatus);
       
-      socket.emit('online_users', users.filter(u => u));
+      // Keeps the devices list's last activity current while the tab is in use
+      if (!data.idle) {
+        await sessionStore.recordActivity(socket.request.sessionID);
+      }
     } catch (error) {
-      console.error('Get online users error:', error);
+      console.error('Set activity error:', error);
     }
   });
 
@@ -612,19 +3901,14 @@ io.on('connection', async (socket) => {
     
     if (userId) {
       try {
-        const user = await storage.getUser(userId);
-        
-        if (user) {
-          console.log('User disconnected:', user.username);
-          
-          // Notify others
-          socket.broadcast.emit('user_offline', {
-            id: userId,
-            username: user.username
-          });
-        }
+        console.log('User disconnected:', userId);
         
+        const previousStatus = await getUserStatus(userId);
         socketToUser.delete(socket.id);
+        await cluster.state.removeSocket(cluster.nodeId, socket.id);
+        
+        // Peers only hear about it when this was the user's last socket
+        await updatePresence(userId, previousStatus);
       } catch (error) {
         console.error('Disconnect error:', error);
       }
@@ -632,21 +3916,102 @@ io.on('connection', async (socket) => {
   });
 });
 
-// Auto-delete expired messages background job
+// Tell a room that messages are gone for good (expired, past retention or burned)
+function emitMessagesExpired(deleted) {
+  for (const message of deleted) {
+    io.to(message.roomId.toString()).emit('message_expired', {
+      messageId: message.id,
+      roomId: message.roomId
+    });
+  }
+}
+
+// Delete each message as soon as it reaches expiresAt
+const expiryScheduler = new ExpiryScheduler({
+  onExpire: async (entries) => {
+    const deleted = await storage.deleteMessagesByIds(entries.map(e => e.id));
+    emitMessagesExpired(deleted);
+    await deleteAttachmentBlobs(deleted);
+    
+    if (deleted.length > 0) {
+      console.log(`Auto-deleted ${deleted.length} expired messages`);
+    }
+  }
+});
+
+// Expiry, retention, burn-after-read, abandoned upload and expired session clean-up background job
 setInterval(async () => {
+  rateLimiter.store.sweep?.();
+  cluster.state.sweep?.();
+  
   try {
-    const deletedCount = await storage.deleteExpiredMessages();
-    if (deletedCount > 0) {
-      console.log(`Auto-deleted ${deletedCount} expired messages`);
+    await sessionStore.sweep();
+    
+    // Expiries the scheduler of a node that went down would have handled
+    const expired = await storage.deleteExpiredMessages();
+    emitMessagesExpired(expired);
+    await deleteAttachmentBlobs(expired);
+    if (expired.length > 0) {
+      console.log(`Deleted ${expired.length} overdue expired messages`);
+    }
+    
+    const purged = await storage.deleteMessagesPastRetention();
+    emitMessagesExpired(purged);
+    await deleteAttachmentBlobs(purged);
+    if (purged.length > 0) {
+      console.log(`Removed ${purged.length} messages past their room's retention age`);
+    }
+    
+    const burned = await storage.deleteFullyBurnedMessages();
+    emitMessagesExpired(burned);
+    await deleteAttachmentBlobs(burned);
+    if (burned.length > 0) {
+      console.log(`Deleted ${burned.length} burn-after-read messages read by every recipient`);
+    }
+    
+    // Uploads that never made it into a message
+    const stale = await storage.deleteStaleAttachments(new Date(Date.now() - STALE_UPLOAD_MS));
+    for (const attachment of stale) {
+      await uploadStaging.discard(attachment.id);
+      if (attachment.status === 'ready') {
+        await attachmentStore.delete(attachment.storageKey);
+      }
     }
   } catch (error) {
     console.error('Error deleting expired messages:', error);
   }
 }, 60000); // Run every 60 seconds
 
+// Keep this node's sockets counted in the cluster presence
+function sendNodeHeartbeat() {
+  cluster.state.heartbeat(cluster.nodeId, NODE_TTL_MS)
+    .catch((error) => console.error('Cluster heartbeat error:', error));
+}
+
+setInterval(sendNodeHeartbeat, NODE_HEARTBEAT_MS);
+sendNodeHeartbeat();
+
+// Drop this node's sockets from the cluster presence on a clean shutdown
+process.on('SIGTERM', async () => {
+  try {
+    await cluster.state.removeNode(cluster.nodeId);
+  } catch (error) {
+    console.error('Cluster shutdown error:', error);
+  }
+  process.exit(0);
+});
+
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`ZKONTROL website running at http://0.0.0.0:${PORT}`);
   console.log('WebSocket server ready for real-time chat');
   console.log('Database connected and ready');
-  console.log('Auto-delete background job started (runs every 60 seconds)');
+  
+  // Pick up expiries stored before this process started; overdue ones fire right away
+  storage.getPendingExpiries()
+    .then((entries) => {
+      expiryScheduler.load(entries);
+      console.log(`Expiry scheduler loaded ${entries.length} pending expiries`);
+    })
+    .catch((error) => console.error('Error loading message expiries:', error));
+  console.log('Retention clean-up job started (runs every 60 seconds)');
 });
@@ -0,0 +1,120 @@
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, rm, stat, appendFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { pipeline } from 'stream/promises';
+
+// Limits apply to the encrypted bytes the client uploads. Keep in sync with
+// ATTACHMENT_LIMITS in app/app.js.
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+export const ATTACHMENT_CHUNK_BYTES = 512 * 1024;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+// Encrypted metadata (file name, type, nonce and image thumbnail)
+export const MAX_ATTACHMENT_METADATA_BYTES = 64 * 1024;
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'audio/mpeg',
+  'video/mp4'
+];
+
+export function validateAttachmentUpload({ size, mimeType }) {
+  if (!Number.isInteger(size) || size <= 0) {
+    return 'Attachment size required';
+  }
+
+  if (size > MAX_ATTACHMENT_BYTES) {
+    return `Attachments can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`;
+  }
+
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(mimeType)) {
+    return 'This file type is not supported';
+  }
+
+  return null;
+}
+
+// Attachment stores hold the encrypted bytes of finished uploads. A store implements:
+//   put(key, readable)  save the stream under key
+//   get(key)            return a readable stream of the bytes
+//   delete(key)         remove the bytes; missing keys are not an error
+// Keys are opaque strings chosen by the server. Content-addressed backends
+// (IPFS/Filecoin) can return their own identifier from put() instead; the
+// returned value is what gets stored and later passed to get/delete.
+
+export class LocalFileStore {
+  constructor(directory) {
+    this.directory = resolve(directory);
+  }
+
+  pathFor(key) {
+    if (!/^[A-Za-z0-9_-]+$/.test(key)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return join(this.directory, key);
+  }
+
+  async put(key, readable) {
+    await mkdir(this.directory, { recursive: true });
+    await pipeline(readable, createWriteStream(this.pathFor(key), { flags: 'wx' }));
+    return key;
+  }
+
+  async get(key) {
+    const path = this.pathFor(key);
+    await stat(path);
+    return createReadStream(path);
+  }
+
+  async delete(key) {
+    await rm(this.pathFor(key), { force: true });
+  }
+}
+
+const stores = {
+  local: () => new LocalFileStore(process.env.ATTACHMENTS_DIR || '.data/attachments')
+};
+
+// Pick the store from ATTACHMENT_STORE (default: local filesystem). The
+// default directory starts with a dot so express.static never serves it.
+export function createAttachmentStore(name = process.env.ATTACHMENT_STORE || 'local') {
+  const factory = stores[name];
+
+  if (!factory) {
+    throw new Error(`Unknown attachment store "${name}". Available: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return factory();
+}
+
+// Chunks of in-progress uploads are staged in UPLOAD_STAGING_DIR, then
+// handed to the attachment store in one stream once the upload completes.
+// Consecutive chunks can reach different server processes, so all of them
+// have to share the directory.
+export class UploadStaging {
+  constructor(directory = process.env.UPLOAD_STAGING_DIR || '.data/uploads') {
+    this.directory = resolve(directory);
+  }
+
+  pathFor(uploadId) {
+    return join(this.directory, String(uploadId));
+  }
+
+  async append(uploadId, chunk) {
+    await mkdir(this.directory, { recursive: true });
+    await appendFile(this.pathFor(uploadId), chunk);
+  }
+
+  open(uploadId) {
+    return createReadStream(this.pathFor(uploadId));
+  }
+
+  async discard(uploadId) {
+    await rm(this.pathFor(uploadId), { force: true });
+  }
+}
@@ -0,0 +1,328 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+// State several server processes behind a load balancer have to agree on:
+// sign-in nonces (issued by one node, verified on another), rate limits and
+// which users have sockets connected anywhere. (Sessions are kept in storage, see
+// server/sessions.js.) A shared state implements:
+//   set(key, value, ttlMs)                 value must survive JSON
+//   get(key)                               -> value, or undefined once expired
+//   take(key)                              get and delete in one step, so only
+//                                          one caller ever gets the value
+//   delete(key)
+//   increment(key, ttlMs)                  add one to a counter and return it;
+//                                          a new counter expires after ttlMs
+//   setSocket(nodeId, socketId, userId, status)   add a socket or update its
+//                                          status ('online' or 'away')
+//   removeSocket(nodeId, socketId)
+//   heartbeat(nodeId, ttlMs)               keep this node's sockets counted
+//   removeNode(nodeId)
+//   getSocketStatuses(userIds)             -> Map(userId -> [status of each
+//                                          socket on a live node])
+// Sockets of a node that stops sending heartbeats (it crashed) stop counting
+// once its ttl runs out.
+
+// Shared state in this process. Nodes created in the same process (tests,
+// local development) share it by sharing the instance.
+export class MemorySharedState {
+  constructor() {
+    this.values = new Map(); // key -> { value, expiresAt }
+    this.nodes = new Map(); // nodeId -> { expiresAt, sockets: Map(socketId -> { userId, status }) }
+  }
+
+  async set(key, value, ttlMs) {
+    this.values.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async get(key) {
+    const entry = this.values.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  async take(key) {
+    const entry = this.values.get(key);
+    this.values.delete(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+
+  async increment(key, ttlMs) {
+    const entry = this.values.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.values.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+      return 1;
+    }
+
+    return ++entry.value;
+  }
+
+  // Expired values are dropped when read; this drops the ones nobody reads
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.values) {
+      if (entry.expiresAt <= now) {
+        this.values.delete(key);
+      }
+    }
+  }
+
+  node(nodeId) {
+    if (!this.nodes.has(nodeId)) {
+      this.nodes.set(nodeId, { expiresAt: Infinity, sockets: new Map() });
+    }
+    return this.nodes.get(nodeId);
+  }
+
+  async setSocket(nodeId, socketId, userId, status) {
+    this.node(nodeId).sockets.set(socketId, { userId, status });
+  }
+
+  async removeSocket(nodeId, socketId) {
+    this.nodes.get(nodeId)?.sockets.delete(socketId);
+  }
+
+  async heartbeat(nodeId, ttlMs) {
+    this.node(nodeId).expiresAt = Date.now() + ttlMs;
+  }
+
+  async removeNode(nodeId) {
+    this.nodes.delete(nodeId);
+  }
+
+  async getSocketStatuses(userIds) {
+    const wanted = new Set(userIds);
+    const statuses = new Map();
+    const now = Date.now();
+
+    for (const [nodeId, node] of this.nodes) {
+      if (node.expiresAt <= now) {
+        this.nodes.delete(nodeId);
+        continue;
+      }
+      for (const { userId, status } of node.sockets.values()) {
+        if (wanted.has(userId)) {
+          statuses.set(userId, [...(statuses.get(userId) || []), status]);
+        }
+      }
+    }
+
+    return statuses;
+  }
+}
+
+// Shared state in Redis. Each node's sockets live in one hash
+// (socketId -> "userId:status") whose expiry the heartbeat pushes forward.
+export class RedisSharedState {
+  constructor(client, prefix = 'zkontrol') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  valueKey(key) {
+    return `${this.prefix}:value:${key}`;
+  }
+
+  nodeKey(nodeId) {
+    return `${this.prefix}:sockets:${nodeId}`;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.valueKey(key), JSON.stringify(value), { PX: ttlMs });
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.valueKey(key));
+    return value ? JSON.parse(value) : undefined;
+  }
+
+  async take(key) {
+    const value = await this.client.getDel(this.valueKey(key));
+    return value ? JSON.parse(value) : undefined;
+  }
+
+  async delete(key) {
+    await this.client.del(this.valueKey(key));
+  }
+
+  // Creating the counter with its expiry and adding to it happen in one
+  // transaction, so a counter never outlives its window
+  async increment(key, ttlMs) {
+    const [, count] = await this.client.multi()
+      .set(this.valueKey(key), '0', { PX: ttlMs, NX: true })
+      .incr(this.valueKey(key))
+      .exec();
+    return count;
+  }
+
+  async setSocket(nodeId, socketId, userId, status) {
+    await this.client.hSet(this.nodeKey(nodeId), socketId, `${userId}:${status}`);
+  }
+
+  async removeSocket(nodeId, socketId) {
+    await this.client.hDel(this.nodeKey(nodeId), socketId);
+  }
+
+  async heartbeat(nodeId, ttlMs) {
+    await this.client.pExpire(this.nodeKey(nodeId), ttlMs);
+  }
+
+  async removeNode(nodeId) {
+    await this.client.del(this.nodeKey(nodeId));
+  }
+
+  async getSocketStatuses(userIds) {
+    const wanted = new Set(userIds);
+    const statuses = new Map();
+
+    for await (const key of this.client.scanIterator({ MATCH: this.nodeKey('*') })) {
+      for (const value of await this.client.hVals(key)) {
+        const [id, status] = value.split(':');
+        const userId = parseInt(id);
+        if (wanted.has(userId)) {
+          statuses.set(userId, [...(statuses.get(userId) || []), status]);
+        }
+      }
+    }
+
+    return statuses;
+  }
+}
+
+// Pub/sub carries socket.io traffic between nodes. A pub/sub implements:
+//   publish(channel, message)
+//   subscribe(channel, handler)  -> resolves to an unsubscribe function
+
+// In-process pub/sub. Messages are cloned and delivered asynchronously, as
+// they would be after a round trip through a real broker.
+export class LocalPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(channel, message) {
+    const copy = structuredClone(message);
+    setImmediate(() => this.emitter.emit(channel, copy));
+  }
+
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return async () => this.emitter.off(channel, handler);
+  }
+}
+
+// Binary payloads (Buffers in socket.io packets) survive the trip through JSON
+function encodeMessage(message) {
+  return JSON.stringify(message, (key, value) =>
+    value && value.type === 'Buffer' && Array.isArray(value.data)
+      ? { $binary: Buffer.from(value.data).toString('base64') }
+      : value
+  );
+}
+
+function decodeMessage(text) {
+  return JSON.parse(text, (key, value) =>
+    value && typeof value.$binary === 'string' ? Buffer.from(value.$binary, 'base64') : value
+  );
+}
+
+// Pub/sub over Redis. Subscribing needs a dedicated connection, so the
+// subscriber is a duplicate of the publishing client.
+export class RedisPubSub {
+  constructor(publisher, subscriber) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+  }
+
+  async publish(channel, message) {
+    await this.publisher.publish(channel, encodeMessage(message));
+  }
+
+  async subscribe(channel, handler) {
+    const listener = text => handler(decodeMessage(text));
+    await this.subscriber.subscribe(channel, listener);
+    return async () => this.subscriber.unsubscribe(channel, listener);
+  }
+}
+
+// Socket.io adapter relaying broadcasts, room joins/leaves and socket
+// fetches through a pub/sub, so io.to(room).emit() reaches sockets on every
+// node. socket.io-adapter's cluster base class does the protocol; this only
+// moves its messages.
+export function createPubSubAdapter(pubsub, { channel = 'zkontrol:socket.io' } = {}) {
+  return class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, {});
+      this.channel = `${channel}#${nsp.name}`;
+      this.unsubscribers = [
+        pubsub.subscribe(this.channel, message => this.onMessage(message)),
+        pubsub.subscribe(`${this.channel}#${this.uid}`, response => this.onResponse(response))
+      ];
+    }
+
+    async doPublish(message) {
+      await pubsub.publish(this.channel, message);
+      return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+      await pubsub.publish(`${this.channel}#${requesterUid}`, response);
+    }
+
+    close() {
+      super.close();
+      this.unsubscribers.forEach(async unsubscribe => (await unsubscribe)());
+    }
+  };
+}
+
+const backends = {
+  local: async () => ({
+    state: new MemorySharedState(),
+    pubsub: new LocalPubSub()
+  }),
+  redis: async () => {
+    const { createClient } = await import('redis');
+    const client = createClient({ url: process.env.REDIS_URL });
+    const subscriber = client.duplicate();
+
+    client.on('error', error => console.error('Redis error:', error));
+    subscriber.on('error', error => console.error('Redis subscriber error:', error));
+    await Promise.all([client.connect(), subscriber.connect()]);
+
+    return {
+      state: new RedisSharedState(client),
+      pubsub: new RedisPubSub(client, subscriber)
+    };
+  }
+};
+
+// Pick the backend from CLUSTER_BACKEND: `local` (default) keeps everything
+// in this process, which is right for a single server; `redis` (REDIS_URL)
+// lets several servers share nonces, presence and room broadcasts.
+export async function createCluster(name = process.env.CLUSTER_BACKEND || 'local') {
+  const factory = backends[name];
+
+  if (!factory) {
+    throw new Error(`Unknown cluster backend "${name}". Available: ${Object.keys(backends).join(', ')}`);
+  }
+
+  const { state, pubsub } = await factory();
+
+  return {
+    nodeId: randomUUID(),
+    state,
+    pubsub,
+    adapter: createPubSubAdapter(pubsub)
+  };
+}
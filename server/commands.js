@@ -0,0 +1,245 @@
+import { storage } from './storage.js';
+import { isAdmin } from './roles.js';
+import { formatDuration } from './policies.js';
+import { parseWalletAddress } from './wallets.js';
+
+// Split command input into arguments, keeping "quoted strings" together
+export function parseCommandInput(input) {
+  const trimmed = input.trim();
+
+  if (!trimmed.startsWith('/') || trimmed.length < 2) {
+    return null;
+  }
+
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(trimmed.slice(1))) !== null) {
+    tokens.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+
+  const [name, ...args] = tokens;
+  return { name: name.toLowerCase(), args };
+}
+
+export class CommandError extends Error {}
+
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  // command: { name, description, args: [{ name, required }], permission?, handler }
+  // permission(ctx) returns true when the caller may run the command in ctx.room
+  register(command) {
+    this.commands.set(command.name, command);
+  }
+
+  usage(command) {
+    const args = (command.args || []).map(arg => arg.required ? `<${arg.name}>` : `[${arg.name}]`);
+    return ['/' + command.name, ...args].join(' ');
+  }
+
+  async isAllowed(command, ctx) {
+    return command.permission ? await command.permission(ctx) : true;
+  }
+
+  // Commands the caller may run in this room, for /help and client autocomplete
+  async list(ctx) {
+    const available = [];
+
+    for (const command of this.commands.values()) {
+      if (await this.isAllowed(command, ctx)) {
+        available.push({
+          name: command.name,
+          usage: this.usage(command),
+          description: command.description
+        });
+      }
+    }
+
+    return available;
+  }
+
+  // Run command input. Returns the handler's reply (shown only to the caller)
+  // or throws CommandError with a user-facing message.
+  async execute(input, ctx) {
+    const parsed = parseCommandInput(input);
+
+    if (!parsed) {
+      throw new CommandError('Type /help to see available commands.');
+    }
+
+    const command = this.commands.get(parsed.name);
+
+    if (!command) {
+      throw new CommandError(`Unknown command /${parsed.name}. Type /help to see available commands.`);
+    }
+
+    if (!(await this.isAllowed(command, ctx))) {
+      throw new CommandError(`You can't use /${command.name} here.`);
+    }
+
+    const required = (command.args || []).filter(arg => arg.required).length;
+
+    if (parsed.args.length < required) {
+      throw new CommandError(`Usage: ${this.usage(command)}`);
+    }
+
+    return await command.handler(parsed.args, ctx);
+  }
+}
+
+const TIMER_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const MAX_TIMER_SECONDS = 7 * 86400;
+
+function parseDuration(value) {
+  if (value === 'off' || value === '0') {
+    return 0;
+  }
+
+  const match = /^(\d+)([smhd])$/.exec(value);
+  return match ? parseInt(match[1]) * TIMER_UNITS[match[2]] : null;
+}
+
+const isGroupRoom = ({ room }) => room.isGroup && !room.isPublic;
+
+const isGroupAdmin = async (ctx) => {
+  if (!isGroupRoom(ctx)) {
+    return false;
+  }
+
+  const member = await storage.getRoomMember(ctx.room.id, ctx.user.id);
+  return !!member && isAdmin(member.role);
+};
+
+export const commands = new CommandRegistry();
+
+commands.register({
+  name: 'help',
+  description: 'List available commands, or show help for one',
+  args: [{ name: 'command' }],
+  handler: async ([name], ctx) => {
+    const available = await commands.list(ctx);
+
+    if (name) {
+      const command = available.find(c => c.name === name.replace(/^\//, '').toLowerCase());
+      if (!command) {
+        throw new CommandError(`Unknown command /${name}.`);
+      }
+      return { text: `${command.usage}\n${command.description}` };
+    }
+
+    return {
+      text: ['Available commands:', ...available.map(c => `${c.usage} — ${c.description}`)].join('\n')
+    };
+  }
+});
+
+commands.register({
+  name: 'timer',
+  description: 'Set your auto-delete timer (e.g. 30s, 5m, 1h, 24h, off)',
+  args: [{ name: 'duration', required: true }],
+  handler: async ([duration], ctx) => {
+    const seconds = parseDuration(duration.toLowerCase());
+
+    if (seconds === null || seconds > MAX_TIMER_SECONDS) {
+      throw new CommandError('Use a duration like 30s, 5m, 1h or 7d (max 7d), or "off".');
+    }
+
+    const roomTimer = ctx.room.disappearingSeconds;
+    const lines = [seconds === 0 ? 'Auto-delete timer turned off.' : `New messages will auto-delete after ${duration}.`];
+
+    if (roomTimer && (seconds === 0 || seconds > roomTimer)) {
+      lines.push(`This room's disappearing timer still deletes messages after ${formatDuration(roomTimer)}.`);
+    }
+
+    return {
+      text: lines.join('\n'),
+      action: { type: 'set_timer', seconds }
+    };
+  }
+});
+
+commands.register({
+  name: 'invite',
+  description: 'Add a wallet to this group',
+  args: [{ name: 'wallet', required: true }],
+  permission: isGroupAdmin,
+  handler: async ([walletAddress], ctx) => {
+    const wallet = parseWalletAddress(walletAddress);
+
+    if (!wallet) {
+      throw new CommandError('That is not a valid wallet address.');
+    }
+
+    const invitee = await storage.getUserByWallet(wallet.address);
+
+    if (!invitee) {
+      throw new CommandError('That wallet has never connected to ZKONTROL.');
+    }
+
+    if (await storage.isRoomMember(ctx.room.id, invitee.id)) {
+      throw new CommandError(`${invitee.username} is already in this group.`);
+    }
+
+    if (await storage.isBannedFromRoom(ctx.room.id, invitee.id)) {
+      throw new CommandError(`${invitee.username} is banned from this group. Unban them first.`);
+    }
+
+    await storage.addRoomMember(ctx.room.id, invitee.id, 'member', ctx.user.id);
+    await ctx.onMemberAdded(invitee);
+
+    return { text: `Added ${invitee.username} to ${ctx.room.name}.` };
+  }
+});
+
+commands.register({
+  name: 'leave',
+  description: 'Leave this conversation',
+  permission: ({ room }) => !room.isPublic,
+  handler: async (args, ctx) => {
+    const member = await storage.getRoomMember(ctx.room.id, ctx.user.id);
+
+    if (member?.role === 'owner') {
+      const members = await storage.getRoomMembers(ctx.room.id);
+      if (members.length > 1) {
+        throw new CommandError('Transfer ownership to another member before leaving.');
+      }
+    }
+
+    await storage.removeRoomMember(ctx.room.id, ctx.user.id);
+    await ctx.onMemberRemoved(ctx.user);
+
+    return { text: `You left ${ctx.room.name}.` };
+  }
+});
+
+commands.register({
+  name: 'whois',
+  description: 'Look up the ZKONTROL user behind a wallet',
+  args: [{ name: 'wallet', required: true }],
+  handler: async ([walletAddress]) => {
+    const wallet = parseWalletAddress(walletAddress);
+
+    if (!wallet) {
+      throw new CommandError('That is not a valid wallet address.');
+    }
+
+    const user = await storage.getUserByWallet(wallet.address);
+
+    if (!user) {
+      return { text: `${walletAddress} has never connected to ZKONTROL.` };
+    }
+
+    return {
+      text: [
+        `${user.username}`,
+        `Wallet: ${user.walletAddress}`,
+        `Member since: ${new Date(user.createdAt).toDateString()}`,
+        `Encryption key: ${user.encryptionPublicKey ? 'published' : 'not set up'}`
+      ].join('\n')
+    };
+  }
+});
@@ -0,0 +1,78 @@
+import { parseText, serializeProfile } from './profiles.js';
+
+// Contacts: each user's private address book. Nicknames and notes are only
+// ever shown to their owner. Blocking is kept on the same row, so blocking
+// someone who isn't a contact creates an entry with isContact false.
+//
+// When A blocks B, B can't start or write to a private chat with A, A no
+// longer receives B's messages in shared rooms, and B sees neither A's
+// status nor A's last seen.
+
+export const MAX_NICKNAME_LENGTH = 50;
+export const MAX_NOTE_LENGTH = 500;
+
+// Validate the nickname and note of a save_contact request. Fields that
+// weren't sent are left alone; null or '' clears them. Returns { changes }
+// or { problem }.
+export function parseContactFields(data) {
+  const changes = {};
+
+  if (data?.nickname !== undefined) {
+    changes.nickname = parseText(data.nickname, MAX_NICKNAME_LENGTH);
+    if (changes.nickname === undefined) {
+      return { problem: `Nicknames are at most ${MAX_NICKNAME_LENGTH} characters` };
+    }
+  }
+
+  if (data?.note !== undefined) {
+    changes.note = parseText(data.note, MAX_NOTE_LENGTH);
+    if (changes.note === undefined) {
+      return { problem: `Notes are at most ${MAX_NOTE_LENGTH} characters` };
+    }
+  }
+
+  return { changes };
+}
+
+// The fields to change when the owner removes a contact: a blocked entry
+// stays (as a block only) and forgets its nickname and note; null means the
+// entry can be deleted
+export function changesOnRemove(entry) {
+  return entry.blocked ? { isContact: false, nickname: null, note: null } : null;
+}
+
+// Unblocking keeps the entry only if it is still a contact
+export function changesOnUnblock(entry) {
+  return entry.isContact ? { blocked: false } : null;
+}
+
+// Whether a user has talked to someone before: they added them as a contact,
+// accepted a private chat with them or joined a group they're in. Being
+// added to a group doesn't count, since anyone can add anyone to one.
+export async function hasTalkedTo(storage, userId, otherId) {
+  const entry = await storage.getContact(userId, otherId);
+
+  if (entry?.isContact) {
+    return true;
+  }
+
+  const peers = await storage.getRoomPeers(userId, { joinedOnly: true });
+  return peers.some(p => p.userId === otherId);
+}
+
+// An entry from storage.getContacts, for its owner
+export function serializeContact(entry) {
+  const profile = serializeProfile(entry.user);
+
+  return {
+    userId: profile.id,
+    handle: profile.handle,
+    displayName: profile.displayName,
+    avatarUrl: profile.avatarUrl,
+    walletAddress: profile.walletAddress,
+    nickname: entry.nickname,
+    note: entry.note,
+    isContact: entry.isContact,
+    blocked: entry.blocked
+  };
+}
@@ -0,0 +1,1169 @@
+import { users, userWallets, sessions, contacts, rooms, roomMembers, roomBans, roomMutes, roomInvites, messages, messageReads, messageReports, moderationLog, reactions, attachments } from "../shared/schema.js";
+import { eq, ne, and, or, lt, gt, gte, lte, desc, sql, inArray, isNull, getTableColumns } from "drizzle-orm";
+import { alias } from "drizzle-orm/pg-core";
+
+// Bans and mutes without an expiry last until lifted
+const isActive = (table) => or(isNull(table.expiresAt), gt(table.expiresAt, new Date()));
+
+// Collapse (userId, isGroup) rows into one peer per user, ordered by id
+export function collectRoomPeers(rows) {
+  const peers = new Map();
+  
+  for (const { userId, isGroup } of rows) {
+    peers.set(userId, { userId, direct: peers.get(userId)?.direct || !isGroup });
+  }
+  
+  return [...peers.values()].sort((a, b) => a.userId - b.userId);
+}
+
+// Storage on Postgres through Drizzle. `db` is a Drizzle database from
+// server/db.js: Neon in production, or embedded PGlite.
+export class DatabaseStorage {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // User methods
+  async getUser(id) {
+    const [user] = await this.db.select().from(users).where(eq(users.id, id));
+    return user || undefined;
+  }
+
+  // Handles match regardless of case
+  async getUserByUsername(username) {
+    const [user] = await this.db.select().from(users).where(sql`lower(${users.username}) = lower(${username})`);
+    return user || undefined;
+  }
+
+  // The account a wallet signs in to: its primary wallet or a linked one
+  async getUserByWallet(walletAddress) {
+    const [user] = await this.db
+      .select({ user: users })
+      .from(users)
+      .leftJoin(userWallets, eq(userWallets.userId, users.id))
+      .where(or(eq(users.walletAddress, walletAddress), eq(userWallets.walletAddress, walletAddress)))
+      .limit(1);
+    return user?.user || undefined;
+  }
+
+  // The new user's wallet becomes their first (primary) linked wallet
+  async createUser(insertUser) {
+    return await this.db.transaction(async (tx) => {
+      const [user] = await tx
+        .insert(users)
+        .values(insertUser)
+        .returning();
+      await tx.insert(userWallets).values({ userId: user.id, walletAddress: user.walletAddress, chain: user.chain });
+      return user;
+    });
+  }
+
+  // Wallet methods
+  async getUserWallets(userId) {
+    return await this.db
+      .select()
+      .from(userWallets)
+      .where(eq(userWallets.userId, userId))
+      .orderBy(userWallets.createdAt, userWallets.id);
+  }
+
+  async getUserWallet(walletAddress) {
+    const [wallet] = await this.db.select().from(userWallets).where(eq(userWallets.walletAddress, walletAddress));
+    return wallet || undefined;
+  }
+
+  // Fails if the wallet is already linked to any account
+  async addUserWallet(userId, { walletAddress, chain, encryptionKeyBackup = null }) {
+    const [wallet] = await this.db
+      .insert(userWallets)
+      .values({ userId, walletAddress, chain, encryptionKeyBackup })
+      .returning();
+    return wallet;
+  }
+
+  // Make one of the user's linked wallets the primary (users.walletAddress).
+  // A key binding from before keeps naming the wallet that signed it.
+  async setPrimaryWallet(userId, walletAddress) {
+    const wallet = await this.getUserWallet(walletAddress);
+    if (wallet?.userId !== userId) return undefined;
+
+    const [user] = await this.db
+      .update(users)
+      .set({
+        walletAddress: wallet.walletAddress,
+        chain: wallet.chain,
+        encryptionKeyWallet: sql`coalesce(${users.encryptionKeyWallet}, ${users.walletAddress})`,
+        profileUpdatedAt: new Date()
+      })
+      .where(eq(users.id, userId))
+      .returning();
+    return user;
+  }
+
+  // Unlink a wallet. The primary wallet can't be removed; returns whether one was.
+  async removeUserWallet(userId, walletAddress) {
+    const user = await this.getUser(userId);
+    if (!user || user.walletAddress === walletAddress) return false;
+
+    const removed = await this.db
+      .delete(userWallets)
+      .where(and(eq(userWallets.userId, userId), eq(userWallets.walletAddress, walletAddress)))
+      .returning();
+    return removed.length > 0;
+  }
+
+  async updateUserSettings(userId, settings) {
+    const [user] = await this.db
+      .update(users)
+      .set(settings)
+      .where(eq(users.id, userId))
+      .returning();
+    return user;
+  }
+
+  // Profile fields (username, displayName, bio, avatar). Fails on a taken handle.
+  async updateUserProfile(userId, profile) {
+    const [user] = await this.db
+      .update(users)
+      .set({ ...profile, profileUpdatedAt: new Date() })
+      .where(eq(users.id, userId))
+      .returning();
+    return user;
+  }
+
+  async setLastSeen(userId, lastSeenAt = new Date()) {
+    const [user] = await this.db
+      .update(users)
+      .set({ lastSeenAt })
+      .where(eq(users.id, userId))
+      .returning();
+    return user;
+  }
+
+  // encryptionKeyWallet is the wallet that signed the binding
+  async setUserEncryptionKey(userId, encryptionPublicKey, encryptionKeySignature, encryptionKeyWallet = null) {
+    const [user] = await this.db
+      .update(users)
+      .set({ encryptionPublicKey, encryptionKeySignature, encryptionKeyWallet })
+      .where(eq(users.id, userId))
+      .returning();
+    return user;
+  }
+
+  // Session methods (see server/sessions.js). Expired sessions are never returned.
+  async getSession(sid) {
+    const [session] = await this.db
+      .select()
+      .from(sessions)
+      .where(and(eq(sessions.sid, sid), gt(sessions.expiresAt, new Date())));
+    return session || undefined;
+  }
+
+  // Create or replace the session; saving it counts as activity
+  async saveSession(sid, { userId = null, userAgent = null, data, expiresAt }) {
+    const values = { userId, userAgent, data, expiresAt, lastActiveAt: new Date() };
+    const [session] = await this.db
+      .insert(sessions)
+      .values({ sid, ...values })
+      .onConflictDoUpdate({ target: sessions.sid, set: values })
+      .returning();
+    return session;
+  }
+
+  // Record activity, and push the expiry back if given
+  async touchSession(sid, expiresAt = null) {
+    const [session] = await this.db
+      .update(sessions)
+      .set({ lastActiveAt: new Date(), ...(expiresAt ? { expiresAt } : {}) })
+      .where(eq(sessions.sid, sid))
+      .returning();
+    return session;
+  }
+
+  async deleteSession(sid) {
+    await this.db.delete(sessions).where(eq(sessions.sid, sid));
+  }
+
+  // A user's live sessions, the most recently active first
+  async getUserSessions(userId) {
+    return await this.db
+      .select()
+      .from(sessions)
+      .where(and(eq(sessions.userId, userId), gt(sessions.expiresAt, new Date())))
+      .orderBy(desc(sessions.lastActiveAt), desc(sessions.id));
+  }
+
+  // Returns the deleted session, or undefined if the user has none with this id
+  async deleteUserSession(userId, id) {
+    const [session] = await this.db
+      .delete(sessions)
+      .where(and(eq(sessions.id, id), eq(sessions.userId, userId)))
+      .returning();
+    return session || undefined;
+  }
+
+  async deleteExpiredSessions(now = new Date()) {
+    const deleted = await this.db.delete(sessions).where(lte(sessions.expiresAt, now)).returning({ id: sessions.id });
+    return deleted.length;
+  }
+
+  // Room methods
+  async getRoom(id) {
+    const [room] = await this.db.select().from(rooms).where(eq(rooms.id, id));
+    return room || undefined;
+  }
+
+  async getUserRooms(userId) {
+    const userRooms = await this.db
+      .select({ room: rooms })
+      .from(roomMembers)
+      .innerJoin(rooms, eq(roomMembers.roomId, rooms.id))
+      .where(eq(roomMembers.userId, userId));
+    
+    return userRooms.map(r => r.room);
+  }
+
+  async createRoom(insertRoom) {
+    const [room] = await this.db
+      .insert(rooms)
+      .values(insertRoom)
+      .returning();
+    return room;
+  }
+
+  async updateRoomPolicy(id, policy) {
+    const [room] = await this.db
+      .update(rooms)
+      .set(policy)
+      .where(eq(rooms.id, id))
+      .returning();
+    return room;
+  }
+
+  async renameRoom(id, name) {
+    const [room] = await this.db
+      .update(rooms)
+      .set({ name })
+      .where(eq(rooms.id, id))
+      .returning();
+    return room;
+  }
+
+  // The recipient accepted the message request: the room becomes a normal private chat
+  async acceptMessageRequest(id) {
+    const [room] = await this.db
+      .update(rooms)
+      .set({ requestRecipientId: null })
+      .where(eq(rooms.id, id))
+      .returning();
+    return room;
+  }
+
+  // Delete a room with its messages, uploads, members, bans and invites.
+  // Returns { roomId, attachmentKeys } for the caller to remove the bytes.
+  async deleteRoom(id) {
+    const roomMessages = await this.db
+      .select({ id: messages.id })
+      .from(messages)
+      .where(eq(messages.roomId, id));
+    const deleted = await this.deleteMessagesByIds(roomMessages.map(m => m.id));
+    
+    return await this.db.transaction(async (tx) => {
+      const uploads = await tx
+        .delete(attachments)
+        .where(eq(attachments.roomId, id))
+        .returning({ storageKey: attachments.storageKey });
+      await tx.delete(roomMembers).where(eq(roomMembers.roomId, id));
+      await tx.delete(roomBans).where(eq(roomBans.roomId, id));
+      await tx.delete(roomMutes).where(eq(roomMutes.roomId, id));
+      await tx.delete(roomInvites).where(eq(roomInvites.roomId, id));
+      await tx.delete(messageReports).where(eq(messageReports.roomId, id));
+      await tx.delete(moderationLog).where(eq(moderationLog.roomId, id));
+      await tx.delete(rooms).where(eq(rooms.id, id));
+      
+      return {
+        roomId: id,
+        attachmentKeys: [...deleted.flatMap(m => m.attachmentKeys), ...uploads.map(u => u.storageKey)]
+      };
+    });
+  }
+
+  async ensurePublicRoom() {
+    const [publicRoom] = await this.db
+      .select()
+      .from(rooms)
+      .where(eq(rooms.isPublic, true));
+    
+    if (publicRoom) {
+      return publicRoom;
+    }
+    
+    const [newPublicRoom] = await this.db
+      .insert(rooms)
+      .values({
+        name: 'Public Chat',
+        isGroup: true,
+        isPublic: true,
+        createdBy: null,
+      })
+      .returning();
+    
+    return newPublicRoom;
+  }
+
+  async findPrivateRoom(userId1, userId2) {
+    // Find a non-group, non-public room where both users are members
+    const userRooms = await this.db
+      .select({ room: rooms })
+      .from(roomMembers)
+      .innerJoin(rooms, eq(roomMembers.roomId, rooms.id))
+      .where(
+        and(
+          eq(roomMembers.userId, userId1),
+          eq(rooms.isGroup, false),
+          eq(rooms.isPublic, false)
+        )
+      );
+    
+    // Check each room to see if userId2 is also a member
+    for (const { room } of userRooms) {
+      const isMember = await this.isRoomMember(room.id, userId2);
+      if (isMember) {
+        return room;
+      }
+    }
+    
+    return null;
+  }
+
+  // Everyone sharing a group or private room with the user (the public room
+  // and unaccepted message requests don't count), with whether they also
+  // share a private chat. joinedOnly leaves out groups someone else added
+  // the user to.
+  async getRoomPeers(userId, { joinedOnly = false } = {}) {
+    const myRooms = this.db
+      .select({ roomId: roomMembers.roomId })
+      .from(roomMembers)
+      .where(and(
+        eq(roomMembers.userId, userId),
+        joinedOnly ? isNull(roomMembers.addedBy) : undefined
+      ));
+    
+    const rows = await this.db
+      .select({ userId: roomMembers.userId, isGroup: rooms.isGroup })
+      .from(roomMembers)
+      .innerJoin(rooms, eq(roomMembers.roomId, rooms.id))
+      .where(
+        and(
+          inArray(roomMembers.roomId, myRooms),
+          eq(rooms.isPublic, false),
+          isNull(rooms.requestRecipientId),
+          ne(roomMembers.userId, userId)
+        )
+      );
+    
+    return collectRoomPeers(rows);
+  }
+
+  // Contact methods
+  // The owner's address book, each entry with the contact's user row
+  async getContacts(ownerId) {
+    const rows = await this.db
+      .select({ contact: contacts, user: users })
+      .from(contacts)
+      .innerJoin(users, eq(contacts.contactId, users.id))
+      .where(eq(contacts.ownerId, ownerId))
+      .orderBy(contacts.id);
+    
+    return rows.map(r => ({ ...r.contact, user: r.user }));
+  }
+
+  async getContact(ownerId, contactId) {
+    const [contact] = await this.db
+      .select()
+      .from(contacts)
+      .where(and(eq(contacts.ownerId, ownerId), eq(contacts.contactId, contactId)));
+    return contact || undefined;
+  }
+
+  // The entries other users keep about this user, e.g. to find who blocked them
+  async getContactEntriesAbout(userId) {
+    return await this.db
+      .select()
+      .from(contacts)
+      .where(eq(contacts.contactId, userId))
+      .orderBy(contacts.id);
+  }
+
+  // Create the entry or change the given fields of the existing one. With no
+  // fields the update is a no-op that still returns the existing row.
+  async saveContact(ownerId, contactId, fields = {}) {
+    const [contact] = await this.db
+      .insert(contacts)
+      .values({ ownerId, contactId, ...fields })
+      .onConflictDoUpdate({
+        target: [contacts.ownerId, contacts.contactId],
+        set: Object.keys(fields).length > 0 ? fields : { contactId }
+      })
+      .returning();
+    return contact;
+  }
+
+  async deleteContact(ownerId, contactId) {
+    const result = await this.db
+      .delete(contacts)
+      .where(and(eq(contacts.ownerId, ownerId), eq(contacts.contactId, contactId)))
+      .returning();
+    return result.length > 0;
+  }
+
+  // Room member methods
+  async addRoomMember(roomId, userId, role = 'member', addedBy = null) {
+    await this.db
+      .insert(roomMembers)
+      .values({ roomId, userId, role, addedBy });
+  }
+
+  async getRoomMember(roomId, userId) {
+    const [member] = await this.db
+      .select()
+      .from(roomMembers)
+      .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, userId)));
+    return member || undefined;
+  }
+
+  async setRoomMemberRole(roomId, userId, role) {
+    const [member] = await this.db
+      .update(roomMembers)
+      .set({ role })
+      .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, userId)))
+      .returning();
+    return member;
+  }
+
+  // The current owner steps down to admin and the new owner takes over
+  async transferRoomOwnership(roomId, fromUserId, toUserId) {
+    await this.db.transaction(async (tx) => {
+      await tx
+        .update(roomMembers)
+        .set({ role: 'admin' })
+        .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, fromUserId)));
+      await tx
+        .update(roomMembers)
+        .set({ role: 'owner' })
+        .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, toUserId)));
+    });
+  }
+
+  // Banning again replaces the previous ban and its expiry
+  async banRoomMember(roomId, userId, bannedBy, expiresAt = null) {
+    await this.db.transaction(async (tx) => {
+      await tx
+        .delete(roomMembers)
+        .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, userId)));
+      await tx
+        .delete(roomBans)
+        .where(and(eq(roomBans.roomId, roomId), eq(roomBans.userId, userId)));
+      await tx
+        .insert(roomBans)
+        .values({ roomId, userId, bannedBy, expiresAt });
+    });
+  }
+
+  async unbanRoomMember(roomId, userId) {
+    const result = await this.db
+      .delete(roomBans)
+      .where(and(eq(roomBans.roomId, roomId), eq(roomBans.userId, userId)))
+      .returning();
+    return result.length > 0;
+  }
+
+  async isBannedFromRoom(roomId, userId) {
+    const [ban] = await this.db
+      .select()
+      .from(roomBans)
+      .where(and(eq(roomBans.roomId, roomId), eq(roomBans.userId, userId), isActive(roomBans)));
+    return !!ban;
+  }
+
+  async muteRoomMember(roomId, userId, mutedBy, expiresAt = null) {
+    const [mute] = await this.db
+      .insert(roomMutes)
+      .values({ roomId, userId, mutedBy, expiresAt })
+      .onConflictDoUpdate({
+        target: [roomMutes.roomId, roomMutes.userId],
+        set: { mutedBy, expiresAt, createdAt: new Date() }
+      })
+      .returning();
+    return mute;
+  }
+
+  async unmuteRoomMember(roomId, userId) {
+    const result = await this.db
+      .delete(roomMutes)
+      .where(and(eq(roomMutes.roomId, roomId), eq(roomMutes.userId, userId)))
+      .returning();
+    return result.length > 0;
+  }
+
+  async getRoomMute(roomId, userId) {
+    const [mute] = await this.db
+      .select()
+      .from(roomMutes)
+      .where(and(eq(roomMutes.roomId, roomId), eq(roomMutes.userId, userId), isActive(roomMutes)));
+    return mute || undefined;
+  }
+
+  async getRoomMutes(roomId) {
+    const mutes = await this.db
+      .select({ mute: roomMutes, user: users })
+      .from(roomMutes)
+      .innerJoin(users, eq(roomMutes.userId, users.id))
+      .where(and(eq(roomMutes.roomId, roomId), isActive(roomMutes)))
+      .orderBy(roomMutes.id);
+    
+    return mutes.map(m => ({
+      userId: m.user.id,
+      username: m.user.username,
+      walletAddress: m.user.walletAddress,
+      mutedAt: m.mute.createdAt,
+      expiresAt: m.mute.expiresAt
+    }));
+  }
+
+  async createRoomInvite(invite) {
+    const [created] = await this.db
+      .insert(roomInvites)
+      .values(invite)
+      .returning();
+    return created;
+  }
+
+  async getRoomInviteByCode(code) {
+    const [invite] = await this.db
+      .select()
+      .from(roomInvites)
+      .where(eq(roomInvites.code, code));
+    return invite || undefined;
+  }
+
+  async getRoomInvites(roomId) {
+    return await this.db
+      .select()
+      .from(roomInvites)
+      .where(and(eq(roomInvites.roomId, roomId), isNull(roomInvites.revokedAt)))
+      .orderBy(desc(roomInvites.createdAt));
+  }
+
+  async revokeRoomInvite(roomId, inviteId) {
+    const result = await this.db
+      .update(roomInvites)
+      .set({ revokedAt: new Date() })
+      .where(and(eq(roomInvites.id, inviteId), eq(roomInvites.roomId, roomId)))
+      .returning();
+    return result.length > 0;
+  }
+
+  // Count a use only while the invite is still valid, so concurrent joins
+  // can't push it past maxUses
+  async redeemRoomInvite(inviteId) {
+    const [invite] = await this.db
+      .update(roomInvites)
+      .set({ uses: sql`${roomInvites.uses} + 1` })
+      .where(and(
+        eq(roomInvites.id, inviteId),
+        isNull(roomInvites.revokedAt),
+        or(isNull(roomInvites.expiresAt), gt(roomInvites.expiresAt, new Date())),
+        or(isNull(roomInvites.maxUses), lt(roomInvites.uses, roomInvites.maxUses))
+      ))
+      .returning();
+    return invite || undefined;
+  }
+
+  async getRoomBans(roomId) {
+    const bans = await this.db
+      .select({ ban: roomBans, user: users })
+      .from(roomBans)
+      .innerJoin(users, eq(roomBans.userId, users.id))
+      .where(and(eq(roomBans.roomId, roomId), isActive(roomBans)));
+    
+    return bans.map(b => ({
+      userId: b.user.id,
+      username: b.user.username,
+      walletAddress: b.user.walletAddress,
+      bannedAt: b.ban.createdAt,
+      expiresAt: b.ban.expiresAt
+    }));
+  }
+
+  async removeRoomMember(roomId, userId) {
+    await this.db
+      .delete(roomMembers)
+      .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, userId)));
+  }
+
+  async getRoomMembers(roomId) {
+    const members = await this.db
+      .select({ user: users, role: roomMembers.role })
+      .from(roomMembers)
+      .innerJoin(users, eq(roomMembers.userId, users.id))
+      .where(eq(roomMembers.roomId, roomId));
+    
+    return members.map(m => ({ ...m.user, role: m.role }));
+  }
+
+  async isRoomMember(roomId, userId) {
+    const [member] = await this.db
+      .select()
+      .from(roomMembers)
+      .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, userId)));
+    
+    return !!member;
+  }
+
+  // Receipt methods
+  // Pointers only ever move forward; reading a message also marks it delivered.
+  async updateReceipt(roomId, userId, { deliveredMessageId = null, readMessageId = null }) {
+    const delivered = Math.max(deliveredMessageId || 0, readMessageId || 0);
+    const updates = {
+      lastDeliveredMessageId: sql`GREATEST(COALESCE(${roomMembers.lastDeliveredMessageId}, 0), ${delivered})`
+    };
+    
+    if (readMessageId) {
+      updates.lastReadMessageId = sql`GREATEST(COALESCE(${roomMembers.lastReadMessageId}, 0), ${readMessageId})`;
+    }
+    
+    const [member] = await this.db
+      .update(roomMembers)
+      .set(updates)
+      .where(and(eq(roomMembers.roomId, roomId), eq(roomMembers.userId, userId)))
+      .returning();
+    
+    return member;
+  }
+
+  async getRoomReceipts(roomId) {
+    const rows = await this.db
+      .select({
+        userId: roomMembers.userId,
+        lastDeliveredMessageId: roomMembers.lastDeliveredMessageId,
+        lastReadMessageId: roomMembers.lastReadMessageId,
+        sendReadReceipts: users.sendReadReceipts
+      })
+      .from(roomMembers)
+      .innerJoin(users, eq(roomMembers.userId, users.id))
+      .where(eq(roomMembers.roomId, roomId));
+    
+    return rows;
+  }
+
+  // Message methods
+  async createMessage(insertMessage) {
+    const [message] = await this.db
+      .insert(messages)
+      .values(insertMessage)
+      .returning();
+    return message;
+  }
+
+  async getMessage(id) {
+    const [message] = await this.db.select().from(messages).where(eq(messages.id, id));
+    return message || undefined;
+  }
+
+  async getMessagesByIds(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    return await this.db.select().from(messages).where(inArray(messages.id, ids));
+  }
+
+  async getReplyCounts(messageIds) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+    
+    return await this.db
+      .select({
+        parentId: messages.parentId,
+        count: sql`count(*)::int`
+      })
+      .from(messages)
+      .where(inArray(messages.parentId, messageIds))
+      .groupBy(messages.parentId);
+  }
+
+  async updateMessageContent(id, { content, nonce, encryptedKeys }) {
+    const [message] = await this.db
+      .update(messages)
+      .set({ content, nonce, encryptedKeys, editedAt: new Date() })
+      .where(eq(messages.id, id))
+      .returning();
+    return message;
+  }
+
+  // Unsend: reactions reference the message, so they go first
+  // Returns the deleted message's { id, roomId, attachmentKeys }, if it existed
+  async deleteMessage(id) {
+    const [deleted] = await this.deleteMessagesByIds([id]);
+    return deleted;
+  }
+
+  async getRoomMessages(roomId, limit = 50) {
+    const roomMessages = await this.db
+      .select()
+      .from(messages)
+      .where(eq(messages.roomId, roomId))
+      .orderBy(desc(messages.createdAt))
+      .limit(limit);
+    
+    return roomMessages.reverse();
+  }
+
+  // Page backwards through a room's history. `before` is the `cursor` of the
+  // previous page: the { createdAt, id } of its oldest message, createdAt as
+  // text with the microseconds Postgres stores (a Date would cut them to
+  // milliseconds and skip messages in the same millisecond). Ties on
+  // createdAt are broken by id so the cursor stays stable. With `parentId`
+  // only that message's thread replies are paged.
+  async getRoomMessagesPage(roomId, { before = null, limit = 50, parentId = null } = {}) {
+    const conditions = [eq(messages.roomId, roomId)];
+    
+    if (parentId) {
+      conditions.push(eq(messages.parentId, parentId));
+    }
+    
+    if (before) {
+      conditions.push(sql`(${messages.createdAt}, ${messages.id}) < (${before.createdAt}::timestamp, ${before.id})`);
+    }
+    
+    const rows = await this.db
+      .select({ ...getTableColumns(messages), cursorAt: sql`to_char(${messages.createdAt}, 'YYYY-MM-DD"T"HH24:MI:SS.US')` })
+      .from(messages)
+      .where(and(...conditions))
+      .orderBy(desc(messages.createdAt), desc(messages.id))
+      .limit(limit + 1);
+    
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit).reverse();
+    
+    return {
+      messages: page.map(({ cursorAt, ...message }) => message),
+      hasMore,
+      cursor: page[0] ? { createdAt: page[0].cursorAt, id: page[0].id } : null
+    };
+  }
+
+  // Full-text search across the rooms a user belongs to. Only plaintext
+  // messages are indexed: end-to-end encrypted content is opaque to the server.
+  // Matches in `snippet` are wrapped in the given start/stop markers.
+  async searchMessages(userId, { query, roomId = null, senderId = null, from = null, to = null, limit = 25, startSel, stopSel }) {
+    const tsQuery = sql`websearch_to_tsquery('english', ${query})`;
+    const vector = sql`to_tsvector('english', ${messages.content})`;
+    const headlineOptions = `StartSel=${startSel}, StopSel=${stopSel}, MaxWords=24, MinWords=8, MaxFragments=2`;
+    
+    const conditions = [
+      sql`${vector} @@ ${tsQuery}`,
+      isNull(messages.nonce),
+      or(isNull(messages.expiresAt), gt(messages.expiresAt, new Date()))
+    ];
+    
+    if (roomId) conditions.push(eq(messages.roomId, roomId));
+    if (senderId) conditions.push(eq(messages.userId, senderId));
+    if (from) conditions.push(gte(messages.createdAt, from));
+    if (to) conditions.push(lte(messages.createdAt, to));
+    
+    return await this.db
+      .select({
+        messageId: messages.id,
+        roomId: messages.roomId,
+        roomName: rooms.name,
+        userId: messages.userId,
+        username: users.username,
+        createdAt: messages.createdAt,
+        snippet: sql`ts_headline('english', ${messages.content}, ${tsQuery}, ${headlineOptions})`
+      })
+      .from(messages)
+      .innerJoin(roomMembers, and(eq(roomMembers.roomId, messages.roomId), eq(roomMembers.userId, userId)))
+      .innerJoin(rooms, eq(messages.roomId, rooms.id))
+      .innerJoin(users, eq(messages.userId, users.id))
+      .where(and(...conditions))
+      .orderBy(desc(sql`ts_rank(${vector}, ${tsQuery})`), desc(messages.createdAt))
+      .limit(limit);
+  }
+
+  // Every message with an expiry, for the expiry scheduler to load at startup
+  async getPendingExpiries() {
+    return await this.db
+      .select({ id: messages.id, roomId: messages.roomId, expiresAt: messages.expiresAt })
+      .from(messages)
+      .where(sql`${messages.expiresAt} IS NOT NULL`);
+  }
+
+  // Remove messages whose expiresAt has passed. The expiry scheduler deletes
+  // them on time; this catches the ones scheduled on a node that went down.
+  async deleteExpiredMessages(now = new Date()) {
+    const expired = await this.db
+      .select({ id: messages.id })
+      .from(messages)
+      .where(lte(messages.expiresAt, now));
+    
+    if (expired.length === 0) {
+      return [];
+    }
+    
+    return await this.deleteMessagesByIds(expired.map(m => m.id));
+  }
+
+  // Remove messages older than their room's retention age, with their reactions
+  async deleteMessagesPastRetention() {
+    const expired = await this.db
+      .select({ id: messages.id, roomId: messages.roomId })
+      .from(messages)
+      .innerJoin(rooms, eq(messages.roomId, rooms.id))
+      .where(and(
+        sql`${rooms.retentionSeconds} IS NOT NULL`,
+        sql`${messages.createdAt} < NOW() - ${rooms.retentionSeconds} * INTERVAL '1 second'`
+      ));
+    
+    if (expired.length === 0) {
+      return [];
+    }
+    
+    return await this.deleteMessagesByIds(expired.map(m => m.id));
+  }
+
+  // Delete messages together with the rows that reference them. Returns
+  // { id, roomId, attachmentKeys } for the messages that still existed; the
+  // caller removes the attachment bytes from the attachment store.
+  async deleteMessagesByIds(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    
+    return await this.db.transaction(async (tx) => {
+      await tx.delete(reactions).where(inArray(reactions.messageId, ids));
+      await tx.delete(messageReads).where(inArray(messageReads.messageId, ids));
+      const removedAttachments = await tx
+        .delete(attachments)
+        .where(inArray(attachments.messageId, ids))
+        .returning({ messageId: attachments.messageId, storageKey: attachments.storageKey });
+      const deleted = await tx
+        .delete(messages)
+        .where(inArray(messages.id, ids))
+        .returning({ id: messages.id, roomId: messages.roomId });
+      
+      return deleted.map(m => ({
+        ...m,
+        attachmentKeys: removedAttachments.filter(a => a.messageId === m.id).map(a => a.storageKey)
+      }));
+    });
+  }
+
+  // Moderation methods
+  // Each user reports a message once; a repeat resolves to undefined
+  async createMessageReport(report) {
+    const [created] = await this.db
+      .insert(messageReports)
+      .values(report)
+      .onConflictDoNothing()
+      .returning();
+    return created || undefined;
+  }
+
+  async getOpenReports(roomId) {
+    const reporters = alias(users, 'reporters');
+    const rows = await this.db
+      .select({ report: messageReports, reporter: reporters, reportedUser: users })
+      .from(messageReports)
+      .innerJoin(reporters, eq(messageReports.reporterId, reporters.id))
+      .innerJoin(users, eq(messageReports.reportedUserId, users.id))
+      .where(and(eq(messageReports.roomId, roomId), eq(messageReports.status, 'open')))
+      .orderBy(messageReports.id);
+    
+    return rows.map(r => ({ ...r.report, reporter: r.reporter, reportedUser: r.reportedUser }));
+  }
+
+  // Close every open report of a message; resolves to the reports closed
+  async resolveMessageReports(messageId, status, resolvedBy) {
+    return await this.db
+      .update(messageReports)
+      .set({ status, resolvedBy, resolvedAt: new Date() })
+      .where(and(eq(messageReports.messageId, messageId), eq(messageReports.status, 'open')))
+      .returning();
+  }
+
+  async addModerationLogEntry(entry) {
+    const [created] = await this.db
+      .insert(moderationLog)
+      .values(entry)
+      .returning();
+    return created;
+  }
+
+  // Newest first, paged by id
+  async getModerationLog(roomId, { before = null, limit = 50 } = {}) {
+    const targets = alias(users, 'targets');
+    const rows = await this.db
+      .select({ entry: moderationLog, actor: users, target: targets })
+      .from(moderationLog)
+      .innerJoin(users, eq(moderationLog.actorId, users.id))
+      .leftJoin(targets, eq(moderationLog.targetUserId, targets.id))
+      .where(and(eq(moderationLog.roomId, roomId), before ? lt(moderationLog.id, before) : undefined))
+      .orderBy(desc(moderationLog.id))
+      .limit(limit);
+    
+    return rows.map(r => ({ ...r.entry, actor: r.actor, target: r.target }));
+  }
+
+  // Attachment methods
+  async createAttachment(attachment) {
+    const [created] = await this.db
+      .insert(attachments)
+      .values(attachment)
+      .returning();
+    return created;
+  }
+
+  async getAttachment(id) {
+    const [attachment] = await this.db
+      .select()
+      .from(attachments)
+      .where(eq(attachments.id, id));
+    return attachment || undefined;
+  }
+
+  async updateAttachment(id, changes) {
+    const [attachment] = await this.db
+      .update(attachments)
+      .set(changes)
+      .where(eq(attachments.id, id))
+      .returning();
+    return attachment;
+  }
+
+  // Record a received chunk only if no other chunk got there first
+  async advanceAttachmentUpload(id, fromBytes, toBytes) {
+    const [attachment] = await this.db
+      .update(attachments)
+      .set({ receivedBytes: toBytes })
+      .where(and(
+        eq(attachments.id, id),
+        eq(attachments.status, 'uploading'),
+        eq(attachments.receivedBytes, fromBytes)
+      ))
+      .returning();
+    return attachment || undefined;
+  }
+
+  // Link finished uploads to the message that carries them
+  async attachToMessage(attachmentIds, messageId) {
+    return await this.db
+      .update(attachments)
+      .set({ messageId })
+      .where(and(inArray(attachments.id, attachmentIds), isNull(attachments.messageId)))
+      .returning();
+  }
+
+  async getMessagesAttachments(messageIds) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+    
+    return await this.db
+      .select()
+      .from(attachments)
+      .where(inArray(attachments.messageId, messageIds))
+      .orderBy(attachments.id);
+  }
+
+  // Uploads never attached to a message (abandoned, or the send failed)
+  async deleteStaleAttachments(olderThan) {
+    return await this.db
+      .delete(attachments)
+      .where(and(isNull(attachments.messageId), lt(attachments.createdAt, olderThan)))
+      .returning();
+  }
+
+  // Start (or return the already running) burn countdown for one recipient
+  async markMessageViewed(messageId, userId, burnSeconds) {
+    const [created] = await this.db
+      .insert(messageReads)
+      .values({
+        messageId,
+        userId,
+        expiresAt: new Date(Date.now() + burnSeconds * 1000)
+      })
+      .onConflictDoNothing()
+      .returning();
+    
+    if (created) {
+      return created;
+    }
+    
+    const [existing] = await this.db
+      .select()
+      .from(messageReads)
+      .where(and(eq(messageReads.messageId, messageId), eq(messageReads.userId, userId)));
+    return existing;
+  }
+
+  async getMessageReadsForUser(messageIds, userId) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+    
+    return await this.db
+      .select()
+      .from(messageReads)
+      .where(and(inArray(messageReads.messageId, messageIds), eq(messageReads.userId, userId)));
+  }
+
+  // Remove burn-after-read messages whose countdown has run out for every
+  // current member other than the sender
+  async deleteFullyBurnedMessages() {
+    const burned = await this.db
+      .select({ id: messages.id, roomId: messages.roomId })
+      .from(messages)
+      .where(and(
+        sql`${messages.burnSeconds} IS NOT NULL`,
+        sql`EXISTS (SELECT 1 FROM ${messageReads} WHERE ${messageReads.messageId} = ${messages.id})`,
+        sql`NOT EXISTS (
+          SELECT 1 FROM ${roomMembers}
+          WHERE ${roomMembers.roomId} = ${messages.roomId}
+            AND ${roomMembers.userId} <> ${messages.userId}
+            AND NOT EXISTS (
+              SELECT 1 FROM ${messageReads}
+              WHERE ${messageReads.messageId} = ${messages.id}
+                AND ${messageReads.userId} = ${roomMembers.userId}
+                AND ${messageReads.expiresAt} <= NOW()
+            )
+        )`
+      ));
+    
+    return await this.deleteMessagesByIds(burned.map(m => m.id));
+  }
+
+  // Reaction methods
+  async addReaction(messageId, userId, emoji) {
+    // Check if reaction already exists
+    const [existing] = await this.db
+      .select()
+      .from(reactions)
+      .where(and(
+        eq(reactions.messageId, messageId),
+        eq(reactions.userId, userId),
+        eq(reactions.emoji, emoji)
+      ));
+    
+    if (existing) {
+      return existing;
+    }
+    
+    const [reaction] = await this.db
+      .insert(reactions)
+      .values({ messageId, userId, emoji })
+      .returning();
+    
+    return reaction;
+  }
+
+  async removeReaction(messageId, userId, emoji) {
+    const result = await this.db
+      .delete(reactions)
+      .where(and(
+        eq(reactions.messageId, messageId),
+        eq(reactions.userId, userId),
+        eq(reactions.emoji, emoji)
+      ))
+      .returning();
+    
+    return result.length > 0;
+  }
+
+  async getMessageReactions(messageId) {
+    const messageReactions = await this.db
+      .select({
+        reaction: reactions,
+        user: users
+      })
+      .from(reactions)
+      .innerJoin(users, eq(reactions.userId, users.id))
+      .where(eq(reactions.messageId, messageId));
+    
+    return messageReactions.map(r => ({
+      ...r.reaction,
+      username: r.user.username,
+      walletAddress: r.user.walletAddress
+    }));
+  }
+
+  async getMessagesReactions(messageIds) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+    
+    const messageReactions = await this.db
+      .select({
+        reaction: reactions,
+        user: users
+      })
+      .from(reactions)
+      .innerJoin(users, eq(reactions.userId, users.id))
+      .where(inArray(reactions.messageId, messageIds));
+    
+    return messageReactions.map(r => ({
+      ...r.reaction,
+      username: r.user.username,
+      walletAddress: r.user.walletAddress
+    }));
+  }
+
+  // User Statistics
+  async getUserMessageCount(userId) {
+    const result = await this.db
+      .select({ count: sql`count(*)::int` })
+      .from(messages)
+      .where(eq(messages.userId, userId));
+    
+    return result[0]?.count || 0;
+  }
+
+  async getUserActivityStats(userId, days = 7) {
+    const daysAgo = new Date();
+    daysAgo.setDate(daysAgo.getDate() - days);
+    
+    const result = await this.db
+      .select({
+        date: sql`DATE(${messages.createdAt})`.as('date'),
+        count: sql`count(*)::int`.as('count')
+      })
+      .from(messages)
+      .where(and(
+        eq(messages.userId, userId),
+        sql`${messages.createdAt} >= ${daysAgo.toISOString()}`
+      ))
+      .groupBy(sql`DATE(${messages.createdAt})`)
+      .orderBy(sql`DATE(${messages.createdAt})`);
+    
+    // Create a map of all days in the range
+    const activityMap = {};
+    for (let i = 0; i < days; i++) {
+      const date = new Date();
+      date.setDate(date.getDate() - (days - 1 - i));
+      const dateStr = date.toISOString().split('T')[0];
+      activityMap[dateStr] = 0;
+    }
+    
+    // Fill in actual counts
+    result.forEach(row => {
+      const dateStr = new Date(row.date).toISOString().split('T')[0];
+      if (activityMap.hasOwnProperty(dateStr)) {
+        activityMap[dateStr] = row.count;
+      }
+    });
+    
+    return Object.entries(activityMap).map(([date, count]) => ({ date, count }));
+  }
+}
@@ -1,15 +1,46 @@
+import { mkdir } from 'fs/promises';
 import { Pool, neonConfig } from '@neondatabase/serverless';
 import { drizzle } from 'drizzle-orm/neon-serverless';
 import ws from "ws";
 import * as schema from "../shared/schema.js";
+import { runMigrations } from "./migrations.js";
 
 neonConfig.webSocketConstructor = ws;
 
-if (!process.env.DATABASE_URL) {
-  throw new Error(
-    "DATABASE_URL must be set. Did you forget to provision a database?",
-  );
+export function connectPostgres(connectionString = process.env.DATABASE_URL) {
+  if (!connectionString) {
+    throw new Error(
+      "DATABASE_URL must be set. Did you forget to provision a database? Set STORAGE_DRIVER=pglite or STORAGE_DRIVER=memory to run without one.",
+    );
+  }
+
+  const pool = new Pool({ connectionString });
+  return drizzle({ client: pool, schema });
 }
 
-export const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-export const db = drizzle({ client: pool, schema });
+// Embedded Postgres (PGlite, compiled to WebAssembly) inside this process.
+// Without a data directory the database only lives in memory. The schema is
+// pushed on every start, with the data migrations around it, like `npm run
+// db:push`. Imported lazily so production servers never load the WebAssembly
+// build.
+export async function connectPglite(dataDir) {
+  const { PGlite } = await import('@electric-sql/pglite');
+  const { drizzle: drizzlePglite } = await import('drizzle-orm/pglite');
+  const { pushSchema } = await import('drizzle-kit/api');
+
+  if (dataDir) {
+    await mkdir(dataDir, { recursive: true });
+  }
+
+  const client = new PGlite(dataDir);
+  await client.waitReady;
+  const db = drizzlePglite({ client, schema });
+
+  await runMigrations(db, 'before');
+  const { warnings, apply } = await pushSchema(schema, db);
+  warnings.forEach(warning => console.warn('PGlite schema push:', warning));
+  await apply();
+  await runMigrations(db, 'after');
+
+  return db;
+}
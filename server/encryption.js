@@ -0,0 +1,71 @@
+import nacl from 'tweetnacl';
+import { verifyWalletSignature } from './wallets.js';
+
+// Message the wallet signs to bind an X25519 public key to itself.
+// Must stay byte-for-byte identical to buildKeyBindingMessage() in app/app.js.
+export function buildKeyBindingMessage(walletAddress, encryptionPublicKey) {
+  return `ZKONTROL Encryption Key\n\nI authorize this public key to receive end-to-end encrypted messages for my wallet.\n\nKey: ${encryptionPublicKey}\nWallet: ${walletAddress}`;
+}
+
+function decodeBase64(value, expectedLength) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return null;
+  }
+
+  const bytes = Uint8Array.from(Buffer.from(value, 'base64'));
+
+  if (expectedLength !== undefined && bytes.length !== expectedLength) {
+    return null;
+  }
+
+  return bytes;
+}
+
+// Check that `signature` is the wallet's signature over the key binding
+// message (ed25519 for Solana wallets, personal_sign for Ethereum ones)
+export function verifyKeyBinding(walletAddress, encryptionPublicKey, signature) {
+  if (!decodeBase64(encryptionPublicKey, nacl.box.publicKeyLength)) {
+    return false;
+  }
+
+  return verifyWalletSignature(
+    walletAddress,
+    buildKeyBindingMessage(walletAddress, encryptionPublicKey),
+    signature
+  );
+}
+
+// Validate the shape of an encrypted message envelope:
+// content is a secretbox ciphertext, encryptedKeys maps recipient user id
+// to the per-message key sealed with nacl.box for that recipient.
+export function isValidEnvelope({ content, nonce, encryptedKeys }) {
+  if (!decodeBase64(content) || !decodeBase64(nonce, nacl.secretbox.nonceLength)) {
+    return false;
+  }
+
+  if (!encryptedKeys || typeof encryptedKeys !== 'object' || Array.isArray(encryptedKeys)) {
+    return false;
+  }
+
+  const entries = Object.entries(encryptedKeys);
+
+  if (entries.length === 0) {
+    return false;
+  }
+
+  return entries.every(([userId, sealed]) =>
+    Number.isInteger(Number(userId)) &&
+    sealed &&
+    decodeBase64(sealed.key) !== null &&
+    decodeBase64(sealed.nonce, nacl.box.nonceLength) !== null
+  );
+}
+
+// Validate the shape of a linked wallet's key backup: the account's X25519
+// secret key sealed with nacl.secretbox under a key derived from that
+// wallet's signature (see userWallets in shared/schema.js)
+export function isValidKeyBackup(backup) {
+  return !!backup && typeof backup === 'object' &&
+    decodeBase64(backup.ciphertext, nacl.box.secretKeyLength + nacl.secretbox.overheadLength) !== null &&
+    decodeBase64(backup.nonce, nacl.secretbox.nonceLength) !== null;
+}
@@ -0,0 +1,138 @@
+// Longest delay setTimeout accepts (~24.8 days); later deadlines re-arm on wake-up
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+const RETRY_DELAY_MS = 5000;
+
+// Min-heap of { id, roomId, expiresAt (ms) } ordered by expiresAt
+class ExpiryQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].expiresAt <= items[i].expiresAt) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < items.length && items[left].expiresAt < items[smallest].expiresAt) smallest = left;
+        if (right < items.length && items[right].expiresAt < items[smallest].expiresAt) smallest = right;
+        if (smallest === i) break;
+
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+// Fires onExpire(entries) as soon as messages reach their expiresAt, using a
+// single timer armed for the earliest deadline. Entries for messages that were
+// unsent in the meantime are harmless: onExpire just finds nothing to delete.
+export class ExpiryScheduler {
+  constructor({ onExpire }) {
+    this.onExpire = onExpire;
+    this.queue = new ExpiryQueue();
+    this.timer = null;
+    this.armedFor = null;
+  }
+
+  // Add the pending expiries stored in the database. Messages scheduled while
+  // these were loading may appear twice, which is harmless.
+  load(entries) {
+    for (const entry of entries) {
+      this.queue.push(toItem(entry));
+    }
+    this.arm();
+  }
+
+  schedule(entry) {
+    if (!entry.expiresAt) return;
+
+    this.queue.push(toItem(entry));
+    this.arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.armedFor = null;
+  }
+
+  arm() {
+    const next = this.queue.peek();
+
+    if (!next) {
+      this.stop();
+      return;
+    }
+
+    if (this.timer && this.armedFor <= next.expiresAt) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.armedFor = next.expiresAt;
+    this.timer = setTimeout(() => this.fire(), Math.min(Math.max(0, next.expiresAt - Date.now()), MAX_TIMEOUT_MS));
+  }
+
+  async fire() {
+    this.timer = null;
+    this.armedFor = null;
+
+    const now = Date.now();
+    const due = [];
+
+    while (this.queue.size > 0 && this.queue.peek().expiresAt <= now) {
+      due.push(this.queue.pop());
+    }
+
+    if (due.length > 0) {
+      try {
+        await this.onExpire(due);
+      } catch (error) {
+        console.error('Error expiring messages:', error);
+        // Try again shortly rather than leaving expired messages behind
+        for (const item of due) {
+          this.queue.push({ ...item, expiresAt: now + RETRY_DELAY_MS });
+        }
+      }
+    }
+
+    this.arm();
+  }
+}
+
+function toItem({ id, roomId, expiresAt }) {
+  return { id, roomId, expiresAt: new Date(expiresAt).getTime() };
+}
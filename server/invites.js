@@ -0,0 +1,77 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// INVITE_SECRET (or else SESSION_SECRET) signs invite links. Like the session
+// secret, production refuses to start without one; development gets a random
+// secret, so links stop working on restart.
+export function getInviteSecret(env = process.env) {
+  const secret = env.INVITE_SECRET || env.SESSION_SECRET;
+
+  if (secret) {
+    return secret;
+  }
+
+  if (env.NODE_ENV === 'production') {
+    throw new Error('INVITE_SECRET or SESSION_SECRET must be set in production');
+  }
+
+  console.warn('INVITE_SECRET is not set; using a random secret, so invite links stop working when the server restarts');
+  return randomBytes(32).toString('hex');
+}
+
+const INVITE_SECRET = getInviteSecret();
+
+export const MAX_INVITE_USES = 1000;
+export const MAX_INVITE_LIFETIME_SECONDS = 30 * 86400;
+
+function sign(code) {
+  return createHmac('sha256', INVITE_SECRET).update(code).digest('base64url').slice(0, 22);
+}
+
+export function createInviteCode() {
+  return randomBytes(18).toString('base64url');
+}
+
+// Invite tokens are `<code>.<signature>`. Only the code is stored; the
+// signature lets us reject forged or mistyped tokens before touching the database.
+export function buildInviteToken(code) {
+  return `${code}.${sign(code)}`;
+}
+
+// Returns the invite code for a correctly signed token, otherwise null
+export function verifyInviteToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [code, signature, ...rest] = token.split('.');
+
+  if (!code || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(code));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return code;
+}
+
+// Why an invite can't be used right now, or null if it is still valid
+export function getInviteProblem(invite, now = new Date()) {
+  if (!invite || invite.revokedAt) {
+    return 'This invite link has been revoked';
+  }
+
+  if (invite.expiresAt && invite.expiresAt <= now) {
+    return 'This invite link has expired';
+  }
+
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+    return 'This invite link has reached its maximum number of uses';
+  }
+
+  return null;
+}
@@ -0,0 +1,890 @@
+import { getTableColumns, SQL } from "drizzle-orm";
+import { users, userWallets, sessions, contacts, rooms, roomMembers, roomBans, roomMutes, roomInvites, messages, messageReads, messageReports, moderationLog, reactions, attachments } from "../shared/schema.js";
+import { collectRoomPeers } from "./database-storage.js";
+
+// Rows of one table, with the column defaults from shared/schema.js applied
+// on insert so records look exactly like the ones Postgres returns.
+class MemoryTable {
+  constructor(table) {
+    this.columns = getTableColumns(table);
+    this.rows = new Map();
+    this.nextId = 1;
+  }
+
+  normalize(values) {
+    const row = {};
+
+    for (const [key, value] of Object.entries(values)) {
+      const column = this.columns[key];
+      if (!column || value === undefined) continue;
+
+      if (column.columnType === 'PgTimestamp' && value !== null) {
+        row[key] = new Date(value);
+      } else if (column.columnType === 'PgJsonb' && value !== null) {
+        row[key] = structuredClone(value);
+      } else {
+        row[key] = value;
+      }
+    }
+
+    return row;
+  }
+
+  checkUnique(row) {
+    for (const [key, column] of Object.entries(this.columns)) {
+      if (!column.isUnique || row[key] === null) continue;
+
+      for (const other of this.rows.values()) {
+        if (other.id !== row.id && other[key] === row[key]) {
+          throw new Error(`duplicate key value violates unique constraint on ${column.name}`);
+        }
+      }
+    }
+  }
+
+  insert(values) {
+    const row = {};
+    const given = this.normalize(values);
+
+    for (const [key, column] of Object.entries(this.columns)) {
+      if (given[key] !== undefined) {
+        row[key] = given[key];
+      } else if (column.columnType === 'PgSerial') {
+        row[key] = this.nextId;
+      } else if (column.default instanceof SQL) {
+        row[key] = new Date(); // defaultNow()
+      } else {
+        row[key] = column.default !== undefined ? column.default : null;
+      }
+    }
+
+    this.checkUnique(row);
+    this.nextId = Math.max(this.nextId, row.id) + 1;
+    this.rows.set(row.id, row);
+    return { ...row };
+  }
+
+  update(row, changes) {
+    const updated = { ...row, ...this.normalize(changes) };
+    this.checkUnique(updated);
+    this.rows.set(row.id, updated);
+    return { ...updated };
+  }
+
+  get(id) {
+    const row = this.rows.get(id);
+    return row ? { ...row } : undefined;
+  }
+
+  find(predicate) {
+    for (const row of this.rows.values()) {
+      if (predicate(row)) return row;
+    }
+    return undefined;
+  }
+
+  filter(predicate) {
+    return [...this.rows.values()].filter(predicate);
+  }
+
+  delete(predicate) {
+    const removed = [];
+
+    for (const [id, row] of this.rows) {
+      if (predicate(row)) {
+        this.rows.delete(id);
+        removed.push({ ...row });
+      }
+    }
+
+    return removed;
+  }
+}
+
+const copy = row => row ? { ...row } : undefined;
+
+// Newest first, ties broken by id, as the Postgres queries order them
+const byNewest = (a, b) => (b.createdAt - a.createdAt) || (b.id - a.id);
+
+const isLive = (message, now) => !message.expiresAt || message.expiresAt > now;
+
+// Bans and mutes without an expiry last until lifted
+const isActive = (sanction, now = new Date()) => !sanction.expiresAt || sanction.expiresAt > now;
+
+// Words for search matching: lowercased, with common English endings removed
+// so "messages" finds "message", roughly like Postgres' english stemmer
+function searchTerms(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .map(word => word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+}
+
+// Approximates ts_headline: up to 24 words around the first match, with
+// matching words wrapped in the markers
+function buildSnippet(content, terms, startSel, stopSel) {
+  const words = content.split(/\s+/).filter(Boolean);
+  const isMatch = word => searchTerms(word).some(term => terms.includes(term));
+  const first = Math.max(0, words.findIndex(isMatch));
+  const start = Math.max(0, Math.min(first - 4, words.length - 24));
+
+  return words
+    .slice(start, start + 24)
+    .map(word => isMatch(word) ? `${startSel}${word}${stopSel}` : word)
+    .join(' ');
+}
+
+// Storage kept in process memory. For local development and tests; all data
+// is lost when the process exits.
+export class MemoryStorage {
+  constructor() {
+    this.users = new MemoryTable(users);
+    this.userWallets = new MemoryTable(userWallets);
+    this.sessions = new MemoryTable(sessions);
+    this.contacts = new MemoryTable(contacts);
+    this.rooms = new MemoryTable(rooms);
+    this.roomMembers = new MemoryTable(roomMembers);
+    this.roomBans = new MemoryTable(roomBans);
+    this.roomMutes = new MemoryTable(roomMutes);
+    this.roomInvites = new MemoryTable(roomInvites);
+    this.messages = new MemoryTable(messages);
+    this.messageReads = new MemoryTable(messageReads);
+    this.reactions = new MemoryTable(reactions);
+    this.messageReports = new MemoryTable(messageReports);
+    this.moderationLog = new MemoryTable(moderationLog);
+    this.attachments = new MemoryTable(attachments);
+  }
+
+  // User methods
+  async getUser(id) {
+    return this.users.get(id);
+  }
+
+  async getUserByUsername(username) {
+    return copy(this.users.find(u => u.username?.toLowerCase() === username.toLowerCase()));
+  }
+
+  // Stands in for the case-insensitive unique index on handles
+  checkHandle(username, userId) {
+    const other = username && this.users.find(u => u.username?.toLowerCase() === username.toLowerCase());
+    if (other && other.id !== userId) {
+      throw new Error('duplicate key value violates unique constraint "users_username_lower_idx"');
+    }
+  }
+
+  async getUserByWallet(walletAddress) {
+    const linked = this.userWallets.find(w => w.walletAddress === walletAddress);
+    return copy(this.users.find(u => u.walletAddress === walletAddress || u.id === linked?.userId));
+  }
+
+  async createUser(insertUser) {
+    this.checkHandle(insertUser.username);
+    if (this.userWallets.find(w => w.walletAddress === insertUser.walletAddress)) {
+      throw new Error('duplicate key value violates unique constraint on wallet_address');
+    }
+
+    const user = this.users.insert(insertUser);
+    this.userWallets.insert({ userId: user.id, walletAddress: user.walletAddress, chain: user.chain });
+    return user;
+  }
+
+  // Wallet methods
+  async getUserWallets(userId) {
+    return this.userWallets
+      .filter(w => w.userId === userId)
+      .sort((a, b) => (a.createdAt - b.createdAt) || (a.id - b.id))
+      .map(copy);
+  }
+
+  async getUserWallet(walletAddress) {
+    return copy(this.userWallets.find(w => w.walletAddress === walletAddress));
+  }
+
+  async addUserWallet(userId, { walletAddress, chain, encryptionKeyBackup = null }) {
+    return this.userWallets.insert({ userId, walletAddress, chain, encryptionKeyBackup });
+  }
+
+  async setPrimaryWallet(userId, walletAddress) {
+    const wallet = this.userWallets.find(w => w.walletAddress === walletAddress);
+    if (wallet?.userId !== userId) return undefined;
+
+    const user = this.users.get(userId);
+    return await this.updateUserSettings(userId, {
+      walletAddress: wallet.walletAddress,
+      chain: wallet.chain,
+      encryptionKeyWallet: user.encryptionKeyWallet ?? user.walletAddress,
+      profileUpdatedAt: new Date()
+    });
+  }
+
+  async removeUserWallet(userId, walletAddress) {
+    const user = this.users.get(userId);
+    if (!user || user.walletAddress === walletAddress) return false;
+
+    return this.userWallets.delete(w => w.userId === userId && w.walletAddress === walletAddress).length > 0;
+  }
+
+  async updateUserSettings(userId, settings) {
+    const user = this.users.rows.get(userId);
+    return user ? this.users.update(user, settings) : undefined;
+  }
+
+  async updateUserProfile(userId, profile) {
+    this.checkHandle(profile.username, userId);
+    return await this.updateUserSettings(userId, { ...profile, profileUpdatedAt: new Date() });
+  }
+
+  async setLastSeen(userId, lastSeenAt = new Date()) {
+    return await this.updateUserSettings(userId, { lastSeenAt });
+  }
+
+  async setUserEncryptionKey(userId, encryptionPublicKey, encryptionKeySignature, encryptionKeyWallet = null) {
+    return await this.updateUserSettings(userId, { encryptionPublicKey, encryptionKeySignature, encryptionKeyWallet });
+  }
+
+  // Session methods
+  async getSession(sid) {
+    const now = new Date();
+    return copy(this.sessions.find(s => s.sid === sid && s.expiresAt > now));
+  }
+
+  async saveSession(sid, { userId = null, userAgent = null, data, expiresAt }) {
+    const values = { userId, userAgent, data, expiresAt, lastActiveAt: new Date() };
+    const session = this.sessions.find(s => s.sid === sid);
+    return session ? this.sessions.update(session, values) : this.sessions.insert({ sid, ...values });
+  }
+
+  async touchSession(sid, expiresAt = null) {
+    const session = this.sessions.find(s => s.sid === sid);
+    return session
+      ? this.sessions.update(session, { lastActiveAt: new Date(), ...(expiresAt ? { expiresAt } : {}) })
+      : undefined;
+  }
+
+  async deleteSession(sid) {
+    this.sessions.delete(s => s.sid === sid);
+  }
+
+  async getUserSessions(userId) {
+    const now = new Date();
+    return this.sessions
+      .filter(s => s.userId === userId && s.expiresAt > now)
+      .sort((a, b) => (b.lastActiveAt - a.lastActiveAt) || (b.id - a.id))
+      .map(copy);
+  }
+
+  async deleteUserSession(userId, id) {
+    const [session] = this.sessions.delete(s => s.id === id && s.userId === userId);
+    return session;
+  }
+
+  async deleteExpiredSessions(now = new Date()) {
+    return this.sessions.delete(s => s.expiresAt <= now).length;
+  }
+
+  // Room methods
+  async getRoom(id) {
+    return this.rooms.get(id);
+  }
+
+  async getUserRooms(userId) {
+    return this.roomMembers
+      .filter(m => m.userId === userId)
+      .map(m => this.rooms.get(m.roomId))
+      .filter(Boolean);
+  }
+
+  async createRoom(insertRoom) {
+    return this.rooms.insert(insertRoom);
+  }
+
+  async updateRoomPolicy(id, policy) {
+    const room = this.rooms.rows.get(id);
+    return room ? this.rooms.update(room, policy) : undefined;
+  }
+
+  async renameRoom(id, name) {
+    return await this.updateRoomPolicy(id, { name });
+  }
+
+  async acceptMessageRequest(id) {
+    return await this.updateRoomPolicy(id, { requestRecipientId: null });
+  }
+
+  async deleteRoom(id) {
+    const deleted = await this.deleteMessagesByIds(this.messages.filter(m => m.roomId === id).map(m => m.id));
+    const uploads = this.attachments.delete(a => a.roomId === id);
+    this.roomMembers.delete(m => m.roomId === id);
+    this.roomBans.delete(b => b.roomId === id);
+    this.roomMutes.delete(m => m.roomId === id);
+    this.roomInvites.delete(i => i.roomId === id);
+    this.messageReports.delete(r => r.roomId === id);
+    this.moderationLog.delete(e => e.roomId === id);
+    this.rooms.delete(r => r.id === id);
+
+    return {
+      roomId: id,
+      attachmentKeys: [...deleted.flatMap(m => m.attachmentKeys), ...uploads.map(u => u.storageKey)]
+    };
+  }
+
+  async ensurePublicRoom() {
+    const publicRoom = this.rooms.find(r => r.isPublic);
+
+    if (publicRoom) {
+      return copy(publicRoom);
+    }
+
+    return this.rooms.insert({
+      name: 'Public Chat',
+      isGroup: true,
+      isPublic: true,
+      createdBy: null
+    });
+  }
+
+  async findPrivateRoom(userId1, userId2) {
+    for (const room of await this.getUserRooms(userId1)) {
+      if (!room.isGroup && !room.isPublic && await this.isRoomMember(room.id, userId2)) {
+        return room;
+      }
+    }
+
+    return null;
+  }
+
+  async getRoomPeers(userId, { joinedOnly = false } = {}) {
+    const rows = [];
+
+    for (const room of await this.getUserRooms(userId)) {
+      if (room.isPublic || room.requestRecipientId) continue;
+      if (joinedOnly && this.findMember(room.id, userId).addedBy) continue;
+      for (const member of this.roomMembers.filter(m => m.roomId === room.id && m.userId !== userId)) {
+        rows.push({ userId: member.userId, isGroup: room.isGroup });
+      }
+    }
+
+    return collectRoomPeers(rows);
+  }
+
+  // Contact methods
+  findContact(ownerId, contactId) {
+    return this.contacts.find(c => c.ownerId === ownerId && c.contactId === contactId);
+  }
+
+  async getContacts(ownerId) {
+    return this.contacts
+      .filter(c => c.ownerId === ownerId)
+      .sort((a, b) => a.id - b.id)
+      .map(c => ({ ...c, user: this.users.get(c.contactId) }));
+  }
+
+  async getContact(ownerId, contactId) {
+    return copy(this.findContact(ownerId, contactId));
+  }
+
+  async getContactEntriesAbout(userId) {
+    return this.contacts
+      .filter(c => c.contactId === userId)
+      .sort((a, b) => a.id - b.id)
+      .map(copy);
+  }
+
+  // Stands in for the upsert on the (ownerId, contactId) unique index
+  async saveContact(ownerId, contactId, fields = {}) {
+    const contact = this.findContact(ownerId, contactId);
+    return contact
+      ? this.contacts.update(contact, fields)
+      : this.contacts.insert({ ownerId, contactId, ...fields });
+  }
+
+  async deleteContact(ownerId, contactId) {
+    return this.contacts.delete(c => c.ownerId === ownerId && c.contactId === contactId).length > 0;
+  }
+
+  // Room member methods
+  findMember(roomId, userId) {
+    return this.roomMembers.find(m => m.roomId === roomId && m.userId === userId);
+  }
+
+  async addRoomMember(roomId, userId, role = 'member', addedBy = null) {
+    this.roomMembers.insert({ roomId, userId, role, addedBy });
+  }
+
+  async getRoomMember(roomId, userId) {
+    return copy(this.findMember(roomId, userId));
+  }
+
+  async setRoomMemberRole(roomId, userId, role) {
+    const member = this.findMember(roomId, userId);
+    return member ? this.roomMembers.update(member, { role }) : undefined;
+  }
+
+  // The current owner steps down to admin and the new owner takes over
+  async transferRoomOwnership(roomId, fromUserId, toUserId) {
+    await this.setRoomMemberRole(roomId, fromUserId, 'admin');
+    await this.setRoomMemberRole(roomId, toUserId, 'owner');
+  }
+
+  async banRoomMember(roomId, userId, bannedBy, expiresAt = null) {
+    await this.removeRoomMember(roomId, userId);
+    this.roomBans.delete(b => b.roomId === roomId && b.userId === userId);
+    this.roomBans.insert({ roomId, userId, bannedBy, expiresAt });
+  }
+
+  async unbanRoomMember(roomId, userId) {
+    return this.roomBans.delete(b => b.roomId === roomId && b.userId === userId).length > 0;
+  }
+
+  async isBannedFromRoom(roomId, userId) {
+    return !!this.roomBans.find(b => b.roomId === roomId && b.userId === userId && isActive(b));
+  }
+
+  async muteRoomMember(roomId, userId, mutedBy, expiresAt = null) {
+    this.roomMutes.delete(m => m.roomId === roomId && m.userId === userId);
+    return this.roomMutes.insert({ roomId, userId, mutedBy, expiresAt });
+  }
+
+  async unmuteRoomMember(roomId, userId) {
+    return this.roomMutes.delete(m => m.roomId === roomId && m.userId === userId).length > 0;
+  }
+
+  async getRoomMute(roomId, userId) {
+    return copy(this.roomMutes.find(m => m.roomId === roomId && m.userId === userId && isActive(m)));
+  }
+
+  async getRoomMutes(roomId) {
+    return this.roomMutes
+      .filter(m => m.roomId === roomId && isActive(m))
+      .sort((a, b) => a.id - b.id)
+      .map(mute => {
+        const user = this.users.rows.get(mute.userId);
+        return {
+          userId: user.id,
+          username: user.username,
+          walletAddress: user.walletAddress,
+          mutedAt: mute.createdAt,
+          expiresAt: mute.expiresAt
+        };
+      });
+  }
+
+  async createRoomInvite(invite) {
+    return this.roomInvites.insert(invite);
+  }
+
+  async getRoomInviteByCode(code) {
+    return copy(this.roomInvites.find(i => i.code === code));
+  }
+
+  async getRoomInvites(roomId) {
+    return this.roomInvites
+      .filter(i => i.roomId === roomId && !i.revokedAt)
+      .sort(byNewest)
+      .map(copy);
+  }
+
+  async revokeRoomInvite(roomId, inviteId) {
+    const invite = this.roomInvites.rows.get(inviteId);
+
+    if (!invite || invite.roomId !== roomId) {
+      return false;
+    }
+
+    this.roomInvites.update(invite, { revokedAt: new Date() });
+    return true;
+  }
+
+  // Count a use only while the invite is still valid
+  async redeemRoomInvite(inviteId) {
+    const invite = this.roomInvites.rows.get(inviteId);
+    const now = new Date();
+
+    if (!invite || invite.revokedAt ||
+        (invite.expiresAt && invite.expiresAt <= now) ||
+        (invite.maxUses !== null && invite.uses >= invite.maxUses)) {
+      return undefined;
+    }
+
+    return this.roomInvites.update(invite, { uses: invite.uses + 1 });
+  }
+
+  async getRoomBans(roomId) {
+    return this.roomBans
+      .filter(b => b.roomId === roomId && isActive(b))
+      .map(ban => {
+        const user = this.users.rows.get(ban.userId);
+        return {
+          userId: user.id,
+          username: user.username,
+          walletAddress: user.walletAddress,
+          bannedAt: ban.createdAt,
+          expiresAt: ban.expiresAt
+        };
+      });
+  }
+
+  async removeRoomMember(roomId, userId) {
+    this.roomMembers.delete(m => m.roomId === roomId && m.userId === userId);
+  }
+
+  async getRoomMembers(roomId) {
+    return this.roomMembers
+      .filter(m => m.roomId === roomId)
+      .map(m => ({ ...this.users.rows.get(m.userId), role: m.role }));
+  }
+
+  async isRoomMember(roomId, userId) {
+    return !!this.findMember(roomId, userId);
+  }
+
+  // Receipt methods
+  // Pointers only ever move forward; reading a message also marks it delivered.
+  async updateReceipt(roomId, userId, { deliveredMessageId = null, readMessageId = null }) {
+    const member = this.findMember(roomId, userId);
+
+    if (!member) {
+      return undefined;
+    }
+
+    const delivered = Math.max(deliveredMessageId || 0, readMessageId || 0);
+    const updates = {
+      lastDeliveredMessageId: Math.max(member.lastDeliveredMessageId || 0, delivered)
+    };
+
+    if (readMessageId) {
+      updates.lastReadMessageId = Math.max(member.lastReadMessageId || 0, readMessageId);
+    }
+
+    return this.roomMembers.update(member, updates);
+  }
+
+  async getRoomReceipts(roomId) {
+    return this.roomMembers
+      .filter(m => m.roomId === roomId)
+      .map(m => ({
+        userId: m.userId,
+        lastDeliveredMessageId: m.lastDeliveredMessageId,
+        lastReadMessageId: m.lastReadMessageId,
+        sendReadReceipts: this.users.rows.get(m.userId).sendReadReceipts
+      }));
+  }
+
+  // Message methods
+  async createMessage(insertMessage) {
+    return this.messages.insert(insertMessage);
+  }
+
+  async getMessage(id) {
+    return this.messages.get(id);
+  }
+
+  async getMessagesByIds(ids) {
+    return ids.map(id => this.messages.get(id)).filter(Boolean);
+  }
+
+  async getReplyCounts(messageIds) {
+    const counts = new Map();
+
+    for (const message of this.messages.rows.values()) {
+      if (messageIds.includes(message.parentId)) {
+        counts.set(message.parentId, (counts.get(message.parentId) || 0) + 1);
+      }
+    }
+
+    return [...counts].map(([parentId, count]) => ({ parentId, count }));
+  }
+
+  async updateMessageContent(id, { content, nonce, encryptedKeys }) {
+    const message = this.messages.rows.get(id);
+    return message ? this.messages.update(message, { content, nonce, encryptedKeys, editedAt: new Date() }) : undefined;
+  }
+
+  // Returns the deleted message's { id, roomId, attachmentKeys }, if it existed
+  async deleteMessage(id) {
+    const [deleted] = await this.deleteMessagesByIds([id]);
+    return deleted;
+  }
+
+  async getRoomMessages(roomId, limit = 50) {
+    return this.messages
+      .filter(m => m.roomId === roomId)
+      .sort(byNewest)
+      .slice(0, limit)
+      .reverse()
+      .map(copy);
+  }
+
+  // Page backwards through a room's history (see DatabaseStorage). Dates
+  // here only have milliseconds, so cursors carry them as whole microseconds.
+  async getRoomMessagesPage(roomId, { before = null, limit = 50, parentId = null } = {}) {
+    const beforeAt = before && new Date(`${before.createdAt}Z`);
+    const rows = this.messages
+      .filter(m =>
+        m.roomId === roomId &&
+        (!parentId || m.parentId === parentId) &&
+        (!before || m.createdAt < beforeAt ||
+          (m.createdAt.getTime() === beforeAt.getTime() && m.id < before.id))
+      )
+      .sort(byNewest);
+    const page = rows.slice(0, limit).reverse();
+
+    return {
+      messages: page.map(copy),
+      hasMore: rows.length > limit,
+      cursor: page[0] ? { createdAt: page[0].createdAt.toISOString().replace('Z', '000'), id: page[0].id } : null
+    };
+  }
+
+  // Search plaintext messages in the user's rooms. Every word of the query
+  // has to appear; results with more matching words rank first.
+  async searchMessages(userId, { query, roomId = null, senderId = null, from = null, to = null, limit = 25, startSel, stopSel }) {
+    const terms = searchTerms(query);
+    const now = new Date();
+
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const results = [];
+
+    for (const message of this.messages.rows.values()) {
+      if (message.nonce !== null || !isLive(message, now)) continue;
+      if (roomId && message.roomId !== roomId) continue;
+      if (senderId && message.userId !== senderId) continue;
+      if (from && message.createdAt < from) continue;
+      if (to && message.createdAt > to) continue;
+      if (!this.findMember(message.roomId, userId)) continue;
+
+      const words = searchTerms(message.content);
+      if (!terms.every(term => words.includes(term))) continue;
+
+      results.push({
+        rank: words.filter(word => terms.includes(word)).length,
+        message
+      });
+    }
+
+    return results
+      .sort((a, b) => (b.rank - a.rank) || byNewest(a.message, b.message))
+      .slice(0, limit)
+      .map(({ message }) => ({
+        messageId: message.id,
+        roomId: message.roomId,
+        roomName: this.rooms.rows.get(message.roomId).name,
+        userId: message.userId,
+        username: this.users.rows.get(message.userId).username,
+        createdAt: message.createdAt,
+        snippet: buildSnippet(message.content, terms, startSel, stopSel)
+      }));
+  }
+
+  // Every message with an expiry, for the expiry scheduler to load at startup
+  async getPendingExpiries() {
+    return this.messages
+      .filter(m => m.expiresAt)
+      .map(m => ({ id: m.id, roomId: m.roomId, expiresAt: m.expiresAt }));
+  }
+
+  // Remove messages whose expiresAt has passed
+  async deleteExpiredMessages(now = new Date()) {
+    const expired = this.messages.filter(m => m.expiresAt && m.expiresAt <= now);
+    return await this.deleteMessagesByIds(expired.map(m => m.id));
+  }
+
+  // Remove messages older than their room's retention age
+  async deleteMessagesPastRetention() {
+    const now = Date.now();
+    const expired = this.messages.filter(m => {
+      const retention = this.rooms.rows.get(m.roomId)?.retentionSeconds;
+      return retention && m.createdAt.getTime() < now - retention * 1000;
+    });
+
+    return await this.deleteMessagesByIds(expired.map(m => m.id));
+  }
+
+  // Delete messages together with the rows that reference them
+  async deleteMessagesByIds(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    this.reactions.delete(r => ids.includes(r.messageId));
+    this.messageReads.delete(r => ids.includes(r.messageId));
+    const removedAttachments = this.attachments.delete(a => ids.includes(a.messageId));
+    const deleted = this.messages.delete(m => ids.includes(m.id));
+
+    return deleted.map(m => ({
+      id: m.id,
+      roomId: m.roomId,
+      attachmentKeys: removedAttachments.filter(a => a.messageId === m.id).map(a => a.storageKey)
+    }));
+  }
+
+  // Moderation methods
+  // Each user reports a message once; a repeat resolves to undefined
+  async createMessageReport(report) {
+    if (this.messageReports.find(r => r.messageId === report.messageId && r.reporterId === report.reporterId)) {
+      return undefined;
+    }
+    return this.messageReports.insert(report);
+  }
+
+  async getOpenReports(roomId) {
+    return this.messageReports
+      .filter(r => r.roomId === roomId && r.status === 'open')
+      .sort((a, b) => a.id - b.id)
+      .map(r => ({ ...r, reporter: copy(this.users.rows.get(r.reporterId)), reportedUser: copy(this.users.rows.get(r.reportedUserId)) }));
+  }
+
+  // Close every open report of a message; resolves to the reports closed
+  async resolveMessageReports(messageId, status, resolvedBy) {
+    return this.messageReports
+      .filter(r => r.messageId === messageId && r.status === 'open')
+      .map(r => this.messageReports.update(r, { status, resolvedBy, resolvedAt: new Date() }));
+  }
+
+  async addModerationLogEntry(entry) {
+    return this.moderationLog.insert(entry);
+  }
+
+  // Newest first, paged by id
+  async getModerationLog(roomId, { before = null, limit = 50 } = {}) {
+    return this.moderationLog
+      .filter(e => e.roomId === roomId && (!before || e.id < before))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(e => ({
+        ...e,
+        actor: copy(this.users.rows.get(e.actorId)),
+        target: e.targetUserId ? copy(this.users.rows.get(e.targetUserId)) : null
+      }));
+  }
+
+  // Attachment methods
+  async createAttachment(attachment) {
+    return this.attachments.insert(attachment);
+  }
+
+  async getAttachment(id) {
+    return this.attachments.get(id);
+  }
+
+  async updateAttachment(id, changes) {
+    const attachment = this.attachments.rows.get(id);
+    return attachment ? this.attachments.update(attachment, changes) : undefined;
+  }
+
+  // Record a received chunk only if no other chunk got there first
+  async advanceAttachmentUpload(id, fromBytes, toBytes) {
+    const attachment = this.attachments.rows.get(id);
+
+    if (!attachment || attachment.status !== 'uploading' || attachment.receivedBytes !== fromBytes) {
+      return undefined;
+    }
+
+    return this.attachments.update(attachment, { receivedBytes: toBytes });
+  }
+
+  // Link finished uploads to the message that carries them
+  async attachToMessage(attachmentIds, messageId) {
+    return this.attachments
+      .filter(a => attachmentIds.includes(a.id) && a.messageId === null)
+      .map(a => this.attachments.update(a, { messageId }));
+  }
+
+  async getMessagesAttachments(messageIds) {
+    return this.attachments
+      .filter(a => messageIds.includes(a.messageId))
+      .sort((a, b) => a.id - b.id)
+      .map(copy);
+  }
+
+  // Uploads never attached to a message (abandoned, or the send failed)
+  async deleteStaleAttachments(olderThan) {
+    return this.attachments.delete(a => a.messageId === null && a.createdAt < olderThan);
+  }
+
+  // Start (or return the already running) burn countdown for one recipient
+  async markMessageViewed(messageId, userId, burnSeconds) {
+    const existing = this.messageReads.find(r => r.messageId === messageId && r.userId === userId);
+
+    if (existing) {
+      return copy(existing);
+    }
+
+    return this.messageReads.insert({
+      messageId,
+      userId,
+      expiresAt: new Date(Date.now() + burnSeconds * 1000)
+    });
+  }
+
+  async getMessageReadsForUser(messageIds, userId) {
+    return this.messageReads
+      .filter(r => messageIds.includes(r.messageId) && r.userId === userId)
+      .map(copy);
+  }
+
+  // Remove burn-after-read messages whose countdown has run out for every
+  // current member other than the sender
+  async deleteFullyBurnedMessages() {
+    const now = new Date();
+    const burned = this.messages.filter(message => {
+      if (message.burnSeconds === null) return false;
+
+      const reads = this.messageReads.filter(r => r.messageId === message.id);
+      const recipients = this.roomMembers.filter(m => m.roomId === message.roomId && m.userId !== message.userId);
+
+      return reads.length > 0 && recipients.every(member =>
+        reads.some(r => r.userId === member.userId && r.expiresAt <= now)
+      );
+    });
+
+    return await this.deleteMessagesByIds(burned.map(m => m.id));
+  }
+
+  // Reaction methods
+  async addReaction(messageId, userId, emoji) {
+    const existing = this.reactions.find(r => r.messageId === messageId && r.userId === userId && r.emoji === emoji);
+    return existing ? copy(existing) : this.reactions.insert({ messageId, userId, emoji });
+  }
+
+  async removeReaction(messageId, userId, emoji) {
+    return this.reactions.delete(r => r.messageId === messageId && r.userId === userId && r.emoji === emoji).length > 0;
+  }
+
+  async getMessageReactions(messageId) {
+    return await this.getMessagesReactions([messageId]);
+  }
+
+  async getMessagesReactions(messageIds) {
+    return this.reactions
+      .filter(r => messageIds.includes(r.messageId))
+      .map(r => {
+        const user = this.users.rows.get(r.userId);
+        return { ...r, username: user.username, walletAddress: user.walletAddress };
+      });
+  }
+
+  // User Statistics
+  async getUserMessageCount(userId) {
+    return this.messages.filter(m => m.userId === userId).length;
+  }
+
+  async getUserActivityStats(userId, days = 7) {
+    const activityMap = {};
+    for (let i = 0; i < days; i++) {
+      const date = new Date();
+      date.setDate(date.getDate() - (days - 1 - i));
+      activityMap[date.toISOString().split('T')[0]] = 0;
+    }
+
+    for (const message of this.messages.rows.values()) {
+      const dateStr = message.createdAt.toISOString().split('T')[0];
+      if (message.userId === userId && activityMap.hasOwnProperty(dateStr)) {
+        activityMap[dateStr]++;
+      }
+    }
+
+    return Object.entries(activityMap).map(([date, count]) => ({ date, count }));
+  }
+}
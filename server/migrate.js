@@ -0,0 +1,16 @@
+// `node server/migrate.js before|after` runs one phase of the data
+// migrations (see server/migrations.js) against DATABASE_URL. `npm run
+// db:push` runs both around drizzle-kit push.
+import { connectPostgres } from './db.js';
+import { runMigrations } from './migrations.js';
+
+const phase = process.argv[2];
+
+if (phase !== 'before' && phase !== 'after') {
+  console.error('Usage: node server/migrate.js before|after');
+  process.exit(1);
+}
+
+const db = connectPostgres();
+await runMigrations(db, phase);
+await db.$client.end();
@@ -0,0 +1,97 @@
+import { sql } from 'drizzle-orm';
+import { dataMigrations } from '../shared/schema.js';
+import { normaliseHandles } from './profiles.js';
+
+// Data migrations bring rows written by older versions in line with the
+// current schema. `npm run db:push` runs the 'before' migrations, pushes the
+// schema, then runs the 'after' ones; PGlite does the same on every start.
+// Each migration runs once per database and is recorded in data_migrations.
+// One whose tables don't exist yet (a fresh database) has nothing to fix and
+// is only recorded.
+export const migrations = [
+  {
+    // Handles used to be free text, and the unique index on lower(username)
+    // can't be created while two of them differ only in case, so this runs
+    // ahead of the push
+    name: 'handles',
+    phase: 'before',
+    tables: ['users'],
+    async up(db) {
+      const { rows } = await db.execute(sql`SELECT id, username, wallet_address FROM users ORDER BY id`);
+      const renames = normaliseHandles(rows.map(row => ({
+        id: row.id,
+        username: row.username,
+        walletAddress: row.wallet_address
+      })));
+
+      for (const { id, username } of renames) {
+        await db.execute(sql`UPDATE users SET username = ${username} WHERE id = ${id}`);
+      }
+    }
+  },
+  {
+    // Rooms created before member roles gave every creator 'owner', private
+    // chats included, and groups that existed before that have no owner at
+    // all. Each ownerless group gets its creator, or its longest-standing
+    // member when the creator left, as owner.
+    name: 'group-owners',
+    phase: 'after',
+    tables: ['rooms', 'room_members'],
+    async up(db) {
+      await db.execute(sql`
+        UPDATE room_members SET role = 'member'
+        WHERE role = 'owner'
+          AND room_id IN (SELECT id FROM rooms WHERE NOT is_group OR is_public)
+      `);
+      await db.execute(sql`
+        UPDATE room_members SET role = 'owner'
+        WHERE id IN (
+          SELECT DISTINCT ON (member.room_id) member.id
+          FROM room_members member
+          JOIN rooms room ON room.id = member.room_id
+          WHERE room.is_group AND NOT room.is_public
+            AND NOT EXISTS (
+              SELECT 1 FROM room_members existing
+              WHERE existing.room_id = room.id AND existing.role = 'owner'
+            )
+          ORDER BY member.room_id,
+            member.user_id IS NOT DISTINCT FROM room.created_by DESC,
+            member.joined_at, member.id
+        )
+      `);
+    }
+  }
+];
+
+async function tablesExist(db, tables) {
+  for (const table of tables) {
+    const { rows } = await db.execute(sql`SELECT to_regclass(${table}) AS oid`);
+    if (rows[0].oid === null) return false;
+  }
+  return true;
+}
+
+export async function runMigrations(db, phase) {
+  // Created here as well, since the 'before' migrations run ahead of the push
+  await db.execute(sql`
+    CREATE TABLE IF NOT EXISTS data_migrations (
+      name text PRIMARY KEY,
+      applied_at timestamp DEFAULT now() NOT NULL
+    )
+  `);
+
+  const { rows } = await db.execute(sql`SELECT name FROM data_migrations`);
+  const applied = new Set(rows.map(row => row.name));
+
+  for (const migration of migrations) {
+    if (migration.phase !== phase || applied.has(migration.name)) continue;
+
+    await db.transaction(async (tx) => {
+      if (await tablesExist(tx, migration.tables)) {
+        await migration.up(tx);
+      }
+      await tx.insert(dataMigrations).values({ name: migration.name });
+    });
+    console.log(`Data migration applied: ${migration.name}`);
+  }
+}
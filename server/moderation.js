@@ -0,0 +1,141 @@
+import { parsePolicySeconds, formatDuration } from './policies.js';
+import { serializeProfile } from './profiles.js';
+
+// Public room moderation. Moderators (role 'moderator' in the public room)
+// review reported messages, mute and ban members for a while or for good,
+// and set slow mode and the word/link filter. Wallets listed in
+// PUBLIC_ROOM_MODERATORS are made moderators when they sign in; moderators
+// can appoint more. Every action is written to the moderation log.
+
+export const MODERATION_ACTIONS = [
+  'mute', 'unmute', 'ban', 'unban', 'delete_message', 'dismiss_report',
+  'add_moderator', 'remove_moderator', 'update_settings'
+];
+
+export const MAX_SANCTION_SECONDS = 365 * 86400;
+export const MAX_SLOW_MODE_SECONDS = 3600;
+export const MAX_FILTER_WORDS = 100;
+export const MAX_FILTER_WORD_LENGTH = 50;
+export const MAX_REPORT_REASON_LENGTH = 500;
+
+// Links are anything with a scheme, a www. host or a common top-level domain
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|co|me|gg|xyz|app|dev|info|biz|link|ly|to|ru|cn|tk)\b/i;
+
+export function parseModeratorWallets(value) {
+  return new Set((value || '').split(/[\s,]+/).filter(Boolean));
+}
+
+// When a mute or ban of `seconds` ends; null (0 or no duration) is permanent
+export function sanctionExpiresAt(seconds, now = new Date()) {
+  return seconds ? new Date(now.getTime() + seconds * 1000) : null;
+}
+
+// Time left until `until` in its largest whole unit, rounded up ("3 minutes")
+export function describeRemaining(until, now = Date.now()) {
+  const seconds = Math.max(1, Math.ceil((until - now) / 1000));
+  const [size] = [86400, 3600, 60, 1].filter(size => seconds >= size);
+  return formatDuration(Math.ceil(seconds / size) * size);
+}
+
+export function describeSlowModeChange(actorName, seconds) {
+  return seconds
+    ? `${actorName} turned on slow mode: one message every ${formatDuration(seconds)}`
+    : `${actorName} turned off slow mode`;
+}
+
+// Filter words arrive as a list or as one comma/newline separated string.
+// They are matched case-insensitively, so they are stored lowercased.
+function parseFilterWords(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[,\n]/);
+  const words = [...new Set(list.map(word => String(word).trim().toLowerCase()).filter(Boolean))];
+
+  if (words.length > MAX_FILTER_WORDS || words.some(word => word.length > MAX_FILTER_WORD_LENGTH)) {
+    return undefined;
+  }
+
+  return words.length > 0 ? words : null;
+}
+
+// Validate an update_moderation_settings request. Fields that weren't sent
+// are left alone. Returns { changes } or { problem } for the first invalid field.
+export function parseModerationSettings(data) {
+  const changes = {};
+
+  if (data?.slowModeSeconds !== undefined) {
+    changes.slowModeSeconds = parsePolicySeconds(data.slowModeSeconds, MAX_SLOW_MODE_SECONDS);
+    if (changes.slowModeSeconds === undefined) {
+      return { problem: `Slow mode must be a whole number of seconds up to ${MAX_SLOW_MODE_SECONDS}` };
+    }
+  }
+
+  if (data?.filterWords !== undefined) {
+    changes.filterWords = parseFilterWords(data.filterWords);
+    if (changes.filterWords === undefined) {
+      return { problem: `The filter takes up to ${MAX_FILTER_WORDS} words of at most ${MAX_FILTER_WORD_LENGTH} characters` };
+    }
+  }
+
+  if (data?.filterLinks !== undefined) {
+    changes.filterLinks = !!data.filterLinks;
+  }
+
+  return { changes };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Why the room's filter rejects this message, or null if it passes. Words
+// match whole words only, so "cat" doesn't catch "category".
+export function findFilteredContent(content, room) {
+  if (room.filterLinks && LINK_PATTERN.test(content)) {
+    return 'Links are not allowed in this room';
+  }
+
+  for (const word of room.filterWords || []) {
+    if (new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'iu').test(content)) {
+      return 'Your message contains a word that is not allowed in this room';
+    }
+  }
+
+  return null;
+}
+
+// Open reports (with their reporter and reportedUser) grouped per message,
+// the most reported first and then the oldest
+export function serializeReportQueue(reports) {
+  const byMessage = new Map();
+
+  for (const report of reports) {
+    if (!byMessage.has(report.messageId)) {
+      byMessage.set(report.messageId, {
+        messageId: report.messageId,
+        content: report.content,
+        reportedUser: serializeProfile(report.reportedUser),
+        firstReportedAt: report.createdAt,
+        reports: []
+      });
+    }
+
+    byMessage.get(report.messageId).reports.push({
+      id: report.id,
+      reporter: serializeProfile(report.reporter),
+      reason: report.reason,
+      createdAt: report.createdAt
+    });
+  }
+
+  return [...byMessage.values()].sort((a, b) =>
+    (b.reports.length - a.reports.length) || (a.firstReportedAt - b.firstReportedAt)
+  );
+}
+
+export function serializeLogEntry(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    actor: serializeProfile(entry.actor),
+    target: entry.target ? serializeProfile(entry.target) : null,
+    details: entry.details,
+    createdAt: entry.createdAt
+  };
+}
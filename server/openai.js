@@ -1,14 +1,22 @@
 import OpenAI from "openai";
 
-// OpenAI client configuration for ZKONTROL AI Assistant
-const openai = new OpenAI({
-  baseURL: process.env.OPENAI_BASE_URL || process.env.AI_INTEGRATIONS_OPENAI_BASE_URL || 'https://api.openai.com/v1',
-  apiKey: process.env.OPENAI_API_KEY || process.env.AI_INTEGRATIONS_OPENAI_API_KEY
-});
+// OpenAI client configuration for ZKONTROL AI Assistant. Created on first
+// use so the server also boots without AI credentials (e.g. locally).
+let openai = null;
+
+function getOpenAI() {
+  if (!openai) {
+    openai = new OpenAI({
+      baseURL: process.env.OPENAI_BASE_URL || process.env.AI_INTEGRATIONS_OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY || process.env.AI_INTEGRATIONS_OPENAI_API_KEY
+    });
+  }
+  return openai;
+}
 
 export async function getCryptoAssistantResponse(userMessage) {
   try {
-    const response = await openai.chat.completions.create({
+    const response = await getOpenAI().chat.completions.create({
       model: "gpt-5", // the newest OpenAI model is "gpt-5" which was released August 7, 2025. do not change this unless explicitly requested by the user
       messages: [
         {
@@ -0,0 +1,49 @@
+// Room-wide disappearing-message and retention policies
+
+export const MAX_DISAPPEARING_SECONDS = 7 * 86400;
+export const MAX_RETENTION_SECONDS = 365 * 86400;
+
+// Normalise a policy value from the client: 0/null turn the policy off,
+// anything else must be a whole number of seconds within the limit.
+// Returns undefined for invalid input.
+export function parsePolicySeconds(value, max) {
+  if (value === null || value === undefined || value === 0) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  return Number.isInteger(seconds) && seconds > 0 && seconds <= max ? seconds : undefined;
+}
+
+// Expiry for a new message: the sender may pick a shorter timer than the
+// room's disappearing timer, never a longer one or none at all.
+export function applyDisappearingPolicy(room, requestedExpiresAt, now = new Date()) {
+  const requested = requestedExpiresAt ? new Date(requestedExpiresAt) : null;
+  const valid = requested && !isNaN(requested) ? requested : null;
+
+  if (!room.disappearingSeconds) {
+    return valid;
+  }
+
+  const policyExpiresAt = new Date(now.getTime() + room.disappearingSeconds * 1000);
+  return valid && valid < policyExpiresAt ? valid : policyExpiresAt;
+}
+
+export function formatDuration(seconds) {
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+  const [unit, size] = units.find(([, size]) => seconds % size === 0);
+  const count = seconds / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+export function describePolicyChange(actorName, field, seconds) {
+  if (field === 'disappearingSeconds') {
+    return seconds
+      ? `${actorName} set disappearing messages to ${formatDuration(seconds)}`
+      : `${actorName} turned off disappearing messages`;
+  }
+
+  return seconds
+    ? `${actorName} set message retention to ${formatDuration(seconds)}`
+    : `${actorName} turned off message retention`;
+}
@@ -0,0 +1,26 @@
+// Presence is per user: a user is online while any of their sockets is
+// active, away while all of them are idle, and offline with none.
+
+export function aggregatePresence(socketStatuses) {
+  if (socketStatuses.includes('online')) return 'online';
+  if (socketStatuses.length > 0) return 'away';
+  return 'offline';
+}
+
+// What a viewer may see of a user's presence, given the user's contact entry
+// for that viewer (see server/contacts.js), if any. Blocked viewers see
+// nothing and contacts see everything; others get null in place of the
+// status and/or last-seen the user hides.
+export function presenceFor(user, status, entry) {
+  if (entry?.blocked) {
+    return { userId: user.id, status: null, lastSeenAt: null };
+  }
+
+  const isContact = !!entry?.isContact;
+
+  return {
+    userId: user.id,
+    status: isContact || !user.hideOnlineStatus ? status : null,
+    lastSeenAt: isContact || !user.hideLastSeen ? user.lastSeenAt : null
+  };
+}
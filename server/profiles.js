@@ -0,0 +1,143 @@
+// User profiles: a unique handle (users.username), display name, bio and a
+// small avatar image. Handles keep the case they were typed in but are
+// unique regardless of case, so "Alice" and "alice" can't both exist.
+
+export const HANDLE_PATTERN = /^[A-Za-z][A-Za-z0-9_]{2,19}$/;
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+export const MAX_BIO_LENGTH = 280;
+
+// Avatars are stored inline as data URLs, so they must stay small; the app
+// resizes pictures to 128px before uploading
+export const MAX_AVATAR_BYTES = 48 * 1024;
+
+// The first bytes every accepted image type starts with
+const AVATAR_SIGNATURES = {
+  'image/png': bytes => bytes.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+  'image/jpeg': bytes => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/webp': bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP'
+};
+
+export function getHandleProblem(handle) {
+  if (typeof handle !== 'string' || !HANDLE_PATTERN.test(handle)) {
+    return 'Handles are 3-20 letters, digits or underscores and start with a letter';
+  }
+  return null;
+}
+
+// Split an avatar data URL into its type and bytes, or null if it isn't a
+// PNG, JPEG or WebP image within the size limit
+export function parseAvatar(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:(image\/[a-z]+);base64,([A-Za-z0-9+/]+={0,2})$/);
+
+  if (!match || !AVATAR_SIGNATURES[match[1]]) {
+    return null;
+  }
+
+  const bytes = Buffer.from(match[2], 'base64');
+  return bytes.length <= MAX_AVATAR_BYTES && AVATAR_SIGNATURES[match[1]](bytes)
+    ? { type: match[1], bytes }
+    : null;
+}
+
+// Optional text field: trimmed, empty clears it. Returns undefined if too long.
+export function parseText(value, maxLength) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return null;
+  return text.length <= maxLength ? text : undefined;
+}
+
+// Validate the fields of an update_profile request. Fields that weren't sent
+// are left alone; null or '' clears display name, bio and avatar. Returns
+// { changes } or { problem } for the first invalid field.
+export function parseProfileChanges(data) {
+  const changes = {};
+
+  if (data?.handle !== undefined) {
+    const problem = getHandleProblem(data.handle);
+    if (problem) return { problem };
+    changes.username = data.handle;
+  }
+
+  if (data?.displayName !== undefined) {
+    changes.displayName = parseText(data.displayName, MAX_DISPLAY_NAME_LENGTH);
+    if (changes.displayName === undefined) {
+      return { problem: `Display names are at most ${MAX_DISPLAY_NAME_LENGTH} characters` };
+    }
+  }
+
+  if (data?.bio !== undefined) {
+    changes.bio = parseText(data.bio, MAX_BIO_LENGTH);
+    if (changes.bio === undefined) {
+      return { problem: `Bios are at most ${MAX_BIO_LENGTH} characters` };
+    }
+  }
+
+  if (data?.avatar !== undefined) {
+    if (data.avatar && !parseAvatar(data.avatar)) {
+      return { problem: `Avatars must be PNG, JPEG or WebP images up to ${MAX_AVATAR_BYTES / 1024} KB` };
+    }
+    changes.avatar = data.avatar || null;
+  }
+
+  return { changes };
+}
+
+// Handles to try for a new user who didn't pick one (or picked a taken one):
+// User_ plus a growing prefix of the wallet address (without an EVM 0x)
+export function defaultHandleCandidates(walletAddress) {
+  const prefix = walletAddress.replace(/^0x/, '').replace(/[^A-Za-z0-9]/g, '');
+  return [6, 8, 10, 12, 15].map(length => `User_${prefix.slice(0, length)}`);
+}
+
+// New handles for users saved before handles were checked (see the 'handles'
+// data migration). users are { id, username, walletAddress } in id order.
+// Valid handles are kept, by the earliest user when several differ only in
+// case; everyone else gets their old name made valid, or a default. Returns
+// the users whose handle changes, as { id, username }.
+export function normaliseHandles(users) {
+  const taken = new Set();
+  const keeps = users.map(user => {
+    const keep = !getHandleProblem(user.username) && !taken.has(user.username.toLowerCase());
+    if (keep) taken.add(user.username.toLowerCase());
+    return keep;
+  });
+
+  const renames = [];
+
+  users.forEach((user, i) => {
+    if (keeps[i]) return;
+
+    const cleaned = (user.username || '').replace(/[^A-Za-z0-9_]/g, '_').replace(/^[^A-Za-z]+/, '').slice(0, 20);
+    const suffix = `_${user.id}`;
+    const candidates = [
+      cleaned,
+      `${cleaned.slice(0, 20 - suffix.length)}${suffix}`,
+      ...defaultHandleCandidates(user.walletAddress),
+      `User${suffix}`
+    ];
+    let handle = candidates.find(candidate => !getHandleProblem(candidate) && !taken.has(candidate.toLowerCase()));
+
+    for (let n = 2; !handle; n++) {
+      const fallback = `User${suffix}_${n}`;
+      if (!taken.has(fallback.toLowerCase())) handle = fallback;
+    }
+
+    taken.add(handle.toLowerCase());
+    renames.push({ id: user.id, username: handle });
+  });
+
+  return renames;
+}
+
+// Public profile fields. The avatar is served by GET /api/users/:id/avatar;
+// the version query changes with every profile update so caches refresh.
+export function serializeProfile(user) {
+  return {
+    id: user.id,
+    handle: user.username,
+    displayName: user.displayName,
+    bio: user.bio,
+    avatarUrl: user.avatar ? `/api/users/${user.id}/avatar?v=${new Date(user.profileUpdatedAt).getTime()}` : null,
+    walletAddress: user.walletAddress
+  };
+}
@@ -0,0 +1,275 @@
+// Token bucket rate limiting for REST routes and socket events.
+//
+// A rule gives a bucket per identity it limits: `wallet` (the signed-in
+// user), `ip`, `socket` and `claim` (on /api/auth routes, the wallet being
+// signed in together with the IP asking). A bucket holds `capacity` requests
+// and refills at `perMinute`. REST rules are keyed "METHOD /path"; socket
+// rules by event name, with '*' covering every event that has no rule of its
+// own.
+export const RATE_LIMITS = {
+  'POST /api/auth/nonce': { ip: { capacity: 20, perMinute: 20 }, claim: { capacity: 5, perMinute: 5 } },
+  'POST /api/auth/verify': { ip: { capacity: 20, perMinute: 20 }, claim: { capacity: 5, perMinute: 5 } },
+  'POST /api/keys': { wallet: { capacity: 5, perMinute: 5 } },
+  'POST /api/wallets/nonce': { wallet: { capacity: 5, perMinute: 5 } },
+  'POST /api/wallets': { wallet: { capacity: 5, perMinute: 5 } },
+  'POST /api/wallets/primary': { wallet: { capacity: 5, perMinute: 10 } },
+  'DELETE /api/wallets/:walletAddress': { wallet: { capacity: 5, perMinute: 10 } },
+  'DELETE /api/sessions/:id': { wallet: { capacity: 10, perMinute: 20 } },
+  'POST /api/attachments': { wallet: { capacity: 20, perMinute: 30 } },
+  'PUT /api/attachments/:id/chunks/:index': { wallet: { capacity: 200, perMinute: 1200 } },
+  'POST /api/attachments/:id/complete': { wallet: { capacity: 20, perMinute: 30 } },
+  'GET /api/attachments/:id': { wallet: { capacity: 60, perMinute: 120 } },
+  'GET /api/users/:id/avatar': { ip: { capacity: 120, perMinute: 600 } },
+  'POST /api/ai/chat': { ip: { capacity: 10, perMinute: 20 }, wallet: { capacity: 5, perMinute: 10 } },
+
+  send_message: { socket: { capacity: 10, perMinute: 60 }, wallet: { capacity: 20, perMinute: 120 } },
+  edit_message: { wallet: { capacity: 10, perMinute: 60 } },
+  typing: { socket: { capacity: 10, perMinute: 60 } },
+  stop_typing: { socket: { capacity: 10, perMinute: 60 } },
+  set_activity: { socket: { capacity: 10, perMinute: 30 } },
+  add_reaction: { socket: { capacity: 10, perMinute: 60 }, wallet: { capacity: 20, perMinute: 120 } },
+  remove_reaction: { socket: { capacity: 10, perMinute: 60 }, wallet: { capacity: 20, perMinute: 120 } },
+  search_messages: { wallet: { capacity: 10, perMinute: 30 } },
+  create_private_chat: { wallet: { capacity: 10, perMinute: 10 } },
+  update_profile: { wallet: { capacity: 5, perMinute: 10 } },
+  get_profile: { wallet: { capacity: 30, perMinute: 60 } },
+  save_contact: { wallet: { capacity: 10, perMinute: 30 } },
+  remove_contact: { wallet: { capacity: 10, perMinute: 30 } },
+  block_user: { wallet: { capacity: 10, perMinute: 20 } },
+  unblock_user: { wallet: { capacity: 10, perMinute: 20 } },
+  report_message: { wallet: { capacity: 5, perMinute: 10 } },
+  create_room: { wallet: { capacity: 5, perMinute: 5 } },
+  create_invite: { wallet: { capacity: 10, perMinute: 10 } },
+  accept_invite: { wallet: { capacity: 10, perMinute: 10 } },
+  preview_invite: { wallet: { capacity: 20, perMinute: 20 } },
+  '*': { socket: { capacity: 60, perMinute: 300 } }
+};
+
+// Rejected requests inside the window that earn a temporary block
+export const MAX_OFFENSES = 20;
+export const OFFENSE_WINDOW_MS = 60 * 1000;
+export const BLOCK_MS = 5 * 60 * 1000;
+
+// Per-rule overrides from RATE_LIMITS_JSON, e.g.
+// {"send_message": {"wallet": {"capacity": 40, "perMinute": 240}}}
+export function loadRateLimitRules(json = process.env.RATE_LIMITS_JSON) {
+  if (!json) {
+    return RATE_LIMITS;
+  }
+
+  return { ...RATE_LIMITS, ...JSON.parse(json) };
+}
+
+// Rate limit stores hold bucket, offense and block state. A store implements:
+//   take(key, capacity, refillPerMs, now)  -> { allowed, retryAfterMs }
+//   increment(key, windowMs, now)          -> count within the window
+//   block(key, until)
+//   blockedUntil(key, now)                 -> timestamp, or 0
+// All methods may be async. To share limits between server processes, back
+// these with a store every process can reach.
+
+// State in this process only
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+    this.counters = new Map();
+    this.blocks = new Map();
+  }
+
+  take(key, capacity, refillPerMs, now) {
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+
+    if (tokens < 1) {
+      this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + (capacity - tokens) / refillPerMs });
+      return { allowed: false, retryAfterMs: Math.ceil((1 - tokens) / refillPerMs) };
+    }
+
+    this.buckets.set(key, { tokens: tokens - 1, updatedAt: now, fullAt: now + (capacity - tokens + 1) / refillPerMs });
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  increment(key, windowMs, now) {
+    const counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      this.counters.set(key, { count: 1, resetAt: now + windowMs });
+      return 1;
+    }
+
+    counter.count++;
+    return counter.count;
+  }
+
+  block(key, until) {
+    this.blocks.set(key, until);
+  }
+
+  blockedUntil(key, now) {
+    const until = this.blocks.get(key) || 0;
+    return until > now ? until : 0;
+  }
+
+  // Forget full buckets, finished windows and lifted blocks
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt <= now) this.buckets.delete(key);
+    }
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    }
+    for (const [key, until] of this.blocks) {
+      if (until <= now) this.blocks.delete(key);
+    }
+  }
+}
+
+// State in the cluster's shared state (server/cluster.js), so every server
+// process spends from the same buckets. Entries expire on their own once a
+// bucket is full again, a window ends or a block lifts. Two nodes spending
+// from one bucket at the same instant can both get its last token; offense
+// counts are exact.
+export class SharedStateRateLimitStore {
+  constructor(state) {
+    this.state = state;
+  }
+
+  stateKey(key) {
+    return `ratelimit:${key}`;
+  }
+
+  async take(key, capacity, refillPerMs, now) {
+    const bucket = await this.state.get(this.stateKey(key)) || { tokens: capacity, updatedAt: now };
+    const tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs);
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+
+    await this.state.set(this.stateKey(key), { tokens: left, updatedAt: now }, Math.ceil((capacity - left) / refillPerMs) || 1);
+    return allowed
+      ? { allowed: true, retryAfterMs: 0 }
+      : { allowed: false, retryAfterMs: Math.ceil((1 - tokens) / refillPerMs) };
+  }
+
+  async increment(key, windowMs) {
+    return await this.state.increment(this.stateKey(key), windowMs);
+  }
+
+  async block(key, until) {
+    await this.state.set(this.stateKey(key), until, Math.max(1, until - Date.now()));
+  }
+
+  async blockedUntil(key, now) {
+    const until = await this.state.get(this.stateKey(key)) || 0;
+    return until > now ? until : 0;
+  }
+}
+
+const stores = {
+  cluster: ({ state }) => new SharedStateRateLimitStore(state),
+  memory: () => new MemoryRateLimitStore()
+};
+
+// Pick the store from RATE_LIMIT_STORE: `cluster` (default) shares limits
+// through the cluster state, `memory` keeps them in this process
+export function createRateLimitStore(name = process.env.RATE_LIMIT_STORE || 'cluster', { state } = {}) {
+  const factory = stores[name];
+
+  if (!factory) {
+    throw new Error(`Unknown rate limit store "${name}". Available: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return factory({ state });
+}
+
+export class RateLimiter {
+  constructor({ store = new MemoryRateLimitStore(), rules = loadRateLimitRules() } = {}) {
+    this.store = store;
+    this.rules = rules;
+  }
+
+  // Repeat offenders are blocked by wallet when signed in, otherwise by IP.
+  // Never by a claim: anyone can name someone else's wallet, and blocking it
+  // would lock its owner out.
+  offenderKey(identities) {
+    if (identities.wallet) return `wallet:${identities.wallet}`;
+    if (identities.ip) return `ip:${identities.ip}`;
+    return null;
+  }
+
+  // Seconds until an identity's temporary block lifts, or 0
+  async blockedFor(identities) {
+    const now = Date.now();
+    const offender = this.offenderKey(identities);
+    const until = offender ? await this.store.blockedUntil(`block:${offender}`, now) : 0;
+    return until ? Math.ceil((until - now) / 1000) : 0;
+  }
+
+  // Spend a token from every bucket of the rule. Returns null when allowed,
+  // otherwise { code, retryAfter, blocked } where blocked means the caller
+  // has just been (or already was) blocked temporarily.
+  async consume(name, identities) {
+    const blockedFor = await this.blockedFor(identities);
+
+    if (blockedFor) {
+      return { code: 'rate_limited', retryAfter: blockedFor, blocked: true };
+    }
+
+    const rule = this.rules[name];
+
+    if (!rule) {
+      return null;
+    }
+
+    const now = Date.now();
+    let retryAfterMs = 0;
+
+    for (const [scope, bucket] of Object.entries(rule)) {
+      const id = identities[scope];
+      if (id === undefined || id === null) continue;
+
+      const result = await this.store.take(`${name}|${scope}:${id}`, bucket.capacity, bucket.perMinute / 60000, now);
+      if (!result.allowed) {
+        retryAfterMs = Math.max(retryAfterMs, result.retryAfterMs);
+      }
+    }
+
+    if (!retryAfterMs) {
+      return null;
+    }
+
+    const offender = this.offenderKey(identities);
+    const offenses = offender ? await this.store.increment(`offenses:${offender}`, OFFENSE_WINDOW_MS, now) : 0;
+
+    if (offenses >= MAX_OFFENSES) {
+      await this.store.block(`block:${offender}`, now + BLOCK_MS);
+      return { code: 'rate_limited', retryAfter: Math.ceil(BLOCK_MS / 1000), blocked: true };
+    }
+
+    return { code: 'rate_limited', retryAfter: Math.ceil(retryAfterMs / 1000), blocked: false };
+  }
+}
+
+export function describeRateLimit({ retryAfter, blocked }) {
+  return blocked
+    ? `Too many requests. You are blocked for ${retryAfter}s.`
+    : `Too many requests. Try again in ${retryAfter}s.`;
+}
+
+// Express middleware applying the rule for this route. `identify` picks the
+// identities besides the IP; by default the signed-in user's wallet.
+export function rateLimitRoute(limiter, name, identify = req => ({ wallet: req.session?.userId })) {
+  return async (req, res, next) => {
+    try {
+      const limited = await limiter.consume(name, { ip: req.ip, ...identify(req) });
+
+      if (!limited) {
+        return next();
+      }
+
+      res.setHeader('Retry-After', limited.retryAfter);
+      res.status(429).json({ success: false, error: describeRateLimit(limited), ...limited });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,23 @@
+// Group member roles, highest first. Public rooms have no owner or admins:
+// moderators run them (see server/moderation.js) and are not ranked here.
+export const ROLES = ['owner', 'admin', 'member'];
+
+const ROLE_RANK = { owner: 3, admin: 2, member: 1 };
+
+export function roleRank(role) {
+  return ROLE_RANK[role] || 0;
+}
+
+export function isAdmin(role) {
+  return roleRank(role) >= ROLE_RANK.admin;
+}
+
+export function isModerator(role) {
+  return role === 'moderator';
+}
+
+// Kicking, banning and demoting need a strictly higher role than the target,
+// so admins manage members and only the owner manages admins.
+export function canModerate(actorRole, targetRole) {
+  return isAdmin(actorRole) && roleRank(actorRole) > roleRank(targetRole);
+}
@@ -0,0 +1,124 @@
+import { randomBytes } from 'crypto';
+import session from 'express-session';
+
+// Sessions live in storage (the sessions table), so they survive restarts
+// and every node behind a load balancer sees the same ones. A session is a
+// signed-in device: it records the user agent it signed in from and when it
+// was last active, and the user can revoke it from their devices list.
+
+// Sessions last this long after the last request (the cookie is renewed on
+// every response)
+export const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Activity is written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// SESSION_SECRET signs session cookies. Without one, production refuses to
+// start; development gets a random secret, so sessions end on restart.
+export function getSessionSecret(env = process.env) {
+  if (env.SESSION_SECRET) {
+    return env.SESSION_SECRET;
+  }
+
+  if (env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+
+  console.warn('SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts');
+  return randomBytes(32).toString('hex');
+}
+
+export class StorageSessionStore extends session.Store {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+    this.touchedAt = new Map(); // sid -> when activity was last written
+  }
+
+  expiresAt(sess) {
+    return sess?.cookie?.expires ? new Date(sess.cookie.expires) : new Date(Date.now() + SESSION_MAX_AGE_MS);
+  }
+
+  get(sid, callback) {
+    this.storage.getSession(sid)
+      .then(row => callback(null, row ? row.data : null))
+      .catch(callback);
+  }
+
+  // The session is stored as JSON, as a cookie's Date fields come back from any store
+  set(sid, sess, callback) {
+    this.touchedAt.set(sid, Date.now());
+    this.storage.saveSession(sid, {
+      userId: sess.userId ?? null,
+      userAgent: sess.userAgent ?? null,
+      data: JSON.parse(JSON.stringify(sess)),
+      expiresAt: this.expiresAt(sess)
+    })
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+
+  touch(sid, sess, callback) {
+    this.recordActivity(sid, this.expiresAt(sess))
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+
+  // Also called for socket activity, which doesn't go through express-session
+  async recordActivity(sid, expiresAt = null) {
+    const now = Date.now();
+
+    if (now - (this.touchedAt.get(sid) ?? 0) < TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    this.touchedAt.set(sid, now);
+    await this.storage.touchSession(sid, expiresAt);
+  }
+
+  destroy(sid, callback) {
+    this.touchedAt.delete(sid);
+    this.storage.deleteSession(sid)
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+
+  // Delete expired sessions; returns how many there were
+  async sweep(now = Date.now()) {
+    for (const [sid, touchedAt] of this.touchedAt) {
+      if (now - touchedAt >= TOUCH_INTERVAL_MS) {
+        this.touchedAt.delete(sid);
+      }
+    }
+
+    return await this.storage.deleteExpiredSessions(new Date(now));
+  }
+}
+
+const BROWSERS = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//], ['Chrome', /Chrome\//], ['Safari', /Safari\//]];
+const SYSTEMS = [['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+// "Firefox on Windows" from a User-Agent header, or null if it names neither
+export function describeUserAgent(userAgent) {
+  const text = userAgent || '';
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(text))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(text))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || null;
+}
+
+// A session in the devices list. The sid is the cookie's secret and never
+// leaves the server; sessions are revoked by id.
+export function serializeSession(row, currentSid) {
+  return {
+    id: row.id,
+    device: describeUserAgent(row.userAgent),
+    userAgent: row.userAgent,
+    walletAddress: row.data.walletAddress ?? null,
+    current: row.sid === currentSid,
+    createdAt: row.createdAt,
+    lastActiveAt: row.lastActiveAt,
+    expiresAt: row.expiresAt
+  };
+}
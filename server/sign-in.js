@@ -0,0 +1,99 @@
+import { randomBytes } from 'crypto';
+
+// Sign-in challenges in the Sign-In With Solana (SIWS) / Sign-In With
+// Ethereum (EIP-4361) text format, which both chains share apart from the
+// account name. Wallets can show the user which site is asking and warn when
+// the domain doesn't match the page they are on:
+//
+//   zkontrol.io wants you to sign in with your Solana account:
+//   5vHG2kCFQ...3Ld4p
+//
+//   Sign in to ZKONTROL.
+//
+//   URI: https://zkontrol.io
+//   Version: 1
+//   Chain ID: mainnet
+//   Nonce: 3f1c9a0d52b84e6f9d07a1c4b2e85f36
+//   Issued At: 2026-01-15T10:30:00.000Z
+//   Expiration Time: 2026-01-15T10:35:00.000Z
+
+export const SIGN_IN_STATEMENT = 'Sign in to ZKONTROL.';
+
+// Nodes verifying a challenge another node issued may run a little behind it
+export const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+const MESSAGE_PATTERN = new RegExp([
+  '^(?<domain>[^\\s/]+) wants you to sign in with your (?<accountName>[A-Za-z]+) account:',
+  '(?<address>[0-9A-Za-z]+)',
+  '',
+  '(?<statement>[^\\n]+)',
+  '',
+  'URI: (?<uri>\\S+)',
+  'Version: (?<version>1)',
+  'Chain ID: (?<chainId>\\S+)',
+  'Nonce: (?<nonce>[A-Za-z0-9]{8,})',
+  'Issued At: (?<issuedAt>\\S+)',
+  'Expiration Time: (?<expirationTime>\\S+)$'
+].join('\\n'));
+
+// 128 bits from the OS random source, hex encoded (nonces are alphanumeric)
+export function createNonce() {
+  return randomBytes(16).toString('hex');
+}
+
+// accountName and chainId come from the wallet's chain (see server/wallets.js).
+// The statement says what signing is for; linking a wallet uses its own.
+export function buildSignInMessage({ domain, accountName, address, uri, chainId, nonce, issuedAt, expirationTime, statement = SIGN_IN_STATEMENT }) {
+  return [
+    `${domain} wants you to sign in with your ${accountName} account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expirationTime.toISOString()}`
+  ].join('\n');
+}
+
+// The fields of a sign-in message, or null unless it is exactly in the format
+// buildSignInMessage writes
+export function parseSignInMessage(message) {
+  const match = typeof message === 'string' && message.match(MESSAGE_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const fields = { ...match.groups };
+  fields.issuedAt = new Date(fields.issuedAt);
+  fields.expirationTime = new Date(fields.expirationTime);
+
+  return isNaN(fields.issuedAt) || isNaN(fields.expirationTime) ? null : fields;
+}
+
+// Why a parsed sign-in message must be refused, or null if it was meant for
+// this server (domain and URI), the wallet's chain and network, and this
+// wallet, and is valid right now
+export function getSignInProblem(fields, expected, now = Date.now()) {
+  if (fields.domain !== expected.domain || fields.uri !== expected.uri) {
+    return 'This sign-in request was made for another site';
+  }
+
+  if (fields.accountName !== expected.accountName || fields.chainId !== expected.chainId) {
+    return 'This sign-in request is for another network';
+  }
+
+  if (fields.address !== expected.address) {
+    return 'This sign-in request is for another wallet';
+  }
+
+  if (fields.issuedAt.getTime() > now + MAX_CLOCK_SKEW_MS || fields.expirationTime.getTime() <= now) {
+    return 'This sign-in request has expired. Request a new nonce.';
+  }
+
+  return null;
+}
@@ -0,0 +1,118 @@
+import { PublicKey } from '@solana/web3.js';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
+import nacl from 'tweetnacl';
+
+// Wallet chains users can sign in with. A chain implements:
+//   accountName                 how sign-in messages name it ("... with your
+//                               Solana account")
+//   chainId                     the network sign-in messages are for
+//   normalizeAddress(address)   -> the canonical address, or null if it
+//                               isn't one of this chain's addresses
+//   verifySignature(address, message, signature)
+//                               whether the wallet signed the text message
+// Addresses of different chains never look alike, so the chain of a wallet
+// is read off its address (see parseWalletAddress).
+
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const HEX_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+const utf8 = text => new TextEncoder().encode(text);
+
+// Solana: base58 ed25519 public keys; wallets sign the message bytes and the
+// app sends the signature base64 encoded
+const solana = {
+  accountName: 'Solana',
+  chainId: process.env.SOLANA_CHAIN_ID || 'mainnet',
+
+  normalizeAddress(address) {
+    if (!BASE58_ADDRESS.test(address)) return null;
+    try {
+      return new PublicKey(address).toBase58() === address ? address : null;
+    } catch {
+      return null;
+    }
+  },
+
+  verifySignature(address, message, signature) {
+    const signatureBytes = typeof signature === 'string' ? Buffer.from(signature, 'base64') : null;
+
+    if (signatureBytes?.length !== nacl.sign.signatureLength) {
+      return false;
+    }
+
+    return nacl.sign.detached.verify(utf8(message), signatureBytes, new PublicKey(address).toBytes());
+  }
+};
+
+// EIP-55 mixed-case checksum of a 0x address
+export function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const hash = Buffer.from(keccak_256(hex)).toString('hex');
+  return '0x' + [...hex].map((char, i) => parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char).join('');
+}
+
+// The address whose key made a personal_sign (EIP-191) signature over the
+// message, or null if the signature is malformed
+export function recoverEthereumAddress(message, signature) {
+  if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+    return null;
+  }
+
+  const bytes = utf8(message);
+  const hash = keccak_256(Buffer.concat([utf8(`\x19Ethereum Signed Message:\n${bytes.length}`), bytes]));
+  const signatureBytes = Buffer.from(signature.slice(2), 'hex');
+  // Wallets send v as 27/28; some hardware wallets as 0/1
+  const recovery = signatureBytes[64] >= 27 ? signatureBytes[64] - 27 : signatureBytes[64];
+
+  try {
+    const publicKey = secp256k1.Signature.fromCompact(signatureBytes.subarray(0, 64))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(hash)
+      .toRawBytes(false);
+    return toChecksumAddress('0x' + Buffer.from(keccak_256(publicKey.subarray(1))).subarray(-20).toString('hex'));
+  } catch {
+    return null;
+  }
+}
+
+// Ethereum and EVM chains: 0x hex addresses, stored with their EIP-55
+// checksum; sign-in messages follow EIP-4361 (Sign-In With Ethereum)
+const ethereum = {
+  accountName: 'Ethereum',
+  chainId: process.env.ETHEREUM_CHAIN_ID || '1',
+
+  normalizeAddress(address) {
+    if (!HEX_ADDRESS.test(address)) return null;
+    const checksummed = toChecksumAddress(address);
+    const hex = address.slice(2);
+    // All-lowercase or all-uppercase addresses carry no checksum; mixed case must match it
+    return hex === hex.toLowerCase() || hex === hex.toUpperCase() || address === checksummed ? checksummed : null;
+  },
+
+  verifySignature(address, message, signature) {
+    return recoverEthereumAddress(message, signature) === address;
+  }
+};
+
+export const WALLET_CHAINS = { solana, ethereum };
+
+// { chain, address } with the chain's name and canonical address, or null if
+// no chain recognises it
+export function parseWalletAddress(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+
+  for (const [chain, provider] of Object.entries(WALLET_CHAINS)) {
+    const address = provider.normalizeAddress(text);
+    if (address) return { chain, address };
+  }
+
+  return null;
+}
+
+// Whether the wallet at a canonical address signed the text message
+export function verifyWalletSignature(address, message, signature) {
+  const wallet = parseWalletAddress(address);
+  return !!wallet && wallet.address === address &&
+    WALLET_CHAINS[wallet.chain].verifySignature(address, message, signature);
+}
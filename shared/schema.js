@@ -1,12 +1,81 @@
-import { pgTable, text, serial, integer, timestamp, boolean } from "drizzle-orm/pg-core";
-import { relations } from "drizzle-orm";
+import { pgTable, text, serial, integer, timestamp, boolean, jsonb, index, uniqueIndex } from "drizzle-orm/pg-core";
+import { relations, sql } from "drizzle-orm";
 
 export const users = pgTable("users", {
   id: serial("id").primaryKey(),
+  // The user's handle (see server/profiles.js)
   username: text("username"),
+  displayName: text("display_name"),
+  bio: text("bio"),
+  // data: URL of a small PNG/JPEG/WebP image
+  avatar: text("avatar"),
+  profileUpdatedAt: timestamp("profile_updated_at").defaultNow().notNull(),
+  // The primary wallet, shown on the profile; every wallet the user can sign
+  // in with, this one included, is in userWallets
   walletAddress: text("wallet_address").notNull().unique(),
+  // The wallet's chain: solana | ethereum (see server/wallets.js)
+  chain: text("chain").default("solana").notNull(),
+  encryptionPublicKey: text("encryption_public_key"),
+  encryptionKeySignature: text("encryption_key_signature"),
+  // The wallet that signed the key binding (null: walletAddress)
+  encryptionKeyWallet: text("encryption_key_wallet"),
+  sendReadReceipts: boolean("send_read_receipts").default(true).notNull(),
+  // Presence privacy: hide from everyone who isn't a contact
+  hideOnlineStatus: boolean("hide_online_status").default(false).notNull(),
+  hideLastSeen: boolean("hide_last_seen").default(false).notNull(),
+  lastSeenAt: timestamp("last_seen_at"),
   createdAt: timestamp("created_at").defaultNow().notNull(),
-});
+}, (table) => [
+  // Handles are unique regardless of case
+  uniqueIndex("users_username_lower_idx").on(sql`lower(${table.username})`),
+]);
+
+// Wallets linked to an account. Linking a wallet seals the account's
+// encryption key under a key derived from that wallet's signature
+// (encryptionKeyBackup: { ciphertext, nonce }), so signing in with it
+// restores the same key.
+export const userWallets = pgTable("user_wallets", {
+  id: serial("id").primaryKey(),
+  userId: integer("user_id").references(() => users.id).notNull(),
+  walletAddress: text("wallet_address").notNull().unique(),
+  chain: text("chain").notNull(),
+  encryptionKeyBackup: jsonb("encryption_key_backup"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => [
+  index("user_wallets_user_idx").on(table.userId),
+]);
+
+// Sessions of express-session (see server/sessions.js). sid is the id in
+// the session cookie; data is the session itself. userId and userAgent are
+// copied out of it for the devices list.
+export const sessions = pgTable("sessions", {
+  id: serial("id").primaryKey(),
+  sid: text("sid").notNull().unique(),
+  userId: integer("user_id").references(() => users.id),
+  data: jsonb("data").notNull(),
+  userAgent: text("user_agent"),
+  lastActiveAt: timestamp("last_active_at").defaultNow().notNull(),
+  expiresAt: timestamp("expires_at").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => [
+  index("sessions_user_idx").on(table.userId),
+]);
+
+// Each user's private address book: nicknames and notes only the owner sees.
+// A row with isContact false only records a block of someone who was never
+// added as a contact.
+export const contacts = pgTable("contacts", {
+  id: serial("id").primaryKey(),
+  ownerId: integer("owner_id").references(() => users.id).notNull(),
+  contactId: integer("contact_id").references(() => users.id).notNull(),
+  nickname: text("nickname"),
+  note: text("note"),
+  isContact: boolean("is_contact").default(true).notNull(),
+  blocked: boolean("blocked").default(false).notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => [
+  uniqueIndex("contacts_owner_contact_idx").on(table.ownerId, table.contactId),
+]);
 
 export const rooms = pgTable("rooms", {
   id: serial("id").primaryKey(),
@@ -14,6 +83,18 @@ export const rooms = pgTable("rooms", {
   isGroup: boolean("is_group").default(false).notNull(),
   isPublic: boolean("is_public").default(false).notNull(),
   createdBy: integer("created_by").references(() => users.id),
+  // Room policies (seconds, null = off): every new message expires after
+  // disappearingSeconds, and the sweeper removes messages older than retentionSeconds
+  disappearingSeconds: integer("disappearing_seconds"),
+  retentionSeconds: integer("retention_seconds"),
+  // A private chat opened by someone the recipient never talked to is a
+  // message request: this holds the recipient until they accept it
+  requestRecipientId: integer("request_recipient_id").references(() => users.id),
+  // Public room moderation (see server/moderation.js): the minimum seconds
+  // between two posts of a member, and the filter applied to new messages
+  slowModeSeconds: integer("slow_mode_seconds"),
+  filterWords: jsonb("filter_words"),
+  filterLinks: boolean("filter_links").default(false).notNull(),
   createdAt: timestamp("created_at").defaultNow().notNull(),
 });
 
@@ -21,7 +102,50 @@ export const roomMembers = pgTable("room_members", {
   id: serial("id").primaryKey(),
   roomId: integer("room_id").references(() => rooms.id).notNull(),
   userId: integer("user_id").references(() => users.id).notNull(),
+  // owner | admin | moderator | member (see server/roles.js)
+  role: text("role").default("member").notNull(),
+  // Who added this member to the group; null when they joined it themselves
+  // (created it or used an invite link), and in private chats
+  addedBy: integer("added_by").references(() => users.id),
   joinedAt: timestamp("joined_at").defaultNow().notNull(),
+  // Receipt pointers: the newest message id this member has received / read
+  lastDeliveredMessageId: integer("last_delivered_message_id"),
+  lastReadMessageId: integer("last_read_message_id"),
+});
+
+export const roomBans = pgTable("room_bans", {
+  id: serial("id").primaryKey(),
+  roomId: integer("room_id").references(() => rooms.id).notNull(),
+  userId: integer("user_id").references(() => users.id).notNull(),
+  bannedBy: integer("banned_by").references(() => users.id),
+  // Timed bans lift themselves at expiresAt; null bans until unbanned
+  expiresAt: timestamp("expires_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// Muted members stay in the room but can't post until expiresAt (null: until unmuted)
+export const roomMutes = pgTable("room_mutes", {
+  id: serial("id").primaryKey(),
+  roomId: integer("room_id").references(() => rooms.id).notNull(),
+  userId: integer("user_id").references(() => users.id).notNull(),
+  mutedBy: integer("muted_by").references(() => users.id),
+  expiresAt: timestamp("expires_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => [
+  uniqueIndex("room_mutes_room_user_idx").on(table.roomId, table.userId),
+]);
+
+// Group invite links; the token handed out is the code plus an HMAC signature
+export const roomInvites = pgTable("room_invites", {
+  id: serial("id").primaryKey(),
+  roomId: integer("room_id").references(() => rooms.id).notNull(),
+  code: text("code").notNull().unique(),
+  createdBy: integer("created_by").references(() => users.id),
+  expiresAt: timestamp("expires_at"),
+  maxUses: integer("max_uses"),
+  uses: integer("uses").default(0).notNull(),
+  revokedAt: timestamp("revoked_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
 });
 
 export const messages = pgTable("messages", {
@@ -29,8 +153,85 @@ export const messages = pgTable("messages", {
   roomId: integer("room_id").references(() => rooms.id).notNull(),
   userId: integer("user_id").references(() => users.id).notNull(),
   content: text("content").notNull(),
+  // text | system (server-generated notices such as policy changes, always plaintext)
+  kind: text("kind").default("text").notNull(),
+  nonce: text("nonce"),
+  encryptedKeys: jsonb("encrypted_keys"),
+  // Message this one replies to. Deliberately not a foreign key: replies
+  // outlive their parent when it expires or is unsent.
+  parentId: integer("parent_id"),
   createdAt: timestamp("created_at").defaultNow().notNull(),
+  editedAt: timestamp("edited_at"),
+  // Burn-after-read: each recipient's countdown of this many seconds starts
+  // when they first view the message (see messageReads)
+  burnSeconds: integer("burn_seconds"),
   expiresAt: timestamp("expires_at"),
+}, (table) => [
+  // Full-text search over plaintext (public room) messages
+  index("messages_content_search_idx")
+    .using("gin", sql`to_tsvector('english', ${table.content})`)
+    .where(sql`${table.nonce} IS NULL`),
+]);
+
+// Encrypted file attachments. The bytes live in the attachment store under
+// storageKey; metadata (name, type, file nonce, thumbnail) is encrypted by the
+// client under the message key, so the server only sees size and declared type.
+export const attachments = pgTable("attachments", {
+  id: serial("id").primaryKey(),
+  roomId: integer("room_id").references(() => rooms.id).notNull(),
+  uploaderId: integer("uploader_id").references(() => users.id).notNull(),
+  messageId: integer("message_id").references(() => messages.id),
+  storageKey: text("storage_key").notNull(),
+  mimeType: text("mime_type").notNull(),
+  size: integer("size").notNull(),
+  receivedBytes: integer("received_bytes").default(0).notNull(),
+  // uploading | ready
+  status: text("status").default("uploading").notNull(),
+  metadata: jsonb("metadata").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+// When each recipient first viewed a burn-after-read message and when it burns for them
+export const messageReads = pgTable("message_reads", {
+  id: serial("id").primaryKey(),
+  messageId: integer("message_id").references(() => messages.id).notNull(),
+  userId: integer("user_id").references(() => users.id).notNull(),
+  readAt: timestamp("read_at").defaultNow().notNull(),
+  expiresAt: timestamp("expires_at").notNull(),
+}, (table) => [
+  uniqueIndex("message_reads_message_user_idx").on(table.messageId, table.userId),
+]);
+
+// Messages reported to the moderators of a public room. The content is
+// copied so the report survives the message being deleted or expiring;
+// messageId is deliberately not a foreign key for the same reason.
+export const messageReports = pgTable("message_reports", {
+  id: serial("id").primaryKey(),
+  roomId: integer("room_id").references(() => rooms.id).notNull(),
+  messageId: integer("message_id").notNull(),
+  reportedUserId: integer("reported_user_id").references(() => users.id).notNull(),
+  reporterId: integer("reporter_id").references(() => users.id).notNull(),
+  content: text("content").notNull(),
+  reason: text("reason"),
+  // open | removed (the message was deleted) | dismissed
+  status: text("status").default("open").notNull(),
+  resolvedBy: integer("resolved_by").references(() => users.id),
+  resolvedAt: timestamp("resolved_at"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => [
+  uniqueIndex("message_reports_message_reporter_idx").on(table.messageId, table.reporterId),
+]);
+
+// Audit log of every moderation action in a room
+export const moderationLog = pgTable("moderation_log", {
+  id: serial("id").primaryKey(),
+  roomId: integer("room_id").references(() => rooms.id).notNull(),
+  actorId: integer("actor_id").references(() => users.id).notNull(),
+  // see MODERATION_ACTIONS in server/moderation.js
+  action: text("action").notNull(),
+  targetUserId: integer("target_user_id").references(() => users.id),
+  details: jsonb("details"),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
 });
 
 export const reactions = pgTable("reactions", {
@@ -41,13 +242,34 @@ export const reactions = pgTable("reactions", {
   createdAt: timestamp("created_at").defaultNow().notNull(),
 });
 
+// Data migrations already applied to this database (see server/migrations.js)
+export const dataMigrations = pgTable("data_migrations", {
+  name: text("name").primaryKey(),
+  appliedAt: timestamp("applied_at").defaultNow().notNull(),
+});
+
 // Relations
 export const usersRelations = relations(users, ({ many }) => ({
+  wallets: many(userWallets),
   roomMemberships: many(roomMembers),
   messages: many(messages),
   createdRooms: many(rooms),
 }));
 
+export const userWalletsRelations = relations(userWallets, ({ one }) => ({
+  user: one(users, {
+    fields: [userWallets.userId],
+    references: [users.id],
+  }),
+}));
+
+export const contactsRelations = relations(contacts, ({ one }) => ({
+  user: one(users, {
+    fields: [contacts.contactId],
+    references: [users.id],
+  }),
+}));
+
 export const roomsRelations = relations(rooms, ({ one, many }) => ({
   creator: one(users, {
     fields: [rooms.createdBy],
@@ -68,6 +290,17 @@ export const roomMembersRelations = relations(roomMembers, ({ one }) => ({
   }),
 }));
 
+export const roomBansRelations = relations(roomBans, ({ one }) => ({
+  room: one(rooms, {
+    fields: [roomBans.roomId],
+    references: [rooms.id],
+  }),
+  user: one(users, {
+    fields: [roomBans.userId],
+    references: [users.id],
+  }),
+}));
+
 export const messagesRelations = relations(messages, ({ one, many }) => ({
   room: one(rooms, {
     fields: [messages.roomId],
@@ -0,0 +1,175 @@
+// Two socket.io nodes in one process, joined by the in-process stand-ins for
+// Redis (see server/cluster.js).
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { once } from 'events';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import {
+  MemorySharedState,
+  LocalPubSub,
+  RedisPubSub,
+  createPubSubAdapter
+} from '../server/cluster.js';
+
+async function startNode(pubsub) {
+  const server = createServer();
+  const io = new Server(server, { adapter: createPubSubAdapter(pubsub) });
+  server.listen(0);
+  await once(server, 'listening');
+  return { io, url: `http://localhost:${server.address().port}` };
+}
+
+async function connectClient(node) {
+  const client = connect(node.url, { transports: ['websocket'], forceNew: true });
+  await once(client, 'connect');
+  return client;
+}
+
+const nextEvent = (client, event) => once(client, event).then(([data]) => data);
+
+describe('socket.io across nodes', () => {
+  let nodes;
+  let clients;
+
+  before(async () => {
+    const pubsub = new LocalPubSub();
+    nodes = [await startNode(pubsub), await startNode(pubsub)];
+    clients = [await connectClient(nodes[0]), await connectClient(nodes[1])];
+
+    // Each client's server-side socket joins its user's room
+    for (const [i, node] of nodes.entries()) {
+      const [socket] = await node.io.local.fetchSockets();
+      socket.join(`user:${i + 1}`);
+    }
+  });
+
+  after(() => {
+    clients.forEach(client => client.disconnect());
+    nodes.forEach(node => node.io.close());
+  });
+
+  it('delivers room broadcasts to sockets on the other node', async () => {
+    nodes[1].io.in('user:2').socketsJoin('42');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const received = nextEvent(clients[1], 'new_message');
+    nodes[0].io.to('42').emit('new_message', { roomId: 42, content: 'hello' });
+
+    assert.deepEqual(await received, { roomId: 42, content: 'hello' });
+  });
+
+  it('joins and leaves rooms for sockets on another node', async () => {
+    nodes[0].io.in('user:2').socketsJoin('7');
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const [socket] = await nodes[1].io.local.fetchSockets();
+    assert.ok(socket.rooms.has('7'));
+
+    nodes[0].io.in('user:2').socketsLeave('7');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(!socket.rooms.has('7'));
+  });
+
+  it('fetches sockets from every node', async () => {
+    const sockets = await nodes[0].io.fetchSockets();
+    assert.equal(sockets.length, 2);
+    assert.deepEqual(sockets.map(socket => [...socket.rooms].find(room => room.startsWith('user:'))).sort(), ['user:1', 'user:2']);
+  });
+
+  it('keeps binary payloads intact', async () => {
+    const received = nextEvent(clients[1], 'chunk');
+    nodes[0].io.to('user:2').emit('chunk', Buffer.from([1, 2, 3]));
+
+    assert.deepEqual([...new Uint8Array(await received)], [1, 2, 3]);
+  });
+});
+
+describe('MemorySharedState', () => {
+  it('forgets values after their ttl', async () => {
+    const state = new MemorySharedState();
+    await state.set('nonce:wallet', { nonce: 'abc' }, 20);
+
+    assert.deepEqual(await state.get('nonce:wallet'), { nonce: 'abc' });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(await state.get('nonce:wallet'), undefined);
+  });
+
+  it('hands a taken value to one caller only', async () => {
+    const state = new MemorySharedState();
+    await state.set('nonce:abc', { walletAddress: 'wallet' }, 60000);
+
+    const taken = await Promise.all([state.take('nonce:abc'), state.take('nonce:abc')]);
+    assert.deepEqual(taken, [{ walletAddress: 'wallet' }, undefined]);
+    assert.equal(await state.get('nonce:abc'), undefined);
+  });
+
+  it('counts within a window that starts at the first increment', async () => {
+    const state = new MemorySharedState();
+
+    assert.deepEqual([await state.increment('offenses', 20), await state.increment('offenses', 20)], [1, 2]);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(await state.increment('offenses', 20), 1);
+  });
+
+  it('sweeps expired values nobody reads', async () => {
+    const state = new MemorySharedState();
+    await state.set('nonce:old', 1, 20);
+    await state.set('nonce:new', 2, 60000);
+
+    state.sweep(Date.now() + 30);
+    assert.deepEqual([...state.values.keys()], ['nonce:new']);
+  });
+
+  it('collects every socket of a user across nodes', async () => {
+    const state = new MemorySharedState();
+    await state.setSocket('node-a', 's1', 1, 'online');
+    await state.setSocket('node-a', 's2', 1, 'away');
+    await state.setSocket('node-b', 's3', 1, 'online');
+    await state.setSocket('node-b', 's4', 2, 'online');
+    await state.setSocket('node-b', 's5', 3, 'online');
+
+    const statuses = await state.getSocketStatuses([1, 2]);
+    assert.deepEqual(statuses.get(1).sort(), ['away', 'online', 'online']);
+    assert.deepEqual(statuses.get(2), ['online']);
+    assert.ok(!statuses.has(3));
+
+    await state.setSocket('node-a', 's1', 1, 'away');
+    await state.removeSocket('node-b', 's3');
+    await state.removeSocket('node-b', 's4');
+    assert.deepEqual([...await state.getSocketStatuses([1, 2])], [[1, ['away', 'away']]]);
+  });
+
+  it('stops counting nodes that miss their heartbeat', async () => {
+    const state = new MemorySharedState();
+    await state.heartbeat('node-a', 20);
+    await state.heartbeat('node-b', 60000);
+    await state.setSocket('node-a', 's1', 1, 'online');
+    await state.setSocket('node-b', 's2', 2, 'online');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.deepEqual([...(await state.getSocketStatuses([1, 2])).keys()], [2]);
+  });
+});
+
+describe('RedisPubSub', () => {
+  it('round-trips Buffers through the JSON encoding', async () => {
+    // Stand-in client: Redis would hand the published string to subscribers
+    const listeners = new Map();
+    const client = {
+      publish: async (channel, text) => listeners.get(channel)?.(text),
+      subscribe: async (channel, listener) => listeners.set(channel, listener),
+      unsubscribe: async channel => listeners.delete(channel)
+    };
+    const pubsub = new RedisPubSub(client, client);
+    const received = [];
+
+    await pubsub.subscribe('channel', message => received.push(message));
+    await pubsub.publish('channel', { type: 2, data: ['chunk', Buffer.from('hi')] });
+
+    assert.equal(received.length, 1);
+    assert.ok(Buffer.isBuffer(received[0].data[1]));
+    assert.equal(received[0].data[1].toString(), 'hi');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseContactFields, changesOnRemove, changesOnUnblock, hasTalkedTo, MAX_NOTE_LENGTH } from '../server/contacts.js';
+import { presenceFor } from '../server/presence.js';
+import { MemoryStorage } from '../server/memory-storage.js';
+
+describe('parseContactFields', () => {
+  it('keeps only the fields that were sent, trimmed', () => {
+    assert.deepEqual(parseContactFields({ nickname: '  Mom ' }), { changes: { nickname: 'Mom' } });
+    assert.deepEqual(parseContactFields({ nickname: '', note: null }), { changes: { nickname: null, note: null } });
+    assert.deepEqual(parseContactFields({ userId: 4 }), { changes: {} });
+  });
+
+  it('rejects long nicknames and notes', () => {
+    assert.match(parseContactFields({ nickname: 'x'.repeat(51) }).problem, /Nicknames/);
+    assert.match(parseContactFields({ note: 'x'.repeat(MAX_NOTE_LENGTH + 1) }).problem, /Notes/);
+  });
+});
+
+describe('removing and unblocking', () => {
+  it('keeps a block when the contact is removed', () => {
+    assert.equal(changesOnRemove({ isContact: true, blocked: false }), null);
+    assert.deepEqual(changesOnRemove({ isContact: true, blocked: true }), { isContact: false, nickname: null, note: null });
+  });
+
+  it('keeps a contact when the block is lifted', () => {
+    assert.deepEqual(changesOnUnblock({ isContact: true, blocked: true }), { blocked: false });
+    assert.equal(changesOnUnblock({ isContact: false, blocked: true }), null);
+  });
+});
+
+describe('presenceFor', () => {
+  const lastSeenAt = new Date('2026-01-01T00:00:00Z');
+  const user = { id: 1, hideOnlineStatus: true, hideLastSeen: false, lastSeenAt };
+
+  it('shows contacts everything and others what the user allows', () => {
+    assert.deepEqual(presenceFor(user, 'online', { isContact: true, blocked: false }), { userId: 1, status: 'online', lastSeenAt });
+    assert.deepEqual(presenceFor(user, 'online', undefined), { userId: 1, status: null, lastSeenAt });
+  });
+
+  it('shows blocked users nothing', () => {
+    const open = { ...user, hideOnlineStatus: false };
+    assert.deepEqual(presenceFor(open, 'online', { isContact: true, blocked: true }), { userId: 1, status: null, lastSeenAt: null });
+    assert.deepEqual(presenceFor(open, 'online', { isContact: false, blocked: true }), { userId: 1, status: null, lastSeenAt: null });
+  });
+});
+
+describe('hasTalkedTo', () => {
+  async function setup() {
+    const storage = new MemoryStorage();
+    const alice = await storage.createUser({ walletAddress: 'wallet-alice', username: 'alice' });
+    const stranger = await storage.createUser({ walletAddress: 'wallet-stranger', username: 'stranger' });
+    return { storage, alice, stranger };
+  }
+
+  it('counts contacts, accepted private chats and groups the user joined', async () => {
+    const { storage, alice, stranger } = await setup();
+    assert.equal(await hasTalkedTo(storage, alice.id, stranger.id), false);
+
+    const group = await storage.createRoom({ name: 'Group', isGroup: true, createdBy: stranger.id });
+    await storage.addRoomMember(group.id, stranger.id, 'owner');
+    await storage.addRoomMember(group.id, alice.id);
+    assert.equal(await hasTalkedTo(storage, alice.id, stranger.id), true);
+
+    await storage.removeRoomMember(group.id, alice.id);
+    await storage.saveContact(alice.id, stranger.id, {});
+    assert.equal(await hasTalkedTo(storage, alice.id, stranger.id), true);
+  });
+
+  it('keeps a first private chat from someone who added the user to a group a request', async () => {
+    const { storage, alice, stranger } = await setup();
+    const group = await storage.createRoom({ name: 'Trap', isGroup: true, createdBy: stranger.id });
+    await storage.addRoomMember(group.id, stranger.id, 'owner');
+    await storage.addRoomMember(group.id, alice.id, 'member', stranger.id);
+
+    assert.equal(await hasTalkedTo(storage, alice.id, stranger.id), false);
+    assert.equal(await hasTalkedTo(storage, stranger.id, alice.id), true);
+  });
+});
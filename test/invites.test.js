@@ -0,0 +1,23 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getInviteSecret, createInviteCode, buildInviteToken, verifyInviteToken } from '../server/invites.js';
+
+describe('invite tokens', () => {
+  it('verify only with their own signature', () => {
+    const code = createInviteCode();
+    const token = buildInviteToken(code);
+
+    assert.equal(verifyInviteToken(token), code);
+    assert.equal(verifyInviteToken(`${createInviteCode()}.${token.split('.')[1]}`), null);
+    assert.equal(verifyInviteToken(`${token}.extra`), null);
+    assert.equal(verifyInviteToken(null), null);
+  });
+});
+
+describe('getInviteSecret', () => {
+  it('uses INVITE_SECRET, then SESSION_SECRET, and requires one in production', () => {
+    assert.equal(getInviteSecret({ INVITE_SECRET: 'invite', SESSION_SECRET: 'session' }), 'invite');
+    assert.equal(getInviteSecret({ SESSION_SECRET: 'session', NODE_ENV: 'production' }), 'session');
+    assert.throws(() => getInviteSecret({ NODE_ENV: 'production' }), /INVITE_SECRET/);
+  });
+});
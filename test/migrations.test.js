@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { sql } from 'drizzle-orm';
+import { connectPglite } from '../server/db.js';
+import { runMigrations } from '../server/migrations.js';
+import { DatabaseStorage } from '../server/database-storage.js';
+
+describe('data migrations', () => {
+  let db;
+  let storage;
+
+  before(async () => {
+    db = await connectPglite();
+    storage = new DatabaseStorage(db);
+  });
+
+  after(async () => {
+    await db.$client.close();
+  });
+
+  // Forgets a migration so the next run applies it again, to old rows
+  const rerun = async (name, phase) => {
+    await db.execute(sql`DELETE FROM data_migrations WHERE name = ${name}`);
+    await runMigrations(db, phase);
+  };
+
+  it('records every migration of a fresh database once', async () => {
+    const { rows } = await db.execute(sql`SELECT name FROM data_migrations`);
+    assert.deepEqual(rows.map(row => row.name).sort(), ['group-owners', 'handles']);
+
+    await runMigrations(db, 'after');
+    const { rows: again } = await db.execute(sql`SELECT name FROM data_migrations`);
+    assert.equal(again.length, rows.length);
+  });
+
+  it('gives every group an owner and private chats none', async () => {
+    const alice = await storage.createUser({ walletAddress: 'wallet-alice', username: 'alice' });
+    const bob = await storage.createUser({ walletAddress: 'wallet-bob', username: 'bob' });
+    const carol = await storage.createUser({ walletAddress: 'wallet-carol', username: 'carol' });
+
+    const group = await storage.createRoom({ name: 'Group', isGroup: true, createdBy: alice.id });
+    await storage.addRoomMember(group.id, bob.id);
+    await storage.addRoomMember(group.id, alice.id);
+
+    // Its creator left: the longest-standing member takes over
+    const abandoned = await storage.createRoom({ name: 'Abandoned', isGroup: true, createdBy: alice.id });
+    await storage.addRoomMember(abandoned.id, carol.id);
+    await storage.addRoomMember(abandoned.id, bob.id);
+
+    const owned = await storage.createRoom({ name: 'Owned', isGroup: true, createdBy: alice.id });
+    await storage.addRoomMember(owned.id, alice.id);
+    await storage.addRoomMember(owned.id, bob.id, 'owner');
+
+    const chat = await storage.createRoom({ name: 'Chat', createdBy: alice.id });
+    await storage.addRoomMember(chat.id, alice.id, 'owner');
+    await storage.addRoomMember(chat.id, bob.id);
+
+    const publicRoom = await storage.ensurePublicRoom();
+    await storage.addRoomMember(publicRoom.id, alice.id);
+
+    await rerun('group-owners', 'after');
+
+    const role = async (room, user) => (await storage.getRoomMember(room.id, user.id)).role;
+    assert.equal(await role(group, alice), 'owner');
+    assert.equal(await role(group, bob), 'member');
+    assert.equal(await role(abandoned, carol), 'owner');
+    assert.equal(await role(abandoned, bob), 'member');
+    assert.equal(await role(owned, alice), 'member');
+    assert.equal(await role(owned, bob), 'owner');
+    assert.equal(await role(chat, alice), 'member');
+    assert.equal(await role(publicRoom, alice), 'member');
+  });
+
+  it('renames handles that are invalid or differ only in case', async () => {
+    // As before the unique index on lower(username) existed
+    await db.execute(sql`DROP INDEX users_username_lower_idx`);
+    const dave = await storage.createUser({ walletAddress: 'wallet-dave', username: 'dave' });
+    const daveAgain = await storage.createUser({ walletAddress: 'wallet-dave2', username: 'DAVE' });
+    const legacy = await storage.createUser({ walletAddress: 'wallet-erin', username: 'Erin W.' });
+
+    await rerun('handles', 'before');
+
+    assert.equal((await storage.getUser(dave.id)).username, 'dave');
+    assert.equal((await storage.getUser(daveAgain.id)).username, `DAVE_${daveAgain.id}`);
+    assert.equal((await storage.getUser(legacy.id)).username, 'Erin_W_');
+    await db.execute(sql`CREATE UNIQUE INDEX users_username_lower_idx ON users (lower(username))`);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseModerationSettings,
+  findFilteredContent,
+  describeRemaining,
+  sanctionExpiresAt,
+  serializeReportQueue,
+  parseModeratorWallets,
+  MAX_FILTER_WORDS
+} from '../server/moderation.js';
+
+describe('parseModerationSettings', () => {
+  it('keeps only the fields that were sent', () => {
+    assert.deepEqual(parseModerationSettings({ slowModeSeconds: 30 }), { changes: { slowModeSeconds: 30 } });
+    assert.deepEqual(parseModerationSettings({ slowModeSeconds: 0, filterLinks: 1 }), { changes: { slowModeSeconds: null, filterLinks: true } });
+  });
+
+  it('normalises filter words from a list or a comma separated string', () => {
+    assert.deepEqual(parseModerationSettings({ filterWords: ' Spam, scam\nSPAM,, ' }).changes, { filterWords: ['spam', 'scam'] });
+    assert.deepEqual(parseModerationSettings({ filterWords: ['Rug Pull'] }).changes, { filterWords: ['rug pull'] });
+    assert.deepEqual(parseModerationSettings({ filterWords: '' }).changes, { filterWords: null });
+  });
+
+  it('reports the first invalid field', () => {
+    assert.match(parseModerationSettings({ slowModeSeconds: 3601 }).problem, /Slow mode/);
+    assert.match(parseModerationSettings({ slowModeSeconds: 1.5 }).problem, /Slow mode/);
+    assert.match(parseModerationSettings({ filterWords: Array.from({ length: MAX_FILTER_WORDS + 1 }, (_, i) => `w${i}`) }).problem, /filter/);
+  });
+});
+
+describe('findFilteredContent', () => {
+  const room = { filterWords: ['scam', 'rug pull'], filterLinks: true };
+
+  it('matches filter words as whole words, ignoring case', () => {
+    assert.ok(findFilteredContent('This is a SCAM!', room));
+    assert.ok(findFilteredContent('another rug pull', room));
+    assert.equal(findFilteredContent('scamper away', room), null);
+  });
+
+  it('blocks links only when the room does', () => {
+    for (const text of ['see https://example.org', 'www.example.org', 'visit free-tokens.xyz now']) {
+      assert.match(findFilteredContent(text, room), /Links/, text);
+      assert.equal(findFilteredContent(text, { filterLinks: false }), null, text);
+    }
+    assert.equal(findFilteredContent('e.g. this, and 3.14', room), null);
+  });
+});
+
+describe('durations', () => {
+  it('describes the time left in its largest unit, rounded up', () => {
+    const now = Date.now();
+    assert.equal(describeRemaining(now + 1500, now), '2 seconds');
+    assert.equal(describeRemaining(now + 61000, now), '2 minutes');
+    assert.equal(describeRemaining(now + 3600000, now), '1 hour');
+    assert.equal(describeRemaining(now - 5000, now), '1 second');
+  });
+
+  it('makes sanctions without a duration permanent', () => {
+    const now = new Date('2024-01-01T00:00:00Z');
+    assert.equal(sanctionExpiresAt(null, now), null);
+    assert.equal(sanctionExpiresAt(60, now).toISOString(), '2024-01-01T00:01:00.000Z');
+  });
+
+  it('reads moderator wallets separated by commas or spaces', () => {
+    assert.deepEqual([...parseModeratorWallets(' a, b c,,')], ['a', 'b', 'c']);
+    assert.equal(parseModeratorWallets(undefined).size, 0);
+  });
+});
+
+describe('serializeReportQueue', () => {
+  const user = (id, username) => ({ id, username, walletAddress: `wallet-${username}`, profileUpdatedAt: new Date() });
+  const report = (id, messageId, reporter, createdAt) => ({
+    id, messageId, content: `message ${messageId}`, reason: null, createdAt: new Date(createdAt),
+    reporter, reportedUser: user(9, 'mallory')
+  });
+
+  it('groups reports per message, most reported first', () => {
+    const [alice, bob] = [user(1, 'alice'), user(2, 'bob')];
+    const queue = serializeReportQueue([
+      report(1, 10, alice, '2024-01-01'),
+      report(2, 11, alice, '2024-01-02'),
+      report(3, 11, bob, '2024-01-03')
+    ]);
+
+    assert.deepEqual(queue.map(entry => entry.messageId), [11, 10]);
+    assert.deepEqual(queue[0].reports.map(r => r.reporter.handle), ['alice', 'bob']);
+    assert.equal(queue[0].reportedUser.handle, 'mallory');
+    assert.equal(queue[0].content, 'message 11');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getHandleProblem,
+  parseAvatar,
+  parseProfileChanges,
+  defaultHandleCandidates,
+  normaliseHandles,
+  MAX_AVATAR_BYTES
+} from '../server/profiles.js';
+
+const png = bytes => `data:image/png;base64,${Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47]), Buffer.alloc(bytes)]).toString('base64')}`;
+
+describe('handles', () => {
+  it('accepts 3-20 letters, digits and underscores starting with a letter', () => {
+    for (const handle of ['abc', 'Alice_99', 'a'.repeat(20)]) {
+      assert.equal(getHandleProblem(handle), null, handle);
+    }
+    for (const handle of ['ab', '1abc', '_abc', 'a'.repeat(21), 'al ice', 'alice!', 'ålice', null]) {
+      assert.ok(getHandleProblem(handle), String(handle));
+    }
+  });
+
+  it('offers valid defaults from the wallet address', () => {
+    const candidates = defaultHandleCandidates('9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin');
+    assert.equal(candidates[0], 'User_9xQeWv');
+    assert.equal(new Set(candidates).size, candidates.length);
+    candidates.forEach(handle => assert.equal(getHandleProblem(handle), null));
+    assert.equal(defaultHandleCandidates('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')[0], 'User_5aAeb6');
+  });
+
+  it('makes old handles valid and unique regardless of case', () => {
+    const users = [
+      { id: 1, username: 'alice', walletAddress: 'wallet1' },
+      { id: 2, username: 'Alice', walletAddress: 'wallet2' },
+      { id: 3, username: 'Bob Smith!', walletAddress: 'wallet3' },
+      { id: 4, username: '42', walletAddress: 'wallet4' },
+      { id: 5, username: null, walletAddress: 'wallet5' },
+      { id: 6, username: 'carol', walletAddress: 'wallet6' }
+    ];
+
+    assert.deepEqual(normaliseHandles(users), [
+      { id: 2, username: 'Alice_2' },
+      { id: 3, username: 'Bob_Smith_' },
+      { id: 4, username: 'User_wallet' },
+      { id: 5, username: 'User_wallet5' }
+    ]);
+  });
+});
+
+describe('avatars', () => {
+  it('accepts small images whose bytes match their type', () => {
+    assert.equal(parseAvatar(png(10)).type, 'image/png');
+    assert.ok(parseAvatar(png(MAX_AVATAR_BYTES - 4)));
+  });
+
+  it('rejects oversized, mislabelled and non-image data', () => {
+    assert.equal(parseAvatar(png(MAX_AVATAR_BYTES)), null);
+    assert.equal(parseAvatar(png(10).replace('image/png', 'image/jpeg')), null);
+    assert.equal(parseAvatar(png(10).replace('image/png', 'image/svg+xml')), null);
+    assert.equal(parseAvatar('data:text/html;base64,PGI+aGk8L2I+'), null);
+    assert.equal(parseAvatar('https://example.com/me.png'), null);
+  });
+});
+
+describe('parseProfileChanges', () => {
+  it('keeps only the fields that were sent, trimmed', () => {
+    assert.deepEqual(parseProfileChanges({ displayName: '  Alice  ' }), { changes: { displayName: 'Alice' } });
+    assert.deepEqual(parseProfileChanges({ handle: 'alice', bio: '' }), { changes: { username: 'alice', bio: null } });
+    assert.deepEqual(parseProfileChanges({ avatar: null }), { changes: { avatar: null } });
+  });
+
+  it('reports the first invalid field', () => {
+    assert.match(parseProfileChanges({ handle: 'no' }).problem, /Handles/);
+    assert.match(parseProfileChanges({ bio: 'x'.repeat(281) }).problem, /Bios/);
+    assert.match(parseProfileChanges({ displayName: 'x'.repeat(51) }).problem, /Display names/);
+    assert.match(parseProfileChanges({ avatar: 'data:image/gif;base64,R0lGOD' }).problem, /Avatars/);
+  });
+});
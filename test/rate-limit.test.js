@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemorySharedState } from '../server/cluster.js';
+import {
+  RateLimiter,
+  MemoryRateLimitStore,
+  SharedStateRateLimitStore,
+  createRateLimitStore,
+  MAX_OFFENSES,
+  BLOCK_MS
+} from '../server/rate-limit.js';
+
+const rules = {
+  'POST /api/auth/nonce': { ip: { capacity: 1000, perMinute: 1000 }, claim: { capacity: 1, perMinute: 1 } },
+  send_message: { wallet: { capacity: 2, perMinute: 60 } }
+};
+
+// Exhaust a rule until the limiter blocks, returning the last result
+async function flood(limiter, name, identities) {
+  let limited;
+  for (let i = 0; i <= MAX_OFFENSES + 1 && !limited?.blocked; i++) {
+    limited = await limiter.consume(name, identities);
+  }
+  return limited;
+}
+
+for (const [name, createStore] of [
+  ['MemoryRateLimitStore', () => new MemoryRateLimitStore()],
+  ['SharedStateRateLimitStore', () => new SharedStateRateLimitStore(new MemorySharedState())]
+]) {
+  describe(name, () => {
+    it('spends a bucket and refills it over time', async () => {
+      const store = createStore();
+      const refillPerMs = 60 / 60000; // one a second
+
+      assert.equal((await store.take('bucket', 2, refillPerMs, 0)).allowed, true);
+      assert.equal((await store.take('bucket', 2, refillPerMs, 0)).allowed, true);
+      assert.deepEqual(await store.take('bucket', 2, refillPerMs, 0), { allowed: false, retryAfterMs: 1000 });
+      assert.deepEqual(await store.take('bucket', 2, refillPerMs, 500), { allowed: false, retryAfterMs: 500 });
+      assert.equal((await store.take('bucket', 2, refillPerMs, 1000)).allowed, true);
+      assert.equal((await store.take('bucket', 2, refillPerMs, 1000)).allowed, false);
+    });
+
+    it('blocks until the block lifts', async () => {
+      const store = createStore();
+      const now = Date.now();
+      await store.block('block:ip:1.2.3.4', now + 1000);
+
+      assert.equal(await store.blockedUntil('block:ip:1.2.3.4', now), now + 1000);
+      assert.equal(await store.blockedUntil('block:ip:1.2.3.4', now + 1000), 0);
+      assert.equal(await store.blockedUntil('block:ip:5.6.7.8', now), 0);
+    });
+  });
+}
+
+describe('RateLimiter', () => {
+  it('blocks a wallet that keeps going past its limit', async () => {
+    const limiter = new RateLimiter({ rules });
+    const wallet = { wallet: 1, ip: '1.2.3.4' };
+
+    assert.equal(await limiter.consume('send_message', wallet), null);
+    assert.equal(await limiter.consume('send_message', wallet), null);
+    assert.deepEqual(await limiter.consume('send_message', wallet), { code: 'rate_limited', retryAfter: 1, blocked: false });
+
+    assert.deepEqual(await flood(limiter, 'send_message', wallet), { code: 'rate_limited', retryAfter: BLOCK_MS / 1000, blocked: true });
+    assert.equal(await limiter.blockedFor(wallet), BLOCK_MS / 1000);
+    // The block is on the wallet, not its IP
+    assert.equal(await limiter.blockedFor({ ip: '1.2.3.4' }), 0);
+  });
+
+  it('never blocks the wallet a sign-in only claims', async () => {
+    const limiter = new RateLimiter({ rules });
+    const attacker = { ip: '6.6.6.6', claim: 'victim@6.6.6.6' };
+
+    assert.equal((await flood(limiter, 'POST /api/auth/nonce', attacker)).blocked, true);
+    assert.ok(await limiter.blockedFor({ ip: '6.6.6.6' }));
+
+    // The wallet's owner signs in from elsewhere as usual
+    assert.equal(await limiter.consume('POST /api/auth/nonce', { ip: '1.2.3.4', claim: 'victim@1.2.3.4' }), null);
+    assert.equal(await limiter.blockedFor({ ip: '1.2.3.4', wallet: 'victim' }), 0);
+  });
+
+  it('shares limits between nodes through the cluster state', async () => {
+    const state = new MemorySharedState();
+    const [a, b] = [1, 2].map(() => new RateLimiter({ rules, store: createRateLimitStore('cluster', { state }) }));
+
+    assert.equal(await a.consume('send_message', { wallet: 1 }), null);
+    assert.equal(await b.consume('send_message', { wallet: 1 }), null);
+    assert.equal((await a.consume('send_message', { wallet: 1 })).code, 'rate_limited');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryStorage } from '../server/memory-storage.js';
+import {
+  StorageSessionStore,
+  getSessionSecret,
+  describeUserAgent,
+  serializeSession
+} from '../server/sessions.js';
+
+const call = (store, method, ...args) =>
+  new Promise((resolve, reject) => store[method](...args, (error, value) => error ? reject(error) : resolve(value)));
+
+const inMinutes = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('StorageSessionStore', () => {
+  it('keeps sessions in storage, shared by every store on it', async () => {
+    const storage = new MemoryStorage();
+    const user = await storage.createUser({ walletAddress: 'wallet-alice', username: 'alice' });
+    const sess = { cookie: { expires: inMinutes(60).toISOString() }, userId: user.id, userAgent: 'Firefox', walletAddress: 'wallet-alice' };
+
+    await call(new StorageSessionStore(storage), 'set', 'sid', sess);
+    assert.deepEqual(await call(new StorageSessionStore(storage), 'get', 'sid'), sess);
+
+    const [row] = await storage.getUserSessions(user.id);
+    assert.equal(row.userAgent, 'Firefox');
+    assert.equal(row.expiresAt.toISOString(), sess.cookie.expires);
+
+    await call(new StorageSessionStore(storage), 'destroy', 'sid');
+    assert.equal(await call(new StorageSessionStore(storage), 'get', 'sid'), null);
+  });
+
+  it('writes activity at most once a minute per session', async () => {
+    const storage = new MemoryStorage();
+    const store = new StorageSessionStore(storage);
+    const touched = [];
+    storage.touchSession = async sid => touched.push(sid);
+
+    await store.recordActivity('a');
+    await store.recordActivity('a');
+    await store.recordActivity('b');
+    assert.deepEqual(touched, ['a', 'b']);
+
+    await store.sweep(Date.now() + 60 * 1000);
+    await store.recordActivity('a');
+    assert.deepEqual(touched, ['a', 'b', 'a']);
+  });
+
+  it('sweeps expired sessions', async () => {
+    const storage = new MemoryStorage();
+    await storage.saveSession('old', { data: {}, expiresAt: new Date(Date.now() - 1000) });
+    await storage.saveSession('live', { data: {}, expiresAt: inMinutes(60) });
+
+    assert.equal(await new StorageSessionStore(storage).sweep(), 1);
+    assert.ok(await storage.getSession('live'));
+  });
+});
+
+describe('getSessionSecret', () => {
+  it('uses SESSION_SECRET, and requires it in production', () => {
+    assert.equal(getSessionSecret({ SESSION_SECRET: 'secret' }), 'secret');
+    assert.throws(() => getSessionSecret({ NODE_ENV: 'production' }), /SESSION_SECRET/);
+  });
+});
+
+describe('devices list', () => {
+  it('names the browser and system of common user agents', () => {
+    assert.equal(describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0'), 'Firefox on Windows');
+    assert.equal(describeUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36'), 'Chrome on macOS');
+    assert.equal(describeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'), 'Safari on iOS');
+    assert.equal(describeUserAgent('curl/8.5.0'), null);
+    assert.equal(describeUserAgent(null), null);
+  });
+
+  it('never exposes the session id', () => {
+    const row = { id: 3, sid: 'secret-sid', userAgent: 'curl/8.5.0', data: { walletAddress: 'wallet-alice' } };
+
+    const session = serializeSession(row, 'secret-sid');
+    assert.equal(session.current, true);
+    assert.equal(session.walletAddress, 'wallet-alice');
+    assert.ok(!JSON.stringify(session).includes('secret-sid'));
+    assert.equal(serializeSession(row, 'other').current, false);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createNonce,
+  buildSignInMessage,
+  parseSignInMessage,
+  getSignInProblem,
+  MAX_CLOCK_SKEW_MS
+} from '../server/sign-in.js';
+
+const address = '9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin';
+const issuedAt = new Date('2026-01-15T10:30:00.000Z');
+const fields = {
+  domain: 'zkontrol.io',
+  accountName: 'Solana',
+  address,
+  uri: 'https://zkontrol.io',
+  chainId: 'mainnet',
+  nonce: '3f1c9a0d52b84e6f9d07a1c4b2e85f36',
+  issuedAt,
+  expirationTime: new Date(issuedAt.getTime() + 5 * 60 * 1000)
+};
+const expected = { domain: 'zkontrol.io', uri: 'https://zkontrol.io', accountName: 'Solana', chainId: 'mainnet', address };
+
+describe('sign-in messages', () => {
+  it('creates long, unique alphanumeric nonces', () => {
+    const nonces = new Set(Array.from({ length: 100 }, createNonce));
+    assert.equal(nonces.size, 100);
+    nonces.forEach(nonce => assert.match(nonce, /^[0-9a-f]{32}$/));
+  });
+
+  it('writes the Sign-In With Solana format and reads it back', () => {
+    const message = buildSignInMessage(fields);
+    assert.match(message, /^zkontrol\.io wants you to sign in with your Solana account:\n9xQeWv.+\n\n.+\n\nURI: https:\/\/zkontrol\.io\nVersion: 1\nChain ID: mainnet\n/);
+    assert.deepEqual(parseSignInMessage(message), { ...fields, statement: 'Sign in to ZKONTROL.', version: '1' });
+  });
+
+  it('writes Sign-In With Ethereum messages for EVM wallets', () => {
+    const evm = { ...fields, accountName: 'Ethereum', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', chainId: '1' };
+    const message = buildSignInMessage(evm);
+    assert.match(message, /^zkontrol\.io wants you to sign in with your Ethereum account:\n0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed\n/);
+    assert.deepEqual(parseSignInMessage(message), { ...evm, statement: 'Sign in to ZKONTROL.', version: '1' });
+  });
+
+  it('carries the statement it was built with', () => {
+    const statement = 'Link this wallet to @alice on ZKONTROL.';
+    assert.equal(parseSignInMessage(buildSignInMessage({ ...fields, statement })).statement, statement);
+  });
+
+  it('refuses anything else', () => {
+    const message = buildSignInMessage(fields);
+    for (const text of [
+      null,
+      'ZKONTROL Authentication\n\nNonce: abc',
+      `${message}\nResources:`,
+      message.replace('Version: 1', 'Version: 2'),
+      message.replace(fields.nonce, 'short'),
+      message.replace(issuedAt.toISOString(), 'yesterday')
+    ]) {
+      assert.equal(parseSignInMessage(text), null, String(text));
+    }
+  });
+});
+
+describe('getSignInProblem', () => {
+  const now = issuedAt.getTime() + 1000;
+
+  it('accepts a message for this site and wallet within its time bounds', () => {
+    assert.equal(getSignInProblem(fields, expected, now), null);
+    assert.equal(getSignInProblem(fields, expected, issuedAt.getTime() - MAX_CLOCK_SKEW_MS), null);
+  });
+
+  it('refuses other sites, networks and wallets', () => {
+    assert.match(getSignInProblem(fields, { ...expected, domain: 'zkontrol.io.evil.com' }, now), /another site/);
+    assert.match(getSignInProblem(fields, { ...expected, uri: 'http://zkontrol.io' }, now), /another site/);
+    assert.match(getSignInProblem(fields, { ...expected, chainId: 'devnet' }, now), /another network/);
+    assert.match(getSignInProblem(fields, { ...expected, accountName: 'Ethereum' }, now), /another network/);
+    assert.match(getSignInProblem(fields, { ...expected, address: 'Gr2PXJpAm2ZSbtbHuuqxFuvjKJGSqq4UmB7BEdKKpKZp' }, now), /another wallet/);
+  });
+
+  it('refuses messages that are expired or not yet issued', () => {
+    assert.match(getSignInProblem(fields, expected, fields.expirationTime.getTime()), /expired/);
+    assert.match(getSignInProblem(fields, expected, issuedAt.getTime() - MAX_CLOCK_SKEW_MS - 1), /expired/);
+  });
+});
@@ -0,0 +1,865 @@
+// Conformance suite for the storage contract (see server/storage.js). Every
+// driver runs the same tests against a fresh, empty store.
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { sql } from 'drizzle-orm';
+import { MemoryStorage } from '../server/memory-storage.js';
+import { DatabaseStorage } from '../server/database-storage.js';
+import { connectPglite } from '../server/db.js';
+
+const drivers = [
+  {
+    name: 'memory',
+    create: async () => new MemoryStorage()
+  },
+  {
+    name: 'pglite',
+    // Starting PGlite takes seconds, so one in-memory database is shared and
+    // emptied before each test
+    setup: async function () {
+      this.db = await connectPglite();
+    },
+    create: async function () {
+      await this.db.execute(sql`TRUNCATE users, user_wallets, sessions, contacts, rooms, room_members, room_bans, room_mutes, room_invites, messages, message_reads, message_reports, moderation_log, reactions, attachments RESTART IDENTITY CASCADE`);
+      return new DatabaseStorage(this.db);
+    },
+    teardown: async function () {
+      await this.db.$client.close();
+    }
+  }
+];
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+for (const driver of drivers) {
+  describe(`${driver.name} storage`, () => {
+    let storage;
+    let alice;
+    let bob;
+    let carol;
+
+    before(async () => {
+      await driver.setup?.();
+    });
+
+    after(async () => {
+      await driver.teardown?.();
+    });
+
+    beforeEach(async () => {
+      storage = await driver.create();
+      alice = await storage.createUser({ walletAddress: 'wallet-alice', username: 'alice' });
+      bob = await storage.createUser({ walletAddress: 'wallet-bob', username: 'bob' });
+      carol = await storage.createUser({ walletAddress: 'wallet-carol', username: 'carol' });
+    });
+
+    async function createGroup(name = 'Group', members = [alice, bob]) {
+      const room = await storage.createRoom({ name, isGroup: true, createdBy: members[0].id });
+      for (const [i, member] of members.entries()) {
+        await storage.addRoomMember(room.id, member.id, i === 0 ? 'owner' : 'member');
+      }
+      return room;
+    }
+
+    describe('users', () => {
+      it('applies column defaults on create', async () => {
+        assert.equal(typeof alice.id, 'number');
+        assert.equal(alice.sendReadReceipts, true);
+        assert.equal(alice.encryptionPublicKey, null);
+        assert.equal(alice.chain, 'solana');
+        assert.ok(alice.createdAt instanceof Date);
+      });
+
+      it('looks users up by id, wallet and username', async () => {
+        assert.equal((await storage.getUser(bob.id)).walletAddress, 'wallet-bob');
+        assert.equal((await storage.getUserByWallet('wallet-carol')).id, carol.id);
+        assert.equal((await storage.getUserByUsername('alice')).id, alice.id);
+        assert.equal(await storage.getUser(9999), undefined);
+        assert.equal(await storage.getUserByWallet('nobody'), undefined);
+      });
+
+      it('rejects a second user for the same wallet', async () => {
+        await assert.rejects(storage.createUser({ walletAddress: 'wallet-alice' }));
+      });
+
+      it('treats handles as unique and case-insensitive', async () => {
+        assert.equal((await storage.getUserByUsername('ALICE')).id, alice.id);
+        await assert.rejects(storage.createUser({ walletAddress: 'wallet-other', username: 'Alice' }));
+        await assert.rejects(storage.updateUserProfile(bob.id, { username: 'aLiCe' }));
+
+        // Changing only the case of your own handle is fine
+        assert.equal((await storage.updateUserProfile(alice.id, { username: 'Alice' })).username, 'Alice');
+      });
+
+      it('updates profiles and bumps profileUpdatedAt', async () => {
+        const updated = await storage.updateUserProfile(bob.id, { username: 'bobby', displayName: 'Bob B.', bio: 'hi', avatar: 'data:image/png;base64,iVBORw0KGgo=' });
+        assert.equal(updated.username, 'bobby');
+        assert.equal(updated.displayName, 'Bob B.');
+        assert.equal(updated.bio, 'hi');
+        assert.equal(updated.avatar, 'data:image/png;base64,iVBORw0KGgo=');
+        assert.ok(updated.profileUpdatedAt >= bob.profileUpdatedAt);
+        assert.equal((await storage.getUserByUsername('bobby')).id, bob.id);
+        assert.equal(await storage.getUserByUsername('bob'), undefined);
+
+        const cleared = await storage.updateUserProfile(bob.id, { bio: null });
+        assert.equal(cleared.bio, null);
+        assert.equal(cleared.displayName, 'Bob B.');
+      });
+
+      it('updates settings and encryption keys', async () => {
+        const updated = await storage.updateUserSettings(alice.id, { sendReadReceipts: false });
+        assert.equal(updated.sendReadReceipts, false);
+
+        const keyed = await storage.setUserEncryptionKey(alice.id, 'key', 'signature');
+        assert.equal(keyed.encryptionPublicKey, 'key');
+        assert.equal(keyed.encryptionKeySignature, 'signature');
+        assert.equal(keyed.encryptionKeyWallet, null);
+        assert.equal((await storage.setUserEncryptionKey(alice.id, 'key', 'signature', 'wallet-alice-2')).encryptionKeyWallet, 'wallet-alice-2');
+        assert.equal((await storage.getUser(alice.id)).sendReadReceipts, false);
+      });
+
+      it('defaults presence privacy off and records last seen', async () => {
+        assert.equal(alice.hideOnlineStatus, false);
+        assert.equal(alice.hideLastSeen, false);
+        assert.equal(alice.lastSeenAt, null);
+
+        const seenAt = minutesAgo(3);
+        assert.equal((await storage.setLastSeen(alice.id, seenAt)).lastSeenAt.getTime(), seenAt.getTime());
+        assert.equal((await storage.getUser(alice.id)).lastSeenAt.getTime(), seenAt.getTime());
+      });
+    });
+
+    describe('wallets', () => {
+      it('links the wallet a user is created with as the primary', async () => {
+        const wallets = await storage.getUserWallets(alice.id);
+        assert.deepEqual(wallets.map(w => [w.walletAddress, w.chain]), [['wallet-alice', 'solana']]);
+        assert.equal((await storage.getUserWallet('wallet-alice')).userId, alice.id);
+        assert.equal(await storage.getUserWallet('nobody'), undefined);
+      });
+
+      it('signs linked wallets in to the same account', async () => {
+        const backup = { ciphertext: 'c', nonce: 'n' };
+        const linked = await storage.addUserWallet(alice.id, { walletAddress: '0xAlice', chain: 'ethereum', encryptionKeyBackup: backup });
+        assert.deepEqual(linked.encryptionKeyBackup, backup);
+
+        assert.equal((await storage.getUserByWallet('0xAlice')).id, alice.id);
+        assert.deepEqual((await storage.getUserWallets(alice.id)).map(w => w.walletAddress), ['wallet-alice', '0xAlice']);
+        assert.equal((await storage.getUserWallets(bob.id)).length, 1);
+      });
+
+      it('rejects a wallet that belongs to any account', async () => {
+        await storage.addUserWallet(alice.id, { walletAddress: 'wallet-alice-2', chain: 'solana' });
+        await assert.rejects(storage.addUserWallet(bob.id, { walletAddress: 'wallet-alice-2', chain: 'solana' }));
+        await assert.rejects(storage.addUserWallet(bob.id, { walletAddress: 'wallet-alice', chain: 'solana' }));
+        await assert.rejects(storage.createUser({ walletAddress: 'wallet-alice-2' }));
+      });
+
+      it('switches the primary wallet between linked wallets', async () => {
+        await storage.addUserWallet(alice.id, { walletAddress: '0xAlice', chain: 'ethereum' });
+
+        const updated = await storage.setPrimaryWallet(alice.id, '0xAlice');
+        assert.equal(updated.walletAddress, '0xAlice');
+        assert.equal(updated.chain, 'ethereum');
+        assert.equal(updated.encryptionKeyWallet, 'wallet-alice');
+        assert.equal((await storage.getUserByWallet('wallet-alice')).id, alice.id);
+
+        assert.equal(await storage.setPrimaryWallet(alice.id, 'wallet-bob'), undefined);
+        assert.equal((await storage.getUser(bob.id)).walletAddress, 'wallet-bob');
+      });
+
+      it('unlinks wallets other than the primary', async () => {
+        await storage.addUserWallet(alice.id, { walletAddress: 'wallet-alice-2', chain: 'solana' });
+
+        assert.equal(await storage.removeUserWallet(alice.id, 'wallet-alice'), false);
+        assert.equal(await storage.removeUserWallet(bob.id, 'wallet-alice-2'), false);
+        assert.equal(await storage.removeUserWallet(alice.id, 'wallet-alice-2'), true);
+        assert.equal(await storage.getUserByWallet('wallet-alice-2'), undefined);
+        assert.deepEqual((await storage.getUserWallets(alice.id)).map(w => w.walletAddress), ['wallet-alice']);
+      });
+    });
+
+    describe('sessions', () => {
+      const inMinutes = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+      it('saves, replaces and loads sessions by sid', async () => {
+        const created = await storage.saveSession('sid-1', { userId: alice.id, userAgent: 'Firefox', data: { userId: alice.id }, expiresAt: inMinutes(60) });
+        assert.equal(created.sid, 'sid-1');
+        assert.ok(created.lastActiveAt instanceof Date);
+
+        await storage.saveSession('sid-1', { userId: alice.id, userAgent: 'Firefox', data: { userId: alice.id, walletAddress: 'wallet-alice' }, expiresAt: inMinutes(60) });
+        const loaded = await storage.getSession('sid-1');
+        assert.equal(loaded.id, created.id);
+        assert.deepEqual(loaded.data, { userId: alice.id, walletAddress: 'wallet-alice' });
+        assert.equal(await storage.getSession('nobody'), undefined);
+      });
+
+      it('hides expired sessions and sweeps them', async () => {
+        await storage.saveSession('old', { userId: alice.id, data: {}, expiresAt: minutesAgo(1) });
+        await storage.saveSession('live', { userId: alice.id, data: {}, expiresAt: inMinutes(60) });
+
+        assert.equal(await storage.getSession('old'), undefined);
+        assert.deepEqual((await storage.getUserSessions(alice.id)).map(s => s.sid), ['live']);
+        assert.equal(await storage.deleteExpiredSessions(), 1);
+        assert.equal(await storage.deleteExpiredSessions(), 0);
+      });
+
+      it('records activity and extends sessions', async () => {
+        await storage.saveSession('sid-1', { userId: alice.id, data: {}, expiresAt: inMinutes(1) });
+        const touched = await storage.touchSession('sid-1', inMinutes(60));
+        assert.ok(touched.expiresAt > inMinutes(30));
+        assert.equal(await storage.touchSession('nobody'), undefined);
+      });
+
+      it('lists and revokes a user\'s sessions, most recently active first', async () => {
+        const first = await storage.saveSession('sid-1', { userId: alice.id, data: {}, expiresAt: inMinutes(60) });
+        const second = await storage.saveSession('sid-2', { userId: alice.id, data: {}, expiresAt: inMinutes(60) });
+        await storage.saveSession('sid-3', { userId: bob.id, data: {}, expiresAt: inMinutes(60) });
+
+        assert.deepEqual((await storage.getUserSessions(alice.id)).map(s => s.id), [second.id, first.id]);
+        assert.equal(await storage.deleteUserSession(bob.id, first.id), undefined);
+        assert.equal((await storage.deleteUserSession(alice.id, first.id)).sid, 'sid-1');
+        assert.equal(await storage.getSession('sid-1'), undefined);
+
+        await storage.deleteSession('sid-2');
+        assert.deepEqual(await storage.getUserSessions(alice.id), []);
+      });
+    });
+
+    describe('rooms', () => {
+      it('creates the public room once', async () => {
+        const first = await storage.ensurePublicRoom();
+        const second = await storage.ensurePublicRoom();
+        assert.equal(first.id, second.id);
+        assert.equal(first.isPublic, true);
+        assert.equal(first.isGroup, true);
+      });
+
+      it('applies room defaults and updates policies and names', async () => {
+        const room = await storage.createRoom({ name: 'Plain', createdBy: alice.id });
+        assert.equal(room.isGroup, false);
+        assert.equal(room.isPublic, false);
+        assert.equal(room.disappearingSeconds, null);
+        assert.equal(room.slowModeSeconds, null);
+        assert.equal(room.filterWords, null);
+        assert.equal(room.filterLinks, false);
+
+        const policy = await storage.updateRoomPolicy(room.id, { disappearingSeconds: 60, retentionSeconds: 3600 });
+        assert.equal(policy.disappearingSeconds, 60);
+        assert.equal(policy.retentionSeconds, 3600);
+
+        assert.equal((await storage.renameRoom(room.id, 'Renamed')).name, 'Renamed');
+        assert.equal((await storage.getRoom(room.id)).name, 'Renamed');
+        assert.equal(await storage.getRoom(9999), undefined);
+      });
+
+      it('lists the rooms a user belongs to', async () => {
+        const group = await createGroup();
+        const rooms = await storage.getUserRooms(bob.id);
+        assert.deepEqual(rooms.map(r => r.id), [group.id]);
+        assert.deepEqual(await storage.getUserRooms(carol.id), []);
+      });
+
+      it('finds the private room of two users but not shared groups', async () => {
+        await createGroup();
+        assert.equal(await storage.findPrivateRoom(alice.id, bob.id), null);
+
+        const dm = await storage.createRoom({ name: 'DM', createdBy: alice.id });
+        await storage.addRoomMember(dm.id, alice.id);
+        await storage.addRoomMember(dm.id, bob.id);
+
+        assert.equal((await storage.findPrivateRoom(bob.id, alice.id)).id, dm.id);
+        assert.equal(await storage.findPrivateRoom(alice.id, carol.id), null);
+      });
+
+      it('lists room peers once, marking private chat partners, without the public room', async () => {
+        const lobby = await storage.ensurePublicRoom();
+        await storage.addRoomMember(lobby.id, alice.id);
+        await storage.addRoomMember(lobby.id, carol.id);
+        await createGroup('One', [alice, bob]);
+        await createGroup('Two', [bob, alice]);
+        assert.deepEqual(await storage.getRoomPeers(alice.id), [{ userId: bob.id, direct: false }]);
+
+        const dm = await storage.createRoom({ name: 'DM', createdBy: alice.id });
+        await storage.addRoomMember(dm.id, alice.id);
+        await storage.addRoomMember(dm.id, bob.id);
+        assert.deepEqual(await storage.getRoomPeers(bob.id), [{ userId: alice.id, direct: true }]);
+        assert.deepEqual(await storage.getRoomPeers(carol.id), []);
+      });
+
+      it('leaves message requests out of room peers until accepted', async () => {
+        const request = await storage.createRoom({ name: 'DM', createdBy: carol.id, requestRecipientId: alice.id });
+        await storage.addRoomMember(request.id, carol.id);
+        await storage.addRoomMember(request.id, alice.id);
+        assert.equal(request.requestRecipientId, alice.id);
+        assert.deepEqual(await storage.getRoomPeers(alice.id), []);
+
+        assert.equal((await storage.acceptMessageRequest(request.id)).requestRecipientId, null);
+        assert.deepEqual(await storage.getRoomPeers(alice.id), [{ userId: carol.id, direct: true }]);
+      });
+
+      it('leaves groups someone else added the user to out of joined room peers', async () => {
+        const group = await storage.createRoom({ name: 'Group', isGroup: true, createdBy: carol.id });
+        await storage.addRoomMember(group.id, carol.id, 'owner');
+        await storage.addRoomMember(group.id, alice.id, 'member', carol.id);
+
+        assert.equal((await storage.getRoomMember(group.id, alice.id)).addedBy, carol.id);
+        assert.deepEqual(await storage.getRoomPeers(alice.id), [{ userId: carol.id, direct: false }]);
+        assert.deepEqual(await storage.getRoomPeers(alice.id, { joinedOnly: true }), []);
+        assert.deepEqual(await storage.getRoomPeers(carol.id, { joinedOnly: true }), [{ userId: alice.id, direct: false }]);
+      });
+
+      it('deletes a room with everything in it', async () => {
+        const group = await createGroup();
+        const keep = await createGroup('Keep');
+        const message = await storage.createMessage({ roomId: group.id, userId: bob.id, content: 'hi' });
+        await storage.addReaction(message.id, alice.id, '👍');
+        const sent = await storage.createAttachment({ roomId: group.id, uploaderId: bob.id, storageKey: 'sent', mimeType: 'image/png', size: 1, metadata: {} });
+        await storage.attachToMessage([sent.id], message.id);
+        await storage.createAttachment({ roomId: group.id, uploaderId: bob.id, storageKey: 'unsent', mimeType: 'image/png', size: 1, metadata: {} });
+        await storage.createRoomInvite({ roomId: group.id, code: 'code', createdBy: alice.id });
+        await storage.banRoomMember(group.id, carol.id, alice.id);
+        await storage.muteRoomMember(group.id, bob.id, alice.id);
+        await storage.createMessageReport({ roomId: group.id, messageId: message.id, reportedUserId: bob.id, reporterId: alice.id, content: 'hi' });
+        await storage.addModerationLogEntry({ roomId: group.id, actorId: alice.id, action: 'mute', targetUserId: bob.id });
+
+        const removed = await storage.deleteRoom(group.id);
+        assert.equal(removed.roomId, group.id);
+        assert.deepEqual(removed.attachmentKeys.sort(), ['sent', 'unsent']);
+        assert.equal(await storage.getRoom(group.id), undefined);
+        assert.equal(await storage.getMessage(message.id), undefined);
+        assert.equal(await storage.getRoomInviteByCode('code'), undefined);
+        assert.deepEqual((await storage.getUserRooms(alice.id)).map(r => r.id), [keep.id]);
+      });
+    });
+
+    describe('contacts', () => {
+      it('saves entries with defaults and updates them in place', async () => {
+        const saved = await storage.saveContact(alice.id, bob.id, { nickname: 'Bobby' });
+        assert.equal(saved.isContact, true);
+        assert.equal(saved.blocked, false);
+        assert.equal(saved.note, null);
+
+        const updated = await storage.saveContact(alice.id, bob.id, { note: 'Met at the meetup' });
+        assert.equal(updated.id, saved.id);
+        assert.equal(updated.nickname, 'Bobby');
+        assert.equal(updated.note, 'Met at the meetup');
+        assert.equal((await storage.getContact(alice.id, bob.id)).note, 'Met at the meetup');
+        assert.equal(await storage.getContact(bob.id, alice.id), undefined);
+      });
+
+      it('lists an owner\'s entries with the contact\'s user', async () => {
+        await storage.saveContact(alice.id, carol.id, { nickname: 'C' });
+        await storage.saveContact(alice.id, bob.id, { blocked: true, isContact: false });
+        await storage.saveContact(bob.id, carol.id, {});
+
+        const entries = await storage.getContacts(alice.id);
+        assert.deepEqual(entries.map(c => [c.contactId, c.user.walletAddress, c.blocked]), [
+          [carol.id, 'wallet-carol', false],
+          [bob.id, 'wallet-bob', true]
+        ]);
+        assert.deepEqual((await storage.getContactEntriesAbout(carol.id)).map(c => c.ownerId), [alice.id, bob.id]);
+      });
+
+      it('deletes entries', async () => {
+        await storage.saveContact(alice.id, bob.id, {});
+        assert.equal(await storage.deleteContact(alice.id, bob.id), true);
+        assert.equal(await storage.deleteContact(alice.id, bob.id), false);
+        assert.deepEqual(await storage.getContacts(alice.id), []);
+      });
+    });
+
+    describe('members and bans', () => {
+      it('tracks membership and roles', async () => {
+        const group = await createGroup();
+
+        assert.equal(await storage.isRoomMember(group.id, bob.id), true);
+        assert.equal(await storage.isRoomMember(group.id, carol.id), false);
+        assert.equal((await storage.getRoomMember(group.id, bob.id)).role, 'member');
+        assert.equal(await storage.getRoomMember(group.id, carol.id), undefined);
+
+        const members = await storage.getRoomMembers(group.id);
+        assert.deepEqual(members.map(m => [m.walletAddress, m.role]).sort(), [['wallet-alice', 'owner'], ['wallet-bob', 'member']]);
+
+        assert.equal((await storage.setRoomMemberRole(group.id, bob.id, 'admin')).role, 'admin');
+        assert.equal(await storage.setRoomMemberRole(group.id, carol.id, 'admin'), undefined);
+
+        await storage.removeRoomMember(group.id, bob.id);
+        assert.equal(await storage.isRoomMember(group.id, bob.id), false);
+      });
+
+      it('transfers ownership', async () => {
+        const group = await createGroup();
+        await storage.transferRoomOwnership(group.id, alice.id, bob.id);
+        assert.equal((await storage.getRoomMember(group.id, alice.id)).role, 'admin');
+        assert.equal((await storage.getRoomMember(group.id, bob.id)).role, 'owner');
+      });
+
+      it('bans remove the member until unbanned', async () => {
+        const group = await createGroup();
+        await storage.banRoomMember(group.id, bob.id, alice.id);
+
+        assert.equal(await storage.isRoomMember(group.id, bob.id), false);
+        assert.equal(await storage.isBannedFromRoom(group.id, bob.id), true);
+
+        const [ban] = await storage.getRoomBans(group.id);
+        assert.equal(ban.userId, bob.id);
+        assert.equal(ban.username, 'bob');
+        assert.equal(ban.walletAddress, 'wallet-bob');
+        assert.ok(ban.bannedAt instanceof Date);
+
+        assert.equal(await storage.unbanRoomMember(group.id, bob.id), true);
+        assert.equal(await storage.unbanRoomMember(group.id, bob.id), false);
+        assert.equal(await storage.isBannedFromRoom(group.id, bob.id), false);
+      });
+
+      it('lifts timed bans when they expire and replaces them on a new ban', async () => {
+        const group = await createGroup();
+        await storage.banRoomMember(group.id, bob.id, alice.id, new Date(Date.now() - 1000));
+
+        assert.equal(await storage.isBannedFromRoom(group.id, bob.id), false);
+        assert.deepEqual(await storage.getRoomBans(group.id), []);
+
+        const expiresAt = new Date(Date.now() + 60000);
+        await storage.banRoomMember(group.id, bob.id, alice.id, expiresAt);
+        assert.equal(await storage.isBannedFromRoom(group.id, bob.id), true);
+        const bans = await storage.getRoomBans(group.id);
+        assert.equal(bans.length, 1);
+        assert.equal(bans[0].expiresAt.getTime(), expiresAt.getTime());
+      });
+
+      it('mutes members until unmuted or expired', async () => {
+        const group = await createGroup();
+        const expiresAt = new Date(Date.now() + 60000);
+
+        assert.equal((await storage.muteRoomMember(group.id, bob.id, alice.id, expiresAt)).mutedBy, alice.id);
+        assert.equal((await storage.getRoomMute(group.id, bob.id)).expiresAt.getTime(), expiresAt.getTime());
+        assert.equal(await storage.isRoomMember(group.id, bob.id), true);
+
+        await storage.muteRoomMember(group.id, bob.id, alice.id);
+        const mutes = await storage.getRoomMutes(group.id);
+        assert.equal(mutes.length, 1);
+        assert.equal(mutes[0].username, 'bob');
+        assert.equal(mutes[0].expiresAt, null);
+
+        assert.equal(await storage.unmuteRoomMember(group.id, bob.id), true);
+        assert.equal(await storage.getRoomMute(group.id, bob.id), undefined);
+
+        await storage.muteRoomMember(group.id, bob.id, alice.id, new Date(Date.now() - 1000));
+        assert.equal(await storage.getRoomMute(group.id, bob.id), undefined);
+        assert.deepEqual(await storage.getRoomMutes(group.id), []);
+      });
+    });
+
+    describe('moderation', () => {
+      it('takes one report per user and message and resolves them together', async () => {
+        const room = await storage.ensurePublicRoom();
+        const report = { roomId: room.id, messageId: 7, reportedUserId: carol.id, content: 'spam' };
+
+        const first = await storage.createMessageReport({ ...report, reporterId: alice.id, reason: 'Spam' });
+        assert.equal(first.status, 'open');
+        assert.equal(await storage.createMessageReport({ ...report, reporterId: alice.id }), undefined);
+        await storage.createMessageReport({ ...report, reporterId: bob.id });
+
+        const open = await storage.getOpenReports(room.id);
+        assert.deepEqual(open.map(r => r.reporter.username), ['alice', 'bob']);
+        assert.equal(open[0].reportedUser.username, 'carol');
+        assert.equal(open[0].reason, 'Spam');
+
+        const resolved = await storage.resolveMessageReports(7, 'dismissed', alice.id);
+        assert.equal(resolved.length, 2);
+        assert.equal(resolved[0].resolvedBy, alice.id);
+        assert.ok(resolved[0].resolvedAt instanceof Date);
+        assert.deepEqual(await storage.getOpenReports(room.id), []);
+      });
+
+      it('pages the moderation log newest first', async () => {
+        const room = await storage.ensurePublicRoom();
+        await storage.addModerationLogEntry({ roomId: room.id, actorId: alice.id, action: 'mute', targetUserId: bob.id, details: { durationSeconds: 60 } });
+        await storage.addModerationLogEntry({ roomId: room.id, actorId: alice.id, action: 'update_settings', details: { slowModeSeconds: 10 } });
+        await storage.addModerationLogEntry({ roomId: room.id, actorId: bob.id, action: 'ban', targetUserId: carol.id });
+
+        const page = await storage.getModerationLog(room.id, { limit: 2 });
+        assert.deepEqual(page.map(e => e.action), ['ban', 'update_settings']);
+        assert.equal(page[0].actor.username, 'bob');
+        assert.equal(page[0].target.username, 'carol');
+        assert.equal(page[1].target, null);
+
+        const [oldest] = await storage.getModerationLog(room.id, { before: page[1].id });
+        assert.equal(oldest.action, 'mute');
+        assert.deepEqual(oldest.details, { durationSeconds: 60 });
+      });
+    });
+
+    describe('invites', () => {
+      it('finds invites by code and lists only unrevoked ones', async () => {
+        const group = await createGroup();
+        const first = await storage.createRoomInvite({ roomId: group.id, code: 'first', createdBy: alice.id });
+        const second = await storage.createRoomInvite({ roomId: group.id, code: 'second', createdBy: alice.id });
+
+        assert.equal(first.uses, 0);
+        assert.equal((await storage.getRoomInviteByCode('second')).id, second.id);
+        assert.equal(await storage.getRoomInviteByCode('missing'), undefined);
+
+        assert.equal(await storage.revokeRoomInvite(group.id + 1, first.id), false);
+        assert.equal(await storage.revokeRoomInvite(group.id, first.id), true);
+        assert.deepEqual((await storage.getRoomInvites(group.id)).map(i => i.id), [second.id]);
+      });
+
+      it('redeems only valid invites, up to maxUses', async () => {
+        const group = await createGroup();
+        const limited = await storage.createRoomInvite({ roomId: group.id, code: 'limited', maxUses: 1 });
+        const expired = await storage.createRoomInvite({ roomId: group.id, code: 'expired', expiresAt: minutesAgo(1) });
+        const revoked = await storage.createRoomInvite({ roomId: group.id, code: 'revoked' });
+        await storage.revokeRoomInvite(group.id, revoked.id);
+
+        assert.equal((await storage.redeemRoomInvite(limited.id)).uses, 1);
+        assert.equal(await storage.redeemRoomInvite(limited.id), undefined);
+        assert.equal(await storage.redeemRoomInvite(expired.id), undefined);
+        assert.equal(await storage.redeemRoomInvite(revoked.id), undefined);
+      });
+    });
+
+    describe('receipts', () => {
+      it('only moves pointers forward and counts reads as deliveries', async () => {
+        const group = await createGroup();
+
+        let member = await storage.updateReceipt(group.id, bob.id, { deliveredMessageId: 5 });
+        assert.equal(member.lastDeliveredMessageId, 5);
+        assert.equal(member.lastReadMessageId, null);
+
+        member = await storage.updateReceipt(group.id, bob.id, { readMessageId: 7 });
+        assert.equal(member.lastDeliveredMessageId, 7);
+        assert.equal(member.lastReadMessageId, 7);
+
+        member = await storage.updateReceipt(group.id, bob.id, { deliveredMessageId: 3, readMessageId: 2 });
+        assert.equal(member.lastDeliveredMessageId, 7);
+        assert.equal(member.lastReadMessageId, 7);
+
+        assert.equal(await storage.updateReceipt(group.id, carol.id, { readMessageId: 1 }), undefined);
+
+        const receipts = await storage.getRoomReceipts(group.id);
+        const bobReceipt = receipts.find(r => r.userId === bob.id);
+        assert.deepEqual(bobReceipt, { userId: bob.id, lastDeliveredMessageId: 7, lastReadMessageId: 7, sendReadReceipts: true });
+      });
+    });
+
+    describe('messages', () => {
+      it('applies message defaults and edits content', async () => {
+        const group = await createGroup();
+        const message = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'hello' });
+
+        assert.equal(message.kind, 'text');
+        assert.equal(message.parentId, null);
+        assert.equal(message.editedAt, null);
+
+        const edited = await storage.updateMessageContent(message.id, { content: 'hi', nonce: null, encryptedKeys: null });
+        assert.equal(edited.content, 'hi');
+        assert.ok(edited.editedAt instanceof Date);
+        assert.equal((await storage.getMessage(message.id)).content, 'hi');
+        assert.equal(await storage.getMessage(9999), undefined);
+      });
+
+      it('round-trips encrypted envelopes', async () => {
+        const group = await createGroup();
+        const encryptedKeys = { [alice.id]: { key: 'a', nonce: 'b' } };
+        const message = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'cipher', nonce: 'nonce', encryptedKeys });
+        assert.deepEqual((await storage.getMessage(message.id)).encryptedKeys, encryptedKeys);
+      });
+
+      it('fetches by ids and counts replies', async () => {
+        const group = await createGroup();
+        const parent = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'parent' });
+        await storage.createMessage({ roomId: group.id, userId: bob.id, content: 'reply 1', parentId: parent.id });
+        await storage.createMessage({ roomId: group.id, userId: bob.id, content: 'reply 2', parentId: parent.id });
+
+        assert.deepEqual(await storage.getMessagesByIds([]), []);
+        assert.deepEqual((await storage.getMessagesByIds([parent.id, 9999])).map(m => m.id), [parent.id]);
+        assert.deepEqual(await storage.getReplyCounts([]), []);
+        assert.deepEqual(await storage.getReplyCounts([parent.id]), [{ parentId: parent.id, count: 2 }]);
+      });
+
+      it('returns the latest messages oldest first', async () => {
+        const group = await createGroup();
+        for (let i = 0; i < 4; i++) {
+          await storage.createMessage({ roomId: group.id, userId: alice.id, content: `m${i}`, createdAt: minutesAgo(10 - i) });
+        }
+
+        const latest = await storage.getRoomMessages(group.id, 2);
+        assert.deepEqual(latest.map(m => m.content), ['m2', 'm3']);
+      });
+
+      it('pages backwards with a stable cursor when timestamps tie', async () => {
+        const group = await createGroup();
+        const sameTime = minutesAgo(5);
+        const created = [];
+        for (let i = 0; i < 5; i++) {
+          created.push(await storage.createMessage({ roomId: group.id, userId: alice.id, content: `m${i}`, createdAt: sameTime }));
+        }
+
+        const first = await storage.getRoomMessagesPage(group.id, { limit: 2 });
+        assert.deepEqual(first.messages.map(m => m.content), ['m3', 'm4']);
+        assert.equal(first.hasMore, true);
+
+        assert.equal(first.cursor.id, first.messages[0].id);
+        const second = await storage.getRoomMessagesPage(group.id, { limit: 2, before: first.cursor });
+        assert.deepEqual(second.messages.map(m => m.content), ['m1', 'm2']);
+        assert.equal(second.cursor.id, created[1].id);
+
+        const last = await storage.getRoomMessagesPage(group.id, { limit: 2, before: second.cursor });
+        assert.deepEqual(last.messages.map(m => m.content), ['m0']);
+        assert.equal(last.hasMore, false);
+
+        const empty = await storage.getRoomMessagesPage(group.id, { before: last.cursor });
+        assert.deepEqual(empty, { messages: [], hasMore: false, cursor: null });
+      });
+
+      it('pages past a message in the same millisecond as the cursor', { skip: !driver.setup && 'memory dates have milliseconds only' }, async () => {
+        const group = await createGroup();
+        const later = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'later' });
+        const earlier = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'earlier' });
+        // Same millisecond, and ids in the other order: only the microseconds tell
+        await storage.db.execute(sql`UPDATE messages SET created_at = '2026-01-15 10:30:00.000900' WHERE id = ${later.id}`);
+        await storage.db.execute(sql`UPDATE messages SET created_at = '2026-01-15 10:30:00.000100' WHERE id = ${earlier.id}`);
+
+        const first = await storage.getRoomMessagesPage(group.id, { limit: 1 });
+        assert.deepEqual(first.messages.map(m => m.content), ['later']);
+        assert.equal(first.cursor.createdAt, '2026-01-15T10:30:00.000900');
+
+        const second = await storage.getRoomMessagesPage(group.id, { limit: 1, before: first.cursor });
+        assert.deepEqual(second.messages.map(m => m.content), ['earlier']);
+      });
+
+      it('pages a single thread', async () => {
+        const group = await createGroup();
+        const parent = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'parent' });
+        await storage.createMessage({ roomId: group.id, userId: bob.id, content: 'reply', parentId: parent.id });
+        await storage.createMessage({ roomId: group.id, userId: bob.id, content: 'other' });
+
+        const thread = await storage.getRoomMessagesPage(group.id, { parentId: parent.id });
+        assert.deepEqual(thread.messages.map(m => m.content), ['reply']);
+      });
+    });
+
+    describe('search', () => {
+      const markers = { startSel: '[', stopSel: ']' };
+
+      it('finds plaintext messages in the member\'s rooms', async () => {
+        const publicRoom = await storage.ensurePublicRoom();
+        await storage.addRoomMember(publicRoom.id, alice.id);
+        const group = await createGroup('Secret', [bob, carol]);
+
+        await storage.createMessage({ roomId: publicRoom.id, userId: alice.id, content: 'the solana validator is down' });
+        await storage.createMessage({ roomId: publicRoom.id, userId: alice.id, content: 'nothing to see' });
+        await storage.createMessage({ roomId: publicRoom.id, userId: alice.id, content: 'solana validator', nonce: 'encrypted' });
+        await storage.createMessage({ roomId: publicRoom.id, userId: alice.id, content: 'old solana validator', expiresAt: minutesAgo(1) });
+        await storage.createMessage({ roomId: group.id, userId: bob.id, content: 'solana validator elsewhere' });
+
+        const results = await storage.searchMessages(alice.id, { query: 'solana validator', ...markers });
+        assert.equal(results.length, 1);
+        assert.equal(results[0].roomName, 'Public Chat');
+        assert.equal(results[0].username, 'alice');
+        assert.ok(results[0].createdAt instanceof Date);
+        assert.match(results[0].snippet, /\[solana\] \[validator\]/);
+      });
+
+      it('filters by room and sender', async () => {
+        const publicRoom = await storage.ensurePublicRoom();
+        await storage.addRoomMember(publicRoom.id, alice.id);
+        await storage.addRoomMember(publicRoom.id, bob.id);
+        await storage.createMessage({ roomId: publicRoom.id, userId: alice.id, content: 'wallet question' });
+        await storage.createMessage({ roomId: publicRoom.id, userId: bob.id, content: 'wallet answer' });
+
+        const fromBob = await storage.searchMessages(alice.id, { query: 'wallet', senderId: bob.id, ...markers });
+        assert.deepEqual(fromBob.map(r => r.username), ['bob']);
+
+        const elsewhere = await storage.searchMessages(alice.id, { query: 'wallet', roomId: publicRoom.id + 1, ...markers });
+        assert.deepEqual(elsewhere, []);
+      });
+    });
+
+    describe('expiry and deletion', () => {
+      it('lists pending expiries', async () => {
+        const group = await createGroup();
+        const expiresAt = new Date(Date.now() + 60000);
+        const expiring = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'x', expiresAt });
+        await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'y' });
+
+        const pending = await storage.getPendingExpiries();
+        assert.equal(pending.length, 1);
+        assert.equal(pending[0].id, expiring.id);
+        assert.equal(pending[0].roomId, group.id);
+        assert.equal(pending[0].expiresAt.getTime(), expiresAt.getTime());
+      });
+
+      it('deletes messages with their reactions, reads and attachments', async () => {
+        const group = await createGroup();
+        const message = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'x', burnSeconds: 30 });
+        await storage.addReaction(message.id, bob.id, '🔥');
+        await storage.markMessageViewed(message.id, bob.id, 30);
+        const attachment = await storage.createAttachment({
+          roomId: group.id, uploaderId: alice.id, storageKey: 'key-1', mimeType: 'image/png', size: 10, metadata: {}
+        });
+        await storage.attachToMessage([attachment.id], message.id);
+
+        const deleted = await storage.deleteMessagesByIds([message.id, 9999]);
+        assert.deepEqual(deleted, [{ id: message.id, roomId: group.id, attachmentKeys: ['key-1'] }]);
+        assert.equal(await storage.getMessage(message.id), undefined);
+        assert.equal(await storage.getAttachment(attachment.id), undefined);
+        assert.deepEqual(await storage.getMessagesReactions([message.id]), []);
+        assert.deepEqual(await storage.getMessageReadsForUser([message.id], bob.id), []);
+
+        assert.deepEqual(await storage.deleteMessagesByIds([]), []);
+        assert.equal(await storage.deleteMessage(message.id), undefined);
+      });
+
+      it('deletes messages past their room\'s retention age', async () => {
+        const kept = await createGroup('Kept');
+        const retained = await createGroup('Retained');
+        await storage.updateRoomPolicy(retained.id, { retentionSeconds: 3600 });
+
+        const old = await storage.createMessage({ roomId: retained.id, userId: alice.id, content: 'old', createdAt: minutesAgo(120) });
+        await storage.createMessage({ roomId: retained.id, userId: alice.id, content: 'new' });
+        await storage.createMessage({ roomId: kept.id, userId: alice.id, content: 'ancient', createdAt: minutesAgo(10000) });
+
+        const purged = await storage.deleteMessagesPastRetention();
+        assert.deepEqual(purged.map(m => m.id), [old.id]);
+      });
+
+      it('deletes messages whose expiry has passed', async () => {
+        const group = await createGroup();
+        const expired = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'x', expiresAt: minutesAgo(1) });
+        await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'y', expiresAt: minutesAgo(-10) });
+        await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'z' });
+
+        const deleted = await storage.deleteExpiredMessages();
+        assert.deepEqual(deleted, [{ id: expired.id, roomId: group.id, attachmentKeys: [] }]);
+        assert.deepEqual(await storage.deleteExpiredMessages(), []);
+      });
+    });
+
+    describe('attachments', () => {
+      async function upload(room, overrides = {}) {
+        return await storage.createAttachment({
+          roomId: room.id,
+          uploaderId: alice.id,
+          storageKey: `key-${Math.random()}`,
+          mimeType: 'application/pdf',
+          size: 100,
+          metadata: { ciphertext: 'c', nonce: 'n' },
+          ...overrides
+        });
+      }
+
+      it('applies upload defaults', async () => {
+        const attachment = await upload(await createGroup());
+        assert.equal(attachment.status, 'uploading');
+        assert.equal(attachment.receivedBytes, 0);
+        assert.equal(attachment.messageId, null);
+        assert.deepEqual(attachment.metadata, { ciphertext: 'c', nonce: 'n' });
+      });
+
+      it('advances uploads only from the expected offset', async () => {
+        const attachment = await upload(await createGroup());
+
+        assert.equal((await storage.advanceAttachmentUpload(attachment.id, 0, 60)).receivedBytes, 60);
+        assert.equal(await storage.advanceAttachmentUpload(attachment.id, 0, 60), undefined);
+        assert.equal((await storage.advanceAttachmentUpload(attachment.id, 60, 100)).receivedBytes, 100);
+
+        await storage.updateAttachment(attachment.id, { status: 'ready' });
+        assert.equal(await storage.advanceAttachmentUpload(attachment.id, 100, 120), undefined);
+      });
+
+      it('attaches uploads to one message only', async () => {
+        const group = await createGroup();
+        const attachment = await upload(group);
+        const first = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'one' });
+        const second = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'two' });
+
+        assert.equal((await storage.attachToMessage([attachment.id], first.id)).length, 1);
+        assert.deepEqual(await storage.attachToMessage([attachment.id], second.id), []);
+
+        const attached = await storage.getMessagesAttachments([first.id, second.id]);
+        assert.deepEqual(attached.map(a => [a.id, a.messageId]), [[attachment.id, first.id]]);
+        assert.deepEqual(await storage.getMessagesAttachments([]), []);
+      });
+
+      it('deletes stale unattached uploads', async () => {
+        const group = await createGroup();
+        const stale = await upload(group, { createdAt: minutesAgo(120) });
+        await upload(group);
+        const sent = await upload(group, { createdAt: minutesAgo(120) });
+        const message = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'x' });
+        await storage.attachToMessage([sent.id], message.id);
+
+        const removed = await storage.deleteStaleAttachments(minutesAgo(60));
+        assert.deepEqual(removed.map(a => a.id), [stale.id]);
+      });
+    });
+
+    describe('burn after read', () => {
+      it('starts each recipient\'s countdown once', async () => {
+        const group = await createGroup();
+        const message = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'x', burnSeconds: 30 });
+
+        const first = await storage.markMessageViewed(message.id, bob.id, 30);
+        const again = await storage.markMessageViewed(message.id, bob.id, 300);
+        assert.equal(again.id, first.id);
+        assert.equal(again.expiresAt.getTime(), first.expiresAt.getTime());
+
+        const reads = await storage.getMessageReadsForUser([message.id], bob.id);
+        assert.equal(reads.length, 1);
+        assert.deepEqual(await storage.getMessageReadsForUser([], bob.id), []);
+      });
+
+      it('deletes messages once every recipient\'s countdown has ended', async () => {
+        const group = await createGroup('Burners', [alice, bob, carol]);
+        const message = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'x', burnSeconds: 0 });
+        await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'unread', burnSeconds: 0 });
+
+        await storage.markMessageViewed(message.id, bob.id, 0);
+        assert.deepEqual(await storage.deleteFullyBurnedMessages(), []);
+
+        await storage.markMessageViewed(message.id, carol.id, 0);
+        const burned = await storage.deleteFullyBurnedMessages();
+        assert.deepEqual(burned.map(m => m.id), [message.id]);
+      });
+    });
+
+    describe('reactions', () => {
+      it('adds each reaction once and removes it', async () => {
+        const group = await createGroup();
+        const message = await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'x' });
+
+        const first = await storage.addReaction(message.id, bob.id, '👍');
+        const again = await storage.addReaction(message.id, bob.id, '👍');
+        assert.equal(again.id, first.id);
+
+        const [reaction] = await storage.getMessageReactions(message.id);
+        assert.equal(reaction.username, 'bob');
+        assert.equal(reaction.walletAddress, 'wallet-bob');
+        assert.equal(reaction.emoji, '👍');
+        assert.equal((await storage.getMessagesReactions([message.id])).length, 1);
+
+        assert.equal(await storage.removeReaction(message.id, bob.id, '👍'), true);
+        assert.equal(await storage.removeReaction(message.id, bob.id, '👍'), false);
+      });
+    });
+
+    describe('statistics', () => {
+      it('counts messages and daily activity', async () => {
+        const group = await createGroup();
+        await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'a' });
+        await storage.createMessage({ roomId: group.id, userId: alice.id, content: 'b' });
+        await storage.createMessage({ roomId: group.id, userId: bob.id, content: 'c' });
+
+        assert.equal(await storage.getUserMessageCount(alice.id), 2);
+        assert.equal(await storage.getUserMessageCount(carol.id), 0);
+
+        const activity = await storage.getUserActivityStats(alice.id, 7);
+        assert.equal(activity.length, 7);
+        assert.equal(activity[6].date, new Date().toISOString().split('T')[0]);
+        assert.equal(activity[6].count, 2);
+      });
+    });
+  });
+}
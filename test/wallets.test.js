@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import nacl from 'tweetnacl';
+import { PublicKey } from '@solana/web3.js';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
+import {
+  parseWalletAddress,
+  verifyWalletSignature,
+  recoverEthereumAddress,
+  toChecksumAddress
+} from '../server/wallets.js';
+import { buildKeyBindingMessage, verifyKeyBinding, isValidKeyBackup } from '../server/encryption.js';
+
+const solanaWallet = () => {
+  const keyPair = nacl.sign.keyPair();
+  return {
+    address: new PublicKey(keyPair.publicKey).toBase58(),
+    sign: message => Buffer.from(nacl.sign.detached(new TextEncoder().encode(message), keyPair.secretKey)).toString('base64')
+  };
+};
+
+// What MetaMask's personal_sign returns: r || s || v, v = 27 + recovery bit
+const ethereumWallet = () => {
+  const privateKey = secp256k1.utils.randomPrivateKey();
+  const publicKey = secp256k1.getPublicKey(privateKey, false);
+  return {
+    address: toChecksumAddress('0x' + Buffer.from(keccak_256(publicKey.subarray(1))).subarray(-20).toString('hex')),
+    sign: message => {
+      const bytes = new TextEncoder().encode(message);
+      const hash = keccak_256(Buffer.concat([Buffer.from(`\x19Ethereum Signed Message:\n${bytes.length}`), bytes]));
+      const signature = secp256k1.sign(hash, privateKey);
+      return '0x' + Buffer.from(signature.toCompactRawBytes()).toString('hex') + (27 + signature.recovery).toString(16);
+    }
+  };
+};
+
+describe('wallet addresses', () => {
+  it('tells Solana and Ethereum addresses apart', () => {
+    const { address } = solanaWallet();
+    assert.deepEqual(parseWalletAddress(` ${address} `), { chain: 'solana', address });
+    assert.deepEqual(parseWalletAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), {
+      chain: 'ethereum',
+      address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'
+    });
+  });
+
+  it('refuses malformed addresses and Ethereum addresses with a wrong checksum', () => {
+    for (const address of ['', 'wallet-bob', '0x1234', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD', 'O0Il' + 'a'.repeat(40), null]) {
+      assert.equal(parseWalletAddress(address), null, String(address));
+    }
+  });
+});
+
+describe('wallet signatures', () => {
+  for (const [chain, createWallet] of [['Solana', solanaWallet], ['Ethereum', ethereumWallet]]) {
+    it(`verifies ${chain} signatures over the exact message`, () => {
+      const wallet = createWallet();
+      const other = createWallet();
+      const signature = wallet.sign('Sign in to ZKONTROL.');
+
+      assert.equal(verifyWalletSignature(wallet.address, 'Sign in to ZKONTROL.', signature), true);
+      assert.equal(verifyWalletSignature(wallet.address, 'Sign in to ZKONTROL!', signature), false);
+      assert.equal(verifyWalletSignature(other.address, 'Sign in to ZKONTROL.', signature), false);
+      assert.equal(verifyWalletSignature(wallet.address, 'Sign in to ZKONTROL.', 'not a signature'), false);
+    });
+
+    it(`binds encryption keys to ${chain} wallets`, () => {
+      const wallet = createWallet();
+      const key = Buffer.from(nacl.box.keyPair().publicKey).toString('base64');
+      const signature = wallet.sign(buildKeyBindingMessage(wallet.address, key));
+
+      assert.equal(verifyKeyBinding(wallet.address, key, signature), true);
+      assert.equal(verifyKeyBinding(createWallet().address, key, signature), false);
+    });
+  }
+
+  it('accepts recovery ids as 0/1 as well as 27/28', () => {
+    const wallet = ethereumWallet();
+    const signature = wallet.sign('hello');
+    const raw = signature.slice(0, -2) + (parseInt(signature.slice(-2), 16) - 27).toString(16).padStart(2, '0');
+    assert.equal(recoverEthereumAddress('hello', raw), wallet.address);
+  });
+
+  it('only accepts canonical addresses', () => {
+    const wallet = ethereumWallet();
+    const signature = wallet.sign('hello');
+    assert.equal(verifyWalletSignature(wallet.address.toLowerCase(), 'hello', signature), false);
+  });
+});
+
+describe('linked wallet key backups', () => {
+  it('accepts a sealed X25519 secret key and nothing else', () => {
+    const base64 = bytes => Buffer.from(bytes).toString('base64');
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const sealed = nacl.secretbox(nacl.box.keyPair().secretKey, nonce, nacl.randomBytes(nacl.secretbox.keyLength));
+
+    assert.equal(isValidKeyBackup({ ciphertext: base64(sealed), nonce: base64(nonce) }), true);
+    assert.equal(isValidKeyBackup({ ciphertext: base64(sealed.subarray(1)), nonce: base64(nonce) }), false);
+    assert.equal(isValidKeyBackup({ ciphertext: base64(sealed), nonce: base64(nonce.subarray(1)) }), false);
+    assert.equal(isValidKeyBackup(null), false);
+  });
+});